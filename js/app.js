@@ -8,7 +8,9 @@ const App = {
         statsCalculator: StatsCalculator,
         visualizationManager: VisualizationManager,
         uiController: null,
-        exportManager: null,
+        exportManager: ExportManager,
+        persistenceManager: PersistenceManager,
+        urlStateManager: UrlStateManager,
         errorHandler: ErrorHandler
     },
     
@@ -48,25 +50,86 @@ const App = {
             this.modules.filterManager.init();
             ErrorHandler.debug('FilterManager initialized');
             
+            // Keep filters and active tab in the URL hash
+            this.modules.urlStateManager.init();
+            ErrorHandler.debug('UrlStateManager initialized');
+            
             // Initialize VisualizationManager
             this.modules.visualizationManager.init();
             ErrorHandler.debug('VisualizationManager initialized');
             
-            // Initialize other modules (will be implemented in future tasks)
-            // this.modules.exportManager = ExportManager;
-            
             this.state.initialized = true;
             ErrorHandler.info('Application initialized successfully');
             
             // Emit initialization complete event
             EventBus.emit('app:initialized', { timestamp: new Date() });
             
+            // Restore receipts saved on this device (opt-in)
+            this.restorePersistedData().catch(() => {
+                // Already reported by the storage error boundary
+            });
+            
         } catch (error) {
             ErrorHandler.handleError(error, 'App Initialization');
             throw error;
         }
     }, 'App Initialization'),
     
+    /**
+     * Restore receipts previously saved to IndexedDB
+     * @returns {Promise<number>} Number of receipts restored
+     */
+    restorePersistedData: withErrorBoundary(async function() {
+        const persistence = this.modules.persistenceManager;
+        if (!persistence || !persistence.isEnabled()) {
+            return 0;
+        }
+        
+        const uiController = this.modules.uiController;
+        if (uiController) {
+            uiController.showLoading('Restoring receipts saved on this device...');
+        }
+        
+        try {
+            const receipts = await persistence.loadReceipts();
+            if (receipts.length === 0) {
+                return 0;
+            }
+            
+            // Already stored - don't write them back
+            this.modules.dataStore.addReceipts(receipts, { persist: false });
+            this.state.dataLoaded = true;
+            
+            ErrorHandler.info(`Restored ${receipts.length} receipts from local storage`);
+            
+            EventBus.emit('files:parsed', {
+                files: [],
+                receipts,
+                fileCount: 0,
+                receiptCount: receipts.length,
+                invalidCount: 0,
+                totalCount: receipts.length,
+                restored: true
+            });
+            
+            return receipts.length;
+        } finally {
+            if (uiController) {
+                uiController.hideLoading();
+            }
+        }
+    }, 'Storage'),
+    
+    /**
+     * Delete everything stored on this device and return to the start screen
+     */
+    forgetAllData: withErrorBoundary(async function() {
+        if (this.modules.persistenceManager) {
+            await this.modules.persistenceManager.forgetAll();
+        }
+        this.reset();
+    }, 'Storage'),
+    
     /**
      * Reset application state
      */
@@ -0,0 +1,21 @@
+// ===== IMPORT WORKER =====
+// Runs DataProcessor.processFiles off the main thread so multi-year exports
+// don't freeze the page. Progress is posted as each file moves through the
+// pipeline; the merged receipts come back in the final 'done' message, and
+// the page adds them to the DataStore. Cancelling terminates the worker, so
+// nothing is added.
+importScripts('modules.js');
+
+self.onmessage = async (event) => {
+    const { type, files } = event.data || {};
+    if (type !== 'process') return;
+    
+    try {
+        const result = await DataProcessor.processFiles(files, {
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', error: error.message });
+    }
+};
@@ -45,6 +45,17 @@ function getDepartmentName(deptNumber) {
     return DEPARTMENT_MAPPINGS[deptStr] || `Dept ${deptNumber}`;
 }
 
+// ===== PAYMENT KINDS =====
+// Broad groups for tender lines (see DataProcessor.getTenders)
+const TENDER_KIND_LABELS = {
+    'credit': 'Credit cards',
+    'debit': 'Debit cards',
+    'gift-card': 'Shop / gift cards',
+    'reward': 'Reward certificates',
+    'cash': 'Cash',
+    'other': 'Other'
+};
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -82,6 +93,67 @@ function throttle(func, wait) {
     };
 }
 
+/**
+ * Escape text for safe insertion into innerHTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a receipt is a refund or return (by transaction type or a negative total)
+ * @param {Object} receipt - Normalized receipt
+ * @returns {boolean}
+ */
+function isRefundReceipt(receipt) {
+    return receipt.transactionType === 'Refund' ||
+        receipt.transactionType === 'Return' ||
+        receipt.transactionType === 'Returned' ||
+        (receipt.total || 0) < 0;
+}
+
+/**
+ * Display name for where a receipt was rung up ("Costco.com" for online orders)
+ * @param {Object} receipt - Normalized receipt
+ * @returns {string} e.g. "Seattle #1" (not HTML-escaped)
+ */
+function getWarehouseLabel(receipt) {
+    if (receipt.warehouseName === 'Online') return 'Costco.com';
+    return `${receipt.warehouseName || 'Warehouse'}${receipt.warehouseNumber ? ` #${receipt.warehouseNumber}` : ''}`;
+}
+
+/**
+ * Create an id for a record the user defines (e.g. a category rule)
+ * @param {string} prefix - Record type, e.g. "rule"
+ * @returns {string} Id that is unique for practical purposes
+ */
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Format a price per standard unit (oz, fl oz, ct) for display.
+ * Sub-dollar prices are shown in cents so small per-unit changes stay visible.
+ * @param {number} price - Price per standard unit
+ * @param {string} unit - Standard unit label
+ * @returns {string} Formatted price, e.g. "21.4¢/oz" or "$1.25/ct"
+ */
+function formatUnitPrice(price, unit) {
+    if (price === null || price === undefined || !isFinite(price)) return '';
+    const value = price < 1
+        ? `${(price * 100).toFixed(price < 0.1 ? 2 : 1)}¢`
+        : `$${price.toFixed(2)}`;
+    return unit ? `${value}/${unit}` : value;
+}
+
 // ===== EVENT BUS =====
 // Simple publish-subscribe pattern for inter-module communication
 const EventBus = (() => {
@@ -221,7 +293,8 @@ const ErrorHandler = (() => {
             'JSON Parsing': 'Invalid JSON format. Please check your file format.',
             'Data Processing': 'Error processing receipt data. Some data may be missing or invalid.',
             'Visualization': 'Failed to render chart. Please try refreshing the page.',
-            'Export': 'Failed to export data. Please try again.'
+            'Export': 'Failed to export data. Please try again.',
+            'Storage': 'Failed to access data saved on this device. Try reloading your receipt files.'
         };
         
         const userMessage = userMessages[context] || 'An unexpected error occurred. Please try again.';
@@ -270,1712 +343,2119 @@ function withErrorBoundary(fn, context) {
     };
 }
 
-// ===== D3 UTILITIES =====
-// Check if D3 is loaded
-function checkD3() {
-    console.log('Checking D3 availability...');
-    console.log('typeof d3:', typeof d3);
-    if (typeof d3 === 'undefined') {
-        console.error('D3.js not loaded - visualizations will not work');
-        ErrorHandler.error('D3.js not loaded - visualizations will not work');
-        return false;
-    }
-    console.log(`D3.js v${d3.version} loaded successfully`);
-    ErrorHandler.debug(`D3.js v${d3.version} loaded successfully`);
-    return true;
-}
-
-// ===== VISUALIZATION MANAGER MODULE =====
-const VisualizationManager = (() => {
-    const charts = new Map();  // chartId -> chart instance
-    let d3Available = false;
+// ===== SETTINGS STORE =====
+// Small localStorage-backed store for user preferences.
+// Values are JSON-encoded; failures (private mode, quota) fall back to defaults.
+const SettingsStore = (() => {
+    const PREFIX = 'costco-insights:';
     
     /**
-     * Initialize VisualizationManager
+     * Read a setting
+     * @param {string} key - Setting key
+     * @param {*} defaultValue - Value returned when missing or unreadable
+     * @returns {*} Stored value or default
      */
-    function init() {
-        d3Available = checkD3();
-        
-        if (!d3Available) {
-            ErrorHandler.error('D3.js failed to load. Charts will not render.');
-            return;
+    function get(key, defaultValue = null) {
+        try {
+            const raw = localStorage.getItem(PREFIX + key);
+            return raw === null ? defaultValue : JSON.parse(raw);
+        } catch (error) {
+            ErrorHandler.warn(`Unable to read setting "${key}"`, error);
+            return defaultValue;
         }
-        
-        // Set up resize observer for responsive charts
-        setupResizeHandlers();
-        
-        ErrorHandler.info('VisualizationManager initialized');
     }
     
     /**
-     * Setup window resize handlers for responsive charts
+     * Write a setting
+     * @param {string} key - Setting key
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} True if stored
      */
-    function setupResizeHandlers() {
-        let resizeTimer;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                resizeCharts();
-            }, 250); // Debounce resize events
-        });
+    function set(key, value) {
+        try {
+            localStorage.setItem(PREFIX + key, JSON.stringify(value));
+            EventBus.emit('settings:changed', { key, value });
+            return true;
+        } catch (error) {
+            ErrorHandler.warn(`Unable to store setting "${key}"`, error);
+            return false;
+        }
     }
     
     /**
-     * Create a chart
-     * @param {string} chartId - Unique chart identifier
-     * @param {string} containerId - DOM container ID
-     * @param {string} type - Chart type
-     * @param {Object} data - Chart data
-     * @param {Object} options - Chart options
-     * @returns {Object} Chart instance
+     * Remove a setting
+     * @param {string} key - Setting key
      */
-    function createChart(chartId, containerId, type, data, options = {}) {
-        if (!d3Available) {
-            ErrorHandler.warn(`Cannot create chart ${chartId}: D3 not available`);
-            return null;
-        }
-        
-        // Destroy existing chart if it exists
-        if (charts.has(chartId)) {
-            destroyChart(chartId);
-        }
-        
-        const container = document.getElementById(containerId);
-        if (!container) {
-            ErrorHandler.error(`Container ${containerId} not found for chart ${chartId}`);
-            return null;
-        }
-        
+    function remove(key) {
         try {
-            const chart = {
-                id: chartId,
-                type,
-                containerId,
-                container,
-                data,
-                options,
-                svg: null,
-                update: null,
-                destroy: null
-            };
-            
-            // Create chart based on type
-            switch (type) {
-                case 'spending-trend':
-                    createSpendingTrendChart(chart);
-                    break;
-                case 'top-items':
-                    createTopItemsChart(chart);
-                    break;
-                case 'frequent-items':
-                    createFrequentItemsChart(chart);
-                    break;
-                case 'warehouse-comparison':
-                    createWarehouseChart(chart);
-                    break;
-                case 'savings-trend':
-                    createSavingsTrendChart(chart);
-                    break;
-                case 'tax-rate-trend':
-                    createTaxRateTrendChart(chart);
-                    break;
-                case 'category-breakdown':
-                    createCategoryChart(chart);
-                    break;
-                case 'calendar-heatmap':
-                    createCalendarHeatmap(chart);
-                    break;
-                case 'price-evolution':
-                    createPriceEvolutionChart(chart);
-                    break;
-                default:
-                    ErrorHandler.warn(`Unknown chart type: ${type}`);
-                    return null;
-            }
-            
-            charts.set(chartId, chart);
-            ErrorHandler.debug(`Chart created: ${chartId} (${type})`);
-            
-            return chart;
+            localStorage.removeItem(PREFIX + key);
+            EventBus.emit('settings:changed', { key, value: undefined });
         } catch (error) {
-            ErrorHandler.handleError(error, 'Visualization');
-            return null;
+            ErrorHandler.warn(`Unable to remove setting "${key}"`, error);
         }
     }
     
+    return {
+        get,
+        set,
+        remove
+    };
+})();
+
+// ===== CATEGORY MANAGER =====
+// User-defined categories layered over Costco department numbers. Rules are
+// checked in order and the first match wins; items no rule matches keep
+// their department.
+const CategoryManager = (() => {
+    const RULES_KEY = 'categoryRules';
+    const RULE_TYPES = ['items', 'name', 'departments'];
+    
+    let rules = null;           // Loaded lazily from SettingsStore
+    let compiledPatterns = new Map();
+    
     /**
-     * Update a chart with new data
-     * @param {string} chartId - Chart identifier
-     * @param {Object} data - New data
+     * Build the key for a department fallback category
+     * @param {number|string} deptNumber - Department number
+     * @returns {string} Category key
      */
-    function updateChart(chartId, data) {
-        const chart = charts.get(chartId);
-        if (!chart) {
-            ErrorHandler.warn(`Chart ${chartId} not found`);
-            return;
-        }
-        
-        chart.data = data;
-        if (chart.update) {
-            chart.update(data);
-        }
+    function departmentKey(deptNumber) {
+        return `dept:${String(deptNumber || 0)}`;
     }
     
     /**
-     * Destroy a chart
-     * @param {string} chartId - Chart identifier
+     * Build the key for a user category
+     * @param {string} name - Category name
+     * @returns {string} Category key
      */
-    function destroyChart(chartId) {
-        const chart = charts.get(chartId);
-        if (!chart) return;
-        
-        if (chart.destroy) {
-            chart.destroy();
-        }
-        
-        // Remove SVG from DOM
-        if (chart.svg) {
-            chart.svg.remove();
-        }
-        
-        // Clear container
-        if (chart.container) {
-            chart.container.innerHTML = '';
-        }
-        
-        charts.delete(chartId);
-        ErrorHandler.debug(`Chart destroyed: ${chartId}`);
+    function userKey(name) {
+        return `cat:${String(name).trim()}`;
     }
     
     /**
-     * Resize all charts
+     * Normalize a category key (plain department numbers from older settings become dept keys)
+     * @param {string|number} key - Category key or department number
+     * @returns {string} Category key
      */
-    function resizeCharts() {
-        charts.forEach((chart, chartId) => {
-            // Only resize charts that are in visible containers
-            if (chart.container && chart.update) {
-                const containerWidth = chart.container.clientWidth;
-                if (containerWidth > 0) {
-                chart.update(chart.data);
-                } else {
-                    // Mark chart as needing render when tab becomes visible
-                    chart.needsRender = true;
-                }
-            }
-        });
-        ErrorHandler.debug('Charts resized');
+    function normalizeKey(key) {
+        const value = String(key);
+        return /^\d+$/.test(value) ? departmentKey(value) : value;
     }
     
     /**
-     * Resize charts in a specific tab
-     * @param {string} tabId - The tab identifier
+     * Clean up a rule read from storage or the editor
+     * @param {Object} rule - Raw rule
+     * @returns {Object|null} Rule or null if unusable
      */
-    function resizeChartsInTab(tabId) {
-        // Find the active tab content element
-        const tabContent = document.getElementById(`tab-${tabId}`);
-        if (!tabContent) {
-            ErrorHandler.debug(`Tab content not found: tab-${tabId}`);
-            return;
-        }
-        
-        // Check if tab is visible
-        const isVisible = tabContent.classList.contains('active') && 
-                         tabContent.offsetParent !== null;
-        
-        if (!isVisible) {
-            ErrorHandler.debug(`Tab ${tabId} is not visible, skipping resize`);
-            return;
+    function sanitizeRule(rule) {
+        if (!rule || !RULE_TYPES.includes(rule.type)) return null;
+        const category = String(rule.category || '').trim();
+        if (!category) return null;
+        
+        let values;
+        if (rule.type === 'name') {
+            values = String(Array.isArray(rule.values) ? rule.values[0] : rule.values || '').trim();
+            if (!values) return null;
+        } else {
+            const list = Array.isArray(rule.values) ? rule.values : String(rule.values || '').split(/[\s,;]+/);
+            values = list.map(v => String(v).trim()).filter(v => /^\d+$/.test(v));
+            if (values.length === 0) return null;
         }
         
-        charts.forEach((chart, chartId) => {
-            if (!chart.container || !chart.update) return;
-            
-            // Check if chart container is within the active tab
-            const isInTab = tabContent.contains(chart.container);
-            
-            if (isInTab) {
-                const containerWidth = chart.container.clientWidth;
-                if (containerWidth > 0) {
-                    chart.update(chart.data);
-                } else {
-                    // Container exists but has zero width - mark for later render
-                    chart.needsRender = true;
-                    ErrorHandler.debug(`Chart ${chartId} in tab ${tabId} has zero width, deferring render`);
-                }
-            }
-        });
-        
-        ErrorHandler.debug(`Charts resized for tab: ${tabId}`);
+        return {
+            id: rule.id || createId('rule'),
+            category,
+            type: rule.type,
+            values
+        };
     }
     
     /**
-     * Create a standardized tooltip element for charts
-     * @param {HTMLElement} container - The chart container
-     * @returns {Object} - D3 selection of the tooltip
+     * Load rules from settings on first use
+     * @returns {Array} Internal rule list (do not mutate)
      */
-    function createChartTooltip(container) {
-        return d3.select(container)
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden');
+    function loadRules() {
+        if (rules === null) {
+            const saved = SettingsStore.get(RULES_KEY, []);
+            rules = (Array.isArray(saved) ? saved : []).map(sanitizeRule).filter(Boolean);
+        }
+        return rules;
     }
     
     /**
-     * Show tooltip with formatted content
-     * @param {Object} tooltip - D3 selection of tooltip
-     * @param {string} title - Tooltip title
-     * @param {Array} rows - Array of {label, value, className?} objects
-     * @param {Event} event - Mouse event for positioning
-     * @param {HTMLElement} container - Chart container
+     * Get the current rules (in precedence order)
+     * @returns {Array} Copy of the rules
      */
-    function showTooltip(tooltip, title, rows, event, container) {
-        let html = '';
-        if (title) {
-            html += `<div class="chart-tooltip-title">${title}</div>`;
+    function getRules() {
+        return loadRules().map(rule => ({ ...rule, values: Array.isArray(rule.values) ? [...rule.values] : rule.values }));
+    }
+    
+    /**
+     * Replace all rules
+     * @param {Array} newRules - Rules in precedence order
+     * @returns {Array} Stored rules
+     */
+    function setRules(newRules) {
+        rules = (Array.isArray(newRules) ? newRules : []).map(sanitizeRule).filter(Boolean);
+        compiledPatterns = new Map();
+        SettingsStore.set(RULES_KEY, rules);
+        EventBus.emit('categories:changed', { rules: getRules() });
+        return getRules();
+    }
+    
+    /**
+     * Add a rule at the end of the list (lowest precedence)
+     * @param {Object} rule - { category, type: 'items'|'name'|'departments', values }
+     * @returns {Object|null} Added rule, or null if invalid
+     */
+    function addRule(rule) {
+        const clean = sanitizeRule({ ...rule, id: null });
+        if (!clean) return null;
+        if (clean.type === 'name' && !getPattern(clean.values)) return null;
+        setRules([...getRules(), clean]);
+        return clean;
+    }
+    
+    /**
+     * Remove a rule
+     * @param {string} id - Rule id
+     */
+    function removeRule(id) {
+        setRules(getRules().filter(rule => rule.id !== id));
+    }
+    
+    /**
+     * Move a rule up or down in precedence
+     * @param {string} id - Rule id
+     * @param {number} offset - -1 to raise precedence, 1 to lower it
+     */
+    function moveRule(id, offset) {
+        const list = getRules();
+        const index = list.findIndex(rule => rule.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= list.length) return;
+        [list[index], list[target]] = [list[target], list[index]];
+        setRules(list);
+    }
+    
+    /**
+     * Compile (and cache) a name pattern
+     * @param {string} source - Regular expression source
+     * @returns {RegExp|null} Pattern, or null if invalid
+     */
+    function getPattern(source) {
+        if (compiledPatterns.has(source)) return compiledPatterns.get(source);
+        let pattern = null;
+        try {
+            pattern = new RegExp(source, 'i');
+        } catch (error) {
+            ErrorHandler.warn(`Invalid category pattern "${source}"`, error);
         }
-        rows.forEach(row => {
-            const valueClass = row.className ? ` ${row.className}` : '';
-            html += `<div class="chart-tooltip-row">
-                <span class="chart-tooltip-label">${row.label}</span>
-                <span class="chart-tooltip-value${valueClass}">${row.value}</span>
-            </div>`;
-        });
-        
-        tooltip
-            .html(html)
-            .classed('visible', true)
-            .style('visibility', 'visible');
-        
-        positionTooltip(tooltip, event, container);
+        compiledPatterns.set(source, pattern);
+        return pattern;
     }
     
     /**
-     * Hide tooltip
-     * @param {Object} tooltip - D3 selection of tooltip
+     * Check whether a rule matches an item
+     * @param {Object} rule - Rule
+     * @param {Object} item - Normalized item
+     * @returns {boolean} True on match
      */
-    function hideTooltip(tooltip) {
-        tooltip
-            .classed('visible', false)
-            .style('visibility', 'hidden');
+    function ruleMatches(rule, item) {
+        switch (rule.type) {
+            case 'items':
+                return rule.values.includes(String(item.itemNumber));
+            case 'departments':
+                return rule.values.includes(String(item.itemDepartmentNumber || 0));
+            case 'name': {
+                const pattern = getPattern(rule.values);
+                return pattern ? pattern.test(item.normalizedName || '') : false;
+            }
+            default:
+                return false;
+        }
     }
     
     /**
-     * Helper function to position tooltip correctly
-     * @param {Object} tooltip - D3 selection of tooltip
-     * @param {Event} event - The mouse event
-     * @param {HTMLElement} container - The chart container
+     * Resolve the category for an item
+     * @param {Object} item - Normalized item
+     * @returns {Object} { key, name, source: 'rule'|'department', ruleId, department }
      */
-    function positionTooltip(tooltip, event, container) {
-        const containerRect = container.getBoundingClientRect();
-        const tooltipNode = tooltip.node();
-        const tooltipRect = tooltipNode.getBoundingClientRect();
-        
-        // Calculate position relative to container
-        let left = event.clientX - containerRect.left + 10;
-        let top = event.clientY - containerRect.top - 10;
-        
-        // Check if tooltip would go off the right edge
-        if (left + tooltipRect.width > containerRect.width) {
-            left = event.clientX - containerRect.left - tooltipRect.width - 10;
+    function categorizeItem(item) {
+        const department = item.itemDepartmentNumber || 0;
+        const rule = loadRules().find(r => ruleMatches(r, item));
+        if (rule) {
+            return { key: userKey(rule.category), name: rule.category, source: 'rule', ruleId: rule.id, department };
         }
-        
-        // Check if tooltip would go off the bottom edge
-        if (top + tooltipRect.height > containerRect.height) {
-            top = event.clientY - containerRect.top - tooltipRect.height - 10;
+        return { key: departmentKey(department), name: getDepartmentName(department), source: 'department', ruleId: null, department };
+    }
+    
+    /**
+     * Get the display name for a category key
+     * @param {string} key - Category key (or legacy department number)
+     * @returns {string} Category name
+     */
+    function getCategoryName(key) {
+        const normalized = normalizeKey(key);
+        if (normalized.startsWith('cat:')) return normalized.slice(4);
+        if (normalized.startsWith('dept:')) return getDepartmentName(normalized.slice(5));
+        return normalized;
+    }
+    
+    /**
+     * List selectable categories: user categories first, then departments
+     * @returns {Array} [{ key, name }]
+     */
+    function getCategoryOptions() {
+        const userCategories = Array.from(new Set(loadRules().map(rule => rule.category)))
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ key: userKey(name), name }));
+        const departments = Object.keys(DEPARTMENT_MAPPINGS)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(num => ({ key: departmentKey(num), name: `${num} - ${DEPARTMENT_MAPPINGS[num]}` }));
+        return [...userCategories, ...departments];
+    }
+    
+    return {
+        getRules,
+        setRules,
+        addRule,
+        removeRule,
+        moveRule,
+        categorizeItem,
+        getCategoryName,
+        getCategoryOptions,
+        normalizeKey
+    };
+})();
+
+// ===== PRODUCT IDENTITY =====
+// Resolves item numbers to products. The same product can show up under
+// several item numbers (online vs. warehouse SKUs, renumbering after a
+// packaging change); similar names are linked automatically and the user
+// can merge or split items by hand. A product is keyed by its most recently
+// bought item number so unmerged items keep their own number as key.
+const ProductIdentity = (() => {
+    const SETTINGS_KEY = 'productIdentity';
+    const MIN_SIMILARITY = 0.75;
+    const STOP_WORDS = new Set(['AND', 'OF', 'THE', 'WITH', 'FOR', 'IN', 'ET', 'DE', 'DU', 'LA', 'LE', 'LES', 'AU', 'AUX']);
+    const BRAND_TOKENS = { KIRKLAND: 'KS', SIGNATURE: null, KIRK: 'KS' };
+    
+    let settings = null;        // Loaded lazily from SettingsStore
+    let catalog = new Map();    // itemNumber -> { itemNumber, name, department, tokens, frenchTokens, lastDate, purchases, receiptIds }
+    let products = new Map();   // itemNumber -> product
+    
+    /**
+     * Load settings on first use
+     * @returns {Object} { autoMatch, groups: [{ id, name, itemNumbers }], separated: [itemNumber] }
+     */
+    function loadSettings() {
+        if (settings === null) {
+            const saved = SettingsStore.get(SETTINGS_KEY, {}) || {};
+            settings = {
+                autoMatch: saved.autoMatch !== false,
+                groups: (Array.isArray(saved.groups) ? saved.groups : [])
+                    .map(group => ({
+                        id: group.id,
+                        name: String(group.name || '').trim(),
+                        itemNumbers: Array.from(new Set((group.itemNumbers || []).map(String)))
+                    }))
+                    .filter(group => group.id && group.itemNumbers.length >= 2),
+                separated: (Array.isArray(saved.separated) ? saved.separated : []).map(String)
+            };
         }
-        
-        // Ensure tooltip doesn't go off the left or top edge
-        left = Math.max(5, left);
-        top = Math.max(5, top);
-        
-        tooltip
-            .style('left', left + 'px')
-            .style('top', top + 'px');
+        return settings;
     }
     
     /**
-     * Create a chart legend
-     * @param {HTMLElement} container - Container to append legend to
-     * @param {Array} items - Array of {label, color, active?} objects
-     * @param {Function} onToggle - Callback when item is toggled (receives item and active state)
-     * @returns {HTMLElement} - The legend element
+     * Persist settings, re-resolve products and notify listeners
      */
-    function createChartLegend(container, items, onToggle) {
-        const legend = document.createElement('div');
-        legend.className = 'chart-legend';
+    function saveSettings() {
+        SettingsStore.set(SETTINGS_KEY, settings);
+        resolveProducts();
+        EventBus.emit('products:changed', { products: getProducts() });
+    }
+    
+    /**
+     * Significant words of an item name. Pack sizes, bare numbers and filler
+     * words are dropped, "KIRKLAND SIGNATURE" becomes "KS" and simple plurals
+     * are singularized so "Kirkland Signature Paper Towels, 12 Rolls" and
+     * "KS PAPER TOWEL" share the same words.
+     * @param {string} name - Item name
+     * @returns {Set<string>} Name tokens
+     */
+    function getNameTokens(name) {
+        let text = String(name || '').toUpperCase();
+        const pack = DataProcessor.parsePackSize(text);
+        if (pack) {
+            text = text.replace(pack.label, ' ');
+        }
         
-        items.forEach((item, index) => {
-            const legendItem = document.createElement('div');
-            legendItem.className = 'chart-legend-item' + (item.active === false ? ' inactive' : '');
-            legendItem.innerHTML = `
-                <span class="chart-legend-color" style="background-color: ${item.color}"></span>
-                <span class="chart-legend-label">${item.label}</span>
-            `;
-            
-            if (onToggle) {
-                legendItem.addEventListener('click', () => {
-                    const isActive = !legendItem.classList.contains('inactive');
-                    legendItem.classList.toggle('inactive');
-                    onToggle(item, !isActive, index);
-                });
+        const tokens = new Set();
+        text.split(/[^A-Z0-9%À-Ý]+/).forEach(raw => {
+            let token = raw;
+            if (Object.prototype.hasOwnProperty.call(BRAND_TOKENS, token)) {
+                token = BRAND_TOKENS[token];
             }
-            
-            legend.appendChild(legendItem);
+            if (!token || token.length < 2 || /^\d+$/.test(token) || STOP_WORDS.has(token)) return;
+            if (token.length > 3 && token.endsWith('S') && !token.endsWith('SS')) {
+                token = token.slice(0, -1);
+            }
+            tokens.add(token);
         });
-        
-        container.appendChild(legend);
-        return legend;
+        return tokens;
     }
     
     /**
-     * Create spending trend chart
+     * Jaccard similarity between two token sets
+     * @param {Set<string>} a - First token set
+     * @param {Set<string>} b - Second token set
+     * @returns {number} Similarity between 0 and 1
      */
-    function createSpendingTrendChart(chart) {
-        console.log('=== CREATING SPENDING TREND CHART ===');
-        console.log('Chart data:', chart.data);
-        console.log('Chart container:', chart.container);
-        console.log('D3 available:', typeof d3 !== 'undefined');
-        
-        const data = chart.data || [];
-        if (data.length === 0) {
-            console.warn('No data available for chart');
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
-            return;
-        }
-        
-        console.log(`Creating chart with ${data.length} data points`);
-        
-        // Clear container
-        chart.container.innerHTML = '';
-        
-        // Get container dimensions
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 300);
+    function tokenSimilarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        a.forEach(token => {
+            if (b.has(token)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+    
+    /**
+     * Whether two catalog entries look like the same product
+     * @param {Object} a - Catalog entry
+     * @param {Object} b - Catalog entry
+     * @returns {boolean} True when names match closely enough
+     */
+    function isAutoMatch(a, b) {
+        if (a.department && b.department && String(a.department) !== String(b.department)) return false;
         
-        // Guard: Skip rendering if container is hidden (zero width)
-        if (containerWidth <= 0) {
-            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
-            chart.needsRender = true;
-            return;
+        // Two item numbers on the same receipt are two different products
+        const [smaller, larger] = a.receiptIds.size <= b.receiptIds.size ? [a, b] : [b, a];
+        for (const id of smaller.receiptIds) {
+            if (larger.receiptIds.has(id)) return false;
         }
         
-        // Set margins and dimensions
-        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
-        
-        // Create SVG
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-        
-        chart.svg = svg;
-        
-        // Parse dates and prepare data
-        const parseDate = d3.timeParse('%Y-%m');
-        const dataWithDates = data.map(d => ({
-            ...d,
-            date: parseDate(d.month)
-        })).sort((a, b) => a.date - b.date);
+        // English and French descriptions are compared both ways
+        const namesA = [a.tokens, a.frenchTokens].filter(tokens => tokens.size >= 2);
+        const namesB = [b.tokens, b.frenchTokens].filter(tokens => tokens.size >= 2);
+        return namesA.some(tokensA => namesB.some(tokensB => tokenSimilarity(tokensA, tokensB) >= MIN_SIMILARITY));
+    }
+    
+    /**
+     * Link similar catalog entries (union-find over candidate pairs sharing an uncommon word)
+     * @param {Array} entries - Catalog entries eligible for automatic matching
+     * @returns {Array<Array>} Groups of two or more entries
+     */
+    function findAutoGroups(entries) {
+        const parent = new Map(entries.map(entry => [entry.itemNumber, entry.itemNumber]));
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
         
-        // Create scales
-        const x = d3.scaleTime()
-            .domain(d3.extent(dataWithDates, d => d.date))
-            .range([0, width]);
+        // Very common words ("KS") would make every item a candidate for every other
+        const tokenIndex = new Map();
+        entries.forEach(entry => {
+            new Set([...entry.tokens, ...entry.frenchTokens]).forEach(token => {
+                if (!tokenIndex.has(token)) tokenIndex.set(token, []);
+                tokenIndex.get(token).push(entry);
+            });
+        });
+        const maxPostings = Math.max(50, Math.round(entries.length * 0.05));
+        
+        const compared = new Set();
+        tokenIndex.forEach(postings => {
+            if (postings.length < 2 || postings.length > maxPostings) return;
+            for (let i = 0; i < postings.length; i++) {
+                for (let j = i + 1; j < postings.length; j++) {
+                    const a = postings[i];
+                    const b = postings[j];
+                    const pairKey = a.itemNumber < b.itemNumber ? `${a.itemNumber}|${b.itemNumber}` : `${b.itemNumber}|${a.itemNumber}`;
+                    if (compared.has(pairKey)) continue;
+                    compared.add(pairKey);
+                    if (find(a.itemNumber) !== find(b.itemNumber) && isAutoMatch(a, b)) {
+                        parent.set(find(a.itemNumber), find(b.itemNumber));
+                    }
+                }
+            }
+        });
         
-        const y = d3.scaleLinear()
-            .domain([0, d3.max(dataWithDates, d => d.total) * 1.1])
-            .nice()
-            .range([height, 0]);
+        const groups = new Map();
+        entries.forEach(entry => {
+            const root = find(entry.itemNumber);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(entry);
+        });
+        return Array.from(groups.values()).filter(group => group.length >= 2);
+    }
+    
+    /**
+     * Build a product from its item numbers; the most recently bought item number is the key
+     * @param {Array<string>} itemNumbers - Item numbers in the product
+     * @param {string} source - 'manual' | 'auto'
+     * @param {Object} group - Manual group (for id and name)
+     * @returns {Object} Product
+     */
+    function buildProduct(itemNumbers, source, group = null) {
+        const members = itemNumbers.map(num => catalog.get(num) || {
+            itemNumber: num, name: `Item ${num}`, lastDate: null, purchases: 0
+        });
+        members.sort((a, b) =>
+            (b.lastDate || 0) - (a.lastDate || 0) ||
+            b.purchases - a.purchases ||
+            a.itemNumber.localeCompare(b.itemNumber));
         
-        // Create gradient for area
-        const gradient = svg.append('defs')
-            .append('linearGradient')
-            .attr('id', `gradient-${chart.id}`)
-            .attr('gradientUnits', 'userSpaceOnUse')
-            .attr('x1', 0)
-            .attr('y1', y(0))
-            .attr('x2', 0)
-            .attr('y2', y(d3.max(dataWithDates, d => d.total)));
+        return {
+            key: members[0].itemNumber,
+            name: (group && group.name) || members[0].name,
+            source,
+            groupId: group ? group.id : null,
+            itemNumbers: members.map(member => member.itemNumber),
+            members: members.map(member => ({
+                itemNumber: member.itemNumber,
+                name: member.name,
+                purchases: member.purchases,
+                lastDate: member.lastDate
+            }))
+        };
+    }
+    
+    /**
+     * Recompute products from the catalog and the user's merges/splits
+     */
+    function resolveProducts() {
+        const { autoMatch, groups, separated } = loadSettings();
+        products = new Map();
         
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', 'var(--color-primary)')
-            .attr('stop-opacity', 0.3);
+        groups.forEach(group => {
+            const product = buildProduct(group.itemNumbers, 'manual', group);
+            product.itemNumbers.forEach(num => products.set(num, product));
+        });
         
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', 'var(--color-primary)')
-            .attr('stop-opacity', 0);
+        if (autoMatch) {
+            const separatedSet = new Set(separated);
+            const eligible = Array.from(catalog.values())
+                .filter(entry => !products.has(entry.itemNumber) && !separatedSet.has(entry.itemNumber));
+            findAutoGroups(eligible).forEach(entries => {
+                const product = buildProduct(entries.map(entry => entry.itemNumber), 'auto');
+                product.itemNumbers.forEach(num => products.set(num, product));
+            });
+        }
+    }
+    
+    /**
+     * Rebuild the item catalog from receipts and resolve products
+     * @param {Array} receipts - Normalized receipts
+     */
+    function rebuild(receipts) {
+        catalog = new Map();
+        (receipts || []).forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount || !item.itemNumber) return;
+                if (item.fuelUnitQuantity !== null && item.fuelUnitQuantity !== undefined) return;
+                
+                let entry = catalog.get(item.itemNumber);
+                if (!entry) {
+                    entry = {
+                        itemNumber: item.itemNumber,
+                        name: item.normalizedName,
+                        department: item.itemDepartmentNumber || null,
+                        tokens: getNameTokens(item.normalizedName),
+                        frenchTokens: getNameTokens(item.frenchItemDescription1 || ''),
+                        lastDate: null,
+                        purchases: 0,
+                        receiptIds: new Set()
+                    };
+                    catalog.set(item.itemNumber, entry);
+                }
+                entry.purchases++;
+                entry.receiptIds.add(receipt.id);
+                const date = receipt.transactionDateTime;
+                if (date && (!entry.lastDate || date > entry.lastDate)) {
+                    entry.lastDate = date;
+                    entry.name = item.normalizedName || entry.name;
+                }
+                if (!entry.department && item.itemDepartmentNumber) {
+                    entry.department = item.itemDepartmentNumber;
+                }
+            });
+        });
         
-        // Create area generator
-        const area = d3.area()
-            .x(d => x(d.date))
-            .y0(height)
-            .y1(d => y(d.total))
-            .curve(d3.curveMonotoneX);
-        
-        // Create line generator
-        const line = d3.line()
-            .x(d => x(d.date))
-            .y(d => y(d.total))
-            .curve(d3.curveMonotoneX);
-        
-        // Add area
-        svg.append('path')
-            .datum(dataWithDates)
-            .attr('class', 'area')
-            .attr('fill', `url(#gradient-${chart.id})`)
-            .attr('d', area);
-        
-        // Add line
-        svg.append('path')
-            .datum(dataWithDates)
-            .attr('class', 'line')
-            .attr('fill', 'none')
-            .attr('stroke', 'var(--color-primary)')
-            .attr('stroke-width', 2)
-            .attr('d', line);
-        
-        // Add x-axis
-        svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x)
-                .ticks(Math.min(dataWithDates.length, 8))
-                .tickFormat(d3.timeFormat('%b %Y')))
-            .selectAll('text')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end')
-            .attr('dx', '-.8em')
-            .attr('dy', '.15em');
-        
-        // Add y-axis
-        svg.append('g')
-            .attr('class', 'y-axis')
-            .call(d3.axisLeft(y)
-                .ticks(6)
-                .tickFormat(d => `$${d.toLocaleString()}`));
-        
-        // Add grid lines
-        svg.append('g')
-            .attr('class', 'grid')
-            .attr('opacity', 0.1)
-            .call(d3.axisLeft(y)
-                .ticks(6)
-                .tickSize(-width)
-                .tickFormat(''));
-        
-        // Add y-axis label
-        svg.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', -margin.left + 15)
-            .attr('x', -height / 2)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text('Total Spent ($)');
-        
-        // Tooltip (using standardized factory)
-        const tooltip = createChartTooltip(chart.container);
-        
-        // Add data points with animation
-        const dots = svg.selectAll('.dot')
-            .data(dataWithDates)
-            .enter()
-            .append('circle')
-            .attr('class', 'dot')
-            .attr('cx', d => x(d.date))
-            .attr('cy', height)
-            .attr('r', 0)
-            .attr('fill', 'var(--color-primary)')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
-            .style('cursor', 'pointer')
-            .attr('tabindex', '0')  // Make focusable for accessibility
-            .attr('role', 'button')
-            .attr('aria-label', d => `${d3.timeFormat('%B %Y')(d.date)}: $${d.total.toFixed(2)}`);
-        
-        // Animate entry
-        dots.transition()
-            .duration(800)
-            .delay((d, i) => i * 50)
-            .attr('cy', d => y(d.total))
-            .attr('r', 4);
-        
-        // Tooltip show handler
-        function showDotTooltip(event, d) {
-            showTooltip(tooltip, d3.timeFormat('%B %Y')(d.date), [
-                { label: 'Total Spent', value: `$${d.total.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
-                { label: 'Trips', value: d.count },
-                { label: 'Items', value: d.items },
-                { label: 'Avg/Trip', value: `$${(d.total / d.count).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` }
-            ], event, chart.container);
-        }
-        
-        // Add hover interactions
-        dots.on('mouseover', function(event, d) {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('r', 6);
-                showDotTooltip(event, d);
-            })
-            .on('mousemove', function(event) {
-                positionTooltip(tooltip, event, chart.container);
-            })
-            .on('mouseout', function() {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('r', 4);
-                hideTooltip(tooltip);
-            })
-            .on('focus', function(event) {
-                // Keyboard accessibility - show tooltip on focus
-                const d = d3.select(this).datum();
-                d3.select(this).attr('r', 6);
-                showDotTooltip(event, d);
-            })
-            .on('blur', function() {
-                d3.select(this).attr('r', 4);
-                hideTooltip(tooltip);
-            })
-            .on('click', function(event, d) {
-                // Emit event for filtering by this month
-                EventBus.emit('chart:monthClicked', {
-                    month: d.month,
-                    date: d.date,
-                    data: d
-                });
-            })
-            .on('keydown', function(event) {
-                // Allow Enter/Space to trigger click for keyboard users
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    const d = d3.select(this).datum();
-                    EventBus.emit('chart:monthClicked', {
-                        month: d.month,
-                        date: d.date,
-                        data: d
-                    });
+        resolveProducts();
+        ErrorHandler.debug(`Product identity: ${catalog.size} item numbers, ${getProducts().length} multi-item products`);
+    }
+    
+    /**
+     * Resolve the product key for an item number
+     * @param {string} itemNumber - Item number
+     * @returns {string} Product key (an item number)
+     */
+    function getProductKey(itemNumber) {
+        const product = products.get(String(itemNumber));
+        return product ? product.key : String(itemNumber);
+    }
+    
+    /**
+     * Get the product an item number belongs to
+     * @param {string} itemNumber - Item number or product key
+     * @returns {Object} Product ({ key, name, source: 'manual'|'auto'|'item', itemNumbers, members })
+     */
+    function getProduct(itemNumber) {
+        const product = products.get(String(itemNumber));
+        if (product) return product;
+        const entry = catalog.get(String(itemNumber));
+        return {
+            key: String(itemNumber),
+            name: entry ? entry.name : null,
+            source: 'item',
+            groupId: null,
+            itemNumbers: [String(itemNumber)],
+            members: entry ? [{ itemNumber: entry.itemNumber, name: entry.name, purchases: entry.purchases, lastDate: entry.lastDate }] : []
+        };
+    }
+    
+    /**
+     * List products made of more than one item number
+     * @returns {Array} Products sorted by name
+     */
+    function getProducts() {
+        return Array.from(new Set(products.values()))
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    }
+    
+    /**
+     * Merge item numbers into one product. Merging into an existing product
+     * adds its other item numbers too.
+     * @param {Array<string>} itemNumbers - Item numbers to merge
+     * @param {string} name - Optional product name
+     * @returns {Object|null} Merged product, or null if fewer than two item numbers
+     */
+    function mergeItems(itemNumbers, name = '') {
+        const current = loadSettings();
+        const requested = Array.from(new Set((itemNumbers || []).map(num => String(num).trim()).filter(num => /^\d+$/.test(num))));
+        
+        // Pull in the rest of any product the chosen items already belong to
+        const merged = new Set();
+        requested.forEach(num => getProduct(num).itemNumbers.forEach(member => merged.add(member)));
+        if (merged.size < 2) return null;
+        
+        const absorbed = current.groups.filter(group => group.itemNumbers.some(num => merged.has(num)));
+        const groupName = String(name || '').trim() || (absorbed.find(group => group.name) || {}).name || '';
+        
+        settings = {
+            ...current,
+            groups: [
+                ...current.groups.filter(group => !absorbed.includes(group)),
+                {
+                    id: createId('product'),
+                    name: groupName,
+                    itemNumbers: Array.from(merged)
                 }
-            });
-        
-        // Update function
-        chart.update = function(newData) {
-            createSpendingTrendChart({ ...chart, data: newData });
+            ],
+            separated: current.separated.filter(num => !merged.has(num))
         };
-        
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
+        saveSettings();
+        return getProduct(requested[0]);
+    }
+    
+    /**
+     * Split an item number out of its product and keep it from being matched automatically
+     * @param {string} itemNumber - Item number
+     */
+    function splitItem(itemNumber) {
+        const num = String(itemNumber);
+        const current = loadSettings();
+        settings = {
+            ...current,
+            groups: current.groups
+                .map(group => ({ ...group, itemNumbers: group.itemNumbers.filter(member => member !== num) }))
+                .filter(group => group.itemNumbers.length >= 2),
+            separated: current.separated.includes(num) ? current.separated : [...current.separated, num]
         };
+        saveSettings();
     }
     
     /**
-     * Create top items horizontal bar chart
+     * Forget all merges and splits
      */
-    function createTopItemsChart(chart) {
-        console.log('=== CREATING TOP ITEMS BAR CHART ===');
-        const data = chart.data || [];
-        
-        if (data.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
-            return;
+    function resetOverrides() {
+        settings = { ...loadSettings(), groups: [], separated: [] };
+        saveSettings();
+    }
+    
+    /**
+     * Turn automatic name matching on or off
+     * @param {boolean} enabled - Whether to link similar names
+     */
+    function setAutoMatch(enabled) {
+        settings = { ...loadSettings(), autoMatch: Boolean(enabled) };
+        saveSettings();
+    }
+    
+    /**
+     * Check whether automatic name matching is on
+     * @returns {boolean} True when enabled
+     */
+    function isAutoMatchEnabled() {
+        return loadSettings().autoMatch;
+    }
+    
+    /**
+     * Number of item numbers split out by the user
+     * @returns {number} Count
+     */
+    function getSeparatedCount() {
+        return loadSettings().separated.length;
+    }
+    
+    return {
+        rebuild,
+        getProductKey,
+        getProduct,
+        getProducts,
+        mergeItems,
+        splitItem,
+        resetOverrides,
+        setAutoMatch,
+        isAutoMatchEnabled,
+        getSeparatedCount,
+        getNameTokens,
+        tokenSimilarity
+    };
+})();
+
+// ===== HOUSEHOLD MANAGER =====
+// Named household members mapped to membership numbers (primary and household
+// cards). A receipt belongs to whoever paid - the member whose card was
+// scanned unless another payer is picked; receipts shared by roommates can be
+// split line by line, whole lines or weighted shares. Splits are keyed by
+// receipt key and line index so they survive re-imports of the same file.
+// Payments between members are kept for the settlement ledger.
+const HouseholdManager = (() => {
+    const SETTINGS_KEY = 'household';
+    const UNASSIGNED = 'unassigned';
+    
+    let settings = null;    // Loaded lazily from SettingsStore
+    
+    /**
+     * Clean up a line allocation: a member id, or { memberId: weight } for a
+     * shared line. Shares down to one member collapse to that member's id.
+     * @param {string|Object} allocation - Allocation to clean
+     * @param {Set<string>} memberIds - Ids of existing members
+     * @returns {string|Object|null} Allocation, or null when nobody is left
+     */
+    function sanitizeAllocation(allocation, memberIds) {
+        if (typeof allocation === 'string') {
+            return memberIds.has(allocation) ? allocation : null;
         }
+        if (!allocation || typeof allocation !== 'object') return null;
+        
+        const weights = Object.entries(allocation)
+            .map(([memberId, weight]) => [memberId, Number(weight)])
+            .filter(([memberId, weight]) => memberIds.has(memberId) && isFinite(weight) && weight > 0);
+        if (weights.length === 0) return null;
+        if (weights.length === 1) return weights[0][0];
+        return Object.fromEntries(weights);
+    }
+    
+    /**
+     * Drop allocations, payers and payments that refer to missing members
+     * @param {Object} saved - Raw settings
+     * @param {Array} members - Members to keep
+     * @returns {Object} Clean settings
+     */
+    function sanitizeSettings(saved, members) {
+        const memberIds = new Set(members.map(member => member.id));
+        
+        const splits = {};
+        Object.entries(saved.splits && typeof saved.splits === 'object' ? saved.splits : {}).forEach(([key, lines]) => {
+            const kept = Object.entries(lines || {})
+                .map(([lineIndex, allocation]) => [lineIndex, sanitizeAllocation(allocation, memberIds)])
+                .filter(([, allocation]) => allocation !== null);
+            if (kept.length > 0) splits[key] = Object.fromEntries(kept);
+        });
         
-        // Clear container
-        chart.container.innerHTML = '';
-        
-        // Get container dimensions
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 400);
+        const payers = Object.fromEntries(Object.entries(saved.payers && typeof saved.payers === 'object' ? saved.payers : {})
+            .filter(([, memberId]) => memberIds.has(memberId)));
+        
+        const payments = (Array.isArray(saved.payments) ? saved.payments : [])
+            .map(payment => ({
+                id: payment.id,
+                date: String(payment.date || ''),
+                from: payment.from,
+                to: payment.to,
+                amount: Math.round((Number(payment.amount) || 0) * 100) / 100,
+                note: String(payment.note || '').trim()
+            }))
+            .filter(payment => payment.id && /^\d{4}-\d{2}-\d{2}$/.test(payment.date) &&
+                memberIds.has(payment.from) && memberIds.has(payment.to) &&
+                payment.from !== payment.to && payment.amount > 0);
         
-        // Guard: Skip rendering if container is hidden (zero width)
-        if (containerWidth <= 0) {
-            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
-            chart.needsRender = true;
-            return;
+        return { members, splits, payers, payments };
+    }
+    
+    /**
+     * Load settings on first use
+     * @returns {Object} { members: [{ id, name, membershipNumbers }], splits: { receiptKey: { lineIndex: allocation } }, payers: { receiptKey: memberId }, payments: [{ id, date, from, to, amount, note }] }
+     */
+    function loadSettings() {
+        if (settings === null) {
+            const saved = SettingsStore.get(SETTINGS_KEY, {}) || {};
+            const members = (Array.isArray(saved.members) ? saved.members : [])
+                .map(member => ({
+                    id: member.id,
+                    name: String(member.name || '').trim(),
+                    membershipNumbers: Array.from(new Set((member.membershipNumbers || []).map(String)))
+                }))
+                .filter(member => member.id && member.name);
+            settings = sanitizeSettings(saved, members);
         }
+        return settings;
+    }
+    
+    /**
+     * Persist settings and notify listeners
+     */
+    function saveSettings() {
+        SettingsStore.set(SETTINGS_KEY, settings);
+        EventBus.emit('household:changed', { members: getMembers() });
+    }
+    
+    /**
+     * Get all household members in the order they were added
+     * @returns {Array} [{ id, name, membershipNumbers }]
+     */
+    function getMembers() {
+        return loadSettings().members.map(member => ({ ...member, membershipNumbers: member.membershipNumbers.slice() }));
+    }
+    
+    /**
+     * Get a member by id
+     * @param {string} id - Member id
+     * @returns {Object|null} Member
+     */
+    function getMember(id) {
+        return getMembers().find(member => member.id === id) || null;
+    }
+    
+    /**
+     * Display name for an allocation owner
+     * @param {string} id - Member id or UNASSIGNED
+     * @returns {string} Member name
+     */
+    function getOwnerName(id) {
+        const member = id === UNASSIGNED ? null : getMember(id);
+        return member ? member.name : 'Unassigned';
+    }
+    
+    /**
+     * Add a member, or update the cards of the member with the same name.
+     * A membership number belongs to one member, so it is taken off anyone else.
+     * @param {Object} member - { name, membershipNumbers }
+     * @returns {Object|null} Saved member, or null without a name
+     */
+    function saveMember(member = {}) {
+        const name = String(member.name || '').trim();
+        if (!name) return null;
+        
+        const current = loadSettings();
+        const numbers = Array.from(new Set((member.membershipNumbers || [])
+            .map(num => String(num).trim())
+            .filter(Boolean)));
+        const existing = current.members.find(m => m.name.toLowerCase() === name.toLowerCase());
+        const saved = {
+            id: existing ? existing.id : createId('member'),
+            name,
+            membershipNumbers: numbers
+        };
         
-        // Set margins
-        const margin = { top: 20, right: 30, bottom: 40, left: 200 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
-        
-        // Create SVG
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-        
-        chart.svg = svg;
-        
-        // Create scales
-        const x = d3.scaleLinear()
-            .domain([0, d3.max(data, d => d.totalSpent) * 1.1])
-            .range([0, width]);
-        
-        const y = d3.scaleBand()
-            .domain(data.map(d => d.name))
-            .range([0, height])
-            .padding(0.2);
-        
-        // Add x-axis
-        svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x)
-                .ticks(5)
-                .tickFormat(d => `$${d.toLocaleString()}`));
-        
-        // Add y-axis
-        svg.append('g')
-            .attr('class', 'y-axis')
-            .call(d3.axisLeft(y))
-            .selectAll('text')
-            .style('font-size', '12px')
-            .text(d => d.length > 30 ? d.substring(0, 30) + '...' : d);
-        
-        // Add grid lines
-        svg.append('g')
-            .attr('class', 'grid')
-            .attr('opacity', 0.1)
-            .call(d3.axisBottom(x)
-                .ticks(5)
-                .tickSize(height)
-                .tickFormat(''));
-        
-        // Tooltip (using standardized factory)
-        const tooltip = createChartTooltip(chart.container);
+        const others = current.members
+            .filter(m => m !== existing)
+            .map(m => ({ ...m, membershipNumbers: m.membershipNumbers.filter(num => !numbers.includes(num)) }));
+        settings = {
+            ...current,
+            members: existing
+                ? current.members.map(m => m === existing ? saved : others.find(o => o.id === m.id))
+                : [...others, saved]
+        };
+        saveSettings();
+        return { ...saved };
+    }
+    
+    /**
+     * Remove a member along with their line allocations, payer picks and payments
+     * @param {string} id - Member id
+     */
+    function removeMember(id) {
+        const current = loadSettings();
+        const members = current.members.filter(member => member.id !== id);
+        settings = sanitizeSettings(current, members);
+        saveSettings();
+    }
+    
+    /**
+     * Find the member a membership number is mapped to
+     * @param {string} membershipNumber - Membership number
+     * @returns {Object|null} Member
+     */
+    function getMemberForMembership(membershipNumber) {
+        if (!membershipNumber) return null;
+        const num = String(membershipNumber);
+        return getMembers().find(member => member.membershipNumbers.includes(num)) || null;
+    }
+    
+    /**
+     * Who paid for a receipt: the member picked as payer, else the member
+     * whose card was scanned. Lines that weren't split belong to the payer.
+     * @param {Object} receipt - Normalized receipt
+     * @returns {string} Member id or UNASSIGNED
+     */
+    function getPayer(receipt) {
+        const picked = loadSettings().payers[DataProcessor.getReceiptKey(receipt)];
+        if (picked) return picked;
+        const member = getMemberForMembership(receipt?.membershipNumber);
+        return member ? member.id : UNASSIGNED;
+    }
+    
+    /**
+     * Pick who paid for a receipt (someone else's card on a shared membership).
+     * Picking the card holder, or no one, goes back to the card holder. On a
+     * split receipt the previous payer keeps the lines they had.
+     * @param {Object} receipt - Normalized receipt
+     * @param {string|null} memberId - Member id
+     */
+    function setPayer(receipt, memberId) {
+        const current = loadSettings();
+        const key = DataProcessor.getReceiptKey(receipt);
+        const cardHolder = getMemberForMembership(receipt?.membershipNumber);
+        const previousPayer = getPayer(receipt);
+        const payers = { ...current.payers };
+        
+        if (!memberId || (cardHolder && cardHolder.id === memberId) || !current.members.some(m => m.id === memberId)) {
+            delete payers[key];
+        } else {
+            payers[key] = memberId;
+        }
+        const payer = payers[key] || (cardHolder ? cardHolder.id : UNASSIGNED);
+        
+        const splits = { ...current.splits };
+        if (splits[key]) {
+            const lines = { ...splits[key] };
+            (receipt.itemArray || []).forEach((item, index) => {
+                if (!item.isDiscount && !(index in lines) && previousPayer !== UNASSIGNED) lines[index] = previousPayer;
+                if (lines[index] === payer) delete lines[index];
+            });
+            if (Object.keys(lines).length > 0) {
+                splits[key] = lines;
+            } else {
+                delete splits[key];
+            }
+        }
+        settings = { ...current, payers, splits };
+        saveSettings();
+    }
+    
+    /**
+     * Get the line allocations of a split receipt
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Object} { lineIndex: memberId or { memberId: weight } } (empty when not split)
+     */
+    function getSplit(receipt) {
+        return { ...(loadSettings().splits[DataProcessor.getReceiptKey(receipt)] || {}) };
+    }
+    
+    /**
+     * Check whether a receipt has lines allocated to someone other than its payer
+     * @param {Object} receipt - Normalized receipt
+     * @returns {boolean} True when split
+     */
+    function isSplit(receipt) {
+        return Object.keys(getSplit(receipt)).length > 0;
+    }
+    
+    /**
+     * Store a line allocation. Allocating a line back to the payer (or to no
+     * one) removes the override.
+     * @param {Object} receipt - Normalized receipt
+     * @param {number} lineIndex - Index in receipt.itemArray
+     * @param {string|Object|null} allocation - Member id or { memberId: weight }
+     */
+    function setLineAllocation(receipt, lineIndex, allocation) {
+        const current = loadSettings();
+        const key = DataProcessor.getReceiptKey(receipt);
+        const lines = { ...(current.splits[key] || {}) };
+        const cleaned = sanitizeAllocation(allocation, new Set(current.members.map(m => m.id)));
+        
+        if (cleaned === null || cleaned === getPayer(receipt)) {
+            delete lines[lineIndex];
+        } else {
+            lines[lineIndex] = cleaned;
+        }
         
-        // Add bars with animation
-        const bars = svg.selectAll('.bar')
-            .data(data)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', 0)
-            .attr('y', d => y(d.name))
-            .attr('width', 0)
-            .attr('height', y.bandwidth())
-            .attr('fill', 'var(--color-primary)')
-            .attr('opacity', 0.8)
-            .style('cursor', 'pointer')
-            .attr('tabindex', '0')
-            .attr('role', 'button')
-            .attr('aria-label', d => `${d.name}: $${d.totalSpent.toFixed(2)} total`);
+        const splits = { ...current.splits };
+        if (Object.keys(lines).length > 0) {
+            splits[key] = lines;
+        } else {
+            delete splits[key];
+        }
+        settings = { ...current, splits };
+        saveSettings();
+    }
+    
+    /**
+     * Allocate one line item to a member
+     * @param {Object} receipt - Normalized receipt
+     * @param {number} lineIndex - Index in receipt.itemArray
+     * @param {string|null} memberId - Member id
+     */
+    function setLineOwner(receipt, lineIndex, memberId) {
+        setLineAllocation(receipt, lineIndex, memberId);
+    }
+    
+    /**
+     * Share one line item between members
+     * @param {Object} receipt - Normalized receipt
+     * @param {number} lineIndex - Index in receipt.itemArray
+     * @param {Object} weights - { memberId: weight }, e.g. { a: 1, b: 1 } for half each
+     */
+    function setLineShares(receipt, lineIndex, weights) {
+        setLineAllocation(receipt, lineIndex, weights && typeof weights === 'object' ? { ...weights } : null);
+    }
+    
+    /**
+     * Put every line of a receipt back with its payer
+     * @param {Object} receipt - Normalized receipt
+     */
+    function clearSplit(receipt) {
+        const current = loadSettings();
+        const splits = { ...current.splits };
+        delete splits[DataProcessor.getReceiptKey(receipt)];
+        settings = { ...current, splits };
+        saveSettings();
+    }
+    
+    /**
+     * Resolve an allocation to fractions that add up to 1
+     * @param {string|Object} allocation - Member id or { memberId: weight }
+     * @returns {Array} [[memberId, fraction]]
+     */
+    function toFractions(allocation) {
+        if (typeof allocation === 'string') return [[allocation, 1]];
+        const total = Object.values(allocation).reduce((sum, weight) => sum + weight, 0);
+        return Object.entries(allocation).map(([memberId, weight]) => [memberId, weight / total]);
+    }
+    
+    /**
+     * Split a receipt's total between members. Discount lines follow the item
+     * they reduce; tax and any rounding are shared in proportion to each
+     * member's line items so the shares add up to the receipt total.
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Array} [{ memberId, name, subtotal, tax, total, items, lineIndexes }] with the largest share first
+     */
+    function allocateReceipt(receipt) {
+        const items = Array.isArray(receipt?.itemArray) ? receipt.itemArray : [];
+        const payer = getPayer(receipt);
+        const split = getSplit(receipt);
+        const shares = new Map();
+        
+        const getShare = (memberId) => {
+            if (!shares.has(memberId)) {
+                shares.set(memberId, { memberId, name: getOwnerName(memberId), lineTotal: 0, items: 0, lineIndexes: [] });
+            }
+            return shares.get(memberId);
+        };
         
-        // Animate width
-        bars.transition()
-            .duration(800)
-            .delay((d, i) => i * 50)
-            .attr('width', d => x(d.totalSpent));
+        // Allocation of each product line, so discounts can follow their item
+        const allocationByItemNumber = new Map();
+        items.forEach((item, index) => {
+            if (item.isDiscount || allocationByItemNumber.has(item.itemNumber)) return;
+            allocationByItemNumber.set(item.itemNumber, split[index] || payer);
+        });
         
-        // Add value labels on bars
-        svg.selectAll('.label')
-            .data(data)
-            .enter()
-            .append('text')
-            .attr('class', 'label')
-            .attr('x', d => x(d.totalSpent) + 5)
-            .attr('y', d => y(d.name) + y.bandwidth() / 2)
-            .attr('dy', '0.35em')
-            .style('font-size', '11px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text(d => `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`);
+        items.forEach((item, index) => {
+            const allocation = item.isDiscount
+                ? split[index] || allocationByItemNumber.get(item.discountAppliesTo) || payer
+                : split[index] || payer;
+            toFractions(allocation).forEach(([memberId, fraction]) => {
+                const share = getShare(memberId);
+                share.lineTotal += (Number(item.amount) || 0) * fraction;
+                share.lineIndexes.push(index);
+                if (!item.isDiscount) share.items += Math.abs(Number(item.unit) || 1) * fraction;
+            });
+        });
         
-        // Tooltip show handler
-        function showBarTooltip(event, d) {
-            const rows = [
-                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
-                { label: 'Quantity', value: `${d.totalQuantity.toLocaleString()} units` },
-                { label: 'Purchases', value: `${d.purchases} times` },
-                { label: 'Avg Price', value: `$${d.avgPrice.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}/unit` },
-                { label: 'Price Range', value: `$${d.minPrice.toFixed(2)} - $${d.maxPrice.toFixed(2)}` }
-            ];
-            showTooltip(tooltip, d.name, rows, event, chart.container);
+        const total = Number(receipt?.total) || 0;
+        const tax = Number(receipt?.taxes) || 0;
+        const lineSum = Array.from(shares.values()).reduce((sum, share) => sum + share.lineTotal, 0);
+        
+        // Nothing to apportion by - the payer carries the whole receipt
+        if (shares.size <= 1 || lineSum === 0) {
+            const owner = shares.size === 1 ? Array.from(shares.keys())[0] : payer;
+            const share = getShare(owner);
+            return [{
+                memberId: owner,
+                name: share.name,
+                subtotal: Math.round((total - tax) * 100) / 100,
+                tax: Math.round(tax * 100) / 100,
+                total: Math.round(total * 100) / 100,
+                items: Array.from(shares.values()).reduce((sum, s) => sum + s.items, 0),
+                lineIndexes: items.map((item, index) => index)
+            }];
         }
         
-        // Add interactivity
-        bars.on('mouseover', function(event, d) {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 1)
-                    .attr('fill', 'var(--color-primary-dark)');
-                showBarTooltip(event, d);
-            })
-            .on('mousemove', function(event) {
-                positionTooltip(tooltip, event, chart.container);
-            })
-            .on('mouseout', function() {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.8)
-                    .attr('fill', 'var(--color-primary)');
-                hideTooltip(tooltip);
-            })
-            .on('focus', function(event) {
-                const d = d3.select(this).datum();
-                d3.select(this).attr('opacity', 1).attr('fill', 'var(--color-primary-dark)');
-                showBarTooltip(event, d);
-            })
-            .on('blur', function() {
-                d3.select(this).attr('opacity', 0.8).attr('fill', 'var(--color-primary)');
-                hideTooltip(tooltip);
+        const result = Array.from(shares.values())
+            .map(share => {
+                const fraction = share.lineTotal / lineSum;
+                const shareTotal = Math.round(total * fraction * 100) / 100;
+                const shareTax = Math.round(tax * fraction * 100) / 100;
+                return {
+                    memberId: share.memberId,
+                    name: share.name,
+                    subtotal: Math.round((shareTotal - shareTax) * 100) / 100,
+                    tax: shareTax,
+                    total: shareTotal,
+                    items: share.items,
+                    lineIndexes: share.lineIndexes
+                };
             })
-            .on('click', function(event, d) {
-                EventBus.emit('chart:itemClicked', {
-                    itemNumber: d.itemNumber,
-                    itemName: d.name,
-                    data: d
-                });
-            });
-        
-        // Update function
-        chart.update = function(newData) {
-            createTopItemsChart({ ...chart, data: newData });
-        };
+            .sort((a, b) => Math.abs(b.total) - Math.abs(a.total));
         
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
+        // Leftover cents from rounding go to the largest share
+        const remainder = Math.round((total - result.reduce((sum, share) => sum + share.total, 0)) * 100) / 100;
+        if (remainder !== 0) {
+            result[0].total = Math.round((result[0].total + remainder) * 100) / 100;
+            result[0].subtotal = Math.round((result[0].total - result[0].tax) * 100) / 100;
+        }
+        return result;
+    }
+    
+    /**
+     * Get recorded payments between members, oldest first
+     * @returns {Array} [{ id, date, from, to, amount, note }]
+     */
+    function getPayments() {
+        return loadSettings().payments
+            .map(payment => ({ ...payment }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    /**
+     * Record money one member paid another to settle up
+     * @param {Object} payment - { date: 'YYYY-MM-DD', from, to, amount, note }
+     * @returns {Object|null} Saved payment, or null if invalid
+     */
+    function addPayment(payment = {}) {
+        const current = loadSettings();
+        const candidate = {
+            id: createId('payment'),
+            date: payment.date,
+            from: payment.from,
+            to: payment.to,
+            amount: payment.amount,
+            note: payment.note
         };
+        const cleaned = sanitizeSettings({ payments: [candidate] }, current.members).payments[0];
+        if (!cleaned) return null;
         
-        console.log(`Top items chart created with ${data.length} items`);
+        settings = { ...current, payments: [...current.payments, cleaned] };
+        saveSettings();
+        return { ...cleaned };
     }
     
     /**
-     * Create frequent items chart (by purchase count)
+     * Delete a recorded payment
+     * @param {string} id - Payment id
      */
-    function createFrequentItemsChart(chart) {
-        console.log('=== CREATING FREQUENT ITEMS BAR CHART ===');
-        const data = chart.data || [];
-        
-        if (data.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
-            return;
+    function removePayment(id) {
+        const current = loadSettings();
+        settings = { ...current, payments: current.payments.filter(payment => payment.id !== id) };
+        saveSettings();
+    }
+    
+    // Forget All Data removes the stored household; drop the loaded copy too
+    EventBus.on('persistence:forgotten', () => {
+        settings = null;
+    });
+    
+    return {
+        UNASSIGNED,
+        getMembers,
+        getMember,
+        getOwnerName,
+        saveMember,
+        removeMember,
+        getMemberForMembership,
+        getPayer,
+        setPayer,
+        getSplit,
+        isSplit,
+        setLineOwner,
+        setLineShares,
+        clearSplit,
+        allocateReceipt,
+        getPayments,
+        addPayment,
+        removePayment
+    };
+})();
+
+// ===== RECEIPT OVERRIDES =====
+// User corrections kept apart from the imported data: edited receipts (the
+// corrected raw receipt, keyed by receipt key), receipts added by hand, and
+// keys of deleted receipts. A receipt's imported `_original` is never changed,
+// so an edit can be reverted, and loading the same file again re-applies the
+// corrections.
+const ReceiptOverrides = (() => {
+    const SETTINGS_KEY = 'receiptOverrides';
+    
+    let settings = null;    // Loaded lazily; only stored when the user opted in to keeping data on this device
+    
+    /**
+     * Load settings on first use
+     * @returns {Object} { edited: { receiptKey: rawReceipt }, created: { receiptKey: { receipt, sourceFile } }, deleted: [receiptKey] }
+     */
+    function loadSettings() {
+        if (settings === null) {
+            const saved = (PersistenceManager.isEnabled() && SettingsStore.get(SETTINGS_KEY, {})) || {};
+            const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+            settings = {
+                edited: Object.fromEntries(Object.entries(isObject(saved.edited) ? saved.edited : {})
+                    .filter(([, receipt]) => isObject(receipt))),
+                created: Object.fromEntries(Object.entries(isObject(saved.created) ? saved.created : {})
+                    .filter(([, entry]) => isObject(entry) && isObject(entry.receipt))),
+                deleted: Array.from(new Set((Array.isArray(saved.deleted) ? saved.deleted : []).map(String)))
+            };
         }
-        
-        // Clear container
-        chart.container.innerHTML = '';
-        
-        // Get container dimensions
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 400);
-        
-        // Guard: Skip rendering if container is hidden (zero width)
-        if (containerWidth <= 0) {
-            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
-            chart.needsRender = true;
-            return;
+        return settings;
+    }
+    
+    /**
+     * Persist settings (when the user opted in) and notify listeners
+     */
+    function saveSettings() {
+        if (PersistenceManager.isEnabled()) {
+            SettingsStore.set(SETTINGS_KEY, settings);
+        }
+        EventBus.emit('overrides:changed', {
+            edited: Object.keys(settings.edited).length,
+            created: Object.keys(settings.created).length,
+            deleted: settings.deleted.length
+        });
+    }
+    
+    /**
+     * Check a raw receipt with the import validation rules
+     * @param {Object} raw - Receipt in the extension's JSON shape
+     * @returns {Array<string>} Errors (empty when valid)
+     */
+    function validate(raw) {
+        return DataProcessor.validateReceipt(raw, 0).errors
+            .map(error => error
+                .replace(/^Receipt 0, Item (\d+)/, (match, index) => `Line ${Number(index) + 1}`)
+                .replace(/^Receipt 0: /, ''));
+    }
+    
+    /**
+     * Build the normalized receipt for an edit, keeping the receipt's id,
+     * source and imported original
+     * @param {Object} receipt - Normalized receipt being edited
+     * @param {Object} raw - Corrected raw receipt
+     * @returns {Object} Normalized receipt
+     */
+    function buildEdited(receipt, raw) {
+        const normalized = DataProcessor.normalizeReceipt(raw, 0, receipt.sourceFile);
+        return { ...normalized, id: receipt.id, _original: receipt._original };
+    }
+    
+    /**
+     * Apply edits and deletions to receipts coming into the DataStore
+     * @param {Array} receipts - Normalized receipts
+     * @returns {Array} Receipts with edits applied and deleted receipts left out
+     */
+    function apply(receipts) {
+        const { edited, deleted } = loadSettings();
+        if (Object.keys(edited).length === 0 && deleted.length === 0) return receipts;
+        
+        const deletedKeys = new Set(deleted);
+        return receipts
+            .filter(receipt => !deletedKeys.has(DataProcessor.getReceiptKey(receipt)))
+            .map(receipt => {
+                const raw = edited[DataProcessor.getReceiptKey(receipt)];
+                return raw ? buildEdited(receipt, raw) : receipt;
+            });
+    }
+    
+    /**
+     * Get the receipts that were added by hand, normalized
+     * @returns {Array} Normalized receipts
+     */
+    function getCreatedReceipts() {
+        return Object.values(loadSettings().created)
+            .map((entry, index) => DataProcessor.normalizeReceipt(entry.receipt, index, entry.sourceFile || 'Manual entry'));
+    }
+    
+    /**
+     * Get the raw receipt to edit: the saved correction, or the imported original
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Object} Raw receipt (a copy)
+     */
+    function getRaw(receipt) {
+        const key = DataProcessor.getReceiptKey(receipt);
+        const { edited, created } = loadSettings();
+        const raw = edited[key] || (created[key] && created[key].receipt) || receipt._original || {};
+        return JSON.parse(JSON.stringify(raw));
+    }
+    
+    /**
+     * Whether a receipt has been corrected by hand
+     * @param {Object} receipt - Normalized receipt
+     * @returns {boolean} True if edited
+     */
+    function isEdited(receipt) {
+        return DataProcessor.getReceiptKey(receipt) in loadSettings().edited;
+    }
+    
+    /**
+     * Whether a receipt was added by hand (typed or pasted)
+     * @param {Object} receipt - Normalized receipt
+     * @returns {boolean} True if created
+     */
+    function isCreated(receipt) {
+        return DataProcessor.getReceiptKey(receipt) in loadSettings().created;
+    }
+    
+    /**
+     * Add a receipt by hand. It is kept with the overrides, so it comes back
+     * whenever receipts are loaded.
+     * @param {Object} raw - Receipt in the extension's JSON shape
+     * @param {string} sourceFile - Source label (e.g. "Pasted receipt")
+     * @returns {Object} { success, errors, receipt }
+     */
+    function createReceipt(raw, sourceFile = 'Manual entry') {
+        const errors = validate(raw);
+        if (errors.length > 0) {
+            return { success: false, errors, receipt: null };
         }
         
-        // Set margins
-        const margin = { top: 20, right: 30, bottom: 40, left: 200 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
-        
-        // Create SVG
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-        
-        chart.svg = svg;
-        
-        // Create scales (using purchases instead of totalSpent)
-        const x = d3.scaleLinear()
-            .domain([0, d3.max(data, d => d.purchases) * 1.1])
-            .range([0, width]);
-        
-        const y = d3.scaleBand()
-            .domain(data.map(d => d.name))
-            .range([0, height])
-            .padding(0.2);
-        
-        // Add x-axis
-        svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x)
-                .ticks(5)
-                .tickFormat(d => `${d} times`));
-        
-        // Add y-axis
-        svg.append('g')
-            .attr('class', 'y-axis')
-            .call(d3.axisLeft(y))
-            .selectAll('text')
-            .style('font-size', '12px')
-            .text(d => d.length > 30 ? d.substring(0, 30) + '...' : d);
-        
-        // Add grid lines
-        svg.append('g')
-            .attr('class', 'grid')
-            .attr('opacity', 0.1)
-            .call(d3.axisBottom(x)
-                .ticks(5)
-                .tickSize(height)
-                .tickFormat(''));
+        const receipt = DataProcessor.ensureReceiptKey(JSON.parse(JSON.stringify(raw)));
+        const key = String(receipt.transactionBarcode);
         
-        // Tooltip (using standardized factory)
-        const tooltip = createChartTooltip(chart.container);
+        // A receipt added again after being deleted or edited comes in as entered
+        const current = loadSettings();
+        const { deleted, edited } = current;
+        current.deleted = deleted.filter(deletedKey => deletedKey !== key);
+        current.edited = Object.fromEntries(Object.entries(edited).filter(([editedKey]) => editedKey !== key));
         
-        // Tooltip show handler
-        function showFrequentTooltip(event, d) {
-            showTooltip(tooltip, d.name, [
-                { label: 'Purchased', value: `${d.purchases} times` },
-                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
-                { label: 'Quantity', value: `${d.totalQuantity.toLocaleString()} units` },
-                { label: 'Avg Price', value: `$${d.avgPrice.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}/unit` },
-                { label: 'Price Range', value: `$${d.minPrice.toFixed(2)} - $${d.maxPrice.toFixed(2)}` }
-            ], event, chart.container);
+        const result = DataProcessor.importReceipts([receipt], sourceFile);
+        if (!result.success) {
+            current.deleted = deleted;
+            current.edited = edited;
+            return { success: false, errors: result.errors, receipt: null };
         }
         
-        // Add bars with animation (using secondary color for distinction)
-        const bars = svg.selectAll('.bar')
-            .data(data)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', 0)
-            .attr('y', d => y(d.name))
-            .attr('width', 0)
-            .attr('height', y.bandwidth())
-            .attr('fill', 'var(--color-secondary)')
-            .attr('opacity', 0.8)
-            .style('cursor', 'pointer')
-            .attr('tabindex', '0')
-            .attr('role', 'button')
-            .attr('aria-label', d => `${d.name}: purchased ${d.purchases} times`);
-        
-        // Animate width
-        bars.transition()
-            .duration(800)
-            .delay((d, i) => i * 50)
-            .attr('width', d => x(d.purchases));
+        current.created[key] = { receipt, sourceFile };
+        saveSettings();
+        return { success: true, errors: [], receipt: result.receipts[0] || null };
+    }
+    
+    /**
+     * Save a correction to a receipt and update it in the DataStore
+     * @param {Object} receipt - Normalized receipt being edited
+     * @param {Object} raw - Corrected raw receipt
+     * @returns {Object} { success, errors, receipt }
+     */
+    function saveEdit(receipt, raw) {
+        const errors = validate(raw);
+        if (errors.length > 0) {
+            return { success: false, errors, receipt: null };
+        }
         
-        // Add value labels on bars
-        svg.selectAll('.label')
-            .data(data)
-            .enter()
-            .append('text')
-            .attr('class', 'label')
-            .attr('x', d => x(d.purchases) + 5)
-            .attr('y', d => y(d.name) + y.bandwidth() / 2)
-            .attr('dy', '0.35em')
-            .style('font-size', '11px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text(d => `${d.purchases}x`);
+        const key = DataProcessor.getReceiptKey(receipt);
+        const current = loadSettings();
+        const copy = JSON.parse(JSON.stringify(raw));
+        if (current.created[key]) {
+            current.created[key] = { ...current.created[key], receipt: copy };
+        } else {
+            current.edited[key] = copy;
+        }
+        saveSettings();
         
-        // Add interactivity
-        bars.on('mouseover', function(event, d) {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 1)
-                    .attr('fill', '#d97706');
-                showFrequentTooltip(event, d);
-            })
-            .on('mousemove', function(event) {
-                positionTooltip(tooltip, event, chart.container);
-            })
-            .on('mouseout', function() {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.8)
-                    .attr('fill', 'var(--color-secondary)');
-                hideTooltip(tooltip);
-            })
-            .on('focus', function(event) {
-                const d = d3.select(this).datum();
-                d3.select(this).attr('opacity', 1).attr('fill', '#d97706');
-                showFrequentTooltip(event, d);
-            })
-            .on('blur', function() {
-                d3.select(this).attr('opacity', 0.8).attr('fill', 'var(--color-secondary)');
-                hideTooltip(tooltip);
-            })
-            .on('click', function(event, d) {
-                EventBus.emit('chart:itemClicked', {
-                    itemNumber: d.itemNumber,
-                    itemName: d.name,
-                    data: d
-                });
-            })
-            .on('keydown', function(event) {
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    const d = d3.select(this).datum();
-                    EventBus.emit('chart:itemClicked', {
-                        itemNumber: d.itemNumber,
-                        itemName: d.name,
-                        data: d
-                    });
-                }
-            });
+        const updated = buildEdited(receipt, copy);
+        DataStore.replaceReceipt(key, updated);
+        return { success: true, errors: [], receipt: updated };
+    }
+    
+    /**
+     * Drop a receipt's correction and go back to the imported original
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Object|null} Restored receipt, or null if it wasn't edited
+     */
+    function revertReceipt(receipt) {
+        const key = DataProcessor.getReceiptKey(receipt);
+        const current = loadSettings();
+        if (!current.edited[key]) return null;
         
-        // Update function
-        chart.update = function(newData) {
-            createFrequentItemsChart({ ...chart, data: newData });
-        };
+        delete current.edited[key];
+        saveSettings();
         
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
+        const restored = {
+            ...DataProcessor.normalizeReceipt(receipt._original, 0, receipt.sourceFile),
+            id: receipt.id
         };
+        DataStore.replaceReceipt(key, restored);
+        return restored;
+    }
+    
+    /**
+     * Delete a receipt. Imported receipts stay hidden when their file is loaded again.
+     * @param {Object} receipt - Normalized receipt
+     */
+    function deleteReceipt(receipt) {
+        const key = DataProcessor.getReceiptKey(receipt);
+        const current = loadSettings();
+        if (current.created[key]) {
+            delete current.created[key];
+        } else if (!current.deleted.includes(key)) {
+            current.deleted.push(key);
+        }
+        delete current.edited[key];
+        saveSettings();
         
-        console.log(`Frequent items chart created with ${data.length} items`);
+        DataStore.removeReceipt(key);
     }
     
     /**
-     * Create category breakdown chart (treemap)
+     * Number of deleted imported receipts
+     * @returns {number} Count
      */
-    function createCategoryChart(chart) {
-        console.log('=== CREATING CATEGORY BREAKDOWN CHART ===');
-        const receipts = chart.data || [];
+    function getDeletedCount() {
+        return loadSettings().deleted.length;
+    }
+    
+    /**
+     * Forget deletions, so deleted receipts come back the next time their file is loaded
+     * @returns {number} Number of receipts undeleted
+     */
+    function clearDeleted() {
+        const count = loadSettings().deleted.length;
+        if (count > 0) {
+            settings.deleted = [];
+            saveSettings();
+        }
+        return count;
+    }
+    
+    // Follow the "Remember on this device" choice; Forget All Data drops the overrides
+    EventBus.on('persistence:changed', ({ enabled }) => {
+        if (!enabled) {
+            SettingsStore.remove(SETTINGS_KEY);
+        } else if (settings !== null) {
+            SettingsStore.set(SETTINGS_KEY, settings);
+        }
+    });
+    EventBus.on('persistence:forgotten', () => {
+        settings = null;
+    });
+    
+    return {
+        apply,
+        getCreatedReceipts,
+        getRaw,
+        isEdited,
+        isCreated,
+        validate,
+        createReceipt,
+        saveEdit,
+        revertReceipt,
+        deleteReceipt,
+        getDeletedCount,
+        clearDeleted
+    };
+})();
+
+// ===== D3 UTILITIES =====
+// Check if D3 is loaded
+function checkD3() {
+    console.log('Checking D3 availability...');
+    console.log('typeof d3:', typeof d3);
+    if (typeof d3 === 'undefined') {
+        console.error('D3.js not loaded - visualizations will not work');
+        ErrorHandler.error('D3.js not loaded - visualizations will not work');
+        return false;
+    }
+    console.log(`D3.js v${d3.version} loaded successfully`);
+    ErrorHandler.debug(`D3.js v${d3.version} loaded successfully`);
+    return true;
+}
+
+// ===== VISUALIZATION MANAGER MODULE =====
+const VisualizationManager = (() => {
+    const charts = new Map();  // chartId -> chart instance
+    let d3Available = false;
+    
+    /**
+     * Initialize VisualizationManager
+     */
+    function init() {
+        d3Available = checkD3();
         
-        if (receipts.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
+        if (!d3Available) {
+            ErrorHandler.error('D3.js failed to load. Charts will not render.');
             return;
         }
         
-        // Build hierarchical data by department with item details (net of returns)
-        const deptMap = new Map();
-        receipts.forEach(receipt => {
-            if (Array.isArray(receipt.itemArray)) {
-                receipt.itemArray.forEach(item => {
-                    if (item.isDiscount) return;
-                    const dept = item.itemDepartmentNumber || 0;
-                    if (!deptMap.has(dept)) {
-                        deptMap.set(dept, {
-                            department: dept,
-                            name: getDepartmentName(dept),
-                            value: 0,
-                            items: 0,
-                            itemList: [] // Store individual items for drill-down
-                        });
-                    }
-                    const deptData = deptMap.get(dept);
-                    
-                    // Check if this is a return/refund
-                    const amount = Number(item.amount) || 0;
-                    // item.unit is already normalized to a number (defaults to 1 for "EA", etc.)
-                    const quantity = Number(item.unit) || 1; // Default to 1 if unit is 0 or NaN
-                    const isRefund = (receipt.transactionType === 'Refund' ||
-                                     receipt.transactionType === 'Return' ||
-                                     receipt.transactionType === 'Returned' ||
-                                     (receipt.total || 0) < 0 ||
-                                     amount < 0 ||
-                                     quantity < 0); // Also check if quantity is negative
-                    
-                    // Net aggregation: subtract returns
-                    if (isRefund) {
-                        deptData.value -= Math.abs(amount);
-                        deptData.items -= Math.abs(quantity);
-                    } else {
-                        deptData.value += amount;
-                        deptData.items += Math.abs(quantity);
-                    }
-                    
-                    // Store item details for drill-down
-                    deptData.itemList.push({
-                        name: item.normalizedName,
-                        itemNumber: item.itemNumber,
-                        image: item.fullItemImage || null,
-                        amount: amount,
-                        quantity: quantity, // Keep sign for proper aggregation
-                        unitPrice: item.unitPrice || 0,
-                        date: receipt.transactionDateTime,
-                        isRefund: isRefund
-                    });
-                });
-            }
-        });
-        
-        const data = Array.from(deptMap.values())
-            .map(d => ({
-                ...d,
-                value: Math.max(0, d.value), // Ensure non-negative for display
-                items: Math.max(0, d.items)
-            }))
-            .filter(d => d.value > 0) // Only show departments with net positive spend
-            .sort((a, b) => b.value - a.value)
-            .slice(0, 20); // Top 20 departments
+        // Set up resize observer for responsive charts
+        setupResizeHandlers();
         
-        if (data.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No category data available</p>';
-            return;
+        ErrorHandler.info('VisualizationManager initialized');
+    }
+    
+    /**
+     * Setup window resize handlers for responsive charts
+     */
+    function setupResizeHandlers() {
+        let resizeTimer;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(() => {
+                resizeCharts();
+            }, 250); // Debounce resize events
+        });
+    }
+    
+    /**
+     * Create a chart
+     * @param {string} chartId - Unique chart identifier
+     * @param {string} containerId - DOM container ID
+     * @param {string} type - Chart type
+     * @param {Object} data - Chart data
+     * @param {Object} options - Chart options
+     * @returns {Object} Chart instance
+     */
+    function createChart(chartId, containerId, type, data, options = {}) {
+        if (!d3Available) {
+            ErrorHandler.warn(`Cannot create chart ${chartId}: D3 not available`);
+            return null;
         }
         
-        // Clear container
-        chart.container.innerHTML = '';
+        // Destroy existing chart if it exists
+        if (charts.has(chartId)) {
+            destroyChart(chartId);
+        }
         
-        // Get dimensions
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 400);
+        const container = document.getElementById(containerId);
+        if (!container) {
+            ErrorHandler.error(`Container ${containerId} not found for chart ${chartId}`);
+            return null;
+        }
         
-        // Guard: Skip rendering if container is hidden (zero width)
-        if (containerWidth <= 0) {
-            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
-            chart.needsRender = true;
+        try {
+            const chart = {
+                id: chartId,
+                type,
+                containerId,
+                container,
+                data,
+                options,
+                svg: null,
+                update: null,
+                destroy: null
+            };
+            
+            // Create chart based on type
+            switch (type) {
+                case 'spending-trend':
+                    createSpendingTrendChart(chart);
+                    break;
+                case 'top-items':
+                    createTopItemsChart(chart);
+                    break;
+                case 'frequent-items':
+                    createFrequentItemsChart(chart);
+                    break;
+                case 'warehouse-comparison':
+                    createWarehouseChart(chart);
+                    break;
+                case 'savings-trend':
+                    createSavingsTrendChart(chart);
+                    break;
+                case 'tax-rate-trend':
+                    createTaxRateTrendChart(chart);
+                    break;
+                case 'category-breakdown':
+                    createCategoryChart(chart);
+                    break;
+                case 'calendar-heatmap':
+                    createCalendarHeatmap(chart);
+                    break;
+                case 'price-evolution':
+                    createPriceEvolutionChart(chart);
+                    break;
+                case 'budget-vs-actual':
+                    createBudgetChart(chart);
+                    break;
+                case 'payment-trend':
+                    createPaymentTrendChart(chart);
+                    break;
+                default:
+                    ErrorHandler.warn(`Unknown chart type: ${type}`);
+                    return null;
+            }
+            
+            charts.set(chartId, chart);
+            ErrorHandler.debug(`Chart created: ${chartId} (${type})`);
+            
+            return chart;
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Visualization');
+            return null;
+        }
+    }
+    
+    /**
+     * Update a chart with new data
+     * @param {string} chartId - Chart identifier
+     * @param {Object} data - New data
+     */
+    function updateChart(chartId, data) {
+        const chart = charts.get(chartId);
+        if (!chart) {
+            ErrorHandler.warn(`Chart ${chartId} not found`);
             return;
         }
         
-        const margin = { top: 10, right: 10, bottom: 10, left: 10 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
-        
-        // Create SVG
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+        chart.data = data;
+        if (chart.update) {
+            chart.update(data);
+        }
+    }
+    
+    /**
+     * Destroy a chart
+     * @param {string} chartId - Chart identifier
+     */
+    function destroyChart(chartId) {
+        const chart = charts.get(chartId);
+        if (!chart) return;
         
-        chart.svg = svg;
+        if (chart.destroy) {
+            chart.destroy();
+        }
         
-        // Create hierarchy
-        const root = d3.hierarchy({ children: data })
-            .sum(d => d.value)
-            .sort((a, b) => b.value - a.value);
+        // Remove SVG from DOM
+        if (chart.svg) {
+            chart.svg.remove();
+        }
         
-        // Create treemap layout
-        d3.treemap()
-            .size([width, height])
-            .padding(2)
-            .round(true)(root);
+        // Clear container
+        if (chart.container) {
+            chart.container.innerHTML = '';
+        }
         
-        // Color scale
-        const color = d3.scaleOrdinal(d3.schemeCategory10);
+        charts.delete(chartId);
+        ErrorHandler.debug(`Chart destroyed: ${chartId}`);
+    }
+    
+    /**
+     * Resize all charts
+     */
+    function resizeCharts() {
+        charts.forEach((chart, chartId) => {
+            // Only resize charts that are in visible containers
+            if (chart.container && chart.update) {
+                const containerWidth = chart.container.clientWidth;
+                if (containerWidth > 0) {
+                chart.update(chart.data);
+                } else {
+                    // Mark chart as needing render when tab becomes visible
+                    chart.needsRender = true;
+                }
+            }
+        });
+        ErrorHandler.debug('Charts resized');
+    }
+    
+    /**
+     * Resize charts in a specific tab
+     * @param {string} tabId - The tab identifier
+     */
+    function resizeChartsInTab(tabId) {
+        // Find the active tab content element
+        const tabContent = document.getElementById(`tab-${tabId}`);
+        if (!tabContent) {
+            ErrorHandler.debug(`Tab content not found: tab-${tabId}`);
+            return;
+        }
         
-        // Tooltip (using standardized factory)
-        const tooltip = createChartTooltip(chart.container);
+        // Check if tab is visible
+        const isVisible = tabContent.classList.contains('active') && 
+                         tabContent.offsetParent !== null;
         
-        // Tooltip show handler
-        function showCellTooltip(event, d) {
-            showTooltip(tooltip, d.data.name, [
-                { label: 'Total Spent', value: `$${d.data.value.toLocaleString('en-US', {minimumFractionDigits: 2})}` },
-                { label: 'Items', value: d.data.items },
-                { label: '', value: '👆 Click to see items', className: 'positive' }
-            ], event, chart.container);
+        if (!isVisible) {
+            ErrorHandler.debug(`Tab ${tabId} is not visible, skipping resize`);
+            return;
         }
         
-        // Create cells
-        const cell = svg.selectAll('g')
-            .data(root.leaves())
-            .enter()
-            .append('g')
-            .attr('transform', d => `translate(${d.x0},${d.y0})`);
-        
-        // Add rectangles
-        cell.append('rect')
-            .attr('width', d => d.x1 - d.x0)
-            .attr('height', d => d.y1 - d.y0)
-            .attr('fill', d => color(d.data.department))
-            .attr('opacity', 0.8)
-            .style('cursor', 'pointer')
-            .attr('tabindex', '0')
-            .attr('role', 'button')
-            .attr('aria-label', d => `${d.data.name}: $${d.data.value.toFixed(2)}`)
-            .on('mouseover', function(event, d) {
-                d3.select(this).attr('opacity', 1);
-                showCellTooltip(event, d);
-            })
-            .on('mousemove', function(event) {
-                positionTooltip(tooltip, event, chart.container);
-            })
-            .on('mouseout', function() {
-                d3.select(this).attr('opacity', 0.8);
-                hideTooltip(tooltip);
-            })
-            .on('focus', function(event) {
-                const d = d3.select(this).datum();
-                d3.select(this).attr('opacity', 1);
-                showCellTooltip(event, d);
-            })
-            .on('blur', function() {
-                d3.select(this).attr('opacity', 0.8);
-                hideTooltip(tooltip);
-            })
-            .on('click', function(event, d) {
-                hideTooltip(tooltip);
-                showDepartmentDrillDown(d.data, chart.container);
-            })
-            .on('keydown', function(event) {
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    const d = d3.select(this).datum();
-                    hideTooltip(tooltip);
-                    showDepartmentDrillDown(d.data, chart.container);
+        charts.forEach((chart, chartId) => {
+            if (!chart.container || !chart.update) return;
+            
+            // Check if chart container is within the active tab
+            const isInTab = tabContent.contains(chart.container);
+            
+            if (isInTab) {
+                const containerWidth = chart.container.clientWidth;
+                if (containerWidth > 0) {
+                    chart.update(chart.data);
+                } else {
+                    // Container exists but has zero width - mark for later render
+                    chart.needsRender = true;
+                    ErrorHandler.debug(`Chart ${chartId} in tab ${tabId} has zero width, deferring render`);
                 }
-            });
+            }
+        });
         
-        // Add text labels (for larger cells)
-        cell.append('text')
-            .attr('x', 4)
-            .attr('y', 16)
-            .style('font-size', '11px')
-            .style('fill', 'white')
-            .style('font-weight', 'bold')
-            .style('pointer-events', 'none')
-            .text(d => {
-                const width = d.x1 - d.x0;
-                const height = d.y1 - d.y0;
-                if (width > 50 && height > 30) {
-                    const name = d.data.name || getDepartmentName(d.data.department);
-                    // Truncate if too long for cell
-                    const maxLength = Math.floor(width / 6);
-                    return name.length > maxLength ? name.substring(0, maxLength - 3) + '...' : name;
-                }
-                return '';
-            });
+        ErrorHandler.debug(`Charts resized for tab: ${tabId}`);
+    }
+    
+    /**
+     * Create a standardized tooltip element for charts
+     * @param {HTMLElement} container - The chart container
+     * @returns {Object} - D3 selection of the tooltip
+     */
+    function createChartTooltip(container) {
+        return d3.select(container)
+            .append('div')
+            .attr('class', 'chart-tooltip')
+            .style('position', 'absolute')
+            .style('visibility', 'hidden');
+    }
+    
+    /**
+     * Show tooltip with formatted content
+     * @param {Object} tooltip - D3 selection of tooltip
+     * @param {string} title - Tooltip title
+     * @param {Array} rows - Array of {label, value, className?} objects
+     * @param {Event} event - Mouse event for positioning
+     * @param {HTMLElement} container - Chart container
+     */
+    function showTooltip(tooltip, title, rows, event, container) {
+        let html = '';
+        if (title) {
+            html += `<div class="chart-tooltip-title">${title}</div>`;
+        }
+        rows.forEach(row => {
+            const valueClass = row.className ? ` ${row.className}` : '';
+            html += `<div class="chart-tooltip-row">
+                <span class="chart-tooltip-label">${row.label}</span>
+                <span class="chart-tooltip-value${valueClass}">${row.value}</span>
+            </div>`;
+        });
         
-        cell.append('text')
-            .attr('x', 4)
-            .attr('y', 30)
-            .style('font-size', '10px')
-            .style('fill', 'white')
-            .style('pointer-events', 'none')
-            .text(d => {
-                const width = d.x1 - d.x0;
-                const height = d.y1 - d.y0;
-                return (width > 60 && height > 45) ? `$${(d.data.value/1000).toFixed(1)}k` : '';
-            });
+        tooltip
+            .html(html)
+            .classed('visible', true)
+            .style('visibility', 'visible');
         
-        // Update function
-        chart.update = function(newData) {
-            createCategoryChart({ ...chart, data: newData });
-        };
+        positionTooltip(tooltip, event, container);
+    }
+    
+    /**
+     * Hide tooltip
+     * @param {Object} tooltip - D3 selection of tooltip
+     */
+    function hideTooltip(tooltip) {
+        tooltip
+            .classed('visible', false)
+            .style('visibility', 'hidden');
+    }
+    
+    /**
+     * Helper function to position tooltip correctly
+     * @param {Object} tooltip - D3 selection of tooltip
+     * @param {Event} event - The mouse event
+     * @param {HTMLElement} container - The chart container
+     */
+    function positionTooltip(tooltip, event, container) {
+        const containerRect = container.getBoundingClientRect();
+        const tooltipNode = tooltip.node();
+        const tooltipRect = tooltipNode.getBoundingClientRect();
         
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
-        };
+        // Calculate position relative to container
+        let left = event.clientX - containerRect.left + 10;
+        let top = event.clientY - containerRect.top - 10;
         
-        console.log(`Category chart created with ${data.length} departments`);
+        // Check if tooltip would go off the right edge
+        if (left + tooltipRect.width > containerRect.width) {
+            left = event.clientX - containerRect.left - tooltipRect.width - 10;
+        }
+        
+        // Check if tooltip would go off the bottom edge
+        if (top + tooltipRect.height > containerRect.height) {
+            top = event.clientY - containerRect.top - tooltipRect.height - 10;
+        }
+        
+        // Ensure tooltip doesn't go off the left or top edge
+        left = Math.max(5, left);
+        top = Math.max(5, top);
+        
+        tooltip
+            .style('left', left + 'px')
+            .style('top', top + 'px');
     }
     
     /**
-     * Show drill-down modal for department items
+     * Create a chart legend
+     * @param {HTMLElement} container - Container to append legend to
+     * @param {Array} items - Array of {label, color, active?} objects
+     * @param {Function} onToggle - Callback when item is toggled (receives item and active state)
+     * @returns {HTMLElement} - The legend element
      */
-    function showDepartmentDrillDown(departmentData, container) {
-        // Create modal overlay
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.7);
-            z-index: 10000;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 2rem;
-        `;
+    function createChartLegend(container, items, onToggle) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
         
-        // Aggregate items by item number
-        const itemMap = new Map();
-        departmentData.itemList.forEach(item => {
-            if (!itemMap.has(item.itemNumber)) {
-                itemMap.set(item.itemNumber, {
-                    name: item.name,
-                    itemNumber: item.itemNumber,
-                    image: item.image || null,
-                    totalAmount: 0,
-                    totalQuantity: 0,
-                    purchases: 0,
-                    returns: 0,
-                    avgPrice: 0
+        items.forEach((item, index) => {
+            const legendItem = document.createElement('div');
+            legendItem.className = 'chart-legend-item' + (item.active === false ? ' inactive' : '');
+            legendItem.innerHTML = `
+                <span class="chart-legend-color" style="background-color: ${item.color}"></span>
+                <span class="chart-legend-label">${item.label}</span>
+            `;
+            
+            if (onToggle) {
+                legendItem.addEventListener('click', () => {
+                    const isActive = !legendItem.classList.contains('inactive');
+                    legendItem.classList.toggle('inactive');
+                    onToggle(item, !isActive, index);
                 });
             }
-            const agg = itemMap.get(item.itemNumber);
-            if (!agg.image && item.image) {
-                agg.image = item.image;
-            }
             
-            // Net aggregation: subtract returns
-            if (item.isRefund) {
-                agg.totalAmount -= Math.abs(item.amount);
-                agg.totalQuantity -= Math.abs(item.quantity);
-                agg.returns++;
-            } else {
-            agg.totalAmount += item.amount;
-            agg.totalQuantity += item.quantity;
-            agg.purchases++;
-            }
+            legend.appendChild(legendItem);
         });
         
-        // Calculate averages and sort (net of returns)
-        const items = Array.from(itemMap.values())
-            .map(item => {
-                const netQty = item.totalQuantity; // preserve sign
-                const netAmt = item.totalAmount;
-                return {
-            ...item,
-                    totalAmount: netAmt,
-                    totalQuantity: netQty,
-                    avgPrice: netQty > 0 ? netAmt / netQty : 0
-                };
-            })
-            // Only show items with positive net qty and net amount
-            .filter(item => item.totalQuantity > 0 && item.totalAmount > 0)
-            // Sort by net amount descending
-            .sort((a, b) => b.totalAmount - a.totalAmount);
+        container.appendChild(legend);
+        return legend;
+    }
+    
+    /**
+     * Create spending trend chart
+     */
+    function createSpendingTrendChart(chart) {
+        console.log('=== CREATING SPENDING TREND CHART ===');
+        console.log('Chart data:', chart.data);
+        console.log('Chart container:', chart.container);
+        console.log('D3 available:', typeof d3 !== 'undefined');
         
-        // Create modal content
-        const modalContent = document.createElement('div');
-        modalContent.style.cssText = `
-            background: var(--color-surface);
-            border-radius: var(--radius-lg);
-            max-width: 900px;
-            width: 100%;
-            max-height: 80vh;
-            overflow: hidden;
-            display: flex;
-            flex-direction: column;
-            box-shadow: var(--shadow-xl);
-        `;
+        const data = chart.data || [];
+        if (data.length === 0) {
+            console.warn('No data available for chart');
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
+            return;
+        }
         
-        // Header
-        const header = document.createElement('div');
-        header.style.cssText = `
-            padding: 1.5rem;
-            border-bottom: 1px solid var(--color-border);
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        `;
-        header.innerHTML = `
-            <div>
-                <h3 style="margin: 0; font-size: 1.25rem; color: var(--color-text-primary);">
-                    ${departmentData.name || getDepartmentName(departmentData.department)} Items
-                </h3>
-                <p style="margin: 0.5rem 0 0 0; font-size: 0.875rem; color: var(--color-text-tertiary);">
-                    ${items.length} unique items • $${Math.max(0, departmentData.value).toLocaleString('en-US', {minimumFractionDigits: 2})} net total
-                </p>
-            </div>
-            <button id="close-drill-down" style="
-                background: none;
-                border: none;
-                font-size: 1.5rem;
-                cursor: pointer;
-                color: var(--color-text-secondary);
-                padding: 0;
-                width: 2rem;
-                height: 2rem;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            ">&times;</button>
-        `;
+        console.log(`Creating chart with ${data.length} data points`);
         
-        // Content (scrollable table)
-        const content = document.createElement('div');
-        content.style.cssText = `
-            flex: 1;
-            overflow-y: auto;
-            padding: 1.5rem;
-        `;
+        // Clear container
+        chart.container.innerHTML = '';
         
-        const table = document.createElement('table');
-        table.style.cssText = `
-            width: 100%;
-            border-collapse: collapse;
-        `;
+        // Get container dimensions
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 300);
         
-        // Table header
-        table.innerHTML = `
-            <thead>
-                <tr style="border-bottom: 2px solid var(--color-border);">
-                    <th style="text-align: left; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Item</th>
-                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Net Qty</th>
-                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Avg Price</th>
-                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Net Total</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${items.map(item => `
-                    <tr style="border-bottom: 1px solid var(--color-border);">
-                        <td style="padding: 0.75rem; display: flex; align-items: center; gap: 0.75rem;">
-                            ${item.image ? `<img src="${item.image}" alt="${item.name}" style="width: 48px; height: 48px; object-fit: contain; border: 1px solid var(--color-border); border-radius: 6px; background: white;">` : ''}
-                            <div>
-                            <div style="font-weight: 500; color: var(--color-text-primary);">${item.name}</div>
-                            <div style="font-size: 0.75rem; color: var(--color-text-tertiary);">#${item.itemNumber}</div>
-                            </div>
-                        </td>
-                        <td style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-primary);">${item.totalQuantity.toFixed(1)}</td>
-                        <td style="text-align: right; padding: 0.75rem; color: var(--color-text-secondary);">$${item.avgPrice.toFixed(2)}</td>
-                        <td style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-primary);">$${item.totalAmount.toFixed(2)}</td>
-                    </tr>
-                `).join('')}
-            </tbody>
-        `;
+        // Guard: Skip rendering if container is hidden (zero width)
+        if (containerWidth <= 0) {
+            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
+            chart.needsRender = true;
+            return;
+        }
         
-        content.appendChild(table);
+        // Set margins and dimensions
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
         
-        // Assemble modal
-        modalContent.appendChild(header);
-        modalContent.appendChild(content);
-        modal.appendChild(modalContent);
-        document.body.appendChild(modal);
+        // Create SVG
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
         
-        // Close handlers
-        const closeModal = () => {
-            document.body.removeChild(modal);
-        };
+        chart.svg = svg;
         
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) closeModal();
-        });
+        // Parse dates and prepare data
+        const parseDate = d3.timeParse('%Y-%m');
+        const dataWithDates = data.map(d => ({
+            ...d,
+            date: parseDate(d.month)
+        })).sort((a, b) => a.date - b.date);
         
-        document.getElementById('close-drill-down').addEventListener('click', closeModal);
+        // Comparison period, shifted forward so it lines up with the months it is compared to
+        const comparison = chart.options.comparison;
+        const comparisonWithDates = comparison && Array.isArray(comparison.data)
+            ? comparison.data.map(d => ({
+                ...d,
+                sourceDate: parseDate(d.month),
+                date: d3.timeMonth.offset(parseDate(d.month), comparison.offsetMonths || 0)
+            })).sort((a, b) => a.date - b.date)
+            : [];
+        const allPoints = dataWithDates.concat(comparisonWithDates);
         
-        // ESC key handler
-        const escHandler = (e) => {
-            if (e.key === 'Escape') {
-                closeModal();
-                document.removeEventListener('keydown', escHandler);
-            }
-        };
-        document.addEventListener('keydown', escHandler);
-    }
-    
-    /**
-     * Show item detail drilldown panel
-     * @param {Object} itemData - Item data from chart
-     * @param {Array} allReceipts - All receipts to find purchase history
-     */
-    function showItemDrillDown(itemData, allReceipts) {
-        // Find all purchases of this item
-        const purchases = [];
-        allReceipts.forEach(receipt => {
-            if (!receipt.itemArray) return;
-            receipt.itemArray.forEach(item => {
-                if (item.itemNumber === itemData.itemNumber && !item.isDiscount) {
-                    purchases.push({
-                        date: receipt.transactionDateTime,
-                        dateStr: receipt.transactionDateISO || receipt.transactionDate,
-                        warehouse: receipt.warehouseName || receipt.warehouse || 'Unknown',
-                        price: item.unitPrice || item.amount,
-                        quantity: item.unit || 1,
-                        amount: item.amount,
-                        channel: receipt.channel || 'warehouse'
-                    });
-                }
-            });
-        });
+        // Create scales
+        const x = d3.scaleTime()
+            .domain(d3.extent(allPoints, d => d.date))
+            .range([0, width]);
         
-        // Sort by date descending
-        purchases.sort((a, b) => (b.date || 0) - (a.date || 0));
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(allPoints, d => d.total) * 1.1])
+            .nice()
+            .range([height, 0]);
         
-        // Calculate price stats
-        const prices = purchases.map(p => p.price).filter(p => p > 0);
-        const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
-        const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
-        const avgPrice = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
+        // Create gradient for area
+        const gradient = svg.append('defs')
+            .append('linearGradient')
+            .attr('id', `gradient-${chart.id}`)
+            .attr('gradientUnits', 'userSpaceOnUse')
+            .attr('x1', 0)
+            .attr('y1', y(0))
+            .attr('x2', 0)
+            .attr('y2', y(d3.max(dataWithDates, d => d.total)));
         
-        // Create drilldown panel
-        const overlay = document.createElement('div');
-        overlay.className = 'drilldown-overlay';
+        gradient.append('stop')
+            .attr('offset', '0%')
+            .attr('stop-color', 'var(--color-primary)')
+            .attr('stop-opacity', 0.3);
         
-        const panel = document.createElement('div');
-        panel.className = 'drilldown-panel';
-        panel.innerHTML = `
-            <div class="drilldown-header">
-                <h3 class="drilldown-title">🏷️ ${itemData.name || 'Item'}</h3>
-                <button class="drilldown-close" aria-label="Close">&times;</button>
-            </div>
-            <div class="drilldown-content">
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">📊 Summary</div>
-                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem;">
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Item Number</div>
-                            <div class="stat-value" style="font-size: 1rem;">#${itemData.itemNumber}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Times Purchased</div>
-                            <div class="stat-value" style="font-size: 1rem;">${purchases.length}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Total Spent</div>
-                            <div class="stat-value" style="font-size: 1rem;">$${itemData.totalSpent?.toFixed(2) || '0.00'}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Total Quantity</div>
-                            <div class="stat-value" style="font-size: 1rem;">${itemData.totalQuantity?.toFixed(1) || '0'}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">💰 Price Analysis</div>
-                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem;">
-                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
-                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Min Price</div>
-                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-success);">$${minPrice.toFixed(2)}</div>
-                        </div>
-                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
-                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Avg Price</div>
-                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-primary);">$${avgPrice.toFixed(2)}</div>
-                        </div>
-                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
-                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Max Price</div>
-                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-error);">$${maxPrice.toFixed(2)}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">📅 Purchase History</div>
-                    <div style="max-height: 300px; overflow-y: auto;">
-                        <table style="width: 100%; font-size: 0.85rem; border-collapse: collapse;">
-                            <thead style="position: sticky; top: 0; background: var(--color-surface);">
-                                <tr style="border-bottom: 2px solid var(--color-border);">
-                                    <th style="text-align: left; padding: 0.5rem;">Date</th>
-                                    <th style="text-align: left; padding: 0.5rem;">Location</th>
-                                    <th style="text-align: right; padding: 0.5rem;">Qty</th>
-                                    <th style="text-align: right; padding: 0.5rem;">Price</th>
-                                    <th style="text-align: right; padding: 0.5rem;">Total</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${purchases.slice(0, 50).map(p => `
-                                    <tr style="border-bottom: 1px solid var(--color-border);">
-                                        <td style="padding: 0.5rem; color: var(--color-text-secondary);">${p.dateStr || 'Unknown'}</td>
-                                        <td style="padding: 0.5rem;">${p.warehouse}</td>
-                                        <td style="text-align: right; padding: 0.5rem;">${p.quantity}</td>
-                                        <td style="text-align: right; padding: 0.5rem;">$${p.price?.toFixed(2) || '—'}</td>
-                                        <td style="text-align: right; padding: 0.5rem; font-weight: 500;">$${p.amount?.toFixed(2) || '—'}</td>
-                                    </tr>
-                                `).join('')}
-                                ${purchases.length > 50 ? `<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">+ ${purchases.length - 50} more purchases</td></tr>` : ''}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        `;
+        gradient.append('stop')
+            .attr('offset', '100%')
+            .attr('stop-color', 'var(--color-primary)')
+            .attr('stop-opacity', 0);
         
-        document.body.appendChild(overlay);
-        document.body.appendChild(panel);
+        // Create area generator
+        const area = d3.area()
+            .x(d => x(d.date))
+            .y0(height)
+            .y1(d => y(d.total))
+            .curve(d3.curveMonotoneX);
         
-        // Trigger animation
-        requestAnimationFrame(() => {
-            overlay.classList.add('visible');
-            panel.classList.add('open');
-        });
+        // Create line generator
+        const line = d3.line()
+            .x(d => x(d.date))
+            .y(d => y(d.total))
+            .curve(d3.curveMonotoneX);
         
-        // Close handlers
-        const closePanel = () => {
-            overlay.classList.remove('visible');
-            panel.classList.remove('open');
-            setTimeout(() => {
-                overlay.remove();
-                panel.remove();
-            }, 300);
-        };
+        // Add area
+        svg.append('path')
+            .datum(dataWithDates)
+            .attr('class', 'area')
+            .attr('fill', `url(#gradient-${chart.id})`)
+            .attr('d', area);
         
-        overlay.addEventListener('click', closePanel);
-        panel.querySelector('.drilldown-close').addEventListener('click', closePanel);
+        // Add line
+        svg.append('path')
+            .datum(dataWithDates)
+            .attr('class', 'line')
+            .attr('fill', 'none')
+            .attr('stroke', 'var(--color-primary)')
+            .attr('stroke-width', 2)
+            .attr('d', line);
         
-        // ESC key handler
-        const escHandler = (e) => {
-            if (e.key === 'Escape') {
-                closePanel();
-                document.removeEventListener('keydown', escHandler);
-            }
-        };
-        document.addEventListener('keydown', escHandler);
-    }
-    
-    /**
-     * Show warehouse detail drilldown panel
-     * @param {Object} warehouseData - Warehouse data from chart
-     * @param {Array} allReceipts - All receipts to find warehouse history
-     */
-    function showWarehouseDrillDown(warehouseData, allReceipts) {
-        // Find all receipts from this warehouse
-        const warehouseReceipts = allReceipts.filter(r => {
-            if (warehouseData.warehouseNumber === 'ONLINE') {
-                // Filter for online orders
-                return r.channel === 'online' || 
-                       r.documentType === 'ONLINE' || 
-                       r.documentType === 'OnlineReceipts' ||
-                       r.warehouseName === 'Online';
-            } else {
-                return r.warehouseNumber === warehouseData.warehouseNumber ||
-                       r.warehouse === warehouseData.warehouseNumber;
-            }
-        });
+        // Comparison period as a dashed line underneath the points
+        if (comparisonWithDates.length > 0) {
+            svg.append('path')
+                .datum(comparisonWithDates)
+                .attr('class', 'line comparison-line')
+                .attr('fill', 'none')
+                .attr('stroke', '#f59e0b')
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '6 4')
+                .attr('d', line);
+        }
         
-        // Calculate top items at this warehouse
-        const itemMap = new Map();
-        warehouseReceipts.forEach(receipt => {
-            if (!receipt.itemArray) return;
-            receipt.itemArray.forEach(item => {
-                if (item.isDiscount || !item.itemNumber) return;
-                if (!itemMap.has(item.itemNumber)) {
-                    itemMap.set(item.itemNumber, {
-                        name: item.normalizedName || item.itemDescription01,
-                        itemNumber: item.itemNumber,
-                        totalSpent: 0,
-                        purchases: 0
-                    });
-                }
-                const data = itemMap.get(item.itemNumber);
-                data.totalSpent += Math.abs(item.amount || 0);
-                data.purchases++;
-            });
-        });
+        // Add x-axis
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .ticks(Math.min(dataWithDates.length, 8))
+                .tickFormat(d3.timeFormat('%b %Y')))
+            .selectAll('text')
+            .attr('transform', 'rotate(-45)')
+            .style('text-anchor', 'end')
+            .attr('dx', '-.8em')
+            .attr('dy', '.15em');
         
-        const topItems = Array.from(itemMap.values())
-            .sort((a, b) => b.totalSpent - a.totalSpent)
-            .slice(0, 10);
+        // Add y-axis
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y)
+                .ticks(6)
+                .tickFormat(d => `$${d.toLocaleString()}`));
         
-        // Monthly spending at this warehouse
-        const monthlySpend = {};
-        warehouseReceipts.forEach(r => {
-            if (!r.transactionDateTime) return;
-            const date = new Date(r.transactionDateTime);
-            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            monthlySpend[monthKey] = (monthlySpend[monthKey] || 0) + Math.abs(Number(r.total) || 0);
-        });
+        // Add grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisLeft(y)
+                .ticks(6)
+                .tickSize(-width)
+                .tickFormat(''));
         
-        // Create drilldown panel
-        const overlay = document.createElement('div');
-        overlay.className = 'drilldown-overlay';
+        // Add y-axis label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 15)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Total Spent ($)');
         
-        const panel = document.createElement('div');
-        panel.className = 'drilldown-panel';
-        const isOnline = warehouseData.warehouseNumber === 'ONLINE' || warehouseData.warehouseName === 'Online';
-        const title = isOnline ? '🛒 Online Orders' : `🏪 ${warehouseData.warehouseName || 'Warehouse'} #${warehouseData.warehouseNumber}`;
+        // Tooltip (using standardized factory)
+        const tooltip = createChartTooltip(chart.container);
         
-        panel.innerHTML = `
-            <div class="drilldown-header">
-                <h3 class="drilldown-title">${title}</h3>
-                <button class="drilldown-close" aria-label="Close">&times;</button>
-            </div>
-            <div class="drilldown-content">
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">📍 Location</div>
-                    <p style="color: var(--color-text-secondary); margin: 0;">
-                        ${isOnline ? 'Online Orders' : (warehouseData.warehouseCity || '') + (warehouseData.warehouseCity && warehouseData.warehouseState ? ', ' : '') + (warehouseData.warehouseState || '')}
-                    </p>
-                </div>
-                
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">📊 Summary</div>
-                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem;">
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Trips (unique days)</div>
-                            <div class="stat-value" style="font-size: 1rem;">${warehouseData.tripCount ?? 0}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Receipts</div>
-                            <div class="stat-value" style="font-size: 1rem;">${warehouseData.receiptCount ?? 0}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Total Spent</div>
-                            <div class="stat-value" style="font-size: 1rem;">$${warehouseData.totalSpent?.toLocaleString('en-US', {minimumFractionDigits: 2}) || '0.00'}</div>
-                        </div>
-                        <div class="stat-card" style="padding: 1rem;">
-                            <div class="stat-label">Avg Per Trip</div>
-                            <div class="stat-value" style="font-size: 1rem;">$${warehouseData.avgPerTrip?.toFixed(2) || '0.00'}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="drilldown-section">
-                    <div class="drilldown-section-title">🏆 Top Items at This Location</div>
-                    <div style="max-height: 250px; overflow-y: auto;">
-                        <table style="width: 100%; font-size: 0.85rem; border-collapse: collapse;">
-                            <thead style="position: sticky; top: 0; background: var(--color-surface);">
-                                <tr style="border-bottom: 2px solid var(--color-border);">
-                                    <th style="text-align: left; padding: 0.5rem;">Item</th>
-                                    <th style="text-align: right; padding: 0.5rem;">Purchases</th>
-                                    <th style="text-align: right; padding: 0.5rem;">Total</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${topItems.map(item => `
-                                    <tr style="border-bottom: 1px solid var(--color-border);">
-                                        <td style="padding: 0.5rem;">
-                                            <div style="font-weight: 500;">${item.name || 'Unknown'}</div>
-                                            <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">#${item.itemNumber}</div>
-                                        </td>
-                                        <td style="text-align: right; padding: 0.5rem;">${item.purchases}</td>
-                                        <td style="text-align: right; padding: 0.5rem; font-weight: 500; color: var(--color-primary);">$${item.totalSpent.toFixed(2)}</td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        `;
+        if (comparisonWithDates.length > 0) {
+            svg.selectAll('.comparison-dot')
+                .data(comparisonWithDates)
+                .enter()
+                .append('circle')
+                .attr('class', 'comparison-dot')
+                .attr('cx', d => x(d.date))
+                .attr('cy', d => y(d.total))
+                .attr('r', 3)
+                .attr('fill', '#f59e0b')
+                .on('mouseover', function(event, d) {
+                    showTooltip(tooltip, `${d3.timeFormat('%B %Y')(d.sourceDate)} (${comparison.label || 'comparison'})`, [
+                        { label: 'Total Spent', value: `$${d.total.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
+                        { label: 'Trips', value: d.count }
+                    ], event, chart.container);
+                })
+                .on('mousemove', function(event) {
+                    positionTooltip(tooltip, event, chart.container);
+                })
+                .on('mouseout', function() {
+                    hideTooltip(tooltip);
+                });
+            
+            createChartLegend(chart.container, [
+                { label: 'This period', color: 'var(--color-primary)' },
+                { label: escapeHtml(comparison.label || 'Comparison'), color: '#f59e0b' }
+            ]);
+        }
         
-        document.body.appendChild(overlay);
-        document.body.appendChild(panel);
+        // Add data points with animation
+        const dots = svg.selectAll('.dot')
+            .data(dataWithDates)
+            .enter()
+            .append('circle')
+            .attr('class', 'dot')
+            .attr('cx', d => x(d.date))
+            .attr('cy', height)
+            .attr('r', 0)
+            .attr('fill', 'var(--color-primary)')
+            .attr('stroke', 'white')
+            .attr('stroke-width', 2)
+            .style('cursor', 'pointer')
+            .attr('tabindex', '0')  // Make focusable for accessibility
+            .attr('role', 'button')
+            .attr('aria-label', d => `${d3.timeFormat('%B %Y')(d.date)}: $${d.total.toFixed(2)}`);
         
-        // Trigger animation
-        requestAnimationFrame(() => {
-            overlay.classList.add('visible');
-            panel.classList.add('open');
-        });
+        // Animate entry
+        dots.transition()
+            .duration(800)
+            .delay((d, i) => i * 50)
+            .attr('cy', d => y(d.total))
+            .attr('r', 4);
         
-        // Close handlers
-        const closePanel = () => {
-            overlay.classList.remove('visible');
-            panel.classList.remove('open');
-            setTimeout(() => {
-                overlay.remove();
-                panel.remove();
-            }, 300);
-        };
+        // Tooltip show handler
+        function showDotTooltip(event, d) {
+            const rows = [
+                { label: 'Total Spent', value: `$${d.total.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
+                { label: 'Trips', value: d.count },
+                { label: 'Items', value: d.items },
+                { label: 'Avg/Trip', value: `$${(d.total / d.count).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` }
+            ];
+            const compared = comparisonWithDates.find(c => c.date.getTime() === d.date.getTime());
+            if (compared) {
+                rows.push({ label: d3.timeFormat('%b %Y')(compared.sourceDate), value: `$${compared.total.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` });
+            }
+            showTooltip(tooltip, d3.timeFormat('%B %Y')(d.date), rows, event, chart.container);
+        }
         
-        overlay.addEventListener('click', closePanel);
-        panel.querySelector('.drilldown-close').addEventListener('click', closePanel);
+        // Add hover interactions
+        dots.on('mouseover', function(event, d) {
+                d3.select(this)
+                    .transition()
+                    .duration(200)
+                    .attr('r', 6);
+                showDotTooltip(event, d);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout', function() {
+                d3.select(this)
+                    .transition()
+                    .duration(200)
+                    .attr('r', 4);
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event) {
+                // Keyboard accessibility - show tooltip on focus
+                const d = d3.select(this).datum();
+                d3.select(this).attr('r', 6);
+                showDotTooltip(event, d);
+            })
+            .on('blur', function() {
+                d3.select(this).attr('r', 4);
+                hideTooltip(tooltip);
+            })
+            .on('click', function(event, d) {
+                // Emit event for filtering by this month
+                EventBus.emit('chart:monthClicked', {
+                    month: d.month,
+                    date: d.date,
+                    data: d
+                });
+            })
+            .on('keydown', function(event) {
+                // Allow Enter/Space to trigger click for keyboard users
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    const d = d3.select(this).datum();
+                    EventBus.emit('chart:monthClicked', {
+                        month: d.month,
+                        date: d.date,
+                        data: d
+                    });
+                }
+            });
         
-        // ESC key handler
-        const escHandler = (e) => {
-            if (e.key === 'Escape') {
-                closePanel();
-                document.removeEventListener('keydown', escHandler);
-            }
+        // Update function
+        chart.update = function(newData) {
+            createSpendingTrendChart({ ...chart, data: newData });
+        };
+        
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
         };
-        document.addEventListener('keydown', escHandler);
     }
     
     /**
-     * Create calendar heatmap
+     * Create top items horizontal bar chart
      */
-    function createCalendarHeatmap(chart) {
-        console.log('=== CREATING CALENDAR HEATMAP ===');
-        const receipts = chart.data || [];
+    function createTopItemsChart(chart) {
+        console.log('=== CREATING TOP ITEMS BAR CHART ===');
+        const data = chart.data || [];
         
-        if (receipts.length === 0) {
+        if (data.length === 0) {
             chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
             return;
         }
@@ -1983,359 +2463,178 @@ const VisualizationManager = (() => {
         // Clear container
         chart.container.innerHTML = '';
         
-        // Guard: Skip rendering if container is hidden (zero width)
+        // Get container dimensions
         const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 400);
+        
+        // Guard: Skip rendering if container is hidden (zero width)
         if (containerWidth <= 0) {
             console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
             chart.needsRender = true;
             return;
         }
         
-        // Determine metric (visits, spend, items)
-        const metricSelect = document.getElementById('calendar-metric');
-        // Bind change listener once to refresh chart on metric switch
-        if (metricSelect && !metricSelect.dataset.boundCalendarMetric) {
-            metricSelect.addEventListener('change', () => {
-                // Re-render using existing data; createCalendarHeatmap will read the new metric value
-                chart.update(chart.data);
-            });
-            metricSelect.dataset.boundCalendarMetric = 'true';
-        }
-        const metric = metricSelect ? metricSelect.value : 'visits';
-        const metricLabels = {
-            visits: { label: 'Trips', formatter: v => `${v} trip${v === 1 ? '' : 's'}` },
-            spend: { label: 'Spent', formatter: v => `$${v.toFixed(2)}` },
-            items: { label: 'Items', formatter: v => `${v} item${v === 1 ? '' : 's'}` }
-        };
-        const metricLabel = metricLabels[metric] || metricLabels.visits;
+        // Set margins
+        const margin = { top: 20, right: 30, bottom: 40, left: 200 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
         
-        // Get date range (cap to avoid squishing long timelines)
-        const dates = receipts.map(r => r.transactionDateTime).filter(d => d);
-        dates.sort((a, b) => a - b);
-        const maxDate = new Date(dates[dates.length - 1]);
-        const minDateOriginal = new Date(dates[0]);
+        // Create SVG
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
         
-        // If more than 12 months span, show only the last 12 months for readability
-        const maxMonthsToShow = 12;
-        const monthsDiffTotal = (maxDate.getFullYear() - minDateOriginal.getFullYear()) * 12 +
-            (maxDate.getMonth() - minDateOriginal.getMonth());
+        chart.svg = svg;
         
-        let cappedReceipts = receipts;
-        const minDate = new Date(minDateOriginal);
-        if (monthsDiffTotal > maxMonthsToShow) {
-            const cutoff = new Date(maxDate);
-            cutoff.setMonth(cutoff.getMonth() - (maxMonthsToShow - 1));
-            cutoff.setDate(1); // start at beginning of month
-            cappedReceipts = receipts.filter(r => r.transactionDateTime && r.transactionDateTime >= cutoff && r.transactionDateTime <= maxDate);
-            minDate.setTime(cutoff.getTime());
-        }
+        // Create scales
+        const x = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.totalSpent) * 1.1])
+            .range([0, width]);
         
-        // Aggregate metric by date (using capped receipts)
-        const dateMap = new Map();
-        cappedReceipts.forEach(receipt => {
-            if (!receipt.transactionDateTime) return;
-            const date = new Date(receipt.transactionDateTime);
-            const dateStr = date.toISOString().split('T')[0];
-            if (!dateMap.has(dateStr)) {
-                dateMap.set(dateStr, { date: new Date(dateStr), value: 0, count: 0, receipts: [], items: 0, spend: 0 });
-            }
-            const dayData = dateMap.get(dateStr);
-            // Metric calculations
-            if (metric === 'spend') {
-                dayData.value += Math.abs(Number(receipt.total) || 0);
-            } else if (metric === 'items') {
-                const itemsCount = receipt.totalItemCount
-                    || (receipt.itemArray ? receipt.itemArray.reduce((sum, it) => sum + Math.abs(Number(it.unit || 0)), 0) : 0);
-                dayData.value += itemsCount;
-            } else {
-                // visits
-                dayData.value += 1;
-            }
-            
-            dayData.count++; // visits/trips
-            dayData.spend += Math.abs(Number(receipt.total) || 0);
-            dayData.items += receipt.totalItemCount
-                || (receipt.itemArray ? receipt.itemArray.reduce((sum, it) => sum + Math.abs(Number(it.unit || 0)), 0) : 0);
-            dayData.receipts.push(receipt);
-        });
+        const y = d3.scaleBand()
+            .domain(data.map(d => d.name))
+            .range([0, height])
+            .padding(0.2);
         
-        // Start from the first day of the week containing minDate
-        const startDate = new Date(minDate);
-        startDate.setDate(startDate.getDate() - startDate.getDay()); // Go to Sunday
+        // Add x-axis
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .ticks(5)
+                .tickFormat(d => `$${d.toLocaleString()}`));
         
-        // End at the last day of the week containing maxDate
-        const endDate = new Date(maxDate);
-        endDate.setDate(endDate.getDate() + (6 - endDate.getDay())); // Go to Saturday
+        // Add y-axis
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y))
+            .selectAll('text')
+            .style('font-size', '12px')
+            .text(d => d.length > 30 ? d.substring(0, 30) + '...' : d);
         
-        // Calculate number of weeks
-        const weeks = Math.ceil((endDate - startDate) / (7 * 24 * 60 * 60 * 1000));
+        // Add grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisBottom(x)
+                .ticks(5)
+                .tickSize(height)
+                .tickFormat(''));
         
-        // Calculate dimensions, scaling cell size to fill width
-        const dayLabelWidth = 30;
-        const monthLabelHeight = 20;
-        const cellGap = 3;
-        const availableWidth = Math.max(containerWidth - dayLabelWidth - 20, 320);
-        const cellSize = Math.min(20, Math.max(12, (availableWidth / weeks) - cellGap));
-        const cellTotal = cellSize + cellGap;
-        const widthForCells = dayLabelWidth + (weeks * cellTotal) + 20;
-        const height = monthLabelHeight + (7 * cellTotal) + 20;
-        
-        // Create SVG that fills container width
-        const viewWidth = Math.max(widthForCells, containerWidth);
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', '100%')
-            .attr('height', height)
-            .attr('viewBox', `0 0 ${viewWidth} ${height}`)
-            .attr('preserveAspectRatio', 'xMinYMin meet')
-            .style('max-width', '100%')
-            .style('display', 'block');
-        
-        chart.svg = svg;
+        // Tooltip (using standardized factory)
+        const tooltip = createChartTooltip(chart.container);
         
-        const g = svg.append('g')
-            .attr('transform', `translate(${dayLabelWidth}, ${monthLabelHeight})`);
+        // Add bars with animation
+        const bars = svg.selectAll('.bar')
+            .data(data)
+            .enter()
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', 0)
+            .attr('y', d => y(d.name))
+            .attr('width', 0)
+            .attr('height', y.bandwidth())
+            .attr('fill', 'var(--color-primary)')
+            .attr('opacity', 0.8)
+            .style('cursor', 'pointer')
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => `${d.name}: $${d.totalSpent.toFixed(2)} total`);
         
-        // Create color scale based on spending
-        const maxValue = d3.max(Array.from(dateMap.values()), d => d.value) || 1;
-        const colorScale = d3.scaleQuantize()
-            .domain([0, maxValue])
-            .range(['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127']);
+        // Animate width
+        bars.transition()
+            .duration(800)
+            .delay((d, i) => i * 50)
+            .attr('width', d => x(d.totalSpent));
         
-        // Day labels
-        const dayLabels = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
-        svg.append('g')
-            .attr('transform', `translate(0, ${monthLabelHeight})`)
-            .selectAll('text')
-            .data(dayLabels)
+        // Add value labels on bars
+        svg.selectAll('.label')
+            .data(data)
             .enter()
             .append('text')
-            .attr('x', 5)
-            .attr('y', (d, i) => i * cellTotal + cellSize)
-            .attr('text-anchor', 'start')
-            .attr('font-size', '10px')
-            .attr('fill', 'var(--color-text-secondary)')
-            .text(d => d);
+            .attr('class', 'label')
+            .attr('x', d => x(d.totalSpent) + 5)
+            .attr('y', d => y(d.name) + y.bandwidth() / 2)
+            .attr('dy', '0.35em')
+            .style('font-size', '11px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text(d => `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`);
         
-        // Generate all days in range
-        const allDays = [];
-        let currentDate = new Date(startDate);
-        while (currentDate <= endDate) {
-            const dateStr = currentDate.toISOString().split('T')[0];
-            const dayData = dateMap.get(dateStr) || { 
-                date: new Date(currentDate), 
-                value: 0, 
-                count: 0,
-                receipts: []
-            };
-            allDays.push(dayData);
-            currentDate.setDate(currentDate.getDate() + 1);
+        // Tooltip show handler
+        function showBarTooltip(event, d) {
+            const rows = [
+                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
+                { label: 'Quantity', value: `${d.totalQuantity.toLocaleString()} units` },
+                { label: 'Purchases', value: `${d.purchases} times` },
+                { label: 'Avg Price', value: `$${d.avgPrice.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}/unit` },
+                { label: 'Price Range', value: `$${d.minPrice.toFixed(2)} - $${d.maxPrice.toFixed(2)}` }
+            ];
+            showTooltip(tooltip, d.name, rows, event, chart.container);
         }
         
-        // Create tooltip
-        const tooltip = createChartTooltip(chart.container);
-        
-        // Draw cells
-        const cells = g.selectAll('rect')
-            .data(allDays)
-            .enter()
-            .append('rect')
-            .attr('width', cellSize)
-            .attr('height', cellSize)
-            .attr('x', d => {
-                const weekIndex = Math.floor((d.date - startDate) / (7 * 24 * 60 * 60 * 1000));
-                return weekIndex * cellTotal;
-            })
-            .attr('y', d => d.date.getDay() * cellTotal)
-            .attr('rx', 2)
-            .attr('ry', 2)
-            .attr('fill', d => d.count > 0 ? colorScale(d.value) : '#ebedf0')
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 1)
-            .attr('tabindex', d => d.count > 0 ? '0' : null)
-            .attr('role', d => d.count > 0 ? 'button' : null)
-            .attr('aria-label', d => {
-                if (d.count === 0) return null;
-                const dateStr = d.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-                return `${dateStr}: ${d.count} trip${d.count > 1 ? 's' : ''}, $${d.value.toFixed(2)} spent`;
-            })
-            .style('cursor', d => d.count > 0 ? 'pointer' : 'default')
-            .on('mouseover', function(event, d) {
-                if (d.count === 0) return;
-                
+        // Add interactivity
+        bars.on('mouseover', function(event, d) {
                 d3.select(this)
-                    .attr('stroke', '#000')
-                    .attr('stroke-width', 2);
-                
-                const dateStr = d.date.toLocaleDateString('en-US', { 
-                    weekday: 'short', 
-                    month: 'short', 
-                    day: 'numeric', 
-                    year: 'numeric' 
-                });
-                
-                const receiptTypes = {};
-                d.receipts.forEach(r => {
-                    const type = r.receiptType || 'Purchase';
-                    receiptTypes[type] = (receiptTypes[type] || 0) + 1;
-                });
-                
-                const typeInfo = Object.entries(receiptTypes)
-                    .map(([type, count]) => `${count} ${type}`)
-                    .join(', ');
-                
-                showTooltip(
-                    tooltip,
-                    dateStr,
-                    [
-                        { label: metricLabel.label, value: metricLabel.formatter(d.value) },
-                        { label: 'Trips', value: d.count },
-                        { label: 'Amount', value: `$${(d.spend || 0).toFixed(2)}` },
-                        { label: 'Items', value: d.items || 0 },
-                        ...(typeInfo ? [{ label: 'Types', value: typeInfo, className: 'chart-tooltip-label' }] : [])
-                    ],
-                    event,
-                    chart.container
-                );
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 1)
+                    .attr('fill', 'var(--color-primary-dark)');
+                showBarTooltip(event, d);
             })
-            .on('mouseout', function(event, d) {
-                if (d.count === 0) return;
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout', function() {
                 d3.select(this)
-                    .attr('stroke', '#fff')
-                    .attr('stroke-width', 1);
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.8)
+                    .attr('fill', 'var(--color-primary)');
                 hideTooltip(tooltip);
             })
-            .on('focus', function(event, d) {
-                if (d.count === 0) return;
-                d3.select(this)
-                    .attr('stroke', '#000')
-                    .attr('stroke-width', 2);
-                
-                const dateStr = d.date.toLocaleDateString('en-US', { 
-                    weekday: 'short', 
-                    month: 'short', 
-                    day: 'numeric', 
-                    year: 'numeric' 
-                });
-                
-                showTooltip(
-                    tooltip,
-                    dateStr,
-                    [
-                        { label: metricLabel.label, value: metricLabel.formatter(d.value) },
-                        { label: 'Trips', value: d.count },
-                        { label: 'Amount', value: `$${(d.spend || 0).toFixed(2)}` },
-                        { label: 'Items', value: d.items || 0 }
-                    ],
-                    event,
-                    chart.container
-                );
+            .on('focus', function(event) {
+                const d = d3.select(this).datum();
+                d3.select(this).attr('opacity', 1).attr('fill', 'var(--color-primary-dark)');
+                showBarTooltip(event, d);
             })
-            .on('blur', function(event, d) {
-                if (d.count === 0) return;
-                d3.select(this)
-                    .attr('stroke', '#fff')
-                    .attr('stroke-width', 1);
+            .on('blur', function() {
+                d3.select(this).attr('opacity', 0.8).attr('fill', 'var(--color-primary)');
                 hideTooltip(tooltip);
+            })
+            .on('click', function(event, d) {
+                EventBus.emit('chart:itemClicked', {
+                    itemNumber: d.itemNumber,
+                    itemName: d.name,
+                    data: d
+                });
             });
         
-        // Add month labels
-        const monthsGroup = svg.append('g')
-            .attr('transform', `translate(${dayLabelWidth}, 10)`);
+        // Update function
+        chart.update = function(newData) {
+            createTopItemsChart({ ...chart, data: newData });
+        };
         
-        let lastMonth = -1;
-        let monthX = 0;
-        allDays.forEach((d, i) => {
-            const month = d.date.getMonth();
-            if (month !== lastMonth && d.date.getDay() === 0) {
-                const weekIndex = Math.floor(i / 7);
-                monthsGroup.append('text')
-                    .attr('x', weekIndex * cellTotal)
-                    .attr('y', 0)
-                    .attr('text-anchor', 'start')
-                    .attr('font-size', '11px')
-                    .attr('font-weight', '600')
-                    .attr('fill', 'var(--color-text-primary)')
-                    .text(d.date.toLocaleDateString('en-US', { month: 'short' }));
-                lastMonth = month;
-            }
-        });
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
         
-        // Add legend
-        const legendData = [
-            { label: 'Less', color: '#ebedf0' },
-            { label: '', color: '#c6e48b' },
-            { label: '', color: '#7bc96f' },
-            { label: '', color: '#239a3b' },
-            { label: 'More', color: '#196127' }
-        ];
-        
-        const legend = svg.append('g')
-            .attr('transform', `translate(${viewWidth - 150}, ${height - 20})`);
-        
-        legend.selectAll('rect')
-            .data(legendData)
-            .enter()
-            .append('rect')
-            .attr('x', (d, i) => i * (cellSize + 2))
-            .attr('y', 0)
-            .attr('width', cellSize)
-            .attr('height', cellSize)
-            .attr('rx', 2)
-            .attr('fill', d => d.color);
-        
-        legend.append('text')
-            .attr('x', -5)
-            .attr('y', cellSize - 2)
-            .attr('text-anchor', 'end')
-            .attr('font-size', '10px')
-            .attr('fill', 'var(--color-text-secondary)')
-            .text('Less');
-        
-        legend.append('text')
-            .attr('x', legendData.length * (cellSize + 2) + 5)
-            .attr('y', cellSize - 2)
-            .attr('text-anchor', 'start')
-            .attr('font-size', '10px')
-            .attr('fill', 'var(--color-text-secondary)')
-            .text('More');
-        
-        // Update function
-        chart.update = function(newData) {
-            createCalendarHeatmap({ ...chart, data: newData });
-        };
-        
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
-        };
-        
-        // If we truncated the range, add a subtle note
-        if (monthsDiffTotal > maxMonthsToShow) {
-            const note = document.createElement('div');
-            note.style.cssText = 'margin-top: 0.5rem; font-size: 0.8rem; color: var(--color-text-tertiary);';
-            note.textContent = `Showing last ${maxMonthsToShow} months for readability (earliest: ${minDate.toLocaleDateString()})`;
-            chart.container.appendChild(note);
-        }
-        
-        console.log(`Calendar heatmap created with ${allDays.length} days (${dateMap.size} with activity)`);
+        console.log(`Top items chart created with ${data.length} items`);
     }
     
     /**
-     * Create price evolution chart showing price changes over time for selected items
+     * Create frequent items chart (by purchase count)
      */
-    function createPriceEvolutionChart(chart) {
-        console.log('=== CREATING PRICE EVOLUTION CHART ===');
-        const items = chart.data || [];
+    function createFrequentItemsChart(chart) {
+        console.log('=== CREATING FREQUENT ITEMS BAR CHART ===');
+        const data = chart.data || [];
         
-        if (items.length === 0) {
-            chart.container.innerHTML = `
-                <div style="text-align: center; padding: 2rem; color: var(--color-text-tertiary);">
-                    <p>Price evolution tracking for your most frequently purchased items</p>
-                    <p style="font-size: 0.85rem;">Items need at least 2 purchases to show price trends</p>
-            </div>
-        `;
+        if (data.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
             return;
         }
         
@@ -2344,39 +2643,20 @@ const VisualizationManager = (() => {
         
         // Get container dimensions
         const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 300);
+        const containerHeight = Math.max(chart.container.clientHeight, 400);
         
-        // Guard: Skip rendering if container is hidden
+        // Guard: Skip rendering if container is hidden (zero width)
         if (containerWidth <= 0) {
-            console.warn('Price evolution chart container has zero width. Deferring render.');
+            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
             chart.needsRender = true;
             return;
         }
         
-        // Set margins - increase right margin for legend with more items
-        const margin = { top: 30, right: Math.max(120, items.length * 2 + 100), bottom: 60, left: 60 };
+        // Set margins
+        const margin = { top: 20, right: 30, bottom: 40, left: 200 };
         const width = containerWidth - margin.left - margin.right;
         const height = containerHeight - margin.top - margin.bottom;
         
-        // Process data - get price history for selected items
-        const lineData = items.map((item, idx) => ({
-            name: item.name,
-            color: d3.schemeCategory10[idx % 10],
-            values: (item.priceHistory || []).map(p => ({
-                date: new Date(p.date),
-                price: p.price
-            })).sort((a, b) => a.date - b.date)
-        })).filter(d => d.values.length > 0);
-        
-        if (lineData.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No price history available for selected items</p>';
-            return;
-        }
-        
-        // Get all dates and prices for scales
-        const allDates = lineData.flatMap(d => d.values.map(v => v.date));
-        const allPrices = lineData.flatMap(d => d.values.map(v => v.price));
-        
         // Create SVG
         const svg = d3.select(chart.container)
             .append('svg')
@@ -2385,287 +2665,101 @@ const VisualizationManager = (() => {
             .append('g')
             .attr('transform', `translate(${margin.left},${margin.top})`);
         
-        // Create scales
-        const x = d3.scaleTime()
-            .domain(d3.extent(allDates))
+        chart.svg = svg;
+        
+        // Create scales (using purchases instead of totalSpent)
+        const x = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.purchases) * 1.1])
             .range([0, width]);
         
-        const y = d3.scaleLinear()
-            .domain([0, d3.max(allPrices) * 1.1])
-            .range([height, 0]);
+        const y = d3.scaleBand()
+            .domain(data.map(d => d.name))
+            .range([0, height])
+            .padding(0.2);
         
-        // Add X axis
+        // Add x-axis
         svg.append('g')
+            .attr('class', 'x-axis')
             .attr('transform', `translate(0,${height})`)
             .call(d3.axisBottom(x)
-                .ticks(Math.min(6, allDates.length))
-                .tickFormat(d3.timeFormat('%b %Y')))
-            .selectAll('text')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end');
-        
-        // Add Y axis
-        svg.append('g')
-            .call(d3.axisLeft(y)
                 .ticks(5)
-                .tickFormat(d => `$${d.toFixed(2)}`));
+                .tickFormat(d => `${d} times`));
         
-        // Add Y axis label
-        svg.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', -margin.left + 15)
-            .attr('x', -height / 2)
-            .attr('text-anchor', 'middle')
+        // Add y-axis
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y))
+            .selectAll('text')
             .style('font-size', '12px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text('Price ($)');
+            .text(d => d.length > 30 ? d.substring(0, 30) + '...' : d);
         
         // Add grid lines
         svg.append('g')
             .attr('class', 'grid')
             .attr('opacity', 0.1)
-            .call(d3.axisLeft(y)
+            .call(d3.axisBottom(x)
                 .ticks(5)
-                .tickSize(-width)
+                .tickSize(height)
                 .tickFormat(''));
         
-        // Line generator
-        const line = d3.line()
-            .x(d => x(d.date))
-            .y(d => y(d.price))
-            .curve(d3.curveMonotoneX);
-        
-        // Tooltip
+        // Tooltip (using standardized factory)
         const tooltip = createChartTooltip(chart.container);
         
-        // Draw lines and points for each item
-        lineData.forEach((item, idx) => {
-            // Draw line
-            svg.append('path')
-                .datum(item.values)
-                .attr('fill', 'none')
-                .attr('stroke', item.color)
-                .attr('stroke-width', 2)
-                .attr('d', line);
-            
-            // Draw points
-            svg.selectAll(`.dot-${idx}`)
-                .data(item.values)
-                .enter()
-                .append('circle')
-                .attr('class', `dot-${idx}`)
-                .attr('cx', d => x(d.date))
-                .attr('cy', d => y(d.price))
-                .attr('r', 4)
-                .attr('fill', item.color)
-                .attr('stroke', 'white')
-                .attr('stroke-width', 1)
-                .style('cursor', 'pointer')
-                .on('mouseover', function(event, d) {
-                    d3.select(this).attr('r', 6);
-                    showTooltip(tooltip, item.name, [
-                        { label: 'Date', value: d3.timeFormat('%b %d, %Y')(d.date) },
-                        { label: 'Price', value: `$${d.price.toFixed(2)}` }
-                    ], event, chart.container);
-                })
-                .on('mousemove', function(event) {
-                    positionTooltip(tooltip, event, chart.container);
-                })
-                .on('mouseout', function() {
-                    d3.select(this).attr('r', 4);
-                    hideTooltip(tooltip);
-                });
-        });
-        
-        // Add legend
-        const legend = svg.append('g')
-            .attr('class', 'legend')
-            .attr('transform', `translate(${width + 10}, 0)`);
-        
-        lineData.forEach((item, idx) => {
-            const legendItem = legend.append('g')
-                .attr('transform', `translate(0, ${idx * 18})`);
-            
-            legendItem.append('rect')
-                .attr('width', 12)
-                .attr('height', 12)
-                .attr('fill', item.color)
-                .attr('rx', 2);
-            
-            // Truncate long item names for legend (max ~20 chars)
-            const maxChars = 20;
-            const truncatedName = item.name.length > maxChars 
-                ? item.name.substring(0, maxChars - 3) + '...' 
-                : item.name;
-            
-            legendItem.append('text')
-                .attr('x', 16)
-                .attr('y', 10)
-                .style('font-size', '9px')
-                .style('fill', 'var(--color-text-secondary)')
-                .text(truncatedName);
-        });
+        // Tooltip show handler
+        function showFrequentTooltip(event, d) {
+            showTooltip(tooltip, d.name, [
+                { label: 'Purchased', value: `${d.purchases} times` },
+                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}` },
+                { label: 'Quantity', value: `${d.totalQuantity.toLocaleString()} units` },
+                { label: 'Avg Price', value: `$${d.avgPrice.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}/unit` },
+                { label: 'Price Range', value: `$${d.minPrice.toFixed(2)} - $${d.maxPrice.toFixed(2)}` }
+            ], event, chart.container);
+        }
         
-        // Update function
-        chart.update = function(newData) {
-            createPriceEvolutionChart({ ...chart, data: newData });
-        };
+        // Add bars with animation (using secondary color for distinction)
+        const bars = svg.selectAll('.bar')
+            .data(data)
+            .enter()
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', 0)
+            .attr('y', d => y(d.name))
+            .attr('width', 0)
+            .attr('height', y.bandwidth())
+            .attr('fill', 'var(--color-secondary)')
+            .attr('opacity', 0.8)
+            .style('cursor', 'pointer')
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => `${d.name}: purchased ${d.purchases} times`);
         
-        // Destroy function
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            chart.container.innerHTML = '';
-        };
+        // Animate width
+        bars.transition()
+            .duration(800)
+            .delay((d, i) => i * 50)
+            .attr('width', d => x(d.purchases));
         
-        console.log(`Price evolution chart created with ${lineData.length} items`);
-    }
-    
-    /**
-     * Create warehouse comparison chart
-     */
-    function createWarehouseChart(chart) {
-        console.log('=== CREATING WAREHOUSE COMPARISON CHART ===');
-        const data = chart.data || [];
-        
-        if (data.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No warehouse data available</p>';
-            return;
-        }
-        
-        // Clear container
-        chart.container.innerHTML = '';
-        
-        // Get container dimensions
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 350);
-        
-        // Guard: Skip rendering if container is hidden (zero width)
-        if (containerWidth <= 0) {
-            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
-            chart.needsRender = true;
-            return;
-        }
-        
-        // Set margins
-        const margin = { top: 20, right: 30, bottom: 80, left: 60 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
-        
-        // Create SVG
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-        
-        chart.svg = svg;
-        
-        // Create scales
-        const x = d3.scaleBand()
-            .domain(data.map(d => {
-                if (d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online') {
-                    return 'Online';
-                }
-                return `${d.warehouseNumber}\n${d.warehouseCity || ''}`;
-            }))
-            .range([0, width])
-            .padding(0.3);
-        
-        const y = d3.scaleLinear()
-            .domain([0, d3.max(data, d => d.totalSpent) * 1.1])
-            .nice()
-            .range([height, 0]);
-        
-        // Add x-axis
-        svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x))
-            .selectAll('text')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end')
-            .attr('dx', '-.8em')
-            .attr('dy', '.15em')
-            .style('font-size', '11px');
-        
-        // Add y-axis
-        svg.append('g')
-            .attr('class', 'y-axis')
-            .call(d3.axisLeft(y)
-                .ticks(6)
-                .tickFormat(d => `$${(d/1000).toFixed(0)}k`));
-        
-        // Add y-axis label
-        svg.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', -margin.left + 15)
-            .attr('x', -height / 2)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text('Total Spent ($)');
-        
-        // Tooltip (using standardized factory)
-        const tooltip = createChartTooltip(chart.container);
-        
-        // Tooltip show handler
-        function showWarehouseTooltip(event, d) {
-            const isOnline = d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online';
-            const title = isOnline ? 'Online' : `${d.warehouseName || 'Warehouse'} #${d.warehouseNumber}`;
-            const location = isOnline ? 'Online Orders' : `${d.warehouseCity || ''}, ${d.warehouseState || ''}`;
-            
-            showTooltip(tooltip, title, [
-                { label: 'Location', value: location },
-                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2})}` },
-                { label: 'Trips (unique days)', value: d.tripCount ?? 0 },
-                { label: 'Receipts', value: d.receiptCount ?? 0 },
-                { label: 'Avg/Trip', value: `$${d.avgPerTrip.toLocaleString('en-US', {minimumFractionDigits: 2})}` }
-            ], event, chart.container);
-        }
-        
-        // Add bars with animation
-        const bars = svg.selectAll('.bar')
+        // Add value labels on bars
+        svg.selectAll('.label')
             .data(data)
             .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => {
-                if (d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online') {
-                    return x('Online');
-                }
-                return x(`${d.warehouseNumber}\n${d.warehouseCity || ''}`);
-            })
-            .attr('y', height)
-            .attr('width', x.bandwidth())
-            .attr('height', 0)
-            .attr('fill', 'var(--color-secondary)')
-            .attr('opacity', 0.8)
-            .style('cursor', 'pointer')
-            .attr('tabindex', '0')
-            .attr('role', 'button')
-            .attr('aria-label', d => {
-                const isOnline = d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online';
-                return isOnline 
-                    ? `Online: $${d.totalSpent.toFixed(2)}`
-                    : `${d.warehouseName || 'Warehouse'} #${d.warehouseNumber}: $${d.totalSpent.toFixed(2)}`;
-            });
-        
-        // Animate bars growing
-        bars.transition()
-            .duration(800)
-            .delay((d, i) => i * 100)
-            .attr('y', d => y(d.totalSpent))
-            .attr('height', d => height - y(d.totalSpent));
+            .append('text')
+            .attr('class', 'label')
+            .attr('x', d => x(d.purchases) + 5)
+            .attr('y', d => y(d.name) + y.bandwidth() / 2)
+            .attr('dy', '0.35em')
+            .style('font-size', '11px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text(d => `${d.purchases}x`);
         
-        // Add hover interactions
+        // Add interactivity
         bars.on('mouseover', function(event, d) {
                 d3.select(this)
                     .transition()
                     .duration(200)
                     .attr('opacity', 1)
-                    .attr('fill', 'var(--color-secondary-dark)');
-                showWarehouseTooltip(event, d);
+                    .attr('fill', '#d97706');
+                showFrequentTooltip(event, d);
             })
             .on('mousemove', function(event) {
                 positionTooltip(tooltip, event, chart.container);
@@ -2680,30 +2774,35 @@ const VisualizationManager = (() => {
             })
             .on('focus', function(event) {
                 const d = d3.select(this).datum();
-                d3.select(this).attr('opacity', 1).attr('fill', 'var(--color-secondary-dark)');
-                showWarehouseTooltip(event, d);
+                d3.select(this).attr('opacity', 1).attr('fill', '#d97706');
+                showFrequentTooltip(event, d);
             })
             .on('blur', function() {
                 d3.select(this).attr('opacity', 0.8).attr('fill', 'var(--color-secondary)');
                 hideTooltip(tooltip);
             })
             .on('click', function(event, d) {
-                // Show warehouse drilldown
-                const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
-                showWarehouseDrillDown(d, receipts);
+                EventBus.emit('chart:itemClicked', {
+                    itemNumber: d.itemNumber,
+                    itemName: d.name,
+                    data: d
+                });
             })
             .on('keydown', function(event) {
                 if (event.key === 'Enter' || event.key === ' ') {
                     event.preventDefault();
                     const d = d3.select(this).datum();
-                    const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
-                    showWarehouseDrillDown(d, receipts);
+                    EventBus.emit('chart:itemClicked', {
+                        itemNumber: d.itemNumber,
+                        itemName: d.name,
+                        data: d
+                    });
                 }
             });
         
         // Update function
         chart.update = function(newData) {
-            createWarehouseChart({ ...chart, data: newData });
+            createFrequentItemsChart({ ...chart, data: newData });
         };
         
         // Destroy function
@@ -2712,39 +2811,96 @@ const VisualizationManager = (() => {
             if (svg) svg.remove();
         };
         
-        console.log(`Warehouse chart created with ${data.length} warehouses`);
+        console.log(`Frequent items chart created with ${data.length} items`);
     }
     
     /**
-     * Create savings trend chart (time series)
+     * Create category breakdown chart (treemap)
      */
-    function createSavingsTrendChart(chart) {
-        console.log('=== CREATING SAVINGS TREND CHART ===');
-        console.log('Chart data:', chart.data);
+    function createCategoryChart(chart) {
+        console.log('=== CREATING CATEGORY BREAKDOWN CHART ===');
+        const receipts = chart.data || [];
         
-        const data = chart.data || [];
-        if (data.length === 0) {
-            console.warn('No data available for savings chart');
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No savings data available</p>';
+        if (receipts.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
             return;
         }
         
-        // Filter for months with savings
-        const dataWithSavings = data.filter(d => d.savings && d.savings > 0);
+        // Build hierarchical data by category (user rules, then department) with item details (net of returns)
+        const deptMap = new Map();
+        receipts.forEach(receipt => {
+            if (Array.isArray(receipt.itemArray)) {
+                receipt.itemArray.forEach(item => {
+                    if (item.isDiscount) return;
+                    const category = CategoryManager.categorizeItem(item);
+                    const dept = category.key;
+                    if (!deptMap.has(dept)) {
+                        deptMap.set(dept, {
+                            department: dept,
+                            name: category.name,
+                            value: 0,
+                            items: 0,
+                            itemList: [] // Store individual items for drill-down
+                        });
+                    }
+                    const deptData = deptMap.get(dept);
+                    
+                    // Check if this is a return/refund
+                    const amount = Number(item.amount) || 0;
+                    // item.unit is already normalized to a number (defaults to 1 for "EA", etc.)
+                    const quantity = Number(item.unit) || 1; // Default to 1 if unit is 0 or NaN
+                    const isRefund = (receipt.transactionType === 'Refund' ||
+                                     receipt.transactionType === 'Return' ||
+                                     receipt.transactionType === 'Returned' ||
+                                     (receipt.total || 0) < 0 ||
+                                     amount < 0 ||
+                                     quantity < 0); // Also check if quantity is negative
+                    
+                    // Net aggregation: subtract returns
+                    if (isRefund) {
+                        deptData.value -= Math.abs(amount);
+                        deptData.items -= Math.abs(quantity);
+                    } else {
+                        deptData.value += amount;
+                        deptData.items += Math.abs(quantity);
+                    }
+                    
+                    // Store item details for drill-down
+                    deptData.itemList.push({
+                        name: item.normalizedName,
+                        itemNumber: item.itemNumber,
+                        image: item.fullItemImage || null,
+                        amount: amount,
+                        quantity: quantity, // Keep sign for proper aggregation
+                        unitPrice: item.unitPrice || 0,
+                        date: receipt.transactionDateTime,
+                        isRefund: isRefund
+                    });
+                });
+            }
+        });
         
-        if (dataWithSavings.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No savings recorded</p>';
+        const data = Array.from(deptMap.values())
+            .map(d => ({
+                ...d,
+                value: Math.max(0, d.value), // Ensure non-negative for display
+                items: Math.max(0, d.items)
+            }))
+            .filter(d => d.value > 0) // Only show departments with net positive spend
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 20); // Top 20 departments
+        
+        if (data.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No category data available</p>';
             return;
         }
         
-        console.log(`Creating savings chart with ${dataWithSavings.length} data points`);
-        
         // Clear container
         chart.container.innerHTML = '';
         
-        // Get container dimensions
+        // Get dimensions
         const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 300);
+        const containerHeight = Math.max(chart.container.clientHeight, 400);
         
         // Guard: Skip rendering if container is hidden (zero width)
         if (containerWidth <= 0) {
@@ -2753,8 +2909,7 @@ const VisualizationManager = (() => {
             return;
         }
         
-        // Set margins and dimensions
-        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const margin = { top: 10, right: 10, bottom: 10, left: 10 };
         const width = containerWidth - margin.left - margin.right;
         const height = containerHeight - margin.top - margin.bottom;
         
@@ -2768,160 +2923,117 @@ const VisualizationManager = (() => {
         
         chart.svg = svg;
         
-        // Parse dates and prepare data
-        const parseDate = d3.timeParse('%Y-%m');
-        const dataWithDates = dataWithSavings.map(d => ({
-            ...d,
-            date: parseDate(d.month)
-        })).sort((a, b) => a.date - b.date);
-        
-        // Create scales
-        const x = d3.scaleTime()
-            .domain(d3.extent(dataWithDates, d => d.date))
-            .range([0, width]);
-        
-        const y = d3.scaleLinear()
-            .domain([0, d3.max(dataWithDates, d => d.savings) * 1.1])
-            .nice()
-            .range([height, 0]);
-        
-        // Create gradient for area
-        const gradient = svg.append('defs')
-            .append('linearGradient')
-            .attr('id', `savings-gradient-${chart.id}`)
-            .attr('x1', '0%')
-            .attr('y1', '0%')
-            .attr('x2', '0%')
-            .attr('y2', '100%');
-        
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', '#22c55e')
-            .attr('stop-opacity', 0.3);
-        
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', '#22c55e')
-            .attr('stop-opacity', 0);
-        
-        // Create area
-        const area = d3.area()
-            .x(d => x(d.date))
-            .y0(height)
-            .y1(d => y(d.savings))
-            .curve(d3.curveMonotoneX);
-        
-        // Add area path
-        svg.append('path')
-            .datum(dataWithDates)
-            .attr('fill', `url(#savings-gradient-${chart.id})`)
-            .attr('d', area);
-        
-        // Create line
-        const line = d3.line()
-            .x(d => x(d.date))
-            .y(d => y(d.savings))
-            .curve(d3.curveMonotoneX);
-        
-        // Add line path
-        svg.append('path')
-            .datum(dataWithDates)
-            .attr('fill', 'none')
-            .attr('stroke', '#22c55e')
-            .attr('stroke-width', 2)
-            .attr('d', line);
-        
-        // Add X axis
-        svg.append('g')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x)
-                .ticks(Math.min(dataWithDates.length, 8))
-                .tickFormat(d3.timeFormat('%b %Y')))
-            .selectAll('text')
-            .style('text-anchor', 'end')
-            .attr('dx', '-.8em')
-            .attr('dy', '.15em')
-            .attr('transform', 'rotate(-45)');
+        // Create hierarchy
+        const root = d3.hierarchy({ children: data })
+            .sum(d => d.value)
+            .sort((a, b) => b.value - a.value);
         
-        // Add Y axis
-        svg.append('g')
-            .call(d3.axisLeft(y)
-                .ticks(6)
-                .tickFormat(d => `$${d.toFixed(0)}`));
+        // Create treemap layout
+        d3.treemap()
+            .size([width, height])
+            .padding(2)
+            .round(true)(root);
         
-        // Add Y axis label
-        svg.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', 0 - margin.left)
-            .attr('x', 0 - (height / 2))
-            .attr('dy', '1em')
-            .style('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text('Savings ($)');
+        // Color scale
+        const color = d3.scaleOrdinal(d3.schemeCategory10);
         
-        // Create tooltip
+        // Tooltip (using standardized factory)
         const tooltip = createChartTooltip(chart.container);
         
-        // Add interactive circles
-        svg.selectAll('circle')
-            .data(dataWithDates)
+        // Tooltip show handler
+        function showCellTooltip(event, d) {
+            showTooltip(tooltip, escapeHtml(d.data.name), [
+                { label: 'Total Spent', value: `$${d.data.value.toLocaleString('en-US', {minimumFractionDigits: 2})}` },
+                { label: 'Items', value: d.data.items },
+                { label: '', value: '👆 Click to see items', className: 'positive' }
+            ], event, chart.container);
+        }
+        
+        // Create cells
+        const cell = svg.selectAll('g')
+            .data(root.leaves())
             .enter()
-            .append('circle')
-            .attr('cx', d => x(d.date))
-            .attr('cy', d => y(d.savings))
-            .attr('r', 4)
-            .attr('fill', '#22c55e')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
+            .append('g')
+            .attr('transform', d => `translate(${d.x0},${d.y0})`);
+        
+        // Add rectangles
+        cell.append('rect')
+            .attr('width', d => d.x1 - d.x0)
+            .attr('height', d => d.y1 - d.y0)
+            .attr('fill', d => color(d.data.department))
+            .attr('opacity', 0.8)
+            .style('cursor', 'pointer')
             .attr('tabindex', '0')
             .attr('role', 'button')
-            .attr('aria-label', d => `${d3.timeFormat('%B %Y')(d.date)}: $${d.savings.toFixed(2)} saved`)
-            .style('cursor', 'pointer')
+            .attr('aria-label', d => `${d.data.name}: $${d.data.value.toFixed(2)}`)
             .on('mouseover', function(event, d) {
-                d3.select(this)
-                    .attr('r', 6)
-                    .attr('stroke-width', 3);
-                
-                const savingsRate = d.total > 0 ? (d.savings / d.total * 100).toFixed(2) : 0;
-                
-                showTooltip(
-                    tooltip,
-                    `<strong>${d3.timeFormat('%B %Y')(d.date)}</strong><br/>
-                     Savings: <strong style="color: #22c55e;">$${d.savings.toFixed(2)}</strong><br/>
-                     Spent: $${d.total.toFixed(2)}<br/>
-                     Rate: ${savingsRate}%`,
-                    event,
-                    chart.container
-                );
+                d3.select(this).attr('opacity', 1);
+                showCellTooltip(event, d);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
             })
             .on('mouseout', function() {
-                d3.select(this)
-                    .attr('r', 4)
-                    .attr('stroke-width', 2);
+                d3.select(this).attr('opacity', 0.8);
                 hideTooltip(tooltip);
             })
-            .on('focus', function(event, d) {
-                d3.select(this).attr('r', 6);
-                const savingsRate = d.total > 0 ? (d.savings / d.total * 100).toFixed(2) : 0;
-                showTooltip(
-                    tooltip,
-                    `<strong>${d3.timeFormat('%B %Y')(d.date)}</strong><br/>
-                     Savings: <strong style="color: #22c55e;">$${d.savings.toFixed(2)}</strong><br/>
-                     Spent: $${d.total.toFixed(2)}<br/>
-                     Rate: ${savingsRate}%`,
-                    event,
-                    chart.container
-                );
+            .on('focus', function(event) {
+                const d = d3.select(this).datum();
+                d3.select(this).attr('opacity', 1);
+                showCellTooltip(event, d);
             })
             .on('blur', function() {
-                d3.select(this).attr('r', 4);
+                d3.select(this).attr('opacity', 0.8);
+                hideTooltip(tooltip);
+            })
+            .on('click', function(event, d) {
                 hideTooltip(tooltip);
+                showDepartmentDrillDown(d.data, chart.container);
+            })
+            .on('keydown', function(event) {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    const d = d3.select(this).datum();
+                    hideTooltip(tooltip);
+                    showDepartmentDrillDown(d.data, chart.container);
+                }
+            });
+        
+        // Add text labels (for larger cells)
+        cell.append('text')
+            .attr('x', 4)
+            .attr('y', 16)
+            .style('font-size', '11px')
+            .style('fill', 'white')
+            .style('font-weight', 'bold')
+            .style('pointer-events', 'none')
+            .text(d => {
+                const width = d.x1 - d.x0;
+                const height = d.y1 - d.y0;
+                if (width > 50 && height > 30) {
+                    const name = d.data.name || CategoryManager.getCategoryName(d.data.department);
+                    // Truncate if too long for cell
+                    const maxLength = Math.floor(width / 6);
+                    return name.length > maxLength ? name.substring(0, maxLength - 3) + '...' : name;
+                }
+                return '';
+            });
+        
+        cell.append('text')
+            .attr('x', 4)
+            .attr('y', 30)
+            .style('font-size', '10px')
+            .style('fill', 'white')
+            .style('pointer-events', 'none')
+            .text(d => {
+                const width = d.x1 - d.x0;
+                const height = d.y1 - d.y0;
+                return (width > 60 && height > 45) ? `$${(d.data.value/1000).toFixed(1)}k` : '';
             });
         
         // Update function
         chart.update = function(newData) {
-            createSavingsTrendChart({ ...chart, data: newData });
+            createCategoryChart({ ...chart, data: newData });
         };
         
         // Destroy function
@@ -2930,1310 +3042,5448 @@ const VisualizationManager = (() => {
             if (svg) svg.remove();
         };
         
-        console.log(`Savings trend chart created with ${dataWithDates.length} points`);
+        console.log(`Category chart created with ${data.length} departments`);
     }
-
+    
     /**
-     * Create monthly tax rate trend chart (bars showing effective tax rate)
+     * Show drill-down modal for department items
      */
-    function createTaxRateTrendChart(chart) {
-        const data = chart.data || [];
-        if (data.length === 0) {
-            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No tax data available</p>';
-            return;
-        }
+    function showDepartmentDrillDown(departmentData, container) {
+        // Create modal overlay
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.7);
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 2rem;
+        `;
         
-        // Clear container
-        chart.container.innerHTML = '';
+        // Aggregate items by product
+        const itemMap = new Map();
+        departmentData.itemList.forEach(item => {
+            const product = ProductIdentity.getProduct(item.itemNumber);
+            if (!itemMap.has(product.key)) {
+                itemMap.set(product.key, {
+                    name: product.name || item.name,
+                    itemNumber: product.key,
+                    image: item.image || null,
+                    totalAmount: 0,
+                    totalQuantity: 0,
+                    purchases: 0,
+                    returns: 0,
+                    avgPrice: 0
+                });
+            }
+            const agg = itemMap.get(product.key);
+            if (!agg.image && item.image) {
+                agg.image = item.image;
+            }
+            
+            // Net aggregation: subtract returns
+            if (item.isRefund) {
+                agg.totalAmount -= Math.abs(item.amount);
+                agg.totalQuantity -= Math.abs(item.quantity);
+                agg.returns++;
+            } else {
+            agg.totalAmount += item.amount;
+            agg.totalQuantity += item.quantity;
+            agg.purchases++;
+            }
+        });
         
-        const containerWidth = chart.container.clientWidth;
-        const containerHeight = Math.max(chart.container.clientHeight, 260);
+        // Calculate averages and sort (net of returns)
+        const items = Array.from(itemMap.values())
+            .map(item => {
+                const netQty = item.totalQuantity; // preserve sign
+                const netAmt = item.totalAmount;
+                return {
+            ...item,
+                    totalAmount: netAmt,
+                    totalQuantity: netQty,
+                    avgPrice: netQty > 0 ? netAmt / netQty : 0
+                };
+            })
+            // Only show items with positive net qty and net amount
+            .filter(item => item.totalQuantity > 0 && item.totalAmount > 0)
+            // Sort by net amount descending
+            .sort((a, b) => b.totalAmount - a.totalAmount);
         
-        if (containerWidth <= 0) {
-            chart.needsRender = true;
-            return;
-        }
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.style.cssText = `
+            background: var(--color-surface);
+            border-radius: var(--radius-lg);
+            max-width: 900px;
+            width: 100%;
+            max-height: 80vh;
+            overflow: hidden;
+            display: flex;
+            flex-direction: column;
+            box-shadow: var(--shadow-xl);
+        `;
         
-        const margin = { top: 16, right: 16, bottom: 52, left: 64 };
-        const width = containerWidth - margin.left - margin.right;
-        const height = containerHeight - margin.top - margin.bottom;
+        // Header
+        const header = document.createElement('div');
+        header.style.cssText = `
+            padding: 1.5rem;
+            border-bottom: 1px solid var(--color-border);
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        `;
+        header.innerHTML = `
+            <div>
+                <h3 style="margin: 0; font-size: 1.25rem; color: var(--color-text-primary);">
+                    ${escapeHtml(departmentData.name || CategoryManager.getCategoryName(departmentData.department))} Items
+                </h3>
+                <p style="margin: 0.5rem 0 0 0; font-size: 0.875rem; color: var(--color-text-tertiary);">
+                    ${items.length} unique items • $${Math.max(0, departmentData.value).toLocaleString('en-US', {minimumFractionDigits: 2})} net total
+                </p>
+            </div>
+            <button id="close-drill-down" style="
+                background: none;
+                border: none;
+                font-size: 1.5rem;
+                cursor: pointer;
+                color: var(--color-text-secondary);
+                padding: 0;
+                width: 2rem;
+                height: 2rem;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            ">&times;</button>
+        `;
         
-        const svg = d3.select(chart.container)
-            .append('svg')
-            .attr('width', containerWidth)
-            .attr('height', containerHeight)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+        // Content (scrollable table)
+        const content = document.createElement('div');
+        content.style.cssText = `
+            flex: 1;
+            overflow-y: auto;
+            padding: 1.5rem;
+        `;
         
-        chart.svg = svg;
+        const table = document.createElement('table');
+        table.style.cssText = `
+            width: 100%;
+            border-collapse: collapse;
+        `;
         
-        const parseDate = d3.timeParse('%Y-%m');
-        const formatMonth = d3.timeFormat('%b %Y');
-        const dataWithRates = data
-            .map(d => {
-                const date = parseDate(d.month);
-                const total = Number(d.total) || 0;
-                const taxes = Number(d.taxes) || 0;
-                const rate = total > 0 ? (taxes / total) * 100 : 0;
-                return { ...d, date, total, taxes, rate };
-            })
-            .filter(d => d.date)
-            .sort((a, b) => a.date - b.date);
+        // Table header
+        table.innerHTML = `
+            <thead>
+                <tr style="border-bottom: 2px solid var(--color-border);">
+                    <th style="text-align: left; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Item</th>
+                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Net Qty</th>
+                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Avg Price</th>
+                    <th style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-secondary);">Net Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${items.map(item => `
+                    <tr style="border-bottom: 1px solid var(--color-border);">
+                        <td style="padding: 0.75rem; display: flex; align-items: center; gap: 0.75rem;">
+                            ${item.image ? `<img src="${item.image}" alt="${item.name}" style="width: 48px; height: 48px; object-fit: contain; border: 1px solid var(--color-border); border-radius: 6px; background: white;">` : ''}
+                            <div>
+                            <div style="font-weight: 500; color: var(--color-text-primary);">${item.name}</div>
+                            <div style="font-size: 0.75rem; color: var(--color-text-tertiary);">#${item.itemNumber}</div>
+                            </div>
+                        </td>
+                        <td style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-text-primary);">${item.totalQuantity.toFixed(1)}</td>
+                        <td style="text-align: right; padding: 0.75rem; color: var(--color-text-secondary);">$${item.avgPrice.toFixed(2)}</td>
+                        <td style="text-align: right; padding: 0.75rem; font-weight: 600; color: var(--color-primary);">$${item.totalAmount.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
         
-        const monthLookup = new Map(dataWithRates.map(d => [d.month, d.date]));
-        const maxRate = d3.max(dataWithRates, d => d.rate) || 0;
+        content.appendChild(table);
         
-        const x = d3.scaleBand()
-            .domain(dataWithRates.map(d => d.month))
-            .range([0, width])
-            .padding(0.2);
+        // Assemble modal
+        modalContent.appendChild(header);
+        modalContent.appendChild(content);
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
         
-        const y = d3.scaleLinear()
-            .domain([0, Math.max(5, maxRate * 1.1)])
-            .nice()
-            .range([height, 0]);
+        // Close handlers
+        const closeModal = () => {
+            document.body.removeChild(modal);
+        };
         
-        // Grid lines
-        svg.append('g')
-            .attr('class', 'grid')
-            .attr('opacity', 0.1)
-            .call(d3.axisLeft(y).ticks(6).tickSize(-width).tickFormat(''));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
         
-        // Bars
-        const tooltip = createChartTooltip(chart.container);
-        svg.selectAll('.bar')
-            .data(dataWithRates)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => x(d.month))
-            .attr('y', d => y(d.rate))
-            .attr('width', x.bandwidth())
-            .attr('height', d => height - y(d.rate))
-            .attr('fill', '#7c3aed')
-            .attr('rx', 4)
-            .attr('tabindex', '0')
-            .attr('role', 'button')
-            .attr('aria-label', d => `${formatMonth(d.date)}: ${d.rate.toFixed(2)}% tax rate`);
+        document.getElementById('close-drill-down').addEventListener('click', closeModal);
         
-        function showBarTooltip(event, d) {
-            showTooltip(tooltip, formatMonth(d.date), [
-                { label: 'Effective rate', value: `${d.rate.toFixed(2)}%` },
-                { label: 'Tax', value: `$${d.taxes.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
-                { label: 'Spent', value: `$${d.total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` }
-            ], event, chart.container);
-        }
+        // ESC key handler
+        const escHandler = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+                document.removeEventListener('keydown', escHandler);
+            }
+        };
+        document.addEventListener('keydown', escHandler);
+    }
+    
+    /**
+     * Open a generic drilldown side panel
+     * @param {string} title - Panel title (HTML allowed)
+     * @param {string} contentHtml - Panel body HTML
+     * @param {string} extraClass - Optional extra class for the panel
+     * @returns {HTMLElement} Panel element
+     */
+    function openDrillDownPanel(title, contentHtml, extraClass = '') {
+        const overlay = document.createElement('div');
+        overlay.className = 'drilldown-overlay';
         
-        svg.selectAll('.bar')
-            .on('mouseover', function(event, d) {
-                d3.select(this).attr('fill', '#5b21b6');
-                showBarTooltip(event, d);
-            })
-            .on('mousemove', function(event) {
-                positionTooltip(tooltip, event, chart.container);
-            })
-            .on('mouseout', function() {
-                d3.select(this).attr('fill', '#7c3aed');
-                hideTooltip(tooltip);
-            })
-            .on('focus', function(event) {
-                const d = d3.select(this).datum();
-                showBarTooltip(event, d);
-            })
-            .on('blur', function() {
-                hideTooltip(tooltip);
-            });
+        const panel = document.createElement('div');
+        panel.className = `drilldown-panel ${extraClass}`.trim();
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.innerHTML = `
+            <div class="drilldown-header">
+                <h3 class="drilldown-title">${title}</h3>
+                <button class="drilldown-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="drilldown-content">${contentHtml}</div>
+        `;
         
-        // Axes
-        svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x)
-                .tickFormat(m => {
-                    const date = monthLookup.get(m);
-                    return date ? d3.timeFormat('%b %y')(date) : m;
-                }))
-            .selectAll('text')
+        document.body.appendChild(overlay);
+        document.body.appendChild(panel);
+        
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+            panel.classList.add('open');
+        });
+        
+        const escHandler = (e) => {
+            if (e.key === 'Escape') closePanel();
+        };
+        
+        function closePanel() {
+            document.removeEventListener('keydown', escHandler);
+            overlay.classList.remove('visible');
+            panel.classList.remove('open');
+            setTimeout(() => {
+                overlay.remove();
+                panel.remove();
+            }, 300);
+        }
+        
+        overlay.addEventListener('click', closePanel);
+        panel.querySelector('.drilldown-close').addEventListener('click', closePanel);
+        document.addEventListener('keydown', escHandler);
+        panel.querySelector('.drilldown-close').focus();
+        
+        return panel;
+    }
+    
+    /**
+     * Show a single receipt reconstructed like the paper original
+     * @param {Object} receipt - Normalized receipt
+     */
+    function showReceiptDrillDown(receipt) {
+        if (!receipt) return;
+        
+        const money = (value) => {
+            const num = Number(value) || 0;
+            return `${num < 0 ? '-' : ''}${Math.abs(num).toFixed(2)}`;
+        };
+        const line = (left, right = '', className = '') => `
+            <div class="receipt-line ${className}">
+                <span class="receipt-line-left">${left}</span>
+                <span class="receipt-line-right">${right}</span>
+            </div>`;
+        
+        const items = Array.isArray(receipt.itemArray) ? receipt.itemArray : [];
+        const products = items.filter(item => !item.isDiscount);
+        const discounts = items.filter(item => item.isDiscount);
+        
+        // Attach each discount line to the item it references
+        const discountsByItem = new Map();
+        const unmatchedDiscounts = [];
+        discounts.forEach(discount => {
+            const target = discount.discountAppliesTo;
+            if (target && products.some(p => p.itemNumber === target)) {
+                if (!discountsByItem.has(target)) discountsByItem.set(target, []);
+                discountsByItem.get(target).push(discount);
+            } else {
+                unmatchedDiscounts.push(discount);
+            }
+        });
+        
+        const itemLines = products.map(item => {
+            const qty = Number(item.unit) || 0;
+            const qtyLabel = Math.abs(qty) > 1 ? `${qty} @ ${money(item.unitPrice)}` : '';
+            const taxMark = item.taxFlag && item.taxFlag !== 'N' ? ` ${escapeHtml(item.taxFlag)}` : '';
+            const itemDiscounts = discountsByItem.get(item.itemNumber) || [];
+            const netAmount = item.amount + itemDiscounts.reduce((sum, d) => sum + d.amount, 0);
+            
+            return `
+                <div class="receipt-item">
+                    ${line(`<span class="receipt-item-number">${escapeHtml(item.itemNumber)}</span> ${escapeHtml(item.normalizedName)}`, `${money(item.amount)}${taxMark}`)}
+                    ${qtyLabel ? line(`<span class="receipt-indent">${qtyLabel}</span>`, '', 'muted') : ''}
+                    ${itemDiscounts.map(d => line(`<span class="receipt-indent">Instant savings /${escapeHtml(d.discountAppliesTo)}</span>`, money(d.amount), 'discount')).join('')}
+                    ${itemDiscounts.length > 0 ? line('<span class="receipt-indent">You pay</span>', money(netAmount), 'muted') : ''}
+                </div>`;
+        }).join('');
+        
+        const unmatchedLines = unmatchedDiscounts.map(d =>
+            line(escapeHtml(d.normalizedName), money(d.amount), 'discount')
+        ).join('');
+        
+        const taxLines = DataProcessor.getTaxLines(receipt).map(tax =>
+            line(`TAX${tax.code ? ` ${escapeHtml(tax.code)}` : ''}${tax.percent ? ` ${tax.percent}%` : ''}${tax.legend && tax.legend !== tax.code ? ` (${escapeHtml(tax.legend)})` : ''}`, money(tax.amount))
+        ).join('');
+        
+        const tenderLines = DataProcessor.getTenders(receipt).map(tender =>
+            line(`${escapeHtml(tender.type)}${tender.last4 ? ` ****${escapeHtml(tender.last4)}` : ''}${tender.entryMethod ? ` <span class="muted">(${escapeHtml(tender.entryMethod)})</span>` : ''}`, money(tender.amount))
+        ).join('');
+        
+        const date = receipt.transactionDateTime instanceof Date
+            ? receipt.transactionDateTime.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+            : escapeHtml(receipt.transactionDate || 'Unknown date');
+        const location = escapeHtml(getWarehouseLabel(receipt));
+        const cityLine = receipt.warehouseFullAddress
+            ? escapeHtml(receipt.warehouseFullAddress)
+            : [receipt.warehouseCity, receipt.warehouseState].filter(Boolean).map(escapeHtml).join(', ');
+        
+        const content = `
+            <div class="receipt-paper">
+                <div class="receipt-header">
+                    <div class="receipt-store">${location}</div>
+                    ${cityLine ? `<div>${cityLine}</div>` : ''}
+                    <div>${date}</div>
+                    ${receipt.membershipNumber ? `<div>Member ${escapeHtml(receipt.membershipNumber)}</div>` : ''}
+                    ${receipt.transactionType && receipt.transactionType !== 'Sales' ? `<div class="receipt-type">${escapeHtml(receipt.transactionType.toUpperCase())}</div>` : ''}
+                </div>
+                <div class="receipt-rule"></div>
+                ${itemLines || line('No line items', '', 'muted')}
+                ${unmatchedLines}
+                <div class="receipt-rule"></div>
+                ${line('SUBTOTAL', money(receipt.subTotal))}
+                ${taxLines}
+                ${line('**** TOTAL', money(receipt.total), 'total')}
+                ${tenderLines ? `<div class="receipt-rule"></div>${tenderLines}` : ''}
+                <div class="receipt-rule"></div>
+                ${receipt.instantSavings > 0 ? line('INSTANT SAVINGS', money(receipt.instantSavings), 'discount') : ''}
+                ${line('ITEMS SOLD', String(products.length))}
+                ${receipt.transactionNumber ? line('TRANSACTION', escapeHtml(receipt.transactionNumber), 'muted') : ''}
+                ${receipt.sourceFile ? line('SOURCE FILE', escapeHtml(receipt.sourceFile), 'muted') : ''}
+                ${ReceiptOverrides.isEdited(receipt) ? line('EDITED BY YOU', '', 'muted') : ''}
+            </div>
+            <div class="receipt-drilldown-actions">
+                <button type="button" class="btn btn-secondary btn-sm" data-receipt-action="edit">Edit Receipt</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-receipt-action="delete">Delete Receipt</button>
+            </div>
+        `;
+        
+        const panel = openDrillDownPanel('🧾 Receipt', content, 'receipt-drilldown');
+        
+        // The UI owns the editor; close the panel and hand off the request
+        panel.querySelectorAll('[data-receipt-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                panel.querySelector('.drilldown-close').click();
+                EventBus.emit(`receipt:${btn.dataset.receiptAction}Requested`, { receiptKey: DataProcessor.getReceiptKey(receipt) });
+            });
+        });
+    }
+    
+    /**
+     * Show item detail drilldown panel
+     * @param {Object} itemData - Item data from chart
+     * @param {Array} allReceipts - All receipts to find purchase history
+     */
+    function showItemDrillDown(itemData, allReceipts) {
+        // Find all purchases of this product (any of its item numbers)
+        const productKey = ProductIdentity.getProductKey(itemData.itemNumber);
+        const productItemNumbers = ProductIdentity.getProduct(productKey).itemNumbers;
+        const purchases = [];
+        allReceipts.forEach(receipt => {
+            if (!receipt.itemArray) return;
+            receipt.itemArray.forEach(item => {
+                if (!item.isDiscount && ProductIdentity.getProductKey(item.itemNumber) === productKey) {
+                    purchases.push({
+                        date: receipt.transactionDateTime,
+                        dateStr: receipt.transactionDateISO || receipt.transactionDate,
+                        warehouse: receipt.warehouseName || receipt.warehouse || 'Unknown',
+                        price: item.unitPrice || item.amount,
+                        quantity: item.unit || 1,
+                        amount: item.amount,
+                        channel: receipt.channel || 'warehouse'
+                    });
+                }
+            });
+        });
+        
+        // Sort by date descending
+        purchases.sort((a, b) => (b.date || 0) - (a.date || 0));
+        
+        // Calculate price stats
+        const prices = purchases.map(p => p.price).filter(p => p > 0);
+        const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
+        const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
+        const avgPrice = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
+        
+        // Create drilldown panel
+        const overlay = document.createElement('div');
+        overlay.className = 'drilldown-overlay';
+        
+        const panel = document.createElement('div');
+        panel.className = 'drilldown-panel';
+        panel.innerHTML = `
+            <div class="drilldown-header">
+                <h3 class="drilldown-title">🏷️ ${itemData.name || 'Item'}</h3>
+                <button class="drilldown-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="drilldown-content">
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">📊 Summary</div>
+                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem;">
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">${productItemNumbers.length > 1 ? 'Item Numbers' : 'Item Number'}</div>
+                            <div class="stat-value" style="font-size: 1rem;">${productItemNumbers.map(num => `#${escapeHtml(num)}`).join(', ')}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Times Purchased</div>
+                            <div class="stat-value" style="font-size: 1rem;">${purchases.length}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Total Spent</div>
+                            <div class="stat-value" style="font-size: 1rem;">$${itemData.totalSpent?.toFixed(2) || '0.00'}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Total Quantity</div>
+                            <div class="stat-value" style="font-size: 1rem;">${itemData.totalQuantity?.toFixed(1) || '0'}</div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">💰 Price Analysis</div>
+                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem;">
+                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
+                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Min Price</div>
+                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-success);">$${minPrice.toFixed(2)}</div>
+                        </div>
+                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
+                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Avg Price</div>
+                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-primary);">$${avgPrice.toFixed(2)}</div>
+                        </div>
+                        <div style="text-align: center; padding: 1rem; background: var(--color-surface-elevated); border-radius: var(--radius-md);">
+                            <div style="font-size: 0.75rem; color: var(--color-text-secondary);">Max Price</div>
+                            <div style="font-size: 1.25rem; font-weight: 600; color: var(--color-error);">$${maxPrice.toFixed(2)}</div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">📅 Purchase History</div>
+                    <div style="max-height: 300px; overflow-y: auto;">
+                        <table style="width: 100%; font-size: 0.85rem; border-collapse: collapse;">
+                            <thead style="position: sticky; top: 0; background: var(--color-surface);">
+                                <tr style="border-bottom: 2px solid var(--color-border);">
+                                    <th style="text-align: left; padding: 0.5rem;">Date</th>
+                                    <th style="text-align: left; padding: 0.5rem;">Location</th>
+                                    <th style="text-align: right; padding: 0.5rem;">Qty</th>
+                                    <th style="text-align: right; padding: 0.5rem;">Price</th>
+                                    <th style="text-align: right; padding: 0.5rem;">Total</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${purchases.slice(0, 50).map(p => `
+                                    <tr style="border-bottom: 1px solid var(--color-border);">
+                                        <td style="padding: 0.5rem; color: var(--color-text-secondary);">${p.dateStr || 'Unknown'}</td>
+                                        <td style="padding: 0.5rem;">${p.warehouse}</td>
+                                        <td style="text-align: right; padding: 0.5rem;">${p.quantity}</td>
+                                        <td style="text-align: right; padding: 0.5rem;">$${p.price?.toFixed(2) || '—'}</td>
+                                        <td style="text-align: right; padding: 0.5rem; font-weight: 500;">$${p.amount?.toFixed(2) || '—'}</td>
+                                    </tr>
+                                `).join('')}
+                                ${purchases.length > 50 ? `<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">+ ${purchases.length - 50} more purchases</td></tr>` : ''}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(overlay);
+        document.body.appendChild(panel);
+        
+        // Trigger animation
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+            panel.classList.add('open');
+        });
+        
+        // Close handlers
+        const closePanel = () => {
+            overlay.classList.remove('visible');
+            panel.classList.remove('open');
+            setTimeout(() => {
+                overlay.remove();
+                panel.remove();
+            }, 300);
+        };
+        
+        overlay.addEventListener('click', closePanel);
+        panel.querySelector('.drilldown-close').addEventListener('click', closePanel);
+        
+        // ESC key handler
+        const escHandler = (e) => {
+            if (e.key === 'Escape') {
+                closePanel();
+                document.removeEventListener('keydown', escHandler);
+            }
+        };
+        document.addEventListener('keydown', escHandler);
+    }
+    
+    /**
+     * Show warehouse detail drilldown panel
+     * @param {Object} warehouseData - Warehouse data from chart
+     * @param {Array} allReceipts - All receipts to find warehouse history
+     */
+    function showWarehouseDrillDown(warehouseData, allReceipts) {
+        // Find all receipts from this warehouse
+        const warehouseReceipts = allReceipts.filter(r => {
+            if (warehouseData.warehouseNumber === 'ONLINE') {
+                // Filter for online orders
+                return r.channel === 'online' || 
+                       r.documentType === 'ONLINE' || 
+                       r.documentType === 'OnlineReceipts' ||
+                       r.warehouseName === 'Online';
+            } else {
+                return r.warehouseNumber === warehouseData.warehouseNumber ||
+                       r.warehouse === warehouseData.warehouseNumber;
+            }
+        });
+        
+        // Calculate top items at this warehouse
+        const itemMap = new Map();
+        warehouseReceipts.forEach(receipt => {
+            if (!receipt.itemArray) return;
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount || !item.itemNumber) return;
+                const product = ProductIdentity.getProduct(item.itemNumber);
+                if (!itemMap.has(product.key)) {
+                    itemMap.set(product.key, {
+                        name: product.name || item.normalizedName || item.itemDescription01,
+                        itemNumber: product.key,
+                        totalSpent: 0,
+                        purchases: 0
+                    });
+                }
+                const data = itemMap.get(product.key);
+                data.totalSpent += Math.abs(item.amount || 0);
+                data.purchases++;
+            });
+        });
+        
+        const topItems = Array.from(itemMap.values())
+            .sort((a, b) => b.totalSpent - a.totalSpent)
+            .slice(0, 10);
+        
+        // Monthly spending at this warehouse
+        const monthlySpend = {};
+        warehouseReceipts.forEach(r => {
+            if (!r.transactionDateTime) return;
+            const date = new Date(r.transactionDateTime);
+            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            monthlySpend[monthKey] = (monthlySpend[monthKey] || 0) + Math.abs(Number(r.total) || 0);
+        });
+        
+        // Create drilldown panel
+        const overlay = document.createElement('div');
+        overlay.className = 'drilldown-overlay';
+        
+        const panel = document.createElement('div');
+        panel.className = 'drilldown-panel';
+        const isOnline = warehouseData.warehouseNumber === 'ONLINE' || warehouseData.warehouseName === 'Online';
+        const title = isOnline ? '🛒 Online Orders' : `🏪 ${warehouseData.warehouseName || 'Warehouse'} #${warehouseData.warehouseNumber}`;
+        
+        panel.innerHTML = `
+            <div class="drilldown-header">
+                <h3 class="drilldown-title">${title}</h3>
+                <button class="drilldown-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="drilldown-content">
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">📍 Location</div>
+                    <p style="color: var(--color-text-secondary); margin: 0;">
+                        ${isOnline ? 'Online Orders' : (warehouseData.warehouseCity || '') + (warehouseData.warehouseCity && warehouseData.warehouseState ? ', ' : '') + (warehouseData.warehouseState || '')}
+                    </p>
+                </div>
+                
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">📊 Summary</div>
+                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem;">
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Trips (unique days)</div>
+                            <div class="stat-value" style="font-size: 1rem;">${warehouseData.tripCount ?? 0}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Receipts</div>
+                            <div class="stat-value" style="font-size: 1rem;">${warehouseData.receiptCount ?? 0}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Total Spent</div>
+                            <div class="stat-value" style="font-size: 1rem;">$${warehouseData.totalSpent?.toLocaleString('en-US', {minimumFractionDigits: 2}) || '0.00'}</div>
+                        </div>
+                        <div class="stat-card" style="padding: 1rem;">
+                            <div class="stat-label">Avg Per Trip</div>
+                            <div class="stat-value" style="font-size: 1rem;">$${warehouseData.avgPerTrip?.toFixed(2) || '0.00'}</div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="drilldown-section">
+                    <div class="drilldown-section-title">🏆 Top Items at This Location</div>
+                    <div style="max-height: 250px; overflow-y: auto;">
+                        <table style="width: 100%; font-size: 0.85rem; border-collapse: collapse;">
+                            <thead style="position: sticky; top: 0; background: var(--color-surface);">
+                                <tr style="border-bottom: 2px solid var(--color-border);">
+                                    <th style="text-align: left; padding: 0.5rem;">Item</th>
+                                    <th style="text-align: right; padding: 0.5rem;">Purchases</th>
+                                    <th style="text-align: right; padding: 0.5rem;">Total</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${topItems.map(item => `
+                                    <tr style="border-bottom: 1px solid var(--color-border);">
+                                        <td style="padding: 0.5rem;">
+                                            <div style="font-weight: 500;">${item.name || 'Unknown'}</div>
+                                            <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">#${item.itemNumber}</div>
+                                        </td>
+                                        <td style="text-align: right; padding: 0.5rem;">${item.purchases}</td>
+                                        <td style="text-align: right; padding: 0.5rem; font-weight: 500; color: var(--color-primary);">$${item.totalSpent.toFixed(2)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(overlay);
+        document.body.appendChild(panel);
+        
+        // Trigger animation
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+            panel.classList.add('open');
+        });
+        
+        // Close handlers
+        const closePanel = () => {
+            overlay.classList.remove('visible');
+            panel.classList.remove('open');
+            setTimeout(() => {
+                overlay.remove();
+                panel.remove();
+            }, 300);
+        };
+        
+        overlay.addEventListener('click', closePanel);
+        panel.querySelector('.drilldown-close').addEventListener('click', closePanel);
+        
+        // ESC key handler
+        const escHandler = (e) => {
+            if (e.key === 'Escape') {
+                closePanel();
+                document.removeEventListener('keydown', escHandler);
+            }
+        };
+        document.addEventListener('keydown', escHandler);
+    }
+    
+    /**
+     * Create calendar heatmap
+     */
+    function createCalendarHeatmap(chart) {
+        console.log('=== CREATING CALENDAR HEATMAP ===');
+        const receipts = chart.data || [];
+        
+        if (receipts.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No data available</p>';
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        // Guard: Skip rendering if container is hidden (zero width)
+        const containerWidth = chart.container.clientWidth;
+        if (containerWidth <= 0) {
+            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
+            chart.needsRender = true;
+            return;
+        }
+        
+        // Determine metric (visits, spend, items)
+        const metricSelect = document.getElementById('calendar-metric');
+        // Bind change listener once to refresh chart on metric switch
+        if (metricSelect && !metricSelect.dataset.boundCalendarMetric) {
+            metricSelect.addEventListener('change', () => {
+                // Re-render using existing data; createCalendarHeatmap will read the new metric value
+                chart.update(chart.data);
+            });
+            metricSelect.dataset.boundCalendarMetric = 'true';
+        }
+        const metric = metricSelect ? metricSelect.value : 'visits';
+        const metricLabels = {
+            visits: { label: 'Trips', formatter: v => `${v} trip${v === 1 ? '' : 's'}` },
+            spend: { label: 'Spent', formatter: v => `$${v.toFixed(2)}` },
+            items: { label: 'Items', formatter: v => `${v} item${v === 1 ? '' : 's'}` }
+        };
+        const metricLabel = metricLabels[metric] || metricLabels.visits;
+        
+        // Get date range (cap to avoid squishing long timelines)
+        const dates = receipts.map(r => r.transactionDateTime).filter(d => d);
+        dates.sort((a, b) => a - b);
+        const maxDate = new Date(dates[dates.length - 1]);
+        const minDateOriginal = new Date(dates[0]);
+        
+        // If more than 12 months span, show only the last 12 months for readability
+        const maxMonthsToShow = 12;
+        const monthsDiffTotal = (maxDate.getFullYear() - minDateOriginal.getFullYear()) * 12 +
+            (maxDate.getMonth() - minDateOriginal.getMonth());
+        
+        let cappedReceipts = receipts;
+        const minDate = new Date(minDateOriginal);
+        if (monthsDiffTotal > maxMonthsToShow) {
+            const cutoff = new Date(maxDate);
+            cutoff.setMonth(cutoff.getMonth() - (maxMonthsToShow - 1));
+            cutoff.setDate(1); // start at beginning of month
+            cappedReceipts = receipts.filter(r => r.transactionDateTime && r.transactionDateTime >= cutoff && r.transactionDateTime <= maxDate);
+            minDate.setTime(cutoff.getTime());
+        }
+        
+        // Aggregate metric by date (using capped receipts)
+        const dateMap = new Map();
+        cappedReceipts.forEach(receipt => {
+            if (!receipt.transactionDateTime) return;
+            const date = new Date(receipt.transactionDateTime);
+            const dateStr = date.toISOString().split('T')[0];
+            if (!dateMap.has(dateStr)) {
+                dateMap.set(dateStr, { date: new Date(dateStr), value: 0, count: 0, receipts: [], items: 0, spend: 0 });
+            }
+            const dayData = dateMap.get(dateStr);
+            // Metric calculations
+            if (metric === 'spend') {
+                dayData.value += Math.abs(Number(receipt.total) || 0);
+            } else if (metric === 'items') {
+                const itemsCount = receipt.totalItemCount
+                    || (receipt.itemArray ? receipt.itemArray.reduce((sum, it) => sum + Math.abs(Number(it.unit || 0)), 0) : 0);
+                dayData.value += itemsCount;
+            } else {
+                // visits
+                dayData.value += 1;
+            }
+            
+            dayData.count++; // visits/trips
+            dayData.spend += Math.abs(Number(receipt.total) || 0);
+            dayData.items += receipt.totalItemCount
+                || (receipt.itemArray ? receipt.itemArray.reduce((sum, it) => sum + Math.abs(Number(it.unit || 0)), 0) : 0);
+            dayData.receipts.push(receipt);
+        });
+        
+        // Start from the first day of the week containing minDate
+        const startDate = new Date(minDate);
+        startDate.setDate(startDate.getDate() - startDate.getDay()); // Go to Sunday
+        
+        // End at the last day of the week containing maxDate
+        const endDate = new Date(maxDate);
+        endDate.setDate(endDate.getDate() + (6 - endDate.getDay())); // Go to Saturday
+        
+        // Calculate number of weeks
+        const weeks = Math.ceil((endDate - startDate) / (7 * 24 * 60 * 60 * 1000));
+        
+        // Calculate dimensions, scaling cell size to fill width
+        const dayLabelWidth = 30;
+        const monthLabelHeight = 20;
+        const cellGap = 3;
+        const availableWidth = Math.max(containerWidth - dayLabelWidth - 20, 320);
+        const cellSize = Math.min(20, Math.max(12, (availableWidth / weeks) - cellGap));
+        const cellTotal = cellSize + cellGap;
+        const widthForCells = dayLabelWidth + (weeks * cellTotal) + 20;
+        const height = monthLabelHeight + (7 * cellTotal) + 20;
+        
+        // Create SVG that fills container width
+        const viewWidth = Math.max(widthForCells, containerWidth);
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${viewWidth} ${height}`)
+            .attr('preserveAspectRatio', 'xMinYMin meet')
+            .style('max-width', '100%')
+            .style('display', 'block');
+        
+        chart.svg = svg;
+        
+        const g = svg.append('g')
+            .attr('transform', `translate(${dayLabelWidth}, ${monthLabelHeight})`);
+        
+        // Create color scale based on spending
+        const maxValue = d3.max(Array.from(dateMap.values()), d => d.value) || 1;
+        const colorScale = d3.scaleQuantize()
+            .domain([0, maxValue])
+            .range(['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127']);
+        
+        // Day labels
+        const dayLabels = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+        svg.append('g')
+            .attr('transform', `translate(0, ${monthLabelHeight})`)
+            .selectAll('text')
+            .data(dayLabels)
+            .enter()
+            .append('text')
+            .attr('x', 5)
+            .attr('y', (d, i) => i * cellTotal + cellSize)
+            .attr('text-anchor', 'start')
+            .attr('font-size', '10px')
+            .attr('fill', 'var(--color-text-secondary)')
+            .text(d => d);
+        
+        // Generate all days in range
+        const allDays = [];
+        let currentDate = new Date(startDate);
+        while (currentDate <= endDate) {
+            const dateStr = currentDate.toISOString().split('T')[0];
+            const dayData = dateMap.get(dateStr) || { 
+                date: new Date(currentDate), 
+                value: 0, 
+                count: 0,
+                receipts: []
+            };
+            allDays.push(dayData);
+            currentDate.setDate(currentDate.getDate() + 1);
+        }
+        
+        // Create tooltip
+        const tooltip = createChartTooltip(chart.container);
+        
+        // Draw cells
+        const cells = g.selectAll('rect')
+            .data(allDays)
+            .enter()
+            .append('rect')
+            .attr('width', cellSize)
+            .attr('height', cellSize)
+            .attr('x', d => {
+                const weekIndex = Math.floor((d.date - startDate) / (7 * 24 * 60 * 60 * 1000));
+                return weekIndex * cellTotal;
+            })
+            .attr('y', d => d.date.getDay() * cellTotal)
+            .attr('rx', 2)
+            .attr('ry', 2)
+            .attr('fill', d => d.count > 0 ? colorScale(d.value) : '#ebedf0')
+            .attr('stroke', '#fff')
+            .attr('stroke-width', 1)
+            .attr('tabindex', d => d.count > 0 ? '0' : null)
+            .attr('role', d => d.count > 0 ? 'button' : null)
+            .attr('aria-label', d => {
+                if (d.count === 0) return null;
+                const dateStr = d.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+                return `${dateStr}: ${d.count} trip${d.count > 1 ? 's' : ''}, $${d.value.toFixed(2)} spent`;
+            })
+            .style('cursor', d => d.count > 0 ? 'pointer' : 'default')
+            .on('mouseover', function(event, d) {
+                if (d.count === 0) return;
+                
+                d3.select(this)
+                    .attr('stroke', '#000')
+                    .attr('stroke-width', 2);
+                
+                const dateStr = d.date.toLocaleDateString('en-US', { 
+                    weekday: 'short', 
+                    month: 'short', 
+                    day: 'numeric', 
+                    year: 'numeric' 
+                });
+                
+                const receiptTypes = {};
+                d.receipts.forEach(r => {
+                    const type = r.receiptType || 'Purchase';
+                    receiptTypes[type] = (receiptTypes[type] || 0) + 1;
+                });
+                
+                const typeInfo = Object.entries(receiptTypes)
+                    .map(([type, count]) => `${count} ${type}`)
+                    .join(', ');
+                
+                showTooltip(
+                    tooltip,
+                    dateStr,
+                    [
+                        { label: metricLabel.label, value: metricLabel.formatter(d.value) },
+                        { label: 'Trips', value: d.count },
+                        { label: 'Amount', value: `$${(d.spend || 0).toFixed(2)}` },
+                        { label: 'Items', value: d.items || 0 },
+                        ...(typeInfo ? [{ label: 'Types', value: typeInfo, className: 'chart-tooltip-label' }] : [])
+                    ],
+                    event,
+                    chart.container
+                );
+            })
+            .on('mouseout', function(event, d) {
+                if (d.count === 0) return;
+                d3.select(this)
+                    .attr('stroke', '#fff')
+                    .attr('stroke-width', 1);
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event, d) {
+                if (d.count === 0) return;
+                d3.select(this)
+                    .attr('stroke', '#000')
+                    .attr('stroke-width', 2);
+                
+                const dateStr = d.date.toLocaleDateString('en-US', { 
+                    weekday: 'short', 
+                    month: 'short', 
+                    day: 'numeric', 
+                    year: 'numeric' 
+                });
+                
+                showTooltip(
+                    tooltip,
+                    dateStr,
+                    [
+                        { label: metricLabel.label, value: metricLabel.formatter(d.value) },
+                        { label: 'Trips', value: d.count },
+                        { label: 'Amount', value: `$${(d.spend || 0).toFixed(2)}` },
+                        { label: 'Items', value: d.items || 0 }
+                    ],
+                    event,
+                    chart.container
+                );
+            })
+            .on('blur', function(event, d) {
+                if (d.count === 0) return;
+                d3.select(this)
+                    .attr('stroke', '#fff')
+                    .attr('stroke-width', 1);
+                hideTooltip(tooltip);
+            });
+        
+        // Add month labels
+        const monthsGroup = svg.append('g')
+            .attr('transform', `translate(${dayLabelWidth}, 10)`);
+        
+        let lastMonth = -1;
+        let monthX = 0;
+        allDays.forEach((d, i) => {
+            const month = d.date.getMonth();
+            if (month !== lastMonth && d.date.getDay() === 0) {
+                const weekIndex = Math.floor(i / 7);
+                monthsGroup.append('text')
+                    .attr('x', weekIndex * cellTotal)
+                    .attr('y', 0)
+                    .attr('text-anchor', 'start')
+                    .attr('font-size', '11px')
+                    .attr('font-weight', '600')
+                    .attr('fill', 'var(--color-text-primary)')
+                    .text(d.date.toLocaleDateString('en-US', { month: 'short' }));
+                lastMonth = month;
+            }
+        });
+        
+        // Add legend
+        const legendData = [
+            { label: 'Less', color: '#ebedf0' },
+            { label: '', color: '#c6e48b' },
+            { label: '', color: '#7bc96f' },
+            { label: '', color: '#239a3b' },
+            { label: 'More', color: '#196127' }
+        ];
+        
+        const legend = svg.append('g')
+            .attr('transform', `translate(${viewWidth - 150}, ${height - 20})`);
+        
+        legend.selectAll('rect')
+            .data(legendData)
+            .enter()
+            .append('rect')
+            .attr('x', (d, i) => i * (cellSize + 2))
+            .attr('y', 0)
+            .attr('width', cellSize)
+            .attr('height', cellSize)
+            .attr('rx', 2)
+            .attr('fill', d => d.color);
+        
+        legend.append('text')
+            .attr('x', -5)
+            .attr('y', cellSize - 2)
+            .attr('text-anchor', 'end')
+            .attr('font-size', '10px')
+            .attr('fill', 'var(--color-text-secondary)')
+            .text('Less');
+        
+        legend.append('text')
+            .attr('x', legendData.length * (cellSize + 2) + 5)
+            .attr('y', cellSize - 2)
+            .attr('text-anchor', 'start')
+            .attr('font-size', '10px')
+            .attr('fill', 'var(--color-text-secondary)')
+            .text('More');
+        
+        // Update function
+        chart.update = function(newData) {
+            createCalendarHeatmap({ ...chart, data: newData });
+        };
+        
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+        
+        // If we truncated the range, add a subtle note
+        if (monthsDiffTotal > maxMonthsToShow) {
+            const note = document.createElement('div');
+            note.style.cssText = 'margin-top: 0.5rem; font-size: 0.8rem; color: var(--color-text-tertiary);';
+            note.textContent = `Showing last ${maxMonthsToShow} months for readability (earliest: ${minDate.toLocaleDateString()})`;
+            chart.container.appendChild(note);
+        }
+        
+        console.log(`Calendar heatmap created with ${allDays.length} days (${dateMap.size} with activity)`);
+    }
+    
+    /**
+     * Create price evolution chart showing price changes over time for selected items
+     */
+    function createPriceEvolutionChart(chart) {
+        console.log('=== CREATING PRICE EVOLUTION CHART ===');
+        const items = chart.data || [];
+        
+        if (items.length === 0) {
+            chart.container.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--color-text-tertiary);">
+                    <p>Price evolution tracking for your most frequently purchased items</p>
+                    <p style="font-size: 0.85rem;">Items need at least 2 purchases to show price trends</p>
+            </div>
+        `;
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        // Get container dimensions
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 300);
+        
+        // Guard: Skip rendering if container is hidden
+        if (containerWidth <= 0) {
+            console.warn('Price evolution chart container has zero width. Deferring render.');
+            chart.needsRender = true;
+            return;
+        }
+        
+        // Set margins - increase right margin for legend with more items
+        const margin = { top: 30, right: Math.max(120, items.length * 2 + 100), bottom: 60, left: 60 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        // Per unit mode plots price per oz / fl oz / ct instead of per package
+        const perUnit = Boolean(chart.options && chart.options.perUnit);
+        
+        // Process data - get price history for selected items
+        const lineData = items.map((item, idx) => {
+            const history = (item.priceHistory || []).map(p => ({
+                date: new Date(p.date),
+                packagePrice: p.price,
+                unitPrice: p.unitPrice || null,
+                standardUnit: p.standardUnit || null,
+                packSize: p.packSize || null
+            })).sort((a, b) => a.date - b.date);
+            
+            // Flag purchases where the pack size differs from the previous sized purchase
+            let previousPack = null;
+            history.forEach(point => {
+                point.packChanged = Boolean(point.packSize && previousPack &&
+                    point.packSize.unit === previousPack.unit &&
+                    point.packSize.quantity !== previousPack.quantity);
+                if (point.packSize) previousPack = point.packSize;
+            });
+            
+            // A line can only use one unit - keep the unit of the latest sized purchase
+            const latestUnit = perUnit
+                ? (history.filter(p => p.unitPrice).pop() || {}).standardUnit
+                : null;
+            const values = perUnit
+                ? history.filter(p => p.unitPrice && p.standardUnit === latestUnit)
+                : history;
+            
+            return {
+                name: item.name,
+                color: d3.schemeCategory10[idx % 10],
+                unit: latestUnit,
+                values: values.map(p => ({ ...p, price: perUnit ? p.unitPrice : p.packagePrice }))
+            };
+        }).filter(d => d.values.length > 0);
+        
+        if (lineData.length === 0) {
+            chart.container.innerHTML = perUnit
+                ? '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No pack sizes found in the descriptions of these items</p>'
+                : '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No price history available for selected items</p>';
+            return;
+        }
+        
+        // Get all dates and prices for scales
+        const allDates = lineData.flatMap(d => d.values.map(v => v.date));
+        const allPrices = lineData.flatMap(d => d.values.map(v => v.price));
+        
+        // Create SVG
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        // Create scales
+        const x = d3.scaleTime()
+            .domain(d3.extent(allDates))
+            .range([0, width]);
+        
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(allPrices) * 1.1])
+            .range([height, 0]);
+        
+        // Add X axis
+        svg.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .ticks(Math.min(6, allDates.length))
+                .tickFormat(d3.timeFormat('%b %Y')))
+            .selectAll('text')
+            .attr('transform', 'rotate(-45)')
+            .style('text-anchor', 'end');
+        
+        // Add Y axis
+        svg.append('g')
+            .call(d3.axisLeft(y)
+                .ticks(5)
+                .tickFormat(d => perUnit ? formatUnitPrice(d) : `$${d.toFixed(2)}`));
+        
+        // Add Y axis label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 15)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text(perUnit ? 'Price per oz / fl oz / ct' : 'Price ($)');
+        
+        // Add grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisLeft(y)
+                .ticks(5)
+                .tickSize(-width)
+                .tickFormat(''));
+        
+        // Line generator
+        const line = d3.line()
+            .x(d => x(d.date))
+            .y(d => y(d.price))
+            .curve(d3.curveMonotoneX);
+        
+        // Tooltip
+        const tooltip = createChartTooltip(chart.container);
+        
+        // Draw lines and points for each item
+        lineData.forEach((item, idx) => {
+            // Draw line
+            svg.append('path')
+                .datum(item.values)
+                .attr('fill', 'none')
+                .attr('stroke', item.color)
+                .attr('stroke-width', 2)
+                .attr('d', line);
+            
+            // Draw points
+            svg.selectAll(`.dot-${idx}`)
+                .data(item.values)
+                .enter()
+                .append('circle')
+                .attr('class', `dot-${idx}`)
+                .attr('cx', d => x(d.date))
+                .attr('cy', d => y(d.price))
+                .attr('r', 4)
+                .attr('fill', item.color)
+                .attr('stroke', d => d.packChanged ? '#d97706' : 'white')
+                .attr('stroke-width', d => d.packChanged ? 2.5 : 1)
+                .style('cursor', 'pointer')
+                .on('mouseover', function(event, d) {
+                    d3.select(this).attr('r', 6);
+                    const rows = [
+                        { label: 'Date', value: d3.timeFormat('%b %d, %Y')(d.date) },
+                        { label: 'Price', value: `$${d.packagePrice.toFixed(2)}` }
+                    ];
+                    if (d.packSize) {
+                        rows.push({ label: 'Pack', value: d.packChanged ? `${d.packSize.label} (changed)` : d.packSize.label });
+                        rows.push({ label: 'Unit Price', value: formatUnitPrice(d.unitPrice, d.standardUnit) });
+                    }
+                    showTooltip(tooltip, escapeHtml(item.name), rows, event, chart.container);
+                })
+                .on('mousemove', function(event) {
+                    positionTooltip(tooltip, event, chart.container);
+                })
+                .on('mouseout', function() {
+                    d3.select(this).attr('r', 4);
+                    hideTooltip(tooltip);
+                });
+        });
+        
+        // Add legend
+        const legend = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${width + 10}, 0)`);
+        
+        lineData.forEach((item, idx) => {
+            const legendItem = legend.append('g')
+                .attr('transform', `translate(0, ${idx * 18})`);
+            
+            legendItem.append('rect')
+                .attr('width', 12)
+                .attr('height', 12)
+                .attr('fill', item.color)
+                .attr('rx', 2);
+            
+            // Truncate long item names for legend (max ~20 chars)
+            const maxChars = 20;
+            const truncatedName = item.name.length > maxChars 
+                ? item.name.substring(0, maxChars - 3) + '...' 
+                : item.name;
+            
+            legendItem.append('text')
+                .attr('x', 16)
+                .attr('y', 10)
+                .style('font-size', '9px')
+                .style('fill', 'var(--color-text-secondary)')
+                .text(truncatedName);
+        });
+        
+        // Update function
+        chart.update = function(newData) {
+            createPriceEvolutionChart({ ...chart, data: newData });
+        };
+        
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            chart.container.innerHTML = '';
+        };
+        
+        console.log(`Price evolution chart created with ${lineData.length} items`);
+    }
+    
+    /**
+     * Create warehouse comparison chart
+     */
+    function createWarehouseChart(chart) {
+        console.log('=== CREATING WAREHOUSE COMPARISON CHART ===');
+        const data = chart.data || [];
+        
+        if (data.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No warehouse data available</p>';
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        // Get container dimensions
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 350);
+        
+        // Guard: Skip rendering if container is hidden (zero width)
+        if (containerWidth <= 0) {
+            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
+            chart.needsRender = true;
+            return;
+        }
+        
+        // Set margins
+        const margin = { top: 20, right: 30, bottom: 80, left: 60 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        // Create SVG
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        chart.svg = svg;
+        
+        // Create scales
+        const x = d3.scaleBand()
+            .domain(data.map(d => {
+                if (d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online') {
+                    return 'Online';
+                }
+                return `${d.warehouseNumber}\n${d.warehouseCity || ''}`;
+            }))
+            .range([0, width])
+            .padding(0.3);
+        
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.totalSpent) * 1.1])
+            .nice()
+            .range([height, 0]);
+        
+        // Add x-axis
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x))
+            .selectAll('text')
+            .attr('transform', 'rotate(-45)')
+            .style('text-anchor', 'end')
+            .attr('dx', '-.8em')
+            .attr('dy', '.15em')
+            .style('font-size', '11px');
+        
+        // Add y-axis
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y)
+                .ticks(6)
+                .tickFormat(d => `$${(d/1000).toFixed(0)}k`));
+        
+        // Add y-axis label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 15)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Total Spent ($)');
+        
+        // Tooltip (using standardized factory)
+        const tooltip = createChartTooltip(chart.container);
+        
+        // Tooltip show handler
+        function showWarehouseTooltip(event, d) {
+            const isOnline = d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online';
+            const title = isOnline ? 'Online' : `${d.warehouseName || 'Warehouse'} #${d.warehouseNumber}`;
+            const location = isOnline ? 'Online Orders' : `${d.warehouseCity || ''}, ${d.warehouseState || ''}`;
+            
+            showTooltip(tooltip, title, [
+                { label: 'Location', value: location },
+                { label: 'Total Spent', value: `$${d.totalSpent.toLocaleString('en-US', {minimumFractionDigits: 2})}` },
+                { label: 'Trips (unique days)', value: d.tripCount ?? 0 },
+                { label: 'Receipts', value: d.receiptCount ?? 0 },
+                { label: 'Avg/Trip', value: `$${d.avgPerTrip.toLocaleString('en-US', {minimumFractionDigits: 2})}` }
+            ], event, chart.container);
+        }
+        
+        // Add bars with animation
+        const bars = svg.selectAll('.bar')
+            .data(data)
+            .enter()
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', d => {
+                if (d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online') {
+                    return x('Online');
+                }
+                return x(`${d.warehouseNumber}\n${d.warehouseCity || ''}`);
+            })
+            .attr('y', height)
+            .attr('width', x.bandwidth())
+            .attr('height', 0)
+            .attr('fill', 'var(--color-secondary)')
+            .attr('opacity', 0.8)
+            .style('cursor', 'pointer')
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => {
+                const isOnline = d.warehouseNumber === 'ONLINE' || d.warehouseName === 'Online';
+                return isOnline 
+                    ? `Online: $${d.totalSpent.toFixed(2)}`
+                    : `${d.warehouseName || 'Warehouse'} #${d.warehouseNumber}: $${d.totalSpent.toFixed(2)}`;
+            });
+        
+        // Animate bars growing
+        bars.transition()
+            .duration(800)
+            .delay((d, i) => i * 100)
+            .attr('y', d => y(d.totalSpent))
+            .attr('height', d => height - y(d.totalSpent));
+        
+        // Add hover interactions
+        bars.on('mouseover', function(event, d) {
+                d3.select(this)
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 1)
+                    .attr('fill', 'var(--color-secondary-dark)');
+                showWarehouseTooltip(event, d);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout', function() {
+                d3.select(this)
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.8)
+                    .attr('fill', 'var(--color-secondary)');
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event) {
+                const d = d3.select(this).datum();
+                d3.select(this).attr('opacity', 1).attr('fill', 'var(--color-secondary-dark)');
+                showWarehouseTooltip(event, d);
+            })
+            .on('blur', function() {
+                d3.select(this).attr('opacity', 0.8).attr('fill', 'var(--color-secondary)');
+                hideTooltip(tooltip);
+            })
+            .on('click', function(event, d) {
+                // Show warehouse drilldown
+                const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+                showWarehouseDrillDown(d, receipts);
+            })
+            .on('keydown', function(event) {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    const d = d3.select(this).datum();
+                    const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+                    showWarehouseDrillDown(d, receipts);
+                }
+            });
+        
+        // Update function
+        chart.update = function(newData) {
+            createWarehouseChart({ ...chart, data: newData });
+        };
+        
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+        
+        console.log(`Warehouse chart created with ${data.length} warehouses`);
+    }
+    
+    /**
+     * Create savings trend chart (time series)
+     */
+    function createSavingsTrendChart(chart) {
+        console.log('=== CREATING SAVINGS TREND CHART ===');
+        console.log('Chart data:', chart.data);
+        
+        const data = chart.data || [];
+        if (data.length === 0) {
+            console.warn('No data available for savings chart');
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No savings data available</p>';
+            return;
+        }
+        
+        // Filter for months with savings
+        const dataWithSavings = data.filter(d => d.savings && d.savings > 0);
+        
+        if (dataWithSavings.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No savings recorded</p>';
+            return;
+        }
+        
+        console.log(`Creating savings chart with ${dataWithSavings.length} data points`);
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        // Get container dimensions
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 300);
+        
+        // Guard: Skip rendering if container is hidden (zero width)
+        if (containerWidth <= 0) {
+            console.warn('Chart container has zero width (likely hidden tab). Deferring render.');
+            chart.needsRender = true;
+            return;
+        }
+        
+        // Set margins and dimensions
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        // Create SVG
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        chart.svg = svg;
+        
+        // Parse dates and prepare data
+        const parseDate = d3.timeParse('%Y-%m');
+        const dataWithDates = dataWithSavings.map(d => ({
+            ...d,
+            date: parseDate(d.month)
+        })).sort((a, b) => a.date - b.date);
+        
+        // Create scales
+        const x = d3.scaleTime()
+            .domain(d3.extent(dataWithDates, d => d.date))
+            .range([0, width]);
+        
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(dataWithDates, d => d.savings) * 1.1])
+            .nice()
+            .range([height, 0]);
+        
+        // Create gradient for area
+        const gradient = svg.append('defs')
+            .append('linearGradient')
+            .attr('id', `savings-gradient-${chart.id}`)
+            .attr('x1', '0%')
+            .attr('y1', '0%')
+            .attr('x2', '0%')
+            .attr('y2', '100%');
+        
+        gradient.append('stop')
+            .attr('offset', '0%')
+            .attr('stop-color', '#22c55e')
+            .attr('stop-opacity', 0.3);
+        
+        gradient.append('stop')
+            .attr('offset', '100%')
+            .attr('stop-color', '#22c55e')
+            .attr('stop-opacity', 0);
+        
+        // Create area
+        const area = d3.area()
+            .x(d => x(d.date))
+            .y0(height)
+            .y1(d => y(d.savings))
+            .curve(d3.curveMonotoneX);
+        
+        // Add area path
+        svg.append('path')
+            .datum(dataWithDates)
+            .attr('fill', `url(#savings-gradient-${chart.id})`)
+            .attr('d', area);
+        
+        // Create line
+        const line = d3.line()
+            .x(d => x(d.date))
+            .y(d => y(d.savings))
+            .curve(d3.curveMonotoneX);
+        
+        // Add line path
+        svg.append('path')
+            .datum(dataWithDates)
+            .attr('fill', 'none')
+            .attr('stroke', '#22c55e')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+        
+        // Add X axis
+        svg.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .ticks(Math.min(dataWithDates.length, 8))
+                .tickFormat(d3.timeFormat('%b %Y')))
+            .selectAll('text')
+            .style('text-anchor', 'end')
+            .attr('dx', '-.8em')
+            .attr('dy', '.15em')
+            .attr('transform', 'rotate(-45)');
+        
+        // Add Y axis
+        svg.append('g')
+            .call(d3.axisLeft(y)
+                .ticks(6)
+                .tickFormat(d => `$${d.toFixed(0)}`));
+        
+        // Add Y axis label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', 0 - margin.left)
+            .attr('x', 0 - (height / 2))
+            .attr('dy', '1em')
+            .style('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Savings ($)');
+        
+        // Create tooltip
+        const tooltip = createChartTooltip(chart.container);
+        
+        // Add interactive circles
+        svg.selectAll('circle')
+            .data(dataWithDates)
+            .enter()
+            .append('circle')
+            .attr('cx', d => x(d.date))
+            .attr('cy', d => y(d.savings))
+            .attr('r', 4)
+            .attr('fill', '#22c55e')
+            .attr('stroke', 'white')
+            .attr('stroke-width', 2)
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => `${d3.timeFormat('%B %Y')(d.date)}: $${d.savings.toFixed(2)} saved`)
+            .style('cursor', 'pointer')
+            .on('mouseover', function(event, d) {
+                d3.select(this)
+                    .attr('r', 6)
+                    .attr('stroke-width', 3);
+                
+                const savingsRate = d.total > 0 ? (d.savings / d.total * 100).toFixed(2) : 0;
+                
+                showTooltip(
+                    tooltip,
+                    `<strong>${d3.timeFormat('%B %Y')(d.date)}</strong><br/>
+                     Savings: <strong style="color: #22c55e;">$${d.savings.toFixed(2)}</strong><br/>
+                     Spent: $${d.total.toFixed(2)}<br/>
+                     Rate: ${savingsRate}%`,
+                    event,
+                    chart.container
+                );
+            })
+            .on('mouseout', function() {
+                d3.select(this)
+                    .attr('r', 4)
+                    .attr('stroke-width', 2);
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event, d) {
+                d3.select(this).attr('r', 6);
+                const savingsRate = d.total > 0 ? (d.savings / d.total * 100).toFixed(2) : 0;
+                showTooltip(
+                    tooltip,
+                    `<strong>${d3.timeFormat('%B %Y')(d.date)}</strong><br/>
+                     Savings: <strong style="color: #22c55e;">$${d.savings.toFixed(2)}</strong><br/>
+                     Spent: $${d.total.toFixed(2)}<br/>
+                     Rate: ${savingsRate}%`,
+                    event,
+                    chart.container
+                );
+            })
+            .on('blur', function() {
+                d3.select(this).attr('r', 4);
+                hideTooltip(tooltip);
+            });
+        
+        // Update function
+        chart.update = function(newData) {
+            createSavingsTrendChart({ ...chart, data: newData });
+        };
+        
+        // Destroy function
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+        
+        console.log(`Savings trend chart created with ${dataWithDates.length} points`);
+    }
+
+    /**
+     * Create monthly tax rate trend chart (bars showing effective tax rate)
+     */
+    function createTaxRateTrendChart(chart) {
+        const data = chart.data || [];
+        if (data.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No tax data available</p>';
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 260);
+        
+        if (containerWidth <= 0) {
+            chart.needsRender = true;
+            return;
+        }
+        
+        const margin = { top: 16, right: 16, bottom: 52, left: 64 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        chart.svg = svg;
+        
+        const parseDate = d3.timeParse('%Y-%m');
+        const formatMonth = d3.timeFormat('%b %Y');
+        const dataWithRates = data
+            .map(d => {
+                const date = parseDate(d.month);
+                const total = Number(d.total) || 0;
+                const taxes = Number(d.taxes) || 0;
+                const rate = total > 0 ? (taxes / total) * 100 : 0;
+                return { ...d, date, total, taxes, rate };
+            })
+            .filter(d => d.date)
+            .sort((a, b) => a.date - b.date);
+        
+        const monthLookup = new Map(dataWithRates.map(d => [d.month, d.date]));
+        const maxRate = d3.max(dataWithRates, d => d.rate) || 0;
+        
+        const x = d3.scaleBand()
+            .domain(dataWithRates.map(d => d.month))
+            .range([0, width])
+            .padding(0.2);
+        
+        const y = d3.scaleLinear()
+            .domain([0, Math.max(5, maxRate * 1.1)])
+            .nice()
+            .range([height, 0]);
+        
+        // Grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisLeft(y).ticks(6).tickSize(-width).tickFormat(''));
+        
+        // Bars
+        const tooltip = createChartTooltip(chart.container);
+        svg.selectAll('.bar')
+            .data(dataWithRates)
+            .enter()
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', d => x(d.month))
+            .attr('y', d => y(d.rate))
+            .attr('width', x.bandwidth())
+            .attr('height', d => height - y(d.rate))
+            .attr('fill', '#7c3aed')
+            .attr('rx', 4)
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => `${formatMonth(d.date)}: ${d.rate.toFixed(2)}% tax rate`);
+        
+        function showBarTooltip(event, d) {
+            showTooltip(tooltip, formatMonth(d.date), [
+                { label: 'Effective rate', value: `${d.rate.toFixed(2)}%` },
+                { label: 'Tax', value: `$${d.taxes.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
+                { label: 'Spent', value: `$${d.total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` }
+            ], event, chart.container);
+        }
+        
+        svg.selectAll('.bar')
+            .on('mouseover', function(event, d) {
+                d3.select(this).attr('fill', '#5b21b6');
+                showBarTooltip(event, d);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout', function() {
+                d3.select(this).attr('fill', '#7c3aed');
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event) {
+                const d = d3.select(this).datum();
+                showBarTooltip(event, d);
+            })
+            .on('blur', function() {
+                hideTooltip(tooltip);
+            });
+        
+        // Axes
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .tickFormat(m => {
+                    const date = monthLookup.get(m);
+                    return date ? d3.timeFormat('%b %y')(date) : m;
+                }))
+            .selectAll('text')
+            .attr('transform', 'rotate(-35)')
+            .style('text-anchor', 'end');
+        
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y).ticks(6).tickFormat(d => `${d}%`));
+        
+        // Y label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 14)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Effective Tax Rate (%)');
+        
+        // Update/destroy
+        chart.update = function(newData) {
+            createTaxRateTrendChart({ ...chart, data: newData });
+        };
+        
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+    }
+    
+    /**
+     * Create budget vs. actual chart (monthly bars against the budget line)
+     * Expects StatsCalculator.getBudgetAnalysis().months as data
+     */
+    function createBudgetChart(chart) {
+        const data = (chart.data || []).filter(d => d.budget !== null);
+        if (data.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">Set a monthly budget to compare spending</p>';
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 260);
+        
+        if (containerWidth <= 0) {
+            chart.needsRender = true;
+            return;
+        }
+        
+        const margin = { top: 16, right: 16, bottom: 52, left: 64 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        chart.svg = svg;
+        
+        const parseDate = d3.timeParse('%Y-%m');
+        const formatMonth = d3.timeFormat('%b %Y');
+        const formatMoney = v => `$${v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const rows = data
+            .map(d => ({ ...d, date: parseDate(d.month) }))
+            .filter(d => d.date)
+            .sort((a, b) => a.date - b.date);
+        
+        const monthLookup = new Map(rows.map(d => [d.month, d.date]));
+        const maxValue = Math.max(d3.max(rows, d => d.actual) || 0, d3.max(rows, d => d.budget) || 0);
+        
+        const x = d3.scaleBand()
+            .domain(rows.map(d => d.month))
+            .range([0, width])
+            .padding(0.2);
+        
+        const y = d3.scaleLinear()
+            .domain([0, maxValue * 1.1])
+            .nice()
+            .range([height, 0]);
+        
+        // Grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisLeft(y).ticks(6).tickSize(-width).tickFormat(''));
+        
+        const barColor = d => d.over ? '#dc2626' : '#16a34a';
+        const tooltip = createChartTooltip(chart.container);
+        
+        svg.selectAll('.bar')
+            .data(rows)
+            .enter()
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', d => x(d.month))
+            .attr('y', d => y(Math.max(0, d.actual)))
+            .attr('width', x.bandwidth())
+            .attr('height', d => height - y(Math.max(0, d.actual)))
+            .attr('fill', barColor)
+            .attr('rx', 4)
+            .attr('tabindex', '0')
+            .attr('role', 'button')
+            .attr('aria-label', d => `${formatMonth(d.date)}: ${formatMoney(d.actual)} of ${formatMoney(d.budget)} budget`);
+        
+        // Budget marker per month (budgets can differ if settings changed between renders)
+        svg.selectAll('.budget-marker')
+            .data(rows)
+            .enter()
+            .append('line')
+            .attr('class', 'budget-marker')
+            .attr('x1', d => x(d.month) - x.step() * x.paddingInner() / 2)
+            .attr('x2', d => x(d.month) + x.bandwidth() + x.step() * x.paddingInner() / 2)
+            .attr('y1', d => y(d.budget))
+            .attr('y2', d => y(d.budget))
+            .attr('stroke', 'var(--color-text-primary)')
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4,3')
+            .style('pointer-events', 'none');
+        
+        function showBarTooltip(event, d) {
+            showTooltip(tooltip, formatMonth(d.date), [
+                { label: 'Spent', value: formatMoney(d.actual) },
+                { label: 'Budget', value: formatMoney(d.budget) },
+                {
+                    label: d.over ? 'Over by' : 'Remaining',
+                    value: formatMoney(Math.abs(d.remaining)),
+                    className: d.over ? 'negative' : 'positive'
+                },
+                { label: 'Used', value: `${d.percentUsed.toFixed(0)}%` }
+            ], event, chart.container);
+        }
+        
+        svg.selectAll('.bar')
+            .on('mouseover', function(event, d) {
+                d3.select(this).attr('opacity', 0.8);
+                showBarTooltip(event, d);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout', function() {
+                d3.select(this).attr('opacity', 1);
+                hideTooltip(tooltip);
+            })
+            .on('focus', function(event) {
+                showBarTooltip(event, d3.select(this).datum());
+            })
+            .on('blur', function() {
+                hideTooltip(tooltip);
+            });
+        
+        // Axes
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .tickFormat(m => {
+                    const date = monthLookup.get(m);
+                    return date ? d3.timeFormat('%b %y')(date) : m;
+                }))
+            .selectAll('text')
+            .attr('transform', 'rotate(-35)')
+            .style('text-anchor', 'end');
+        
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y).ticks(6).tickFormat(d => `$${d.toFixed(0)}`));
+        
+        // Y label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 14)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Net Spend ($)');
+        
+        createChartLegend(chart.container, [
+            { label: 'Within budget', color: '#16a34a' },
+            { label: 'Over budget', color: '#dc2626' }
+        ]);
+        
+        // Update/destroy
+        chart.update = function(newData) {
+            createBudgetChart({ ...chart, data: newData });
+        };
+        
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+    }
+    
+    /**
+     * Create monthly spending trend with one line per payment method
+     * Data: { months: ['YYYY-MM'], series: [{ key, label, values: { 'YYYY-MM': amount } }] }
+     */
+    function createPaymentTrendChart(chart) {
+        const data = chart.data || {};
+        const months = (data.months || []).slice().sort();
+        const series = data.series || [];
+        if (months.length === 0 || series.length === 0) {
+            chart.container.innerHTML = '<p style="text-align:center;padding:2rem;color:var(--color-text-tertiary);">No payment data on these receipts</p>';
+            return;
+        }
+        
+        // Clear container
+        chart.container.innerHTML = '';
+        
+        const containerWidth = chart.container.clientWidth;
+        const containerHeight = Math.max(chart.container.clientHeight, 280);
+        
+        if (containerWidth <= 0) {
+            chart.needsRender = true;
+            return;
+        }
+        
+        const margin = { top: 16, right: 24, bottom: 52, left: 64 };
+        const width = containerWidth - margin.left - margin.right;
+        const height = containerHeight - margin.top - margin.bottom;
+        
+        const svg = d3.select(chart.container)
+            .append('svg')
+            .attr('width', containerWidth)
+            .attr('height', containerHeight)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        
+        chart.svg = svg;
+        
+        const parseDate = d3.timeParse('%Y-%m');
+        const formatMonth = d3.timeFormat('%b %Y');
+        const formatMoney = v => `$${v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const color = d3.scaleOrdinal()
+            .domain(series.map(s => s.key))
+            .range(['#2563eb', '#16a34a', '#f59e0b', '#8b5cf6', '#ec4899', '#0891b2', '#dc2626', '#64748b']);
+        
+        // Every series gets a point per month so gaps read as $0, not as interpolation
+        const lines = series.map(s => ({
+            ...s,
+            points: months.map(month => ({
+                month,
+                date: parseDate(month),
+                amount: Number(s.values?.[month]) || 0
+            }))
+        }));
+        
+        const allAmounts = lines.flatMap(l => l.points.map(p => p.amount));
+        const x = d3.scaleTime()
+            .domain(d3.extent(months, m => parseDate(m)))
+            .range([0, width]);
+        
+        const y = d3.scaleLinear()
+            .domain([Math.min(0, d3.min(allAmounts)), (d3.max(allAmounts) || 0) * 1.1 || 1])
+            .nice()
+            .range([height, 0]);
+        
+        // Grid lines
+        svg.append('g')
+            .attr('class', 'grid')
+            .attr('opacity', 0.1)
+            .call(d3.axisLeft(y).ticks(6).tickSize(-width).tickFormat(''));
+        
+        const line = d3.line()
+            .x(d => x(d.date))
+            .y(d => y(d.amount))
+            .curve(d3.curveMonotoneX);
+        
+        const tooltip = createChartTooltip(chart.container);
+        
+        const groups = svg.selectAll('.payment-series')
+            .data(lines)
+            .enter()
+            .append('g')
+            .attr('class', 'payment-series');
+        
+        groups.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', d => color(d.key))
+            .attr('stroke-width', 2)
+            .attr('d', d => line(d.points));
+        
+        groups.selectAll('circle')
+            .data(d => d.points.map(p => ({ ...p, series: d })))
+            .enter()
+            .append('circle')
+            .attr('cx', d => x(d.date))
+            .attr('cy', d => y(d.amount))
+            .attr('r', months.length > 24 ? 2.5 : 4)
+            .attr('fill', d => color(d.series.key))
+            .attr('tabindex', '0')
+            .attr('aria-label', d => `${d.series.label}, ${formatMonth(d.date)}: ${formatMoney(d.amount)}`)
+            .on('mouseover focus', function(event, d) {
+                d3.select(this).attr('r', 6);
+                showTooltip(tooltip, escapeHtml(d.series.label), [
+                    { label: 'Month', value: formatMonth(d.date) },
+                    { label: 'Spent', value: formatMoney(d.amount) }
+                ], event, chart.container);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(tooltip, event, chart.container);
+            })
+            .on('mouseout blur', function() {
+                d3.select(this).attr('r', months.length > 24 ? 2.5 : 4);
+                hideTooltip(tooltip);
+            });
+        
+        // Axes
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x)
+                .ticks(Math.min(months.length, 8))
+                .tickFormat(d3.timeFormat('%b %y')))
+            .selectAll('text')
             .attr('transform', 'rotate(-35)')
             .style('text-anchor', 'end');
         
-        svg.append('g')
-            .attr('class', 'y-axis')
-            .call(d3.axisLeft(y).ticks(6).tickFormat(d => `${d}%`));
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(y).ticks(6).tickFormat(d => `$${d.toFixed(0)}`));
+        
+        // Y label
+        svg.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('y', -margin.left + 14)
+            .attr('x', -height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', 'var(--color-text-secondary)')
+            .text('Paid ($)');
+        
+        // Legend toggles a method's line
+        createChartLegend(chart.container, lines.map(l => ({ key: l.key, label: escapeHtml(l.label), color: color(l.key) })), (item, active) => {
+            groups.filter(d => d.key === item.key).style('display', active ? null : 'none');
+        });
+        
+        // Update/destroy
+        chart.update = function(newData) {
+            createPaymentTrendChart({ ...chart, data: newData });
+        };
+        
+        chart.destroy = function() {
+            if (tooltip) tooltip.remove();
+            if (svg) svg.remove();
+        };
+    }
+    
+    /**
+     * Get chart by ID
+     * @param {string} chartId - Chart identifier
+     * @returns {Object|null} Chart instance or null
+     */
+    function getChart(chartId) {
+        return charts.get(chartId) || null;
+    }
+    
+    /**
+     * Get all charts
+     * @returns {Map} All charts
+     */
+    function getAllCharts() {
+        return new Map(charts);
+    }
+    
+    return {
+        init,
+        createChart,
+        updateChart,
+        destroyChart,
+        resizeCharts,
+        resizeChartsInTab,
+        getChart,
+        getAllCharts,
+        // Drilldown functions
+        showItemDrillDown,
+        showWarehouseDrillDown,
+        showDepartmentDrillDown,
+        showReceiptDrillDown
+    };
+})();
+
+// ===== FILTER MANAGER MODULE =====
+const FilterManager = (() => {
+    const state = {
+        dateRange: {
+            start: null,
+            end: null
+        },
+        warehouse: null,
+        channel: null, // 'warehouse', 'online', or null for all
+        membershipNumber: null, // For both warehouse and online purchases
+        searchTerm: null,
+        transactionType: null,
+        paymentMethod: null, // Tender key from DataProcessor.getTenders, or 'none' for receipts without tenders
+        currentPreset: 'all', // Show all receipts by default
+        comparison: {
+            mode: null, // 'previous', 'lastYear', 'custom', or null when not comparing
+            start: null, // Custom comparison range only
+            end: null
+        }
+    };
+    
+    const COMPARISON_MODES = ['previous', 'lastYear', 'custom'];
+    
+    /**
+     * Set date range filter
+     * @param {Date} start - Start date
+     * @param {Date} end - End date
+     */
+    function setDateRange(start, end) {
+        state.dateRange.start = start;
+        state.dateRange.end = end;
+        state.currentPreset = 'custom';
+        
+        ErrorHandler.debug(`Date range set: ${start} to ${end}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set warehouse filter
+     * @param {number} warehouseNumber - Warehouse number (null for all)
+     */
+    function setWarehouse(warehouseNumber) {
+        state.warehouse = warehouseNumber;
+        ErrorHandler.debug(`Warehouse filter set: ${warehouseNumber}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set channel filter (warehouse/online)
+     * @param {string} channel - Channel type ('warehouse', 'online', or null for all)
+     */
+    function setChannel(channel) {
+        state.channel = channel === 'all' ? null : channel;
+        ErrorHandler.debug(`Channel filter set: ${channel}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set membership number filter (works for both warehouse and online purchases)
+     * @param {string} membershipNumber - Membership number
+     */
+    function setMembershipNumber(membershipNumber) {
+        const normalizedNumber = membershipNumber && membershipNumber !== 'all'
+            ? String(membershipNumber)
+            : null;
+        state.membershipNumber = normalizedNumber;
+        ErrorHandler.debug(`Membership filter set: ${membershipNumber}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set search term filter
+     * @param {string} term - Search term
+     */
+    function setSearchTerm(term) {
+        state.searchTerm = term && term.trim().length > 0 ? term.trim() : null;
+        ErrorHandler.debug(`Search term set: ${state.searchTerm}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set transaction type filter
+     * @param {string} type - Transaction type (Sales, Refund, etc.)
+     */
+    function setTransactionType(type) {
+        state.transactionType = type;
+        ErrorHandler.debug(`Transaction type set: ${type}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Set payment method filter
+     * @param {string} key - Tender key (e.g. 'VISA-1234'), 'none', or null/'all' for all
+     */
+    function setPaymentMethod(key) {
+        state.paymentMethod = key && key !== 'all' ? String(key) : null;
+        ErrorHandler.debug(`Payment method filter set: ${key}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Normalize a comparison setting
+     * @param {Object} comparison - { mode, start, end }
+     * @returns {Object} Comparison with an unknown mode reset to null
+     */
+    function normalizeComparison(comparison = {}) {
+        const mode = COMPARISON_MODES.includes(comparison?.mode) ? comparison.mode : null;
+        return {
+            mode,
+            start: mode === 'custom' ? (comparison.start || null) : null,
+            end: mode === 'custom' ? (comparison.end || null) : null
+        };
+    }
+    
+    /**
+     * Set the period to compare the current date range against
+     * @param {string} mode - 'previous', 'lastYear', 'custom', or null/'none' to stop comparing
+     * @param {Date} start - Custom comparison start
+     * @param {Date} end - Custom comparison end
+     */
+    function setComparison(mode, start = null, end = null) {
+        state.comparison = normalizeComparison({ mode, start, end });
+        ErrorHandler.debug(`Comparison set: ${state.comparison.mode}`);
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Resolve the comparison period for the current date range
+     * "previous" is the same length immediately before; "lastYear" shifts the range back one year.
+     * Both need a start date, so they resolve to null for "All Time".
+     * @returns {Object|null} { mode, start, end } or null when not comparing
+     */
+    function getComparisonRange() {
+        const { mode } = state.comparison;
+        if (!mode) return null;
+        
+        if (mode === 'custom') {
+            const { start, end } = state.comparison;
+            return start || end ? { mode, start, end } : null;
+        }
+        
+        const start = state.dateRange.start;
+        if (!start) return null;
+        const end = state.dateRange.end || new Date();
+        
+        if (mode === 'lastYear') {
+            const shift = (date) => {
+                const shifted = new Date(date);
+                shifted.setFullYear(shifted.getFullYear() - 1);
+                return shifted;
+            };
+            return { mode, start: shift(start), end: shift(end) };
+        }
+        
+        // Previous period of the same length, ending just before this one starts
+        const length = end - start;
+        return {
+            mode,
+            start: new Date(start.getTime() - length - 1),
+            end: new Date(start.getTime() - 1)
+        };
+    }
+    
+    /**
+     * Apply a date preset to state without emitting events
+     * @param {string} preset - Preset name: 'ytd', 'last12', 'all', 'custom'
+     * @returns {boolean} False if the preset is unknown
+     */
+    function applyPreset(preset) {
+        const now = new Date();
+        
+        switch (preset) {
+            case 'ytd': {
+                // Year to date
+                const yearStart = new Date(now.getFullYear(), 0, 1);
+                state.dateRange.start = yearStart;
+                state.dateRange.end = now;
+                state.currentPreset = 'ytd';
+                break;
+            }
+            
+            case 'last12': {
+                // Last 12 months
+                const last12 = new Date();
+                last12.setMonth(last12.getMonth() - 12);
+                state.dateRange.start = last12;
+                state.dateRange.end = now;
+                state.currentPreset = 'last12';
+                break;
+            }
+            
+            case 'all': {
+                // All time - no date filter
+                state.dateRange.start = null;
+                state.dateRange.end = null;
+                state.currentPreset = 'all';
+                break;
+            }
+            
+            case 'custom':
+                // Keep current custom range
+                state.currentPreset = 'custom';
+                break;
+            
+            default:
+                ErrorHandler.warn(`Unknown preset: ${preset}`);
+                return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Set a date preset
+     * @param {string} preset - Preset name: 'ytd', 'last12', 'all', 'custom'
+     */
+    function setPreset(preset) {
+        if (!applyPreset(preset)) {
+            return;
+        }
+        
+        ErrorHandler.debug(`Preset set: ${preset}`);
+        EventBus.emit('filter:presetChanged', { preset, filters: getActiveFilters() });
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Replace the whole filter state at once (emits a single change event)
+     * @param {Object} filters - Same shape as getActiveFilters(); missing keys reset to "all"
+     */
+    function setFilters(filters = {}) {
+        const preset = filters.preset || 'all';
+        
+        if (preset === 'custom') {
+            state.dateRange.start = filters.dateRange?.start || null;
+            state.dateRange.end = filters.dateRange?.end || null;
+            state.currentPreset = 'custom';
+        } else if (!applyPreset(preset)) {
+            applyPreset('all');
+        }
+        
+        state.warehouse = filters.warehouse ?? null;
+        state.channel = filters.channel && filters.channel !== 'all' ? filters.channel : null;
+        state.membershipNumber = filters.membershipNumber && filters.membershipNumber !== 'all'
+            ? String(filters.membershipNumber)
+            : null;
+        state.searchTerm = filters.searchTerm && filters.searchTerm.trim().length > 0 ? filters.searchTerm.trim() : null;
+        state.transactionType = filters.transactionType || null;
+        state.paymentMethod = filters.paymentMethod && filters.paymentMethod !== 'all' ? String(filters.paymentMethod) : null;
+        state.comparison = normalizeComparison(filters.comparison);
+        
+        ErrorHandler.debug('Filters replaced', getActiveFilters());
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Apply filters to receipts
+     * @param {Array} receipts - Receipts to filter
+     * @param {Object} dateRange - { start, end } to use instead of the current date range
+     * @returns {Array} Filtered receipts
+     */
+    function applyFilters(receipts, dateRange = state.dateRange) {
+        if (!Array.isArray(receipts)) {
+            return [];
+        }
+        
+        let filtered = receipts;
+        
+        // Date range filter
+        if (dateRange.start || dateRange.end) {
+            filtered = filtered.filter(receipt => {
+                const date = receipt.transactionDateTime;
+                if (!date) return false;
+                
+                if (dateRange.start && date < dateRange.start) return false;
+                if (dateRange.end && date > dateRange.end) return false;
+                
+                return true;
+            });
+        }
+        
+        // Channel filter (warehouse/online)
+        if (state.channel) {
+            filtered = filtered.filter(receipt => {
+                const channel = receipt.channel || receipt.receiptType || 'warehouse';
+                // Normalize channel values
+                if (state.channel === 'warehouse') {
+                    return channel === 'warehouse' || channel === 'In-Warehouse' || channel === 'Gas Station';
+                } else if (state.channel === 'online') {
+                    return channel === 'online';
+                }
+                return true;
+            });
+        }
+        
+        // Warehouse filter
+        if (state.warehouse !== null && state.warehouse !== 'all') {
+            if (state.warehouse === 'ONLINE') {
+                // Filter for online orders
+                filtered = filtered.filter(r => 
+                    r.channel === 'online' || 
+                    r.documentType === 'ONLINE' || 
+                    r.documentType === 'OnlineReceipts' ||
+                    r.warehouseName === 'Online'
+                );
+            } else {
+            const whNum = Number(state.warehouse);
+            filtered = filtered.filter(r => r.warehouseNumber === whNum);
+            }
+        }
+        
+        // Membership number filter (works for both warehouse and online purchases)
+        if (state.membershipNumber) {
+            filtered = filtered.filter(receipt => {
+                const receiptMembership = receipt.membershipNumber 
+                    ? String(receipt.membershipNumber) 
+                    : null;
+                return receiptMembership === state.membershipNumber;
+            });
+        }
+        
+        // Transaction type filter
+        if (state.transactionType && state.transactionType !== 'all') {
+            filtered = filtered.filter(r => r.transactionType === state.transactionType);
+        }
+        
+        // Payment method filter (a receipt matches if any tender used that method)
+        if (state.paymentMethod) {
+            filtered = filtered.filter(receipt => {
+                const tenders = DataProcessor.getTenders(receipt);
+                if (state.paymentMethod === 'none') {
+                    return tenders.length === 0;
+                }
+                return tenders.some(tender => tender.key === state.paymentMethod);
+            });
+        }
+        
+        // Search term filter
+        if (state.searchTerm) {
+            const term = state.searchTerm.toLowerCase();
+            filtered = filtered.filter(receipt => {
+                // Search in item names and numbers
+                if (Array.isArray(receipt.itemArray)) {
+                    return receipt.itemArray.some(item => {
+                        return (
+                            item.normalizedName.toLowerCase().includes(term) ||
+                            item.itemNumber.includes(term)
+                        );
+                    });
+                }
+                return false;
+            });
+        }
+        
+        return filtered;
+    }
+    
+    /**
+     * Get active filters
+     * @returns {Object} Current filter state
+     */
+    function getActiveFilters() {
+        return {
+            dateRange: { ...state.dateRange },
+            warehouse: state.warehouse,
+            searchTerm: state.searchTerm,
+            transactionType: state.transactionType,
+            preset: state.currentPreset,
+            channel: state.channel,
+            membershipNumber: state.membershipNumber,
+            paymentMethod: state.paymentMethod,
+            comparison: { ...state.comparison }
+        };
+    }
+    
+    /**
+     * Clear all filters
+     */
+    function clearFilters() {
+        state.dateRange = { start: null, end: null };
+        state.warehouse = null;
+        state.channel = null;
+        state.membershipNumber = null;
+        state.searchTerm = null;
+        state.transactionType = null;
+        state.paymentMethod = null;
+        state.currentPreset = 'all';
+        state.comparison = normalizeComparison();
+        
+        ErrorHandler.debug('All filters cleared');
+        EventBus.emit('filter:cleared', {});
+        EventBus.emit('filter:changed', getActiveFilters());
+    }
+    
+    /**
+     * Get filtered receipts from DataStore
+     * @returns {Array} Filtered receipts
+     */
+    function getFilteredReceipts() {
+        const dataStore = App.modules.dataStore;
+        if (!dataStore) {
+            return [];
+        }
+        
+        const allReceipts = dataStore.getReceipts();
+        return applyFilters(allReceipts);
+    }
+    
+    /**
+     * Get receipts for the comparison period (same non-date filters)
+     * @returns {Array|null} Comparison receipts, or null when not comparing
+     */
+    function getComparisonReceipts() {
+        const dataStore = App.modules.dataStore;
+        const range = getComparisonRange();
+        if (!dataStore || !range) {
+            return null;
+        }
+        
+        return applyFilters(dataStore.getReceipts(), range);
+    }
+    
+    /**
+     * Initialize with YTD filter
+     */
+    function init() {
+        setPreset('all');
+        ErrorHandler.debug('FilterManager initialized with YTD preset');
+    }
+    
+    return {
+        init,
+        setDateRange,
+        setWarehouse,
+        setChannel,
+        setMembershipNumber,
+        setSearchTerm,
+        setTransactionType,
+        setPaymentMethod,
+        setComparison,
+        setPreset,
+        setFilters,
+        applyFilters,
+        getActiveFilters,
+        getComparisonRange,
+        getFilteredReceipts,
+        getComparisonReceipts,
+        clearFilters
+    };
+})();
+
+// ===== URL STATE MODULE =====
+// Mirrors filter state and the active tab into the URL hash so views can be
+// bookmarked, and replays them on back/forward navigation.
+const UrlStateManager = (() => {
+    const DEFAULT_TAB = 'overview';
+    
+    const state = {
+        applying: false,     // true while restoring, so we don't push what we just read
+        initialized: false,
+        activeTab: DEFAULT_TAB
+    };
+    
+    /**
+     * Format a date for the URL (matches the date input's YYYY-MM-DD value)
+     * @param {Date} date - Date to format
+     * @returns {string|null} Formatted date
+     */
+    function formatDateParam(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+        return date.toISOString().split('T')[0];
+    }
+    
+    /**
+     * Parse a YYYY-MM-DD URL value the same way the date inputs are parsed
+     * @param {string} value - Date string
+     * @returns {Date|null} Parsed date
+     */
+    function parseDateParam(value) {
+        if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    /**
+     * Build a hash string from filters and tab (defaults are omitted)
+     * @param {Object} filters - FilterManager.getActiveFilters() result
+     * @param {string} tab - Active tab id
+     * @returns {string} Hash including leading '#', or '' when everything is default
+     */
+    function buildHash(filters, tab) {
+        const params = new URLSearchParams();
+        
+        if (tab && tab !== DEFAULT_TAB) params.set('tab', tab);
+        if (filters.preset && filters.preset !== 'all') params.set('preset', filters.preset);
+        if (filters.preset === 'custom') {
+            const start = formatDateParam(filters.dateRange?.start);
+            const end = formatDateParam(filters.dateRange?.end);
+            if (start) params.set('start', start);
+            if (end) params.set('end', end);
+        }
+        if (filters.channel) params.set('channel', filters.channel);
+        if (filters.warehouse !== null && filters.warehouse !== undefined) params.set('warehouse', filters.warehouse);
+        if (filters.membershipNumber) params.set('member', filters.membershipNumber);
+        if (filters.searchTerm) params.set('q', filters.searchTerm);
+        if (filters.transactionType) params.set('type', filters.transactionType);
+        if (filters.paymentMethod) params.set('pay', filters.paymentMethod);
+        if (filters.comparison?.mode) {
+            params.set('compare', filters.comparison.mode);
+            if (filters.comparison.mode === 'custom') {
+                const start = formatDateParam(filters.comparison.start);
+                const end = formatDateParam(filters.comparison.end);
+                if (start) params.set('cstart', start);
+                if (end) params.set('cend', end);
+            }
+        }
+        
+        const query = params.toString();
+        return query ? `#${query}` : '';
+    }
+    
+    /**
+     * Parse a hash string into filters and tab
+     * @param {string} hash - Location hash
+     * @returns {Object} { filters, tab, hasState }
+     */
+    function parseHash(hash = window.location.hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const warehouse = params.get('warehouse');
+        
+        const filters = {
+            preset: params.get('preset') || 'all',
+            dateRange: {
+                start: parseDateParam(params.get('start')),
+                end: parseDateParam(params.get('end'))
+            },
+            channel: params.get('channel'),
+            warehouse: warehouse === null ? null : (warehouse === 'ONLINE' ? 'ONLINE' : Number(warehouse)),
+            membershipNumber: params.get('member'),
+            searchTerm: params.get('q'),
+            transactionType: params.get('type'),
+            paymentMethod: params.get('pay'),
+            comparison: {
+                mode: params.get('compare'),
+                start: parseDateParam(params.get('cstart')),
+                end: parseDateParam(params.get('cend'))
+            }
+        };
+        
+        if (Number.isNaN(filters.warehouse)) {
+            filters.warehouse = null;
+        }
+        
+        return {
+            filters,
+            tab: params.get('tab') || DEFAULT_TAB,
+            hasState: Array.from(params.keys()).length > 0
+        };
+    }
+    
+    /**
+     * Check whether the current URL carries view state
+     * @returns {boolean} True if the hash has parameters
+     */
+    function hasState() {
+        return parseHash().hasState;
+    }
+    
+    /**
+     * Write the current view to the URL
+     * @param {boolean} replace - Replace the current history entry instead of pushing
+     */
+    function writeState(replace = false) {
+        if (state.applying || !App.modules.filterManager) return;
+        
+        const hash = buildHash(App.modules.filterManager.getActiveFilters(), state.activeTab);
+        if (hash === window.location.hash || (hash === '' && !window.location.hash)) return;
+        
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+    
+    /**
+     * Restore filters and tab from the URL
+     * @returns {boolean} True if state was applied
+     */
+    function applyFromLocation() {
+        const parsed = parseHash();
+        const filterManager = App.modules.filterManager;
+        const uiController = App.modules.uiController;
+        if (!filterManager) return false;
+        
+        state.applying = true;
+        try {
+            filterManager.setFilters(parsed.filters);
+            if (uiController) {
+                uiController.syncFilterControls(filterManager.getActiveFilters());
+                uiController.switchToTab(parsed.tab);
+            }
+            state.activeTab = parsed.tab;
+        } finally {
+            state.applying = false;
+        }
+        
+        ErrorHandler.debug('View restored from URL', parsed);
+        EventBus.emit('urlstate:restored', parsed);
+        return true;
+    }
+    
+    /**
+     * Start syncing the URL with filter and tab changes
+     */
+    function init() {
+        if (state.initialized) return;
+        state.initialized = true;
+        state.activeTab = parseHash().tab;
+        
+        // Collapse bursts of filter events (e.g. clearing several controls) into one history entry
+        const pushState = debounce(() => writeState(false), 300);
+        
+        EventBus.on('filter:changed', () => {
+            if (!state.applying) pushState();
+        });
+        
+        EventBus.on('ui:tabChanged', ({ tabId }) => {
+            if (state.applying) return;
+            state.activeTab = tabId;
+            pushState();
+        });
+        
+        // Back/forward: replay the view only once data is on screen
+        window.addEventListener('popstate', () => {
+            if (App.modules.dataStore && App.modules.dataStore.getReceiptCount() > 0) {
+                applyFromLocation();
+            }
+        });
+        
+        ErrorHandler.debug('UrlStateManager initialized');
+    }
+    
+    return {
+        init,
+        hasState,
+        parseHash,
+        buildHash,
+        applyFromLocation
+    };
+})();
+
+// ===== TAX ENGINE =====
+// Reconciles a receipt's printed tax with its line items. Each subTaxes
+// component (A-D, U; typically state/county/city) is charged on the lines whose
+// taxFlag names it: 'Y' (or 'T') means every component, a letter means that
+// component, 'N' or no flag means not taxable. Discount lines share the flag
+// of the item they reduce. Printed component amounts are attributed to their
+// taxable lines by amount, so line-level tax always adds up to the receipt.
+const TaxEngine = (() => {
+    // Rounding slack per tax component before a receipt is flagged
+    const COMPONENT_TOLERANCE = 0.02;
+    const ALL_COMPONENTS_FLAGS = ['Y', 'T'];
+    
+    const round = (value) => Math.round(value * 100) / 100;
+    
+    /**
+     * Tax components a line is charged under
+     * @param {string} flag - Item taxFlag
+     * @param {Array} components - Receipt tax components
+     * @returns {Array<string|null>} Component codes
+     */
+    function getLineCodes(flag, components) {
+        const text = String(flag || '').trim().toUpperCase();
+        if (!text || text === 'N') return [];
+        const codes = components.map(component => component.code);
+        
+        // A bare tax total (no subTaxes) applies to any taxable line
+        if (ALL_COMPONENTS_FLAGS.includes(text) || codes.includes(null)) return codes;
+        return codes.filter(code => text.includes(code));
+    }
+    
+    /**
+     * Reconcile one receipt
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Object} { receiptId, status: 'ok'|'mismatch'|'unflagged', reason, printedTax, computedTax, difference, taxableAmount, nonTaxableAmount, components: [{ code, legend, percent, amount, taxableBase, expected }], lines: [{ index, codes, taxable, tax }] }
+     */
+    function analyzeReceipt(receipt) {
+        const items = Array.isArray(receipt?.itemArray) ? receipt.itemArray : [];
+        const printedTax = round(Number(receipt?.taxes) || 0);
+        const components = DataProcessor.getTaxLines(receipt).map(line => ({ ...line, taxableBase: 0, expected: null }));
+        const hasFlags = items.some(item => !item.isDiscount && item.taxFlag);
+        
+        // Discounts are taxed like the item they reduce
+        const flagByItemNumber = new Map();
+        items.forEach(item => {
+            if (!item.isDiscount && !flagByItemNumber.has(item.itemNumber)) flagByItemNumber.set(item.itemNumber, item.taxFlag);
+        });
+        
+        const lines = items.map((item, index) => {
+            const flag = item.isDiscount ? item.taxFlag || flagByItemNumber.get(item.discountAppliesTo) : item.taxFlag;
+            const codes = hasFlags ? getLineCodes(flag, components) : components.map(component => component.code);
+            return { index, amount: Number(item.amount) || 0, codes, taxable: codes.length > 0, tax: 0 };
+        });
+        
+        components.forEach(component => {
+            const taxed = lines.filter(line => line.codes.includes(component.code));
+            component.taxableBase = round(taxed.reduce((sum, line) => sum + line.amount, 0));
+            if (component.percent && hasFlags) {
+                component.expected = round(component.taxableBase * component.percent / 100);
+            }
+            if (component.taxableBase !== 0) {
+                taxed.forEach(line => {
+                    line.tax += component.amount * (line.amount / component.taxableBase);
+                });
+            }
+        });
+        
+        const taxableAmount = round(lines.filter(line => line.taxable).reduce((sum, line) => sum + line.amount, 0));
+        const lineTotal = round(lines.reduce((sum, line) => sum + line.amount, 0));
+        const componentTotal = round(components.reduce((sum, component) => sum + component.amount, 0));
+        
+        // Components without a printed rate can't be recomputed - take them as printed
+        const computedTax = hasFlags
+            ? round(components.reduce((sum, component) => sum + (component.expected !== null ? component.expected : component.amount), 0))
+            : null;
+        const tolerance = COMPONENT_TOLERANCE * Math.max(1, components.length);
+        
+        let status = 'ok';
+        let reason = '';
+        if (Math.abs(componentTotal - printedTax) > tolerance) {
+            status = 'mismatch';
+            reason = 'Tax components don\'t add up to the printed tax';
+        } else if (!hasFlags) {
+            status = 'unflagged';
+            reason = printedTax !== 0 ? 'No tax flags on the items; tax shared by amount' : '';
+        } else if (printedTax !== 0 && taxableAmount === 0) {
+            status = 'mismatch';
+            reason = 'Tax charged but no item is flagged taxable';
+        } else if (printedTax === 0 && taxableAmount !== 0) {
+            status = 'mismatch';
+            reason = 'Taxable items but no tax charged';
+        } else if (components.some(component => component.amount !== 0 && component.taxableBase === 0)) {
+            status = 'mismatch';
+            reason = 'A tax component has no items flagged for it';
+        } else if (Math.abs(computedTax - printedTax) > tolerance) {
+            status = 'mismatch';
+            reason = `Flagged items at the printed rates come to ${computedTax < 0 ? '-' : ''}$${Math.abs(computedTax).toFixed(2)}`;
+        }
+        
+        return {
+            receiptId: receipt?.id,
+            status,
+            reason,
+            printedTax,
+            computedTax,
+            difference: computedTax !== null ? round(printedTax - computedTax) : null,
+            taxableAmount,
+            nonTaxableAmount: round(lineTotal - taxableAmount),
+            components,
+            lines: lines.map(line => ({ index: line.index, codes: line.codes, taxable: line.taxable, tax: round(line.tax) }))
+        };
+    }
+    
+    /**
+     * Tax by jurisdiction and warehouse, and the receipts whose tax doesn't reconcile
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} { receiptCount, flaggedReceipts, taxableSpend, nonTaxableSpend, totalTax, jurisdictions: [{ key, code, legend, percent, taxableBase, tax, effectiveRate, receipts }], warehouses: [{ name, spend, taxableSpend, taxableTax, tax, effectiveRate, overallRate, receipts }], mismatches: [{ receiptId, date, warehouse, printedTax, computedTax, difference, reason }] }
+     */
+    function getTaxReport(receipts) {
+        const jurisdictions = new Map();
+        const warehouses = new Map();
+        const mismatches = [];
+        const report = { receiptCount: 0, flaggedReceipts: 0, taxableSpend: 0, nonTaxableSpend: 0, totalTax: 0 };
+        
+        (receipts || []).forEach(receipt => {
+            const result = analyzeReceipt(receipt);
+            const warehouseName = getWarehouseLabel(receipt);
+            
+            const isFlagged = result.status !== 'unflagged';
+            report.receiptCount++;
+            report.totalTax += result.printedTax;
+            if (!warehouses.has(warehouseName)) {
+                warehouses.set(warehouseName, { name: warehouseName, spend: 0, taxableSpend: 0, taxableTax: 0, tax: 0, receipts: 0 });
+            }
+            const warehouse = warehouses.get(warehouseName);
+            warehouse.spend += result.taxableAmount + result.nonTaxableAmount;
+            warehouse.tax += result.printedTax;
+            warehouse.receipts++;
+            
+            // Without flags there's no telling taxable from exempt, so rates only use flagged receipts
+            if (!isFlagged) return;
+            report.flaggedReceipts++;
+            report.taxableSpend += result.taxableAmount;
+            report.nonTaxableSpend += result.nonTaxableAmount;
+            warehouse.taxableSpend += result.taxableAmount;
+            warehouse.taxableTax += result.printedTax;
+            
+            result.components.forEach(component => {
+                const key = `${component.legend}|${component.percent || ''}`;
+                if (!jurisdictions.has(key)) {
+                    jurisdictions.set(key, { key, code: component.code, legend: component.legend, percent: component.percent, taxableBase: 0, tax: 0, receipts: 0 });
+                }
+                const entry = jurisdictions.get(key);
+                entry.taxableBase += component.taxableBase;
+                entry.tax += component.amount;
+                entry.receipts++;
+            });
+            
+            if (result.status === 'mismatch') {
+                mismatches.push({
+                    receiptId: receipt.id,
+                    date: receipt.transactionDateTime instanceof Date ? receipt.transactionDateTime : null,
+                    warehouse: warehouseName,
+                    printedTax: result.printedTax,
+                    computedTax: result.computedTax,
+                    difference: result.difference,
+                    reason: result.reason
+                });
+            }
+        });
+        
+        const rate = (tax, base) => base > 0 ? (tax / base) * 100 : 0;
+        
+        return {
+            receiptCount: report.receiptCount,
+            flaggedReceipts: report.flaggedReceipts,
+            taxableSpend: round(report.taxableSpend),
+            nonTaxableSpend: round(report.nonTaxableSpend),
+            totalTax: round(report.totalTax),
+            jurisdictions: Array.from(jurisdictions.values())
+                .map(entry => ({
+                    ...entry,
+                    taxableBase: round(entry.taxableBase),
+                    tax: round(entry.tax),
+                    effectiveRate: rate(entry.tax, entry.taxableBase)
+                }))
+                .sort((a, b) => b.tax - a.tax),
+            warehouses: Array.from(warehouses.values())
+                .map(entry => ({
+                    ...entry,
+                    spend: round(entry.spend),
+                    taxableSpend: round(entry.taxableSpend),
+                    taxableTax: round(entry.taxableTax),
+                    tax: round(entry.tax),
+                    effectiveRate: rate(entry.taxableTax, entry.taxableSpend),
+                    overallRate: rate(entry.tax, entry.spend)
+                }))
+                .sort((a, b) => b.tax - a.tax),
+            mismatches: mismatches.sort((a, b) => (b.date || 0) - (a.date || 0))
+        };
+    }
+    
+    return {
+        analyzeReceipt,
+        getTaxReport,
+        getLineCodes
+    };
+})();
+
+// ===== STATS CALCULATOR MODULE =====
+const StatsCalculator = (() => {
+    // Executive Membership reward: 2% of qualifying purchases, capped per membership year
+    const EXECUTIVE_REWARD_RATE = 0.02;
+    const EXECUTIVE_REWARD_CAP = 1250;
+    
+    /**
+     * Calculate total statistics
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} Total statistics
+     */
+    function calculateTotals(receipts) {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return {
+                totalSpent: 0,
+                netSpent: 0,
+                grossSpent: 0,
+                totalItems: 0,
+                totalReceipts: 0,
+                warehouseVisits: 0,
+                onlineOrders: 0,
+                totalTaxes: 0,
+                totalSavings: 0,
+                salesReceipts: 0,
+                refundReceipts: 0,
+                refundAmount: 0,
+                refundItemCount: 0,
+                totalPurchaseCount: 0,
+                uniqueItems: 0,
+                netUniqueItems: 0,
+                avgPricePerItem: 0
+            };
+        }
+        
+        const stats = {
+            totalReceipts: receipts.length,
+            warehouseVisits: 0,
+            onlineOrders: 0,
+            totalTaxes: 0,
+            totalSavings: 0,
+            salesReceipts: 0,
+            refundReceipts: 0,
+            refundAmount: 0,
+            refundItemCount: 0,
+            uniqueReturnedItems: 0,
+            grossSpent: 0,
+            refundSpent: 0,
+            totalPurchaseCount: 0
+        };
+        
+        const uniqueItemsSet = new Set();
+        const uniqueReturnedItemsSet = new Set();
+        // Track net quantities per item to determine net unique items
+        const itemNetQuantities = new Map();
+        
+        receipts.forEach(receipt => {
+            const isRefund = receipt.transactionType === 'Refund' || 
+                           receipt.transactionType === 'Return' || 
+                           receipt.transactionType === 'Returned' ||
+                           (receipt.total || 0) < 0;
+            
+            const receiptTotal = receipt.total || 0;
+            
+            // Categorize by purchase channel
+            const channel = receipt.channel || receipt.receiptType || 'warehouse';
+            if (channel === 'online' || receipt.documentType === 'OnlineReceipts') {
+                stats.onlineOrders++;
+            } else if (channel !== 'gas_station') {
+                stats.warehouseVisits++;
+            }
+            
+            // Calculate gross vs refund amounts
+            if (isRefund) {
+                stats.refundReceipts++;
+                stats.refundAmount += Math.abs(receiptTotal);
+                stats.refundSpent -= Math.abs(receiptTotal); // Always subtract absolute value
+            } else {
+                stats.salesReceipts++;
+                stats.grossSpent += receiptTotal;
+            }
+            
+            // Taxes and savings (net of refunds)
+            const receiptTax = receipt.taxes || 0;
+            const receiptSavings = receipt.instantSavings || 0;
+            if (isRefund) {
+                // Subtract tax and savings for refunds
+                stats.totalTaxes -= Math.abs(receiptTax);
+                stats.totalSavings -= Math.abs(receiptSavings);
+            } else {
+                stats.totalTaxes += receiptTax;
+                stats.totalSavings += receiptSavings;
+            }
+            
+            // Calculate total purchase count (sum of quantities)
+            if (receipt.itemArray && Array.isArray(receipt.itemArray)) {
+                receipt.itemArray.forEach(item => {
+                    const qty = Number(item.quantity) || 1;
+                    const itemNum = item.itemNumber;
+                    
+                    // Add quantity to total purchase count or refund item count
+                    if (isRefund) {
+                        stats.refundItemCount += Math.abs(qty);
+                        // Track unique returned items
+                        if (itemNum) {
+                            uniqueReturnedItemsSet.add(itemNum);
+                        }
+                    } else {
+                        stats.totalPurchaseCount += qty;
+                    }
+                    
+                    // Track unique items (all items ever seen)
+                    if (itemNum) {
+                        uniqueItemsSet.add(itemNum);
+                        
+                        // Track net quantities for net unique items calculation
+                        const currentQty = itemNetQuantities.get(itemNum) || 0;
+                        if (isRefund) {
+                            itemNetQuantities.set(itemNum, currentQty - Math.abs(qty));
+                        } else {
+                            itemNetQuantities.set(itemNum, currentQty + qty);
+                        }
+                    }
+                });
+            }
+        });
+        
+        // Calculate net spend (purchases - refunds)
+        stats.netSpent = stats.grossSpent + stats.refundSpent; // refundSpent is negative
+        stats.totalSpent = stats.netSpent; // Use net spend as the primary metric
         
-        // Y label
-        svg.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', -margin.left + 14)
-            .attr('x', -height / 2)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('fill', 'var(--color-text-secondary)')
-            .text('Effective Tax Rate (%)');
+        // Calculate unique items
+        stats.uniqueItems = uniqueItemsSet.size;
+        
+        // Calculate unique returned items
+        stats.uniqueReturnedItems = uniqueReturnedItemsSet.size;
+        
+        // Calculate net unique items (items with positive net quantity)
+        stats.netUniqueItems = Array.from(itemNetQuantities.values())
+            .filter(qty => qty > 0).length;
+        
+        // Average price per item (based on gross purchases, not net)
+        stats.avgPricePerItem = stats.totalPurchaseCount > 0 
+            ? stats.grossSpent / stats.totalPurchaseCount 
+            : 0;
+        
+        // Round to 2 decimals
+        stats.totalSpent = Math.round(stats.totalSpent * 100) / 100;
+        stats.netSpent = Math.round(stats.netSpent * 100) / 100;
+        stats.grossSpent = Math.round(stats.grossSpent * 100) / 100;
+        stats.totalTaxes = Math.round(stats.totalTaxes * 100) / 100;
+        stats.totalSavings = Math.round(stats.totalSavings * 100) / 100;
+        stats.refundAmount = Math.round(stats.refundAmount * 100) / 100;
+        stats.avgPricePerItem = Math.round(stats.avgPricePerItem * 100) / 100;
+        
+        return stats;
+    }
+    
+    /**
+     * Calculate average statistics
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} Average statistics
+     */
+    function calculateAverages(receipts) {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return {
+                avgPerReceipt: 0,
+                avgItemsPerReceipt: 0,
+                avgSavingsPerReceipt: 0,
+                minOrder: 0,
+                maxOrder: 0
+            };
+        }
+        
+        const totals = calculateTotals(receipts);
+        const receiptTotals = receipts.map(r => r.total || 0);
+        
+        return {
+            // Use netSpent for average (which is stored in totalSpent after calculation)
+            avgPerReceipt: Math.round((totals.netSpent / receipts.length) * 100) / 100,
+            avgItemsPerReceipt: Math.round((totals.totalPurchaseCount / receipts.length) * 100) / 100,
+            avgSavingsPerReceipt: Math.round((totals.totalSavings / receipts.length) * 100) / 100,
+            minOrder: Math.round(Math.min(...receiptTotals) * 100) / 100,
+            maxOrder: Math.round(Math.max(...receiptTotals) * 100) / 100
+        };
+    }
+    
+    /**
+     * Get warehouse statistics
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} Warehouse statistics
+     */
+    function getWarehouseStats(receipts) {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return {
+                uniqueWarehouses: 0,
+                warehouseList: [],
+                byWarehouse: {}
+            };
+        }
+        
+        const warehouseMap = new Map();
+        
+        // Helper: flexible date parsing for various receipt date formats
+        function parseFlexibleDate(val) {
+            if (!val) return null;
+            if (val instanceof Date && !isNaN(val.getTime())) return val;
+            if (val instanceof Date) return null;
+            
+            if (typeof val === 'string') {
+                const trimmed = val.trim();
+                if (!trimmed) return null;
+                
+                // Try native parse
+                let d = new Date(trimmed);
+                if (!isNaN(d.getTime())) return d;
+                
+                // Try replacing space with T
+                if (trimmed.includes(' ')) {
+                    d = new Date(trimmed.replace(' ', 'T'));
+                    if (!isNaN(d.getTime())) return d;
+                }
+                
+                // mm/dd/yyyy or mm/dd/yy
+                const md = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+                if (md) {
+                    const m = parseInt(md[1], 10) - 1;
+                    const day = parseInt(md[2], 10);
+                    let y = parseInt(md[3], 10);
+                    if (y < 100) y += 2000;
+                    d = new Date(y, m, day);
+                    if (!isNaN(d.getTime())) return d;
+                }
+                
+                // YYYYMMDD
+                const ymd = trimmed.match(/^(\d{4})(\d{2})(\d{2})$/);
+                if (ymd) {
+                    d = new Date(parseInt(ymd[1], 10), parseInt(ymd[2], 10) - 1, parseInt(ymd[3], 10));
+                    if (!isNaN(d.getTime())) return d;
+                }
+            }
+            return null;
+        }
+        
+        // Helper: normalize a receipt date (Date object) from any available field
+        function getReceiptDate(receipt) {
+            const candidates = [
+                receipt.transactionDateTime,
+                receipt.transactionDateISO,
+                receipt.transactionDate,
+                receipt._original?.transactionDateTime,
+                receipt._original?.transactionDateISO,
+                receipt._original?.transactionDate
+            ];
+            
+            for (const val of candidates) {
+                const d = parseFlexibleDate(val);
+                if (d) return d;
+            }
+            return null;
+        }
+        
+        // Helper: capture the first available raw date string for fallback display
+        function getRawDateString(receipt) {
+            const candidates = [
+                receipt.transactionDateTime,
+                receipt.transactionDateISO,
+                receipt.transactionDate,
+                receipt._original?.transactionDateTime,
+                receipt._original?.transactionDateISO,
+                receipt._original?.transactionDate
+            ];
+            for (const val of candidates) {
+                if (typeof val === 'string' && val.trim().length > 0) {
+                    return val.trim();
+                }
+            }
+            return null;
+        }
+        
+        receipts.forEach(receipt => {
+            // Check if this is an online order
+            const isOnline = receipt.channel === 'online' || 
+                           receipt.documentType === 'ONLINE' || 
+                           receipt.documentType === 'OnlineReceipts' ||
+                           receipt.warehouseName === 'Online';
+            const isGas = receipt.receiptType === 'Gas Station' || receipt.documentType === 'FuelReceipts';
+            const receiptDate = getReceiptDate(receipt);
+            const rawDate = receiptDate ? null : getRawDateString(receipt);
+            
+            // For online orders, use a special key to group them all together
+            // For warehouse orders, use warehouseNumber
+            const wh = isOnline ? 'ONLINE' : receipt.warehouseNumber;
+            if (!wh) return;
+            
+            if (!warehouseMap.has(wh)) {
+                warehouseMap.set(wh, {
+                    warehouseNumber: isOnline ? 'ONLINE' : wh,
+                    warehouseName: isOnline ? 'Online' : (receipt.warehouseName || ''),
+                    warehouseCity: isOnline ? '' : (receipt.warehouseCity || ''),
+                    warehouseState: isOnline ? '' : (receipt.warehouseState || ''),
+                    isOnline,
+                    receipts: [],
+                    receiptCount: 0,
+                    tripDates: new Set(),
+                    totalSpent: 0,
+                lastVisit: null,
+                lastVisitRaw: null
+                });
+            }
+            
+            const whStats = warehouseMap.get(wh);
+            whStats.receiptCount++;
+            whStats.totalSpent += receipt.total || 0;
+            whStats.receipts.push(receipt);
+            if (rawDate) {
+                whStats.lastVisitRaw = rawDate; // keep latest string seen; replaces prior
+            }
+            
+            // Track trips as unique visit days for in-warehouse purchases (skip online/gas)
+            if (!isOnline && !isGas && receiptDate) {
+                const dateKey = receiptDate.toISOString().split('T')[0];
+                whStats.tripDates.add(dateKey);
+            }
+            
+            // Track last visit for all warehouse receipts (including gas) to show most recent visit
+            if (!isOnline && receiptDate) {
+                if (!whStats.lastVisit || receiptDate > whStats.lastVisit) {
+                    whStats.lastVisit = receiptDate;
+                }
+            }
+        });
         
-        // Update/destroy
-        chart.update = function(newData) {
-            createTaxRateTrendChart({ ...chart, data: newData });
-        };
+        // Convert to array and sort by total spent
+        const warehouseList = Array.from(warehouseMap.values())
+            .map(wh => {
+                const tripCountRaw = wh.tripDates.size;
+                const tripCount = tripCountRaw || (wh.isOnline ? 0 : wh.receiptCount); // fallback when dates missing
+                const totalSpent = Math.round(wh.totalSpent * 100) / 100;
+                const avgPerTrip = Math.round(((wh.totalSpent) / (tripCount || 1)) * 100) / 100;
+                const lastVisit = wh.lastVisit || wh.lastVisitRaw || null;
+                return {
+                    warehouseNumber: wh.warehouseNumber,
+                    warehouseName: wh.warehouseName,
+                    warehouseCity: wh.warehouseCity,
+                    warehouseState: wh.warehouseState,
+                    isOnline: wh.isOnline,
+                    totalSpent,
+                    tripCount,
+                    avgPerTrip,
+                    receiptCount: wh.receiptCount,
+                    lastVisit
+                };
+            })
+            .sort((a, b) => b.totalSpent - a.totalSpent);
         
-        chart.destroy = function() {
-            if (tooltip) tooltip.remove();
-            if (svg) svg.remove();
+        return {
+            uniqueWarehouses: warehouseList.filter(w => !w.isOnline).length,
+            warehouseList,
+            byWarehouse: Object.fromEntries(
+                warehouseList.map(wh => [wh.warehouseNumber, {
+                    ...wh,
+                    tripDates: undefined // strip sets
+                }])
+            )
         };
     }
     
     /**
-     * Get chart by ID
-     * @param {string} chartId - Chart identifier
-     * @returns {Object|null} Chart instance or null
-     */
-    function getChart(chartId) {
-        return charts.get(chartId) || null;
-    }
-    
-    /**
-     * Get all charts
-     * @returns {Map} All charts
+     * Get monthly spending data
+     * @param {Array} receipts - Array of receipts
+     * @returns {Array} Monthly data
      */
-    function getAllCharts() {
-        return new Map(charts);
+    function getMonthlySpending(receipts) {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return [];
+        }
+        
+        const monthMap = new Map();
+        
+        receipts.forEach(receipt => {
+            if (!receipt.transactionDateTime) return;
+            
+            const date = new Date(receipt.transactionDateTime);
+            const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            
+            if (!monthMap.has(yearMonth)) {
+                monthMap.set(yearMonth, {
+                    month: yearMonth,
+                    total: 0,
+                    count: 0,
+                    items: 0,
+                    savings: 0,
+                    taxes: 0
+                });
+            }
+            
+            const monthData = monthMap.get(yearMonth);
+            const receiptTotal = receipt.total || 0;
+            const receiptSavings = receipt.instantSavings || 0;
+            const receiptTax = Number(receipt.taxes) || 0;
+            const isRefund = receipt.transactionType === 'Refund' || 
+                           receipt.transactionType === 'Return' || 
+                           receipt.transactionType === 'Returned' ||
+                           receiptTotal < 0;
+            
+            monthData.total += receiptTotal;
+            monthData.count++;
+            monthData.items += receipt.totalItemCount || 0;
+            
+            // Keep savings and taxes net of refunds
+            if (isRefund) {
+                monthData.savings -= Math.abs(receiptSavings);
+                monthData.taxes -= Math.abs(receiptTax);
+            } else {
+                monthData.savings += receiptSavings;
+                monthData.taxes += receiptTax;
+            }
+        });
+        
+        // Convert to array and sort by month
+        return Array.from(monthMap.values())
+            .map(m => ({
+                ...m,
+                total: Math.round(m.total * 100) / 100,
+                savings: Math.round(m.savings * 100) / 100,
+                taxes: Math.round(m.taxes * 100) / 100
+            }))
+            .sort((a, b) => a.month.localeCompare(b.month));
     }
     
-    return {
-        init,
-        createChart,
-        updateChart,
-        destroyChart,
-        resizeCharts,
-        resizeChartsInTab,
-        getChart,
-        getAllCharts,
-        // Drilldown functions
-        showItemDrillDown,
-        showWarehouseDrillDown,
-        showDepartmentDrillDown
-    };
-})();
-
-// ===== FILTER MANAGER MODULE =====
-const FilterManager = (() => {
-    const state = {
-        dateRange: {
-            start: null,
-            end: null
-        },
-        warehouse: null,
-        channel: null, // 'warehouse', 'online', or null for all
-        membershipNumber: null, // For both warehouse and online purchases
-        searchTerm: null,
-        transactionType: null,
-        currentPreset: 'all' // Show all receipts by default
-    };
-    
     /**
-     * Set date range filter
-     * @param {Date} start - Start date
-     * @param {Date} end - End date
+     * Get comprehensive statistics
+     * @param {Array} receipts - Array of receipts
+     * @param {Object} options - Optional calculation options
+     * @returns {Object} All statistics
      */
-    function setDateRange(start, end) {
-        state.dateRange.start = start;
-        state.dateRange.end = end;
-        state.currentPreset = 'custom';
-        
-        ErrorHandler.debug(`Date range set: ${start} to ${end}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function calculateAll(receipts, options = {}) {
+        const rewardOptions = options.rewards || {};
+        return {
+            totals: calculateTotals(receipts),
+            averages: calculateAverages(receipts),
+            warehouses: getWarehouseStats(receipts),
+            monthly: getMonthlySpending(receipts),
+            rewards: calculateExecutiveRewards(receipts, rewardOptions)
+        };
     }
     
     /**
-     * Set warehouse filter
-     * @param {number} warehouseNumber - Warehouse number (null for all)
+     * Years that have receipts, newest first
+     * @param {Array} receipts - Array of receipts
+     * @returns {Array<number>} Years
      */
-    function setWarehouse(warehouseNumber) {
-        state.warehouse = warehouseNumber;
-        ErrorHandler.debug(`Warehouse filter set: ${warehouseNumber}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function getAvailableYears(receipts) {
+        const years = new Set();
+        (receipts || []).forEach(receipt => {
+            const date = receipt.transactionDateTime;
+            if (date && !isNaN(date.getTime())) years.add(date.getFullYear());
+        });
+        return Array.from(years).sort((a, b) => b - a);
     }
     
     /**
-     * Set channel filter (warehouse/online)
-     * @param {string} channel - Channel type ('warehouse', 'online', or null for all)
+     * Gallons and spend on fuel
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} { gallons, spent }
      */
-    function setChannel(channel) {
-        state.channel = channel === 'all' ? null : channel;
-        ErrorHandler.debug(`Channel filter set: ${channel}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function getFuelTotals(receipts) {
+        let gallons = 0;
+        let spent = 0;
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            receipt.itemArray.forEach(item => {
+                if (item.fuelUnitQuantity === null || item.fuelUnitQuantity === undefined) return;
+                gallons += Number(item.fuelUnitQuantity) || 0;
+                spent += Number(item.amount) || 0;
+            });
+        });
+        return {
+            gallons: Math.round(gallons * 10) / 10,
+            spent: Math.round(spent * 100) / 100
+        };
     }
     
     /**
-     * Set membership number filter (works for both warehouse and online purchases)
-     * @param {string} membershipNumber - Membership number
+     * Key numbers for every year, for side-by-side comparison
+     * @param {Array} receipts - Array of receipts (all years)
+     * @param {Object} options - { rewards } passed to calculateExecutiveRewards
+     * @returns {Array} [{ year, totalSpent, trips, onlineOrders, savings, reward, gallons, uniqueItems }] newest first
      */
-    function setMembershipNumber(membershipNumber) {
-        const normalizedNumber = membershipNumber && membershipNumber !== 'all'
-            ? String(membershipNumber)
-            : null;
-        state.membershipNumber = normalizedNumber;
-        ErrorHandler.debug(`Membership filter set: ${membershipNumber}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function getYearComparison(receipts, options = {}) {
+        return getAvailableYears(receipts).map(year => {
+            const yearReceipts = receipts.filter(r => r.transactionDateTime && r.transactionDateTime.getFullYear() === year);
+            const totals = calculateTotals(yearReceipts);
+            const rewards = calculateExecutiveRewards(yearReceipts, options.rewards || {});
+            return {
+                year,
+                totalSpent: totals.netSpent,
+                trips: totals.warehouseVisits,
+                onlineOrders: totals.onlineOrders,
+                savings: totals.totalSavings,
+                reward: Math.round(rewards.totalReward * 100) / 100,
+                gallons: getFuelTotals(yearReceipts).gallons,
+                uniqueItems: totals.uniqueItems
+            };
+        });
     }
     
     /**
-     * Set search term filter
-     * @param {string} term - Search term
+     * Year-in-review summary built on calculateAll
+     * @param {Array} receipts - Array of receipts (all years, so "new items" and
+     *   the previous-year comparison can look back)
+     * @param {number} year - Calendar year
+     * @param {Object} options - { rewards } passed to calculateAll
+     * @returns {Object|null} Summary, or null if the year has no receipts
      */
-    function setSearchTerm(term) {
-        state.searchTerm = term && term.trim().length > 0 ? term.trim() : null;
-        ErrorHandler.debug(`Search term set: ${state.searchTerm}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function getYearInReview(receipts, year, options = {}) {
+        if (!Array.isArray(receipts) || receipts.length === 0) return null;
+        
+        const inYear = (receipt, y) => receipt.transactionDateTime && receipt.transactionDateTime.getFullYear() === y;
+        const yearReceipts = receipts.filter(r => inYear(r, year));
+        if (yearReceipts.length === 0) return null;
+        
+        const previousReceipts = receipts.filter(r => inYear(r, year - 1));
+        const all = calculateAll(yearReceipts, options);
+        const totalSpent = all.totals.netSpent;
+        const previousTotalSpent = previousReceipts.length > 0 ? calculateTotals(previousReceipts).netSpent : null;
+        
+        // Biggest single receipt
+        const biggest = yearReceipts
+            .filter(r => !isRefundReceipt(r))
+            .reduce((max, r) => (!max || (r.total || 0) > (max.total || 0)) ? r : max, null);
+        
+        const warehouses = (all.warehouses.warehouseList || [])
+            .filter(w => !w.isOnline)
+            .sort((a, b) => b.tripCount - a.tripCount || b.totalSpent - a.totalSpent);
+        
+        const busiestMonth = all.monthly.reduce((max, m) => (!max || m.total > max.total) ? m : max, null);
+        
+        // Products bought for the first time this year (by ProductIdentity key)
+        const firstPurchase = new Map();
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray) || !receipt.transactionDateTime || isRefundReceipt(receipt)) return;
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount || !item.itemNumber) return;
+                if (item.fuelUnitQuantity !== null && item.fuelUnitQuantity !== undefined) return;
+                const key = ProductIdentity.getProductKey(item.itemNumber);
+                const seen = firstPurchase.get(key);
+                if (!seen || receipt.transactionDateTime < seen) {
+                    firstPurchase.set(key, receipt.transactionDateTime);
+                }
+            });
+        });
+        // Item stats leave out fill-ups so gas isn't the "most bought item"
+        const shoppingReceipts = yearReceipts.filter(r => r.receiptType !== 'Gas Station' && r.documentType !== 'FuelReceipts');
+        const yearItems = getTopItems(shoppingReceipts, Infinity, 'spending');
+        const newItems = yearItems
+            .filter(item => {
+                const first = firstPurchase.get(item.itemNumber);
+                return first && first.getFullYear() === year;
+            })
+            .map(item => ({ ...item, firstDate: firstPurchase.get(item.itemNumber) }));
+        
+        const mostBought = getTopItems(shoppingReceipts, 1, 'frequency')[0] || null;
+        
+        return {
+            year,
+            summary: all,
+            receiptCount: yearReceipts.length,
+            totalSpent,
+            previousTotalSpent,
+            spentChange: previousTotalSpent ? Math.round(((totalSpent - previousTotalSpent) / Math.abs(previousTotalSpent)) * 10000) / 100 : null,
+            trips: all.totals.warehouseVisits,
+            onlineOrders: all.totals.onlineOrders,
+            uniqueItems: all.totals.uniqueItems,
+            mostBoughtItem: mostBought,
+            topItems: yearItems.slice(0, 5),
+            biggestTrip: biggest ? {
+                id: biggest.id,
+                date: biggest.transactionDateTime,
+                warehouseName: biggest.warehouseName || 'Unknown',
+                total: Math.round((biggest.total || 0) * 100) / 100,
+                itemCount: Array.isArray(biggest.itemArray) ? biggest.itemArray.filter(i => !i.isDiscount).length : 0
+            } : null,
+            mostVisitedWarehouse: warehouses[0] || null,
+            busiestMonth,
+            totalSaved: all.totals.totalSavings,
+            gas: getFuelTotals(yearReceipts.filter(r => !isRefundReceipt(r))),
+            executiveReward: Math.round(all.rewards.totalReward * 100) / 100,
+            newItemCount: newItems.length,
+            newItems: newItems.slice(0, 5),
+            priceHikes: getPriceIncreases(shoppingReceipts, 5)
+        };
     }
     
     /**
-     * Set transaction type filter
-     * @param {string} type - Transaction type (Sales, Refund, etc.)
+     * Map a date to its reward cycle year (the year of the cycle start it belongs to)
+     * @param {Date} date - Transaction date
+     * @param {number} startMonth - Cycle start month (1-12)
+     * @param {number} startDay - Cycle start day (1-31)
+     * @returns {number|null} Cycle year, or null for an invalid date
      */
-    function setTransactionType(type) {
-        state.transactionType = type;
-        ErrorHandler.debug(`Transaction type set: ${type}`);
-        EventBus.emit('filter:changed', getActiveFilters());
+    function getRewardCycleYear(date, startMonth = 1, startDay = 1) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+        const startThisYear = new Date(date.getFullYear(), startMonth - 1, startDay);
+        return date >= startThisYear ? date.getFullYear() : date.getFullYear() - 1;
     }
     
     /**
-     * Set a date preset
-     * @param {string} preset - Preset name: 'ytd', 'last12', 'all', 'custom'
+     * Calculate Executive Membership 2% rewards
+     * Based on annual pre-tax warehouse merchandise subtotals
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} Rewards data by year
      */
-    function setPreset(preset) {
-        const now = new Date();
-        const dataStore = App.modules.dataStore;
+    function calculateExecutiveRewards(receipts, options = {}) {
+        const byYear = {};
+        let totalReward = 0;
         
-        switch (preset) {
-            case 'ytd': {
-                // Year to date
-                const yearStart = new Date(now.getFullYear(), 0, 1);
-                state.dateRange.start = yearStart;
-                state.dateRange.end = now;
-                state.currentPreset = 'ytd';
-                break;
+        const cycleStartMonth = Number(options.cycleStartMonth) || 1; // 1-12
+        const cycleStartDay = Number(options.cycleStartDay) || 1;     // 1-31
+        
+        // Departments that don't qualify for 2% reward
+        const excludedDepartments = new Set([
+            75,  // Gift Cards/Services
+            93   // Pharmacy (Rx), Over-the-Counter & Wellness
+            // Note: Tobacco would be here if we had the department number
+        ]);
+        if (Array.isArray(options.additionalExcludedDepartments)) {
+            options.additionalExcludedDepartments.forEach(dept => excludedDepartments.add(dept));
+        }
+        
+        receipts.forEach(receipt => {
+            // Warehouse and online purchases qualify (exclude only gas)
+            const channel = receipt.channel || receipt.receiptType || 'warehouse';
+            const docType = receipt.documentType || '';
+            const isGas = channel === 'gas_station' || 
+                         channel === 'Gas Station' ||
+                         docType === 'FuelReceipts' ||
+                         receipt.receiptType === 'Gas Station';
+            const isTravel = docType.toLowerCase().includes('travel') ||
+                            (receipt.receiptType && receipt.receiptType.toLowerCase().includes('travel')) ||
+                            (channel && channel.toLowerCase().includes('travel'));
+            
+            if (isGas || isTravel) {
+                return;
             }
             
-            case 'last12': {
-                // Last 12 months
-                const last12 = new Date();
-                last12.setMonth(last12.getMonth() - 12);
-                state.dateRange.start = last12;
-                state.dateRange.end = now;
-                state.currentPreset = 'last12';
-                break;
+            // Only positive transactions (exclude refunds)
+            const total = receipt.total || 0;
+            if (total < 0) {
+                return;
             }
             
-            case 'all': {
-                // All time - no date filter
-                state.dateRange.start = null;
-                state.dateRange.end = null;
-                state.currentPreset = 'all';
-                break;
+            const date = receipt.transactionDateTime;
+            const cycleYear = getRewardCycleYear(date, cycleStartMonth, cycleStartDay);
+            if (cycleYear === null) return;
+            
+            if (!byYear[cycleYear]) {
+                byYear[cycleYear] = {
+                    subtotal: 0,
+                    reward: 0
+                };
             }
             
-            case 'custom':
-                // Keep current custom range
-                state.currentPreset = 'custom';
-                break;
+            // Calculate qualifying subtotal by examining items
+            let qualifyingSubtotal = 0;
+            if (Array.isArray(receipt.itemArray)) {
+                receipt.itemArray.forEach(item => {
+                    if (item.isDiscount) return;
+                    
+                    const dept = item.itemDepartmentNumber || 0;
+                    const amount = Number(item.amount) || 0;
+                    
+                    // Skip excluded departments and negative amounts
+                    if (excludedDepartments.has(dept) || amount < 0) {
+                        return;
+                    }
+                    
+                    qualifyingSubtotal += amount;
+                });
+            } else {
+                // Fallback: if no itemArray, use receipt subtotal
+                // (but this shouldn't happen with normalized receipts)
+                qualifyingSubtotal = Math.abs(Number(receipt.subTotal) || 0);
+            }
             
-            default:
-                ErrorHandler.warn(`Unknown preset: ${preset}`);
-                return;
-        }
+            byYear[cycleYear].subtotal += qualifyingSubtotal;
+        });
         
-        ErrorHandler.debug(`Preset set: ${preset}`);
-        EventBus.emit('filter:presetChanged', { preset, filters: getActiveFilters() });
-        EventBus.emit('filter:changed', getActiveFilters());
+        // Calculate 2% reward for each year (capped at $1,250 per Costco policy)
+        Object.keys(byYear).forEach(year => {
+            const rawReward = byYear[year].subtotal * EXECUTIVE_REWARD_RATE;
+            byYear[year].reward = Math.min(rawReward, EXECUTIVE_REWARD_CAP); // Costco caps at $1,250/year
+            totalReward += byYear[year].reward;
+        });
+        
+        return {
+            byYear,
+            totalReward,
+            cycleStart: {
+                month: cycleStartMonth,
+                day: cycleStartDay
+            }
+        };
     }
     
     /**
-     * Apply filters to receipts
-     * @param {Array} receipts - Receipts to filter
-     * @returns {Array} Filtered receipts
+     * Executive vs. Gold Star: does the 2% reward (plus Executive-only perks) cover the upgrade fee?
+     * The current cycle year is projected from its spend so far.
+     * @param {Array} receipts - Array of receipts
+     * @param {Object} options - { rewards, feeDifference, perkValue, asOf }
+     *   rewards: cycle options for calculateExecutiveRewards; feeDifference: upgrade cost per year;
+     *   perkValue: yearly dollar value of the Executive-only perks the user counts
+     * @returns {Object} { feeDifference, perkValue, breakEvenSpend, years, recommendation }
      */
-    function applyFilters(receipts) {
-        if (!Array.isArray(receipts)) {
-            return [];
-        }
-        
-        let filtered = receipts;
-        
-        // Date range filter
-        if (state.dateRange.start || state.dateRange.end) {
-            filtered = filtered.filter(receipt => {
-                const date = receipt.transactionDateTime;
-                if (!date) return false;
-                
-                if (state.dateRange.start && date < state.dateRange.start) return false;
-                if (state.dateRange.end && date > state.dateRange.end) return false;
+    function getMembershipValue(receipts, options = {}) {
+        const round = value => Math.round(value * 100) / 100;
+        const feeDifference = Math.max(0, Number(options.feeDifference) || 0);
+        const perkValue = Math.max(0, Number(options.perkValue) || 0);
+        const asOf = options.asOf instanceof Date ? options.asOf : new Date();
+        const rewards = calculateExecutiveRewards(receipts || [], options.rewards || {});
+        const { month, day } = rewards.cycleStart;
+        
+        // Qualifying spend at which reward + perks pay for the upgrade (null if the cap makes it impossible)
+        const rewardNeeded = Math.max(0, feeDifference - perkValue);
+        const breakEvenSpend = rewardNeeded > EXECUTIVE_REWARD_CAP ? null : round(rewardNeeded / EXECUTIVE_REWARD_RATE);
+        
+        const years = Object.keys(rewards.byYear)
+            .map(Number)
+            .sort((a, b) => b - a)
+            .map(year => {
+                const { subtotal, reward } = rewards.byYear[year];
+                const cycleStart = new Date(year, month - 1, day);
+                const cycleEnd = new Date(year + 1, month - 1, day);
+                const isCurrent = asOf >= cycleStart && asOf < cycleEnd;
                 
-                return true;
-            });
-        }
-        
-        // Channel filter (warehouse/online)
-        if (state.channel) {
-            filtered = filtered.filter(receipt => {
-                const channel = receipt.channel || receipt.receiptType || 'warehouse';
-                // Normalize channel values
-                if (state.channel === 'warehouse') {
-                    return channel === 'warehouse' || channel === 'In-Warehouse' || channel === 'Gas Station';
-                } else if (state.channel === 'online') {
-                    return channel === 'online';
+                // Scale the current cycle's spend to a full year (after its first month)
+                let projectedSubtotal = subtotal;
+                if (isCurrent) {
+                    const elapsed = (asOf - cycleStart) / (cycleEnd - cycleStart);
+                    projectedSubtotal = elapsed >= 1 / 12 ? subtotal / elapsed : null;
                 }
-                return true;
+                const projectedReward = projectedSubtotal === null
+                    ? null
+                    : Math.min(projectedSubtotal * EXECUTIVE_REWARD_RATE, EXECUTIVE_REWARD_CAP);
+                const basis = projectedReward === null ? reward : projectedReward;
+                const net = basis + perkValue - feeDifference;
+                
+                return {
+                    year,
+                    isCurrent,
+                    subtotal: round(subtotal),
+                    reward: round(reward),
+                    projectedSubtotal: projectedSubtotal === null ? null : round(projectedSubtotal),
+                    projectedReward: projectedReward === null ? null : round(projectedReward),
+                    net: round(net),
+                    spendToBreakEven: breakEvenSpend === null ? null : round(Math.max(0, breakEvenSpend - subtotal)),
+                    recommendation: net >= 0 ? 'executive' : 'goldStar'
+                };
             });
-        }
-        
-        // Warehouse filter
-        if (state.warehouse !== null && state.warehouse !== 'all') {
-            if (state.warehouse === 'ONLINE') {
-                // Filter for online orders
-                filtered = filtered.filter(r => 
-                    r.channel === 'online' || 
-                    r.documentType === 'ONLINE' || 
-                    r.documentType === 'OnlineReceipts' ||
-                    r.warehouseName === 'Online'
-                );
-            } else {
-            const whNum = Number(state.warehouse);
-            filtered = filtered.filter(r => r.warehouseNumber === whNum);
-            }
-        }
         
-        // Membership number filter (works for both warehouse and online purchases)
-        if (state.membershipNumber) {
-            filtered = filtered.filter(receipt => {
-                const receiptMembership = receipt.membershipNumber 
-                    ? String(receipt.membershipNumber) 
-                    : null;
-                return receiptMembership === state.membershipNumber;
-            });
+        return {
+            feeDifference: round(feeDifference),
+            perkValue: round(perkValue),
+            breakEvenSpend,
+            years,
+            // Latest cycle year decides (the projected one when it's in progress)
+            recommendation: years.length > 0 ? years[0].recommendation : null
+        };
+    }
+    
+    /**
+     * Get top items by various criteria
+     * @param {Array} receipts - Array of receipts
+     * @param {number} n - Number of top items to return
+     * @param {string} sortBy - Sort criteria: 'quantity', 'spending', 'frequency'
+     * @returns {Array} Top items
+     */
+    function getTopItems(receipts, n = 10, sortBy = 'spending') {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return [];
         }
         
-        // Transaction type filter
-        if (state.transactionType && state.transactionType !== 'all') {
-            filtered = filtered.filter(r => r.transactionType === state.transactionType);
-        }
+        const itemMap = new Map();
         
-        // Search term filter
-        if (state.searchTerm) {
-            const term = state.searchTerm.toLowerCase();
-            filtered = filtered.filter(receipt => {
-                // Search in item names and numbers
-                if (Array.isArray(receipt.itemArray)) {
-                    return receipt.itemArray.some(item => {
-                        return (
-                            item.normalizedName.toLowerCase().includes(term) ||
-                            item.itemNumber.includes(term)
-                        );
+        // Aggregate item data
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            
+            // Check if this is a refund receipt
+            const isRefund = receipt.transactionType === 'Refund' || 
+                           receipt.transactionType === 'Return' || 
+                           receipt.transactionType === 'Returned' ||
+                           (receipt.total || 0) < 0;
+            
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount) return; // Skip discount items
+                
+                // Aggregate by product so renumbered items and online SKUs count together
+                const product = ProductIdentity.getProduct(item.itemNumber);
+                const itemNum = product.key;
+                if (!itemMap.has(itemNum)) {
+                    itemMap.set(itemNum, {
+                        itemNumber: itemNum,
+                        itemNumbers: product.itemNumbers,
+                        name: product.name || item.normalizedName,
+                        image: item.fullItemImage || null,
+                        totalQuantity: 0,
+                        totalSpent: 0,
+                        purchases: 0,
+                        prices: [],
+                        priceHistory: [], // Track price history for trends
+                        avgPrice: 0,
+                        minPrice: Infinity,
+                        maxPrice: -Infinity,
+                        firstPrice: null,
+                        lastPrice: null
                     });
                 }
-                return false;
+                
+                const itemStats = itemMap.get(itemNum);
+                if (!itemStats.image && item.fullItemImage) {
+                    itemStats.image = item.fullItemImage;
+                }
+                itemStats.totalQuantity += item.unit || 0;
+                itemStats.totalSpent += item.amount || 0;
+                itemStats.purchases++;
+                itemStats.prices.push(item.unitPrice);
+                
+                // Only add to price history if this is NOT a refund receipt
+                if (!isRefund) {
+                const pricing = DataProcessor.getUnitPricing(item);
+                itemStats.priceHistory.push({
+                    date: receipt.transactionDateTime,
+                    price: item.unitPrice,
+                    unitPrice: pricing ? pricing.pricePerUnit : null,
+                    standardUnit: pricing ? pricing.unit : null,
+                    packSize: pricing ? pricing.packSize : null
+                });
+                }
+                
+                itemStats.minPrice = Math.min(itemStats.minPrice, item.unitPrice);
+                itemStats.maxPrice = Math.max(itemStats.maxPrice, item.unitPrice);
             });
+        });
+        
+        // Calculate averages and prepare results
+        const items = Array.from(itemMap.values())
+            .map(item => {
+                // Sort price history by date
+                item.priceHistory.sort((a, b) => a.date - b.date);
+                const firstPrice = item.priceHistory.length > 0 ? item.priceHistory[0].price : 0;
+                const lastPrice = item.priceHistory.length > 0 ? item.priceHistory[item.priceHistory.length - 1].price : 0;
+                
+                // Per oz / fl oz / ct comparison when first and last purchase share a unit
+                const firstPoint = item.priceHistory[0];
+                const lastPoint = item.priceHistory[item.priceHistory.length - 1];
+                const unitComparable = Boolean(firstPoint && lastPoint &&
+                    firstPoint.unitPrice && lastPoint.unitPrice &&
+                    firstPoint.standardUnit === lastPoint.standardUnit);
+                
+                return {
+                    ...item,
+                    totalSpent: Math.round(item.totalSpent * 100) / 100,
+                    avgPrice: Math.round((item.totalSpent / item.totalQuantity) * 100) / 100,
+                    minPrice: Math.round(item.minPrice * 100) / 100,
+                    maxPrice: Math.round(item.maxPrice * 100) / 100,
+                    priceChange: item.maxPrice - item.minPrice,
+                    firstPrice: Math.round(firstPrice * 100) / 100,
+                    lastPrice: Math.round(lastPrice * 100) / 100,
+                    priceTrend: lastPrice - firstPrice, // Positive = increase, Negative = decrease
+                    standardUnit: unitComparable ? firstPoint.standardUnit : null,
+                    firstUnitPrice: unitComparable ? firstPoint.unitPrice : null,
+                    lastUnitPrice: unitComparable ? lastPoint.unitPrice : null,
+                    unitPriceTrend: unitComparable ? lastPoint.unitPrice - firstPoint.unitPrice : null,
+                    firstPackLabel: firstPoint && firstPoint.packSize ? firstPoint.packSize.label : null,
+                    lastPackLabel: lastPoint && lastPoint.packSize ? lastPoint.packSize.label : null,
+                    packChanged: unitComparable && firstPoint.packSize.quantity !== lastPoint.packSize.quantity
+                };
+            })
+            .filter(item => item.totalSpent > 0); // Exclude items with zero or negative net spending (fully refunded)
+        
+        // Sort based on criteria
+        let sorted;
+        switch (sortBy) {
+            case 'quantity':
+                sorted = items.sort((a, b) => b.totalQuantity - a.totalQuantity);
+                break;
+            case 'frequency':
+                sorted = items.sort((a, b) => b.purchases - a.purchases);
+                break;
+            case 'spending':
+            default:
+                sorted = items.sort((a, b) => b.totalSpent - a.totalSpent);
+                break;
         }
         
-        return filtered;
-    }
-    
-    /**
-     * Get active filters
-     * @returns {Object} Current filter state
-     */
-    function getActiveFilters() {
-        return {
-            dateRange: { ...state.dateRange },
-            warehouse: state.warehouse,
-            searchTerm: state.searchTerm,
-            transactionType: state.transactionType,
-            preset: state.currentPreset,
-            channel: state.channel,
-            membershipNumber: state.membershipNumber
-        };
+        return sorted.slice(0, n);
     }
     
     /**
-     * Clear all filters
+     * Get most expensive items (by unit price)
+     * @param {Array} receipts - Array of receipts
+     * @param {number} n - Number of items to return
+     * @returns {Array} Most expensive items
      */
-    function clearFilters() {
-        state.dateRange = { start: null, end: null };
-        state.warehouse = null;
-        state.channel = null;
-        state.membershipNumber = null;
-        state.searchTerm = null;
-        state.transactionType = null;
-        state.currentPreset = 'all';
+    function getMostExpensive(receipts, n = 10) {
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return [];
+        }
         
-        ErrorHandler.debug('All filters cleared');
-        EventBus.emit('filter:cleared', {});
-        EventBus.emit('filter:changed', getActiveFilters());
+        const allItems = [];
+        
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount) return;
+                
+                allItems.push({
+                    itemNumber: item.itemNumber,
+                    name: item.normalizedName,
+                    unitPrice: item.unitPrice,
+                    amount: item.amount,
+                    date: receipt.transactionDateTime,
+                    warehouse: receipt.warehouseNumber
+                });
+            });
+        });
+        
+        return allItems
+            .sort((a, b) => b.unitPrice - a.unitPrice)
+            .slice(0, n);
     }
     
     /**
-     * Get filtered receipts from DataStore
-     * @returns {Array} Filtered receipts
+     * Percent price change between the first and last purchase of an item.
+     * Compares price per oz / fl oz / ct when both purchases have a parsed pack
+     * size, so a smaller pack at the same price shows up as an increase.
+     * @param {Object} item - Item from getTopItems
+     * @returns {Object} { basis: 'unit'|'package', percent }
      */
-    function getFilteredReceipts() {
-        const dataStore = App.modules.dataStore;
-        if (!dataStore) {
-            return [];
+    function getPriceChange(item) {
+        if (item.unitPriceTrend !== null && item.firstUnitPrice > 0) {
+            return {
+                basis: 'unit',
+                percent: Math.round((item.unitPriceTrend / item.firstUnitPrice) * 10000) / 100
+            };
         }
-        
-        const allReceipts = dataStore.getReceipts();
-        return applyFilters(allReceipts);
+        return {
+            basis: 'package',
+            percent: item.firstPrice > 0 ? Math.round((item.priceTrend / item.firstPrice) * 10000) / 100 : 0
+        };
     }
     
     /**
-     * Initialize with YTD filter
+     * Shape an item from getTopItems for the price change tables
+     * @param {Object} item - Item from getTopItems
+     * @param {Object} change - Result of getPriceChange
+     * @returns {Object} Price change row
      */
-    function init() {
-        setPreset('all');
-        ErrorHandler.debug('FilterManager initialized with YTD preset');
+    function toPriceChangeRow(item, change) {
+        return {
+            itemNumber: item.itemNumber,
+            name: item.name,
+            image: item.image,
+            firstPrice: item.firstPrice,
+            lastPrice: item.lastPrice,
+            avgPrice: item.avgPrice,
+            minPrice: item.minPrice,
+            maxPrice: item.maxPrice,
+            purchases: item.purchases,
+            basis: change.basis,
+            standardUnit: item.standardUnit,
+            firstUnitPrice: item.firstUnitPrice,
+            lastUnitPrice: item.lastUnitPrice,
+            firstPackLabel: item.firstPackLabel,
+            lastPackLabel: item.lastPackLabel,
+            packChanged: item.packChanged
+        };
     }
     
-    return {
-        init,
-        setDateRange,
-        setWarehouse,
-        setChannel,
-        setMembershipNumber,
-        setSearchTerm,
-        setTransactionType,
-        setPreset,
-        applyFilters,
-        getActiveFilters,
-        getFilteredReceipts,
-        clearFilters
-    };
-})();
-
-// ===== STATS CALCULATOR MODULE =====
-const StatsCalculator = (() => {
     /**
-     * Calculate total statistics
+     * Get items with price increases
+     * Uses price per standard unit when pack sizes are known.
      * @param {Array} receipts - Array of receipts
-     * @returns {Object} Total statistics
+     * @param {number} n - Number of items to return
+     * @returns {Array} Items with price increases (sorted by biggest percent increase)
      */
-    function calculateTotals(receipts) {
-        if (!Array.isArray(receipts) || receipts.length === 0) {
-            return {
-                totalSpent: 0,
-                netSpent: 0,
-                grossSpent: 0,
-                totalItems: 0,
-                totalReceipts: 0,
-                warehouseVisits: 0,
-                onlineOrders: 0,
-                totalTaxes: 0,
-                totalSavings: 0,
-                salesReceipts: 0,
-                refundReceipts: 0,
-                refundAmount: 0,
-                refundItemCount: 0,
-                totalPurchaseCount: 0,
-                uniqueItems: 0,
-                netUniqueItems: 0,
-                avgPricePerItem: 0
-            };
-        }
-        
-        const stats = {
-            totalReceipts: receipts.length,
-            warehouseVisits: 0,
-            onlineOrders: 0,
-            totalTaxes: 0,
-            totalSavings: 0,
-            salesReceipts: 0,
-            refundReceipts: 0,
-            refundAmount: 0,
-            refundItemCount: 0,
-            uniqueReturnedItems: 0,
-            grossSpent: 0,
-            refundSpent: 0,
-            totalPurchaseCount: 0
-        };
-        
-        const uniqueItemsSet = new Set();
-        const uniqueReturnedItemsSet = new Set();
-        // Track net quantities per item to determine net unique items
-        const itemNetQuantities = new Map();
-        
-        receipts.forEach(receipt => {
-            const isRefund = receipt.transactionType === 'Refund' || 
-                           receipt.transactionType === 'Return' || 
-                           receipt.transactionType === 'Returned' ||
-                           (receipt.total || 0) < 0;
-            
-            const receiptTotal = receipt.total || 0;
-            
-            // Categorize by purchase channel
-            const channel = receipt.channel || receipt.receiptType || 'warehouse';
-            if (channel === 'online' || receipt.documentType === 'OnlineReceipts') {
-                stats.onlineOrders++;
-            } else if (channel !== 'gas_station') {
-                stats.warehouseVisits++;
-            }
-            
-            // Calculate gross vs refund amounts
-            if (isRefund) {
-                stats.refundReceipts++;
-                stats.refundAmount += Math.abs(receiptTotal);
-                stats.refundSpent -= Math.abs(receiptTotal); // Always subtract absolute value
-            } else {
-                stats.salesReceipts++;
-                stats.grossSpent += receiptTotal;
-            }
-            
-            // Taxes and savings (net of refunds)
-            const receiptTax = receipt.taxes || 0;
-            const receiptSavings = receipt.instantSavings || 0;
-            if (isRefund) {
-                // Subtract tax and savings for refunds
-                stats.totalTaxes -= Math.abs(receiptTax);
-                stats.totalSavings -= Math.abs(receiptSavings);
-            } else {
-                stats.totalTaxes += receiptTax;
-                stats.totalSavings += receiptSavings;
-            }
-            
-            // Calculate total purchase count (sum of quantities)
-            if (receipt.itemArray && Array.isArray(receipt.itemArray)) {
-                receipt.itemArray.forEach(item => {
-                    const qty = Number(item.quantity) || 1;
-                    const itemNum = item.itemNumber;
-                    
-                    // Add quantity to total purchase count or refund item count
-                    if (isRefund) {
-                        stats.refundItemCount += Math.abs(qty);
-                        // Track unique returned items
-                        if (itemNum) {
-                            uniqueReturnedItemsSet.add(itemNum);
-                        }
-                    } else {
-                        stats.totalPurchaseCount += qty;
-                    }
-                    
-                    // Track unique items (all items ever seen)
-                    if (itemNum) {
-                        uniqueItemsSet.add(itemNum);
-                        
-                        // Track net quantities for net unique items calculation
-                        const currentQty = itemNetQuantities.get(itemNum) || 0;
-                        if (isRefund) {
-                            itemNetQuantities.set(itemNum, currentQty - Math.abs(qty));
-                        } else {
-                            itemNetQuantities.set(itemNum, currentQty + qty);
-                        }
-                    }
-                });
-            }
-        });
-        
-        // Calculate net spend (purchases - refunds)
-        stats.netSpent = stats.grossSpent + stats.refundSpent; // refundSpent is negative
-        stats.totalSpent = stats.netSpent; // Use net spend as the primary metric
-        
-        // Calculate unique items
-        stats.uniqueItems = uniqueItemsSet.size;
-        
-        // Calculate unique returned items
-        stats.uniqueReturnedItems = uniqueReturnedItemsSet.size;
-        
-        // Calculate net unique items (items with positive net quantity)
-        stats.netUniqueItems = Array.from(itemNetQuantities.values())
-            .filter(qty => qty > 0).length;
-        
-        // Average price per item (based on gross purchases, not net)
-        stats.avgPricePerItem = stats.totalPurchaseCount > 0 
-            ? stats.grossSpent / stats.totalPurchaseCount 
-            : 0;
-        
-        // Round to 2 decimals
-        stats.totalSpent = Math.round(stats.totalSpent * 100) / 100;
-        stats.netSpent = Math.round(stats.netSpent * 100) / 100;
-        stats.grossSpent = Math.round(stats.grossSpent * 100) / 100;
-        stats.totalTaxes = Math.round(stats.totalTaxes * 100) / 100;
-        stats.totalSavings = Math.round(stats.totalSavings * 100) / 100;
-        stats.refundAmount = Math.round(stats.refundAmount * 100) / 100;
-        stats.avgPricePerItem = Math.round(stats.avgPricePerItem * 100) / 100;
+    function getPriceIncreases(receipts, n = 10) {
+        const items = getTopItems(receipts, 1000, 'spending'); // Get many items with price history
         
-        return stats;
+        return items
+            .filter(item => item.purchases >= 2) // Only items with multiple purchases
+            .map(item => ({ item, change: getPriceChange(item) }))
+            .filter(({ change }) => change.percent > 0)
+            .sort((a, b) => b.change.percent - a.change.percent)
+            .slice(0, n)
+            .map(({ item, change }) => ({
+                ...toPriceChangeRow(item, change),
+                priceIncrease: item.priceTrend,
+                percentIncrease: change.percent
+            }));
     }
     
     /**
-     * Calculate average statistics
+     * Get items with price decreases
+     * Uses price per standard unit when pack sizes are known.
      * @param {Array} receipts - Array of receipts
-     * @returns {Object} Average statistics
+     * @param {number} n - Number of items to return
+     * @returns {Array} Items with price decreases (sorted by biggest percent decrease)
      */
-    function calculateAverages(receipts) {
-        if (!Array.isArray(receipts) || receipts.length === 0) {
-            return {
-                avgPerReceipt: 0,
-                avgItemsPerReceipt: 0,
-                avgSavingsPerReceipt: 0,
-                minOrder: 0,
-                maxOrder: 0
-            };
-        }
-        
-        const totals = calculateTotals(receipts);
-        const receiptTotals = receipts.map(r => r.total || 0);
+    function getPriceDecreases(receipts, n = 10) {
+        const items = getTopItems(receipts, 1000, 'spending'); // Get many items with price history
         
-        return {
-            // Use netSpent for average (which is stored in totalSpent after calculation)
-            avgPerReceipt: Math.round((totals.netSpent / receipts.length) * 100) / 100,
-            avgItemsPerReceipt: Math.round((totals.totalPurchaseCount / receipts.length) * 100) / 100,
-            avgSavingsPerReceipt: Math.round((totals.totalSavings / receipts.length) * 100) / 100,
-            minOrder: Math.round(Math.min(...receiptTotals) * 100) / 100,
-            maxOrder: Math.round(Math.max(...receiptTotals) * 100) / 100
-        };
+        return items
+            .filter(item => item.purchases >= 2) // Only items with multiple purchases
+            .map(item => ({ item, change: getPriceChange(item) }))
+            .filter(({ change }) => change.percent < 0)
+            .sort((a, b) => a.change.percent - b.change.percent) // Most negative first
+            .slice(0, n)
+            .map(({ item, change }) => ({
+                ...toPriceChangeRow(item, change),
+                priceDecrease: Math.abs(item.priceTrend),
+                percentDecrease: Math.abs(change.percent)
+            }));
     }
     
     /**
-     * Get warehouse statistics
+     * Detect shrinkflation and item number replacements.
+     * "shrink" events: the pack size dropped between two purchases of the same
+     * product while the price per oz / fl oz / ct went up. "replaced" events: an
+     * item number stopped appearing and a new one with a similar name in the
+     * same department took over. A replacement that also shrank is flagged as both.
      * @param {Array} receipts - Array of receipts
-     * @returns {Object} Warehouse statistics
+     * @param {Object} options - { minSimilarity, maxGapDays, priceHeldTolerance }
+     * @returns {Object} { shrinks, replacements, events }
      */
-    function getWarehouseStats(receipts) {
+    function getShrinkflationEvents(receipts, options = {}) {
+        const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.6;
+        const maxGapDays = options.maxGapDays !== undefined ? options.maxGapDays : 365;
+        const priceHeldTolerance = options.priceHeldTolerance !== undefined ? options.priceHeldTolerance : 5;
+        const empty = { shrinks: [], replacements: [], events: [] };
+        
         if (!Array.isArray(receipts) || receipts.length === 0) {
-            return {
-                uniqueWarehouses: 0,
-                warehouseList: [],
-                byWarehouse: {}
-            };
+            return empty;
         }
         
-        const warehouseMap = new Map();
-        
-        // Helper: flexible date parsing for various receipt date formats
-        function parseFlexibleDate(val) {
-            if (!val) return null;
-            if (val instanceof Date && !isNaN(val.getTime())) return val;
-            if (val instanceof Date) return null;
+        // Purchase history per item number (regular sales only)
+        const products = new Map();
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray) || !receipt.transactionDateTime) return;
             
-            if (typeof val === 'string') {
-                const trimmed = val.trim();
-                if (!trimmed) return null;
-                
-                // Try native parse
-                let d = new Date(trimmed);
-                if (!isNaN(d.getTime())) return d;
-                
-                // Try replacing space with T
-                if (trimmed.includes(' ')) {
-                    d = new Date(trimmed.replace(' ', 'T'));
-                    if (!isNaN(d.getTime())) return d;
-                }
-                
-                // mm/dd/yyyy or mm/dd/yy
-                const md = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-                if (md) {
-                    const m = parseInt(md[1], 10) - 1;
-                    const day = parseInt(md[2], 10);
-                    let y = parseInt(md[3], 10);
-                    if (y < 100) y += 2000;
-                    d = new Date(y, m, day);
-                    if (!isNaN(d.getTime())) return d;
-                }
+            const isRefund = isRefundReceipt(receipt);
+            if (isRefund) return;
+            
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount || !item.itemNumber || !(item.unitPrice > 0)) return;
+                if (item.fuelUnitQuantity !== null && item.fuelUnitQuantity !== undefined) return;
                 
-                // YYYYMMDD
-                const ymd = trimmed.match(/^(\d{4})(\d{2})(\d{2})$/);
-                if (ymd) {
-                    d = new Date(parseInt(ymd[1], 10), parseInt(ymd[2], 10) - 1, parseInt(ymd[3], 10));
-                    if (!isNaN(d.getTime())) return d;
+                if (!products.has(item.itemNumber)) {
+                    products.set(item.itemNumber, {
+                        itemNumber: item.itemNumber,
+                        name: item.normalizedName,
+                        department: item.itemDepartmentNumber || null,
+                        purchases: []
+                    });
                 }
-            }
-            return null;
-        }
+                const pricing = DataProcessor.getUnitPricing(item);
+                products.get(item.itemNumber).purchases.push({
+                    date: receipt.transactionDateTime,
+                    receiptId: receipt.id,
+                    price: item.unitPrice,
+                    packSize: pricing ? pricing.packSize : null,
+                    unitPrice: pricing ? pricing.pricePerUnit : null,
+                    standardUnit: pricing ? pricing.unit : null
+                });
+            });
+        });
         
-        // Helper: normalize a receipt date (Date object) from any available field
-        function getReceiptDate(receipt) {
-            const candidates = [
-                receipt.transactionDateTime,
-                receipt.transactionDateISO,
-                receipt.transactionDate,
-                receipt._original?.transactionDateTime,
-                receipt._original?.transactionDateISO,
-                receipt._original?.transactionDate
-            ];
-            
-            for (const val of candidates) {
-                const d = parseFlexibleDate(val);
-                if (d) return d;
-            }
-            return null;
-        }
+        const percentChange = (from, to) => from > 0 ? Math.round(((to - from) / from) * 10000) / 100 : 0;
+        const snapshot = (itemNumber, name, purchase) => ({
+            itemNumber,
+            name,
+            date: purchase.date,
+            price: purchase.price,
+            pack: purchase.packSize ? purchase.packSize.label : null,
+            packQuantity: purchase.packSize ? purchase.packSize.quantity : null,
+            unitPrice: purchase.unitPrice
+        });
         
-        // Helper: capture the first available raw date string for fallback display
-        function getRawDateString(receipt) {
-            const candidates = [
-                receipt.transactionDateTime,
-                receipt.transactionDateISO,
-                receipt.transactionDate,
-                receipt._original?.transactionDateTime,
-                receipt._original?.transactionDateISO,
-                receipt._original?.transactionDate
-            ];
-            for (const val of candidates) {
-                if (typeof val === 'string' && val.trim().length > 0) {
-                    return val.trim();
+        // Size-adjusted change is only meaningful when both packs use the same unit
+        const compare = (before, after) => {
+            const sized = Boolean(before.packSize && after.packSize && before.standardUnit === after.standardUnit);
+            const priceChange = percentChange(before.price, after.price);
+            const packChange = sized ? percentChange(before.packSize.quantity, after.packSize.quantity) : null;
+            const unitPriceChange = sized ? percentChange(before.unitPrice, after.unitPrice) : null;
+            return {
+                unit: sized ? before.standardUnit : null,
+                priceChange,
+                packChange,
+                unitPriceChange,
+                shrunk: sized && packChange < 0 && unitPriceChange > 0,
+                priceHeld: Math.abs(priceChange) <= priceHeldTolerance
+            };
+        };
+        
+        const list = Array.from(products.values());
+        list.forEach(product => {
+            product.purchases.sort((a, b) => a.date - b.date);
+            product.first = product.purchases[0];
+            product.last = product.purchases[product.purchases.length - 1];
+            product.tokens = ProductIdentity.getNameTokens(product.name);
+        });
+        
+        // Same item number, smaller pack
+        const shrinks = [];
+        list.forEach(product => {
+            let previous = null;
+            product.purchases.forEach(purchase => {
+                if (!purchase.packSize) return;
+                if (previous && purchase.packSize.quantity !== previous.packSize.quantity) {
+                    const change = compare(previous, purchase);
+                    if (change.shrunk) {
+                        shrinks.push({
+                            type: 'shrink',
+                            date: purchase.date,
+                            department: product.department,
+                            before: snapshot(product.itemNumber, product.name, previous),
+                            after: snapshot(product.itemNumber, product.name, purchase),
+                            ...change
+                        });
+                    }
                 }
-            }
-            return null;
-        }
+                previous = purchase;
+            });
+        });
         
-        receipts.forEach(receipt => {
-            // Check if this is an online order
-            const isOnline = receipt.channel === 'online' || 
-                           receipt.documentType === 'ONLINE' || 
-                           receipt.documentType === 'OnlineReceipts' ||
-                           receipt.warehouseName === 'Online';
-            const isGas = receipt.receiptType === 'Gas Station' || receipt.documentType === 'FuelReceipts';
-            const receiptDate = getReceiptDate(receipt);
-            const rawDate = receiptDate ? null : getRawDateString(receipt);
-            
-            // For online orders, use a special key to group them all together
-            // For warehouse orders, use warehouseNumber
-            const wh = isOnline ? 'ONLINE' : receipt.warehouseNumber;
-            if (!wh) return;
-            
-            if (!warehouseMap.has(wh)) {
-                warehouseMap.set(wh, {
-                    warehouseNumber: isOnline ? 'ONLINE' : wh,
-                    warehouseName: isOnline ? 'Online' : (receipt.warehouseName || ''),
-                    warehouseCity: isOnline ? '' : (receipt.warehouseCity || ''),
-                    warehouseState: isOnline ? '' : (receipt.warehouseState || ''),
-                    isOnline,
-                    receipts: [],
-                    receiptCount: 0,
-                    tripDates: new Set(),
-                    totalSpent: 0,
-                lastVisit: null,
-                lastVisitRaw: null
-                });
-            }
-            
-            const whStats = warehouseMap.get(wh);
-            whStats.receiptCount++;
-            whStats.totalSpent += receipt.total || 0;
-            whStats.receipts.push(receipt);
-            if (rawDate) {
-                whStats.lastVisitRaw = rawDate; // keep latest string seen; replaces prior
-            }
-            
-            // Track trips as unique visit days for in-warehouse purchases (skip online/gas)
-            if (!isOnline && !isGas && receiptDate) {
-                const dateKey = receiptDate.toISOString().split('T')[0];
-                whStats.tripDates.add(dateKey);
-            }
+        // New item number replacing an old one: similar name, same department,
+        // first bought after the old one was last bought
+        const maxGapMs = maxGapDays * 24 * 60 * 60 * 1000;
+        const candidates = [];
+        list.forEach(oldProduct => {
+            list.forEach(newProduct => {
+                if (oldProduct === newProduct) return;
+                if (oldProduct.department && newProduct.department &&
+                    String(oldProduct.department) !== String(newProduct.department)) return;
+                const gap = newProduct.first.date - oldProduct.last.date;
+                if (gap <= 0 || gap > maxGapMs) return;
+                
+                const similarity = ProductIdentity.tokenSimilarity(oldProduct.tokens, newProduct.tokens);
+                if (similarity < minSimilarity) return;
+                candidates.push({ oldProduct, newProduct, similarity, gap });
+            });
+        });
+        
+        // Best match first; each item number links at most one predecessor and one successor
+        candidates.sort((a, b) => b.similarity - a.similarity || a.gap - b.gap);
+        const linkedOld = new Set();
+        const linkedNew = new Set();
+        const replacements = [];
+        candidates.forEach(({ oldProduct, newProduct, similarity }) => {
+            if (linkedOld.has(oldProduct.itemNumber) || linkedNew.has(newProduct.itemNumber)) return;
+            linkedOld.add(oldProduct.itemNumber);
+            linkedNew.add(newProduct.itemNumber);
             
-            // Track last visit for all warehouse receipts (including gas) to show most recent visit
-            if (!isOnline && receiptDate) {
-                if (!whStats.lastVisit || receiptDate > whStats.lastVisit) {
-                    whStats.lastVisit = receiptDate;
-                }
-            }
+            replacements.push({
+                type: 'replaced',
+                date: newProduct.first.date,
+                department: newProduct.department || oldProduct.department,
+                similarity: Math.round(similarity * 100) / 100,
+                before: snapshot(oldProduct.itemNumber, oldProduct.name, oldProduct.last),
+                after: snapshot(newProduct.itemNumber, newProduct.name, newProduct.first),
+                ...compare(oldProduct.last, newProduct.first)
+            });
         });
         
-        // Convert to array and sort by total spent
-        const warehouseList = Array.from(warehouseMap.values())
-            .map(wh => {
-                const tripCountRaw = wh.tripDates.size;
-                const tripCount = tripCountRaw || (wh.isOnline ? 0 : wh.receiptCount); // fallback when dates missing
-                const totalSpent = Math.round(wh.totalSpent * 100) / 100;
-                const avgPerTrip = Math.round(((wh.totalSpent) / (tripCount || 1)) * 100) / 100;
-                const lastVisit = wh.lastVisit || wh.lastVisitRaw || null;
-                return {
-                    warehouseNumber: wh.warehouseNumber,
-                    warehouseName: wh.warehouseName,
-                    warehouseCity: wh.warehouseCity,
-                    warehouseState: wh.warehouseState,
-                    isOnline: wh.isOnline,
-                    totalSpent,
-                    tripCount,
-                    avgPerTrip,
-                    receiptCount: wh.receiptCount,
-                    lastVisit
-                };
-            })
-            .sort((a, b) => b.totalSpent - a.totalSpent);
+        // Replacements that came with a smaller pack count as shrinkflation too
+        replacements.filter(event => event.shrunk).forEach(event => shrinks.push(event));
+        
+        const byDateDesc = (a, b) => b.date - a.date;
+        shrinks.sort(byDateDesc);
+        replacements.sort(byDateDesc);
         
         return {
-            uniqueWarehouses: warehouseList.filter(w => !w.isOnline).length,
-            warehouseList,
-            byWarehouse: Object.fromEntries(
-                warehouseList.map(wh => [wh.warehouseNumber, {
-                    ...wh,
-                    tripDates: undefined // strip sets
-                }])
-            )
+            shrinks,
+            replacements,
+            events: [...new Set([...shrinks, ...replacements])].sort(byDateDesc)
         };
     }
     
     /**
-     * Get monthly spending data
+     * Predict when recurring products will be bought next.
+     * Uses how long each purchase lasted per unit bought, so buying two packs
+     * pushes the next expected date out twice as far. The confidence band is
+     * one standard deviation of days-per-unit scaled by the last quantity.
      * @param {Array} receipts - Array of receipts
-     * @returns {Array} Monthly data
+     * @param {Object} options - { asOf: Date, minPurchases: 3, horizonDays: 7, lapsedFactor: 3 }
+     * @returns {Array} Predictions sorted by expected date
      */
-    function getMonthlySpending(receipts) {
+    function getRepurchasePredictions(receipts, options = {}) {
+        const asOf = options.asOf || new Date();
+        const minPurchases = options.minPurchases || 3;
+        const horizonDays = options.horizonDays !== undefined ? options.horizonDays : 7;
+        const lapsedFactor = options.lapsedFactor || 3;
+        const dayMs = 24 * 60 * 60 * 1000;
+        
         if (!Array.isArray(receipts) || receipts.length === 0) {
             return [];
         }
         
-        const monthMap = new Map();
-        
+        // Purchase events per product; several lines on the same day count as one trip
+        const productMap = new Map();
         receipts.forEach(receipt => {
-            if (!receipt.transactionDateTime) return;
+            if (!Array.isArray(receipt.itemArray) || !receipt.transactionDateTime) return;
             
-            const date = new Date(receipt.transactionDateTime);
-            const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const isRefund = isRefundReceipt(receipt);
+            if (isRefund) return;
             
-            if (!monthMap.has(yearMonth)) {
-                monthMap.set(yearMonth, {
-                    month: yearMonth,
-                    total: 0,
-                    count: 0,
-                    items: 0,
-                    savings: 0,
-                    taxes: 0
-                });
-            }
+            const day = new Date(receipt.transactionDateTime);
+            day.setHours(0, 0, 0, 0);
             
-            const monthData = monthMap.get(yearMonth);
-            const receiptTotal = receipt.total || 0;
-            const receiptSavings = receipt.instantSavings || 0;
-            const receiptTax = Number(receipt.taxes) || 0;
-            const isRefund = receipt.transactionType === 'Refund' || 
-                           receipt.transactionType === 'Return' || 
-                           receipt.transactionType === 'Returned' ||
-                           receiptTotal < 0;
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount || !item.itemNumber || !(item.amount > 0)) return;
+                if (item.fuelUnitQuantity !== null && item.fuelUnitQuantity !== undefined) return;
+                
+                const product = ProductIdentity.getProduct(item.itemNumber);
+                if (!productMap.has(product.key)) {
+                    productMap.set(product.key, {
+                        itemNumber: product.key,
+                        name: product.name || item.normalizedName,
+                        image: item.fullItemImage || null,
+                        events: new Map()
+                    });
+                }
+                const entry = productMap.get(product.key);
+                if (!entry.image && item.fullItemImage) {
+                    entry.image = item.fullItemImage;
+                }
+                const event = entry.events.get(day.getTime()) || { date: day, quantity: 0, spent: 0 };
+                event.quantity += Math.abs(Number(item.unit)) || 1;
+                event.spent += item.amount;
+                entry.events.set(day.getTime(), event);
+            });
+        });
+        
+        const predictions = [];
+        productMap.forEach(entry => {
+            const events = Array.from(entry.events.values()).sort((a, b) => a.date - b.date);
+            if (events.length < minPurchases) return;
             
-            monthData.total += receiptTotal;
-            monthData.count++;
-            monthData.items += receipt.totalItemCount || 0;
+            // Days each unit lasted between consecutive purchases
+            const daysPerUnit = [];
+            const intervals = [];
+            for (let i = 1; i < events.length; i++) {
+                const days = (events[i].date - events[i - 1].date) / dayMs;
+                intervals.push(days);
+                daysPerUnit.push(days / events[i - 1].quantity);
+            }
             
-            // Keep savings and taxes net of refunds
-            if (isRefund) {
-                monthData.savings -= Math.abs(receiptSavings);
-                monthData.taxes -= Math.abs(receiptTax);
+            const mean = daysPerUnit.reduce((sum, d) => sum + d, 0) / daysPerUnit.length;
+            const variance = daysPerUnit.reduce((sum, d) => sum + (d - mean) ** 2, 0) / daysPerUnit.length;
+            const std = Math.sqrt(variance);
+            if (!(mean > 0)) return;
+            
+            const last = events[events.length - 1];
+            const expectedDays = mean * last.quantity;
+            // Perfectly regular history would give a zero-width window; keep at least a day or 10%
+            const bandDays = Math.max(std * last.quantity, expectedDays * 0.1, 1);
+            const expectedDate = new Date(last.date.getTime() + expectedDays * dayMs);
+            const earliestDate = new Date(last.date.getTime() + Math.max(1, expectedDays - bandDays) * dayMs);
+            const latestDate = new Date(last.date.getTime() + (expectedDays + bandDays) * dayMs);
+            const daysUntil = Math.round((expectedDate - asOf) / dayMs);
+            
+            // Long past the expected date means the item was probably dropped, not forgotten
+            let status;
+            if (asOf - last.date > expectedDays * lapsedFactor * dayMs) {
+                status = 'lapsed';
+            } else if (asOf > latestDate) {
+                status = 'overdue';
+            } else if (asOf >= earliestDate) {
+                status = 'due';
+            } else if (daysUntil <= horizonDays) {
+                status = 'soon';
             } else {
-                monthData.savings += receiptSavings;
-                monthData.taxes += receiptTax;
+                status = 'later';
             }
+            
+            const cv = std / mean;
+            const quantities = events.map(e => e.quantity).sort((a, b) => a - b);
+            const typicalQuantity = quantities[Math.floor(quantities.length / 2)];
+            const totalUnits = events.reduce((sum, e) => sum + e.quantity, 0);
+            const totalSpent = events.reduce((sum, e) => sum + e.spent, 0);
+            
+            predictions.push({
+                itemNumber: entry.itemNumber,
+                name: entry.name,
+                image: entry.image,
+                purchases: events.length,
+                avgDays: Math.round(intervals.reduce((sum, d) => sum + d, 0) / intervals.length),
+                daysPerUnit: Math.round(mean * 10) / 10,
+                lastDate: last.date,
+                lastQuantity: last.quantity,
+                typicalQuantity,
+                expectedDate,
+                earliestDate,
+                latestDate,
+                daysUntil,
+                confidence: cv < 0.25 ? 'high' : cv < 0.5 ? 'medium' : 'low',
+                status,
+                unitPrice: Math.round((totalSpent / totalUnits) * 100) / 100,
+                estimatedCost: Math.round((totalSpent / totalUnits) * typicalQuantity * 100) / 100
+            });
         });
         
-        // Convert to array and sort by month
-        return Array.from(monthMap.values())
-            .map(m => ({
-                ...m,
-                total: Math.round(m.total * 100) / 100,
-                savings: Math.round(m.savings * 100) / 100,
-                taxes: Math.round(m.taxes * 100) / 100
-            }))
-            .sort((a, b) => a.month.localeCompare(b.month));
+        return predictions.sort((a, b) => a.expectedDate - b.expectedDate);
     }
     
     /**
-     * Get comprehensive statistics
+     * Build the shopping list for the next trip: recurring products that are
+     * overdue, due now, or expected within the horizon
      * @param {Array} receipts - Array of receipts
-     * @param {Object} options - Optional calculation options
-     * @returns {Object} All statistics
+     * @param {Object} options - Same options as getRepurchasePredictions
+     * @returns {Object} { items, estimatedTotal, asOf }
      */
-    function calculateAll(receipts, options = {}) {
-        const rewardOptions = options.rewards || {};
+    function getShoppingList(receipts, options = {}) {
+        const asOf = options.asOf || new Date();
+        const items = getRepurchasePredictions(receipts, { ...options, asOf })
+            .filter(p => ['overdue', 'due', 'soon'].includes(p.status));
         return {
-            totals: calculateTotals(receipts),
-            averages: calculateAverages(receipts),
-            warehouses: getWarehouseStats(receipts),
-            monthly: getMonthlySpending(receipts),
-            rewards: calculateExecutiveRewards(receipts, rewardOptions)
+            items,
+            estimatedTotal: Math.round(items.reduce((sum, p) => sum + p.estimatedCost, 0) * 100) / 100,
+            asOf
         };
     }
     
     /**
-     * Calculate Executive Membership 2% rewards
-     * Based on annual pre-tax warehouse merchandise subtotals
-     * @param {Array} receipts - Array of receipts
-     * @returns {Object} Rewards data by year
+     * Get price history for a specific item (all item numbers of its product)
+     * @param {string} itemNumber - Item number
+     * @param {Array} receipts - Array of receipts (optional, uses DataStore if not provided)
+     * @returns {Array} Price history points
      */
-    function calculateExecutiveRewards(receipts, options = {}) {
-        const byYear = {};
-        let totalReward = 0;
-        
-        const cycleStartMonth = Number(options.cycleStartMonth) || 1; // 1-12
-        const cycleStartDay = Number(options.cycleStartDay) || 1;     // 1-31
+    function getPriceHistory(itemNumber, receipts = null) {
+        const receiptsList = receipts || (App.modules.dataStore ? App.modules.dataStore.getReceipts() : []);
         
-        // Departments that don't qualify for 2% reward
-        const excludedDepartments = new Set([
-            75,  // Gift Cards/Services
-            93   // Pharmacy (Rx), Over-the-Counter & Wellness
-            // Note: Tobacco would be here if we had the department number
-        ]);
-        if (Array.isArray(options.additionalExcludedDepartments)) {
-            options.additionalExcludedDepartments.forEach(dept => excludedDepartments.add(dept));
+        if (!Array.isArray(receiptsList) || receiptsList.length === 0) {
+            return [];
         }
         
-        // Helper: map a date to its reward cycle year (cycle year = year of the cycle start it belongs to)
-        function getCycleYear(date) {
-            if (!(date instanceof Date) || isNaN(date.getTime())) return null;
-            const startThisYear = new Date(date.getFullYear(), cycleStartMonth - 1, cycleStartDay);
-            return date >= startThisYear ? date.getFullYear() : date.getFullYear() - 1;
+        const pricePoints = [];
+        const productKey = ProductIdentity.getProductKey(itemNumber);
+        
+        receiptsList.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            
+            const item = receipt.itemArray.find(i => ProductIdentity.getProductKey(i.itemNumber) === productKey);
+            if (item && !item.isDiscount) {
+                const pricing = DataProcessor.getUnitPricing(item);
+                pricePoints.push({
+                    date: receipt.transactionDateTime,
+                    price: item.unitPrice,
+                    unitPrice: pricing ? pricing.pricePerUnit : null,
+                    standardUnit: pricing ? pricing.unit : null,
+                    packSize: pricing ? pricing.packSize : null,
+                    quantity: item.unit,
+                    amount: item.amount,
+                    warehouse: receipt.warehouseNumber
+                });
+            }
+        });
+        
+        return pricePoints.sort((a, b) => a.date - b.date);
+    }
+    
+    /**
+     * Analyze savings: totals plus attribution of each discount line and coupon to the item it reduced.
+     * Coupon cycles are inferred from the data: a cycle starts on the first trip with savings after the
+     * previous cycle ended and lasts couponCycleDays (Costco coupon books run about four weeks).
+     * @param {Array} receipts - Array of receipts
+     * @param {Object} options - { saleOnlyMinPurchases: number (default 2), couponCycleDays: number (default 28) }
+     * @returns {Object} Totals plus { items, saleOnlyItems, monthly, cycles, coupons, unattributed }
+     */
+    function getSavingsAnalysis(receipts, options = {}) {
+        const saleOnlyMinPurchases = options.saleOnlyMinPurchases || 2;
+        const couponCycleDays = options.couponCycleDays || 28;
+        const round = value => Math.round(value * 100) / 100;
+        
+        if (!Array.isArray(receipts) || receipts.length === 0) {
+            return {
+                totalSavings: 0,
+                totalSpent: 0,
+                savingsRate: 0,
+                avgSavingsPerTrip: 0,
+                tripsWithSavings: 0,
+                attributedSavings: 0,
+                unattributedSavings: 0,
+                couponSavings: 0,
+                items: [],
+                saleOnlyItems: [],
+                monthly: [],
+                cycles: [],
+                coupons: [],
+                unattributed: []
+            };
         }
         
+        let totalSavings = 0;
+        let totalSpent = 0;
+        let tripsWithSavings = 0;
+        
+        const itemMap = new Map();
+        const monthMap = {};
+        const trips = [];
+        const coupons = [];
+        const unattributed = [];
+        const newPeriod = () => ({ savings: 0, attributed: 0, couponSavings: 0, discountLines: 0, itemNumbers: new Set() });
+        
         receipts.forEach(receipt => {
-            // Warehouse and online purchases qualify (exclude only gas)
-            const channel = receipt.channel || receipt.receiptType || 'warehouse';
-            const docType = receipt.documentType || '';
-            const isGas = channel === 'gas_station' || 
-                         channel === 'Gas Station' ||
-                         docType === 'FuelReceipts' ||
-                         receipt.receiptType === 'Gas Station';
-            const isTravel = docType.toLowerCase().includes('travel') ||
-                            (receipt.receiptType && receipt.receiptType.toLowerCase().includes('travel')) ||
-                            (channel && channel.toLowerCase().includes('travel'));
+            const savings = receipt.instantSavings || 0;
+            totalSavings += savings;
+            totalSpent += receipt.total || 0;
+            if (savings > 0) tripsWithSavings++;
             
-            if (isGas || isTravel) {
-                return;
-            }
+            // Returns reverse discounts; attribution only looks at purchases
+            const isRefund = isRefundReceipt(receipt);
+            if (isRefund || !Array.isArray(receipt.itemArray)) return;
             
-            // Only positive transactions (exclude refunds)
-            const total = receipt.total || 0;
-            if (total < 0) {
-                return;
+            const date = receipt.transactionDateTime ? new Date(receipt.transactionDateTime) : null;
+            const month = date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` : 'Unknown';
+            if (!monthMap[month]) {
+                monthMap[month] = { month, ...newPeriod() };
             }
+            // Each trip's savings count toward its month and (later) its coupon cycle
+            const trip = { date, ...newPeriod() };
+            trips.push(trip);
+            const periods = [monthMap[month], trip];
+            periods.forEach(period => { period.savings += savings; });
             
-            const date = receipt.transactionDateTime;
-            const cycleYear = getCycleYear(date);
-            if (cycleYear === null) return;
+            const products = receipt.itemArray.filter(item => !item.isDiscount && item.amount > 0);
+            const discounts = receipt.itemArray.filter(item => item.isDiscount && item.amount < 0);
             
-            if (!byYear[cycleYear]) {
-                byYear[cycleYear] = {
-                    subtotal: 0,
-                    reward: 0
-                };
+            // Discount lines per referenced item number on this receipt
+            const discountsByItem = new Map();
+            discounts.forEach(discount => {
+                const target = discount.discountAppliesTo;
+                if (target && products.some(p => p.itemNumber === target)) {
+                    discountsByItem.set(target, (discountsByItem.get(target) || 0) + Math.abs(discount.amount));
+                    periods.forEach(period => {
+                        period.attributed += Math.abs(discount.amount);
+                        period.discountLines++;
+                        period.itemNumbers.add(target);
+                    });
+                } else {
+                    unattributed.push({
+                        receiptId: receipt.id,
+                        date,
+                        description: discount.normalizedName,
+                        amount: round(Math.abs(discount.amount))
+                    });
+                }
+            });
+            
+            // Online orders report one order-level discount with no item lines to tie it to
+            if (discounts.length === 0 && savings > 0) {
+                unattributed.push({ receiptId: receipt.id, date, description: 'Order discount', amount: round(savings) });
             }
             
-            // Calculate qualifying subtotal by examining items
-            let qualifyingSubtotal = 0;
-            if (Array.isArray(receipt.itemArray)) {
-                receipt.itemArray.forEach(item => {
-                    if (item.isDiscount) return;
-                    
-                    const dept = item.itemDepartmentNumber || 0;
-                    const amount = Number(item.amount) || 0;
-                    
-                    // Skip excluded departments and negative amounts
-                    if (excludedDepartments.has(dept) || amount < 0) {
-                        return;
-                    }
-                    
-                    qualifyingSubtotal += amount;
+            // Coupons are matched to their discount line by coupon number
+            (Array.isArray(receipt.couponArray) ? receipt.couponArray : []).forEach(coupon => {
+                if (coupon.voidflagCoupon === 'Y' || coupon.refundflagCoupon === 'Y') return;
+                const couponNumber = String(coupon.upcnumberCoupon || '');
+                const amount = Math.abs(Number(coupon.amountCoupon) || 0);
+                const discountLine = discounts.find(d => d.itemNumber === couponNumber);
+                const itemNumber = discountLine?.discountAppliesTo || null;
+                const target = itemNumber ? products.find(p => p.itemNumber === itemNumber) : null;
+                
+                coupons.push({
+                    couponNumber,
+                    amount: round(amount),
+                    itemNumber,
+                    itemName: target ? target.normalizedName : null,
+                    date,
+                    receiptId: receipt.id,
+                    matched: Boolean(target)
                 });
-            } else {
-                // Fallback: if no itemArray, use receipt subtotal
-                // (but this shouldn't happen with normalized receipts)
-                qualifyingSubtotal = Math.abs(Number(receipt.subTotal) || 0);
-            }
+                periods.forEach(period => { period.couponSavings += amount; });
+            });
             
-            byYear[cycleYear].subtotal += qualifyingSubtotal;
+            // Per-product purchase history with effective (after discount) prices
+            products.forEach(item => {
+                const product = ProductIdentity.getProduct(item.itemNumber);
+                if (!itemMap.has(product.key)) {
+                    itemMap.set(product.key, {
+                        itemNumber: product.key,
+                        name: product.name || item.normalizedName,
+                        department: item.itemDepartmentNumber,
+                        purchases: 0,
+                        discountedPurchases: 0,
+                        units: 0,
+                        grossSpent: 0,
+                        savings: 0,
+                        regularSpent: 0,
+                        regularUnits: 0,
+                        saleSpent: 0,
+                        saleUnits: 0,
+                        lastDiscountDate: null
+                    });
+                }
+                const entry = itemMap.get(product.key);
+                const units = Math.abs(Number(item.unit)) || 1;
+                const discount = discountsByItem.get(item.itemNumber) || 0;
+                
+                entry.purchases++;
+                entry.units += units;
+                entry.grossSpent += item.amount;
+                
+                if (discount > 0) {
+                    entry.discountedPurchases++;
+                    entry.savings += discount;
+                    entry.saleSpent += item.amount - discount;
+                    entry.saleUnits += units;
+                    if (date && (!entry.lastDiscountDate || date > entry.lastDiscountDate)) {
+                        entry.lastDiscountDate = date;
+                    }
+                    // The same item can appear on several lines; count the discount once
+                    discountsByItem.delete(item.itemNumber);
+                } else {
+                    entry.regularSpent += item.amount;
+                    entry.regularUnits += units;
+                }
+            });
         });
         
-        // Calculate 2% reward for each year (capped at $1,250 per Costco policy)
-        Object.keys(byYear).forEach(year => {
-            const rawReward = byYear[year].subtotal * 0.02;
-            byYear[year].reward = Math.min(rawReward, 1250); // Costco caps at $1,250/year
-            totalReward += byYear[year].reward;
-        });
+        const items = Array.from(itemMap.values())
+            .map(entry => ({
+                itemNumber: entry.itemNumber,
+                name: entry.name,
+                department: entry.department,
+                purchases: entry.purchases,
+                discountedPurchases: entry.discountedPurchases,
+                saleRate: round((entry.discountedPurchases / entry.purchases) * 100),
+                units: entry.units,
+                grossSpent: round(entry.grossSpent),
+                savings: round(entry.savings),
+                regularUnitPrice: entry.regularUnits > 0 ? round(entry.regularSpent / entry.regularUnits) : null,
+                saleUnitPrice: entry.saleUnits > 0 ? round(entry.saleSpent / entry.saleUnits) : null,
+                effectiveUnitPrice: entry.units > 0 ? round((entry.grossSpent - entry.savings) / entry.units) : 0,
+                lastDiscountDate: entry.lastDiscountDate
+            }));
+        
+        const discountedItems = items
+            .filter(item => item.savings > 0)
+            .sort((a, b) => b.savings - a.savings);
+        
+        const saleOnlyItems = discountedItems
+            .filter(item => item.purchases >= saleOnlyMinPurchases && item.discountedPurchases === item.purchases)
+            .sort((a, b) => b.purchases - a.purchases || b.savings - a.savings);
+        
+        const monthly = Object.values(monthMap)
+            .filter(m => m.month !== 'Unknown')
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(m => ({
+                month: m.month,
+                savings: round(m.savings),
+                attributed: round(m.attributed),
+                couponSavings: round(m.couponSavings),
+                discountLines: m.discountLines,
+                itemsDiscounted: m.itemNumbers.size
+            }));
+        
+        // Group trips with savings into coupon cycles
+        const cycleMap = [];
+        trips
+            .filter(trip => trip.date && (trip.savings > 0 || trip.couponSavings > 0))
+            .sort((a, b) => a.date - b.date)
+            .forEach(trip => {
+                let cycle = cycleMap[cycleMap.length - 1];
+                if (!cycle || trip.date >= cycle.until) {
+                    const start = new Date(trip.date.getFullYear(), trip.date.getMonth(), trip.date.getDate());
+                    cycle = {
+                        start,
+                        until: new Date(start.getFullYear(), start.getMonth(), start.getDate() + couponCycleDays),
+                        trips: 0,
+                        ...newPeriod()
+                    };
+                    cycleMap.push(cycle);
+                }
+                cycle.trips++;
+                cycle.savings += trip.savings;
+                cycle.attributed += trip.attributed;
+                cycle.couponSavings += trip.couponSavings;
+                cycle.discountLines += trip.discountLines;
+                trip.itemNumbers.forEach(itemNumber => cycle.itemNumbers.add(itemNumber));
+            });
+        const cycles = cycleMap.map(c => ({
+            start: c.start,
+            end: new Date(c.until.getFullYear(), c.until.getMonth(), c.until.getDate() - 1),
+            trips: c.trips,
+            savings: round(c.savings),
+            attributed: round(c.attributed),
+            couponSavings: round(c.couponSavings),
+            discountLines: c.discountLines,
+            itemsDiscounted: c.itemNumbers.size
+        }));
+        
+        const attributedSavings = discountedItems.reduce((sum, item) => sum + item.savings, 0);
+        const unattributedSavings = unattributed.reduce((sum, line) => sum + line.amount, 0);
         
         return {
-            byYear,
-            totalReward,
-            cycleStart: {
-                month: cycleStartMonth,
-                day: cycleStartDay
-            }
+            totalSavings: round(totalSavings),
+            totalSpent: round(totalSpent),
+            savingsRate: totalSpent > 0 ? Math.round((totalSavings / totalSpent) * 10000) / 100 : 0,
+            avgSavingsPerTrip: round(totalSavings / receipts.length),
+            tripsWithSavings,
+            attributedSavings: round(attributedSavings),
+            unattributedSavings: round(unattributedSavings),
+            couponSavings: round(coupons.reduce((sum, c) => sum + c.amount, 0)),
+            items: discountedItems,
+            saleOnlyItems,
+            monthly,
+            cycles,
+            coupons,
+            unattributed
         };
     }
     
     /**
-     * Get top items by various criteria
+     * Get net department spending per month (discount lines skipped, returns subtracted)
      * @param {Array} receipts - Array of receipts
-     * @param {number} n - Number of top items to return
-     * @param {string} sortBy - Sort criteria: 'quantity', 'spending', 'frequency'
-     * @returns {Array} Top items
+     * @returns {Object} { 'YYYY-MM': { deptNumber: amount } }
      */
-    function getTopItems(receipts, n = 10, sortBy = 'spending') {
-        if (!Array.isArray(receipts) || receipts.length === 0) {
-            return [];
-        }
+    function getMonthlyDepartmentSpending(receipts) {
+        const byMonth = {};
+        if (!Array.isArray(receipts)) return byMonth;
         
-        const itemMap = new Map();
+        receipts.forEach(receipt => {
+            if (!receipt.transactionDateTime || !Array.isArray(receipt.itemArray)) return;
+            
+            const date = new Date(receipt.transactionDateTime);
+            const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const isReturn = isRefundReceipt(receipt);
+            
+            if (!byMonth[month]) byMonth[month] = {};
+            
+            receipt.itemArray.forEach(item => {
+                if (item.isDiscount) return;
+                const dept = String(item.itemDepartmentNumber || 0);
+                const amount = Number(item.amount) || 0;
+                const isRefund = isReturn || amount < 0 || (Number(item.unit) || 0) < 0;
+                byMonth[month][dept] = (byMonth[month][dept] || 0) + (isRefund ? -Math.abs(amount) : amount);
+            });
+        });
+        
+        return byMonth;
+    }
+    
+    /**
+     * Get net spending per month by category (user rules, then department)
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} { 'YYYY-MM': { categoryKey: amount } }
+     */
+    function getMonthlyCategorySpending(receipts) {
+        const byMonth = {};
+        if (!Array.isArray(receipts)) return byMonth;
         
-        // Aggregate item data
         receipts.forEach(receipt => {
-            if (!Array.isArray(receipt.itemArray)) return;
+            if (!receipt.transactionDateTime || !Array.isArray(receipt.itemArray)) return;
             
-            // Check if this is a refund receipt
-            const isRefund = receipt.transactionType === 'Refund' || 
-                           receipt.transactionType === 'Return' || 
-                           receipt.transactionType === 'Returned' ||
-                           (receipt.total || 0) < 0;
+            const date = new Date(receipt.transactionDateTime);
+            const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const isReturn = isRefundReceipt(receipt);
+            
+            if (!byMonth[month]) byMonth[month] = {};
             
             receipt.itemArray.forEach(item => {
-                if (item.isDiscount) return; // Skip discount items
-                
-                const itemNum = item.itemNumber;
-                if (!itemMap.has(itemNum)) {
-                    itemMap.set(itemNum, {
-                        itemNumber: itemNum,
-                        name: item.normalizedName,
-                        image: item.fullItemImage || null,
-                        totalQuantity: 0,
-                        totalSpent: 0,
-                        purchases: 0,
-                        prices: [],
-                        priceHistory: [], // Track price history for trends
-                        avgPrice: 0,
-                        minPrice: Infinity,
-                        maxPrice: -Infinity,
-                        firstPrice: null,
-                        lastPrice: null
-                    });
-                }
-                
-                const itemStats = itemMap.get(itemNum);
-                itemStats.totalQuantity += item.unit || 0;
-                itemStats.totalSpent += item.amount || 0;
-                itemStats.purchases++;
-                itemStats.prices.push(item.unitPrice);
-                
-                // Only add to price history if this is NOT a refund receipt
-                if (!isRefund) {
-                itemStats.priceHistory.push({
-                    date: receipt.transactionDateTime,
-                    price: item.unitPrice
+                if (item.isDiscount) return;
+                const key = CategoryManager.categorizeItem(item).key;
+                const amount = Number(item.amount) || 0;
+                const isRefund = isReturn || amount < 0 || (Number(item.unit) || 0) < 0;
+                byMonth[month][key] = (byMonth[month][key] || 0) + (isRefund ? -Math.abs(amount) : amount);
+            });
+        });
+        
+        return byMonth;
+    }
+    
+    /**
+     * Percent change between two periods
+     * @param {number} current - Value for the current period
+     * @param {number} previous - Value for the comparison period
+     * @returns {number|null} Percent change (2dp), or null when there is nothing to compare against
+     */
+    function getPercentChange(current, previous) {
+        const prev = Number(previous) || 0;
+        if (prev === 0) return null;
+        return Math.round((((Number(current) || 0) - prev) / Math.abs(prev)) * 10000) / 100;
+    }
+    
+    /**
+     * Net spending per category in two periods
+     * @param {Array} receipts - Receipts for the current period
+     * @param {Array} comparisonReceipts - Receipts for the comparison period
+     * @returns {Array} [{ key, name, current, previous, change, percent }] by current spend
+     */
+    function getCategoryGrowth(receipts, comparisonReceipts) {
+        const round = value => Math.round(value * 100) / 100;
+        const sumByCategory = (list) => {
+            const totals = new Map();
+            Object.values(getMonthlyCategorySpending(list)).forEach(month => {
+                Object.entries(month).forEach(([key, amount]) => {
+                    totals.set(key, (totals.get(key) || 0) + amount);
                 });
-                }
-                
-                itemStats.minPrice = Math.min(itemStats.minPrice, item.unitPrice);
-                itemStats.maxPrice = Math.max(itemStats.maxPrice, item.unitPrice);
             });
-        });
+            return totals;
+        };
         
-        // Calculate averages and prepare results
-        const items = Array.from(itemMap.values())
-            .map(item => {
-                // Sort price history by date
-                item.priceHistory.sort((a, b) => a.date - b.date);
-                const firstPrice = item.priceHistory.length > 0 ? item.priceHistory[0].price : 0;
-                const lastPrice = item.priceHistory.length > 0 ? item.priceHistory[item.priceHistory.length - 1].price : 0;
-                
+        const current = sumByCategory(receipts);
+        const previous = sumByCategory(comparisonReceipts || []);
+        const keys = new Set([...current.keys(), ...previous.keys()]);
+        
+        return Array.from(keys)
+            .map(key => {
+                const now = round(current.get(key) || 0);
+                const before = round(previous.get(key) || 0);
                 return {
-                    ...item,
-                    totalSpent: Math.round(item.totalSpent * 100) / 100,
-                    avgPrice: Math.round((item.totalSpent / item.totalQuantity) * 100) / 100,
-                    minPrice: Math.round(item.minPrice * 100) / 100,
-                    maxPrice: Math.round(item.maxPrice * 100) / 100,
-                    priceChange: item.maxPrice - item.minPrice,
-                    firstPrice: Math.round(firstPrice * 100) / 100,
-                    lastPrice: Math.round(lastPrice * 100) / 100,
-                    priceTrend: lastPrice - firstPrice // Positive = increase, Negative = decrease
+                    key,
+                    name: CategoryManager.getCategoryName(key),
+                    current: now,
+                    previous: before,
+                    change: round(now - before),
+                    percent: getPercentChange(now, before)
                 };
             })
-            .filter(item => item.totalSpent > 0); // Exclude items with zero or negative net spending (fully refunded)
+            .sort((a, b) => b.current - a.current || b.previous - a.previous);
+    }
+    
+    /**
+     * Compare monthly spending against budgets
+     * @param {Array} receipts - Array of receipts
+     * @param {Object} budgets - { monthly: number|null, categories: { categoryKey: number } }
+     * @param {Date} asOf - Reference date for the month-to-date pace (defaults to today)
+     * @returns {Object} { months, categories, overshoots, pace }
+     */
+    function getBudgetAnalysis(receipts, budgets = {}, asOf = new Date()) {
+        const monthlyBudget = Number(budgets.monthly) > 0 ? Number(budgets.monthly) : null;
+        const categoryBudgets = Object.entries(budgets.categories || {})
+            .filter(([, amount]) => Number(amount) > 0)
+            .map(([key, amount]) => [CategoryManager.normalizeKey(key), Number(amount)]);
+        
+        const round = value => Math.round(value * 100) / 100;
+        const monthly = getMonthlySpending(receipts);
+        const categorySpending = categoryBudgets.length > 0 ? getMonthlyCategorySpending(receipts) : {};
+        
+        const months = monthly.map(m => ({
+            month: m.month,
+            actual: m.total,
+            budget: monthlyBudget,
+            remaining: monthlyBudget !== null ? round(monthlyBudget - m.total) : null,
+            percentUsed: monthlyBudget ? round((m.total / monthlyBudget) * 100) : null,
+            over: monthlyBudget !== null && m.total > monthlyBudget
+        }));
+        
+        const categories = [];
+        monthly.forEach(m => {
+            categoryBudgets.forEach(([key, budget]) => {
+                const actual = round(categorySpending[m.month]?.[key] || 0);
+                categories.push({
+                    month: m.month,
+                    category: key,
+                    name: CategoryManager.getCategoryName(key),
+                    actual,
+                    budget,
+                    over: actual > budget
+                });
+            });
+        });
         
-        // Sort based on criteria
-        let sorted;
-        switch (sortBy) {
-            case 'quantity':
-                sorted = items.sort((a, b) => b.totalQuantity - a.totalQuantity);
-                break;
-            case 'frequency':
-                sorted = items.sort((a, b) => b.purchases - a.purchases);
-                break;
-            case 'spending':
-            default:
-                sorted = items.sort((a, b) => b.totalSpent - a.totalSpent);
-                break;
+        // Months and categories that exceeded their budget, most recent first
+        const overshoots = [
+            ...months.filter(m => m.over).map(m => ({
+                type: 'month',
+                month: m.month,
+                label: 'Total',
+                actual: m.actual,
+                budget: m.budget,
+                overBy: round(m.actual - m.budget)
+            })),
+            ...categories.filter(c => c.over).map(c => ({
+                type: 'category',
+                month: c.month,
+                category: c.category,
+                label: c.name,
+                actual: c.actual,
+                budget: c.budget,
+                overBy: round(c.actual - c.budget)
+            }))
+        ].sort((a, b) => b.month.localeCompare(a.month) || b.overBy - a.overBy);
+        
+        // Month-to-date pace for the month containing asOf
+        let pace = null;
+        if (monthlyBudget !== null) {
+            const paceMonth = `${asOf.getFullYear()}-${String(asOf.getMonth() + 1).padStart(2, '0')}`;
+            const daysInMonth = new Date(asOf.getFullYear(), asOf.getMonth() + 1, 0).getDate();
+            const daysElapsed = asOf.getDate();
+            const spent = monthly.find(m => m.month === paceMonth)?.total || 0;
+            const expectedToDate = round(monthlyBudget * (daysElapsed / daysInMonth));
+            const projected = round((spent / daysElapsed) * daysInMonth);
+            
+            let status = 'on-track';
+            if (spent > monthlyBudget) {
+                status = 'over';
+            } else if (projected > monthlyBudget) {
+                status = 'at-risk';
+            }
+            
+            pace = {
+                month: paceMonth,
+                spent: round(spent),
+                budget: monthlyBudget,
+                daysElapsed,
+                daysInMonth,
+                expectedToDate,
+                projected,
+                remaining: round(monthlyBudget - spent),
+                status
+            };
         }
         
-        return sorted.slice(0, n);
+        return { months, categories, overshoots, pace };
     }
     
     /**
-     * Get most expensive items (by unit price)
+     * Break spending down by payment method (tender type + card last 4)
      * @param {Array} receipts - Array of receipts
-     * @param {number} n - Number of items to return
-     * @returns {Array} Most expensive items
+     * @returns {Object} { total, methods, kinds, monthly, unrecorded }
      */
-    function getMostExpensive(receipts, n = 10) {
-        if (!Array.isArray(receipts) || receipts.length === 0) {
-            return [];
-        }
+    function getPaymentMethodStats(receipts) {
+        const round = value => Math.round(value * 100) / 100;
+        const methodMap = new Map();
+        const kindTotals = {};
+        const monthly = {};
+        const unrecorded = { amount: 0, receipts: 0 };
+        let total = 0;
         
-        const allItems = [];
+        if (!Array.isArray(receipts)) {
+            return { total: 0, methods: [], kinds: [], monthly: [], unrecorded };
+        }
         
         receipts.forEach(receipt => {
-            if (!Array.isArray(receipt.itemArray)) return;
+            const isRefund = isRefundReceipt(receipt);
+            const tenders = DataProcessor.getTenders(receipt);
             
-            receipt.itemArray.forEach(item => {
-                if (item.isDiscount) return;
+            // Online orders often carry no tender lines
+            if (tenders.length === 0) {
+                unrecorded.amount += receipt.total || 0;
+                unrecorded.receipts++;
+                return;
+            }
+            
+            const date = receipt.transactionDateTime ? new Date(receipt.transactionDateTime) : null;
+            const month = date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` : null;
+            
+            tenders.forEach(tender => {
+                const amount = isRefund ? -Math.abs(tender.amount) : tender.amount;
                 
-                allItems.push({
-                    itemNumber: item.itemNumber,
-                    name: item.normalizedName,
-                    unitPrice: item.unitPrice,
-                    amount: item.amount,
-                    date: receipt.transactionDateTime,
-                    warehouse: receipt.warehouseNumber
-                });
+                if (!methodMap.has(tender.key)) {
+                    methodMap.set(tender.key, {
+                        key: tender.key,
+                        label: tender.label,
+                        type: tender.type,
+                        last4: tender.last4,
+                        kind: tender.kind,
+                        amount: 0,
+                        receipts: 0,
+                        lastUsed: null
+                    });
+                }
+                const method = methodMap.get(tender.key);
+                method.amount += amount;
+                method.receipts++;
+                if (date && (!method.lastUsed || date > method.lastUsed)) {
+                    method.lastUsed = date;
+                }
+                
+                kindTotals[tender.kind] = (kindTotals[tender.kind] || 0) + amount;
+                total += amount;
+                
+                if (month) {
+                    if (!monthly[month]) monthly[month] = {};
+                    monthly[month][tender.key] = (monthly[month][tender.key] || 0) + amount;
+                }
             });
         });
         
-        return allItems
-            .sort((a, b) => b.unitPrice - a.unitPrice)
-            .slice(0, n);
+        const methods = Array.from(methodMap.values())
+            .map(m => ({
+                ...m,
+                amount: round(m.amount),
+                share: total !== 0 ? round((m.amount / total) * 100) : 0
+            }))
+            .sort((a, b) => b.amount - a.amount);
+        
+        const kinds = Object.entries(kindTotals)
+            .map(([kind, amount]) => ({
+                kind,
+                label: TENDER_KIND_LABELS[kind] || kind,
+                amount: round(amount),
+                share: total !== 0 ? round((amount / total) * 100) : 0
+            }))
+            .sort((a, b) => b.amount - a.amount);
+        
+        return {
+            total: round(total),
+            methods,
+            kinds,
+            monthly: Object.keys(monthly).sort().map(month => ({
+                month,
+                values: Object.fromEntries(Object.entries(monthly[month]).map(([key, value]) => [key, round(value)]))
+            })),
+            unrecorded: { amount: round(unrecorded.amount), receipts: unrecorded.receipts }
+        };
     }
     
     /**
-     * Get items with price increases
+     * Cash-back earned on reward cards, by reward cycle year (the same years as
+     * calculateExecutiveRewards, so the two can share a table; calendar years by default)
+     * Each profile maps tender keys (DataProcessor.getTenders, or 'none' for receipts without
+     * payment lines) to per-channel rates. A channel cap is calendar-year spend at the channel
+     * rate; spend above it earns overCapRate. Refunds take back cash-back at the channel rate.
      * @param {Array} receipts - Array of receipts
-     * @param {number} n - Number of items to return
-     * @returns {Array} Items with price increases (sorted by biggest increase)
+     * @param {Array} profiles - [{ id, name, cards: [tenderKey], rates: { warehouse, online, gas: { rate, cap } }, overCapRate }]
+     * @param {Object} options - { cycleStartMonth, cycleStartDay } as for calculateExecutiveRewards
+     * @returns {Object} { years, profiles: [{ id, name, total, byYear: { year: { spend, reward } } }] }
      */
-    function getPriceIncreases(receipts, n = 10) {
-        const items = getTopItems(receipts, 1000, 'spending'); // Get many items with price history
+    function getCardRewards(receipts, profiles = [], options = {}) {
+        const round = value => Math.round(value * 100) / 100;
+        const cycleStartMonth = Number(options.cycleStartMonth) || 1;
+        const cycleStartDay = Number(options.cycleStartDay) || 1;
+        const channels = ['warehouse', 'online', 'gas'];
+        const years = new Set();
+        
+        const getChannel = (receipt) => {
+            if (receipt.receiptType === 'Gas Station' || receipt.documentType === 'FuelReceipts') return 'gas';
+            if (receipt.channel === 'online' || receipt.documentType === 'OnlineReceipts' || receipt.documentType === 'ONLINE') return 'online';
+            return 'warehouse';
+        };
         
-        return items
-            .filter(item => item.priceTrend > 0 && item.purchases >= 2) // Only items with multiple purchases and price increase
-            .sort((a, b) => b.priceTrend - a.priceTrend)
-            .slice(0, n)
-            .map(item => ({
-                itemNumber: item.itemNumber,
-                name: item.name,
-                firstPrice: item.firstPrice,
-                lastPrice: item.lastPrice,
-                priceIncrease: item.priceTrend,
-                percentIncrease: item.firstPrice > 0 ? Math.round((item.priceTrend / item.firstPrice) * 10000) / 100 : 0,
-                avgPrice: item.avgPrice,
-                maxPrice: item.maxPrice,
-                purchases: item.purchases
-            }));
+        const sorted = (Array.isArray(receipts) ? receipts : [])
+            .filter(r => r.transactionDateTime)
+            .sort((a, b) => a.transactionDateTime - b.transactionDateTime);
+        
+        const results = (profiles || []).map(profile => {
+            const cards = new Set(profile.cards || []);
+            const byYear = {};
+            // Spend so far per calendar year and channel, for caps
+            const capSpend = {};
+            let total = 0;
+            
+            sorted.forEach(receipt => {
+                const isRefund = isRefundReceipt(receipt);
+                const tenders = DataProcessor.getTenders(receipt);
+                const paid = tenders.length === 0
+                    ? (cards.has('none') ? Math.abs(receipt.total || 0) : 0)
+                    : tenders.filter(t => cards.has(t.key)).reduce((sum, t) => sum + Math.abs(t.amount), 0);
+                if (paid === 0) return;
+                
+                // Caps reset with the card's calendar year; results follow the reward cycle
+                const year = getRewardCycleYear(receipt.transactionDateTime, cycleStartMonth, cycleStartDay);
+                const capYear = receipt.transactionDateTime.getFullYear();
+                const channel = getChannel(receipt);
+                const { rate = 0, cap = null } = profile.rates?.[channel] || {};
+                const overCapRate = Number(profile.overCapRate) || 0;
+                years.add(year);
+                
+                if (!byYear[year]) {
+                    byYear[year] = { spend: { warehouse: 0, online: 0, gas: 0 }, reward: 0 };
+                }
+                if (!capSpend[capYear]) {
+                    capSpend[capYear] = { warehouse: 0, online: 0, gas: 0 };
+                }
+                
+                let reward;
+                if (isRefund) {
+                    reward = -paid * (rate / 100);
+                    byYear[year].spend[channel] -= paid;
+                } else {
+                    const capRoom = cap > 0 ? Math.max(0, cap - capSpend[capYear][channel]) : Infinity;
+                    const atRate = Math.min(paid, capRoom);
+                    reward = atRate * (rate / 100) + (paid - atRate) * (overCapRate / 100);
+                    capSpend[capYear][channel] += paid;
+                    byYear[year].spend[channel] += paid;
+                }
+                byYear[year].reward += reward;
+                total += reward;
+            });
+            
+            Object.values(byYear).forEach(entry => {
+                entry.reward = round(entry.reward);
+                channels.forEach(channel => {
+                    entry.spend[channel] = round(entry.spend[channel]);
+                });
+            });
+            
+            return { id: profile.id, name: profile.name, total: round(total), byYear };
+        });
+        
+        return {
+            years: Array.from(years).sort((a, b) => b - a),
+            profiles: results
+        };
     }
     
     /**
-     * Get items with price decreases
+     * Spend, items and trips per household member. Receipts go to the member
+     * whose card was scanned; split receipts are shared line by line.
      * @param {Array} receipts - Array of receipts
-     * @param {number} n - Number of items to return
-     * @returns {Array} Items with price decreases (sorted by biggest decrease)
+     * @returns {Array} [{ id, name, membershipNumbers, spent, share, items, trips, receipts, splitReceipts }] - members first, then unassigned if any
      */
-    function getPriceDecreases(receipts, n = 10) {
-        const items = getTopItems(receipts, 1000, 'spending'); // Get many items with price history
+    function getMemberBreakdown(receipts) {
+        const rows = new Map();
+        HouseholdManager.getMembers().forEach(member => {
+            rows.set(member.id, { id: member.id, name: member.name, membershipNumbers: member.membershipNumbers, spent: 0, share: 0, items: 0, trips: 0, receipts: 0, splitReceipts: 0 });
+        });
+        const getRow = (id) => {
+            if (!rows.has(id)) {
+                rows.set(id, { id, name: HouseholdManager.getOwnerName(id), membershipNumbers: [], spent: 0, share: 0, items: 0, trips: 0, receipts: 0, splitReceipts: 0 });
+            }
+            return rows.get(id);
+        };
         
-        return items
-            .filter(item => item.priceTrend < 0 && item.purchases >= 2) // Only items with multiple purchases and price decrease
-            .sort((a, b) => a.priceTrend - b.priceTrend) // Sort ascending (most negative first)
-            .slice(0, n)
-            .map(item => ({
-                itemNumber: item.itemNumber,
-                name: item.name,
-                firstPrice: item.firstPrice,
-                lastPrice: item.lastPrice,
-                priceDecrease: Math.abs(item.priceTrend),
-                percentDecrease: item.firstPrice > 0 ? Math.round((Math.abs(item.priceTrend) / item.firstPrice) * 10000) / 100 : 0,
-                avgPrice: item.avgPrice,
-                minPrice: item.minPrice,
-                purchases: item.purchases
-            }));
+        (receipts || []).forEach(receipt => {
+            const isRefund = isRefundReceipt(receipt);
+            const isOnline = receipt.channel === 'online' || receipt.documentType === 'OnlineReceipts';
+            const isGas = receipt.receiptType === 'Gas Station' || receipt.documentType === 'FuelReceipts';
+            const shares = HouseholdManager.allocateReceipt(receipt);
+            const isSplit = shares.length > 1;
+            
+            shares.forEach(share => {
+                const row = getRow(share.memberId);
+                row.spent += isRefund ? -Math.abs(share.total) : share.total;
+                row.items += isRefund ? -share.items : share.items;
+                row.receipts++;
+                if (isSplit) row.splitReceipts++;
+                if (!isRefund && !isOnline && !isGas) row.trips++;
+            });
+        });
+        
+        const result = Array.from(rows.values());
+        const totalSpent = result.reduce((sum, row) => sum + row.spent, 0);
+        result.forEach(row => {
+            row.spent = Math.round(row.spent * 100) / 100;
+            row.share = totalSpent !== 0 ? (row.spent / totalSpent) * 100 : 0;
+        });
+        
+        // Unassigned last, and only when something is unassigned
+        return result.filter(row => row.id !== HouseholdManager.UNASSIGNED)
+            .concat(result.filter(row => row.id === HouseholdManager.UNASSIGNED && row.receipts > 0));
     }
     
     /**
-     * Get price history for a specific item
-     * @param {string} itemNumber - Item number
-     * @param {Array} receipts - Array of receipts (optional, uses DataStore if not provided)
-     * @returns {Array} Price history points
+     * Who owes whom for receipts shared between household members. The payer
+     * is owed everyone else's share of a split receipt (refunds run the other
+     * way); recorded payments settle it. Entries run oldest first with each
+     * member's running balance (positive = is owed money).
+     * @param {Array} receipts - Array of receipts
+     * @returns {Object} { members, entries: [{ date, type, receiptId, description, payerId, amount, shares, balances }], balances, transfers: [{ from, to, amount }], needsPayer }
      */
-    function getPriceHistory(itemNumber, receipts = null) {
-        const receiptsList = receipts || (App.modules.dataStore ? App.modules.dataStore.getReceipts() : []);
+    function getSettlementLedger(receipts) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const members = HouseholdManager.getMembers();
+        const balances = Object.fromEntries(members.map(member => [member.id, 0]));
+        const events = [];
+        let needsPayer = 0;
+        
+        (receipts || []).forEach(receipt => {
+            if (!HouseholdManager.isSplit(receipt)) return;
+            const payerId = HouseholdManager.getPayer(receipt);
+            const shares = HouseholdManager.allocateReceipt(receipt)
+                .filter(share => share.memberId !== HouseholdManager.UNASSIGNED);
+            if (!shares.some(share => share.memberId !== payerId)) return;
+            if (payerId === HouseholdManager.UNASSIGNED) {
+                needsPayer++;
+                return;
+            }
+            
+            const place = getWarehouseLabel(receipt);
+            const isRefund = isRefundReceipt(receipt);
+            const sign = isRefund && (receipt.total || 0) > 0 ? -1 : 1;
+            
+            events.push({
+                date: receipt.transactionDateTime instanceof Date ? receipt.transactionDateTime : null,
+                type: isRefund ? 'refund' : 'receipt',
+                receiptId: receipt.id,
+                description: `${place}${isRefund ? ' refund' : ''}`,
+                payerId,
+                amount: round(sign * (receipt.total || 0)),
+                shares: Object.fromEntries(shares.map(share => [share.memberId, round(sign * share.total)]))
+            });
+        });
         
-        if (!Array.isArray(receiptsList) || receiptsList.length === 0) {
-            return [];
-        }
+        HouseholdManager.getPayments().forEach(payment => {
+            const [year, month, day] = payment.date.split('-').map(Number);
+            events.push({
+                date: new Date(year, month - 1, day),
+                type: 'payment',
+                paymentId: payment.id,
+                description: payment.note || 'Payment',
+                payerId: payment.from,
+                toId: payment.to,
+                amount: payment.amount,
+                shares: {}
+            });
+        });
         
-        const pricePoints = [];
+        events.sort((a, b) => (a.date || 0) - (b.date || 0));
         
-        receiptsList.forEach(receipt => {
-            if (!Array.isArray(receipt.itemArray)) return;
-            
-            const item = receipt.itemArray.find(i => i.itemNumber === itemNumber);
-            if (item && !item.isDiscount) {
-                pricePoints.push({
-                    date: receipt.transactionDateTime,
-                    price: item.unitPrice,
-                    quantity: item.unit,
-                    amount: item.amount,
-                    warehouse: receipt.warehouseNumber
+        const entries = events.map(event => {
+            if (event.type === 'payment') {
+                balances[event.payerId] += event.amount;
+                balances[event.toId] -= event.amount;
+            } else {
+                // The payer fronted everyone else's share
+                Object.entries(event.shares).forEach(([memberId, amount]) => {
+                    if (memberId === event.payerId) return;
+                    balances[event.payerId] += amount;
+                    balances[memberId] -= amount;
                 });
             }
+            Object.keys(balances).forEach(id => { balances[id] = round(balances[id]); });
+            return { ...event, balances: { ...balances } };
         });
         
-        return pricePoints.sort((a, b) => a.date - b.date);
+        // Fewest transfers: the biggest debtor pays the biggest creditor until both sides are even
+        const debtors = members.filter(m => balances[m.id] < 0).map(m => ({ id: m.id, amount: -balances[m.id] }));
+        const creditors = members.filter(m => balances[m.id] > 0).map(m => ({ id: m.id, amount: balances[m.id] }));
+        debtors.sort((a, b) => b.amount - a.amount);
+        creditors.sort((a, b) => b.amount - a.amount);
+        const transfers = [];
+        let d = 0;
+        let c = 0;
+        while (d < debtors.length && c < creditors.length) {
+            const amount = round(Math.min(debtors[d].amount, creditors[c].amount));
+            if (amount > 0) transfers.push({ from: debtors[d].id, to: creditors[c].id, amount });
+            debtors[d].amount = round(debtors[d].amount - amount);
+            creditors[c].amount = round(creditors[c].amount - amount);
+            if (debtors[d].amount <= 0) d++;
+            if (creditors[c].amount <= 0) c++;
+        }
+        
+        return { members, entries, balances, transfers, needsPayer };
+    }
+    
+    return {
+        // Basic statistics
+        calculateTotals,
+        calculateAverages,
+        getWarehouseStats,
+        getMonthlySpending,
+        getMonthlyDepartmentSpending,
+        getMonthlyCategorySpending,
+        calculateAll,
+        // Advanced analytics
+        getTopItems,
+        getMostExpensive,
+        getPriceHistory,
+        getPriceIncreases,
+        getPriceDecreases,
+        getShrinkflationEvents,
+        getRepurchasePredictions,
+        getShoppingList,
+        getPercentChange,
+        getCategoryGrowth,
+        getMembershipValue,
+        getAvailableYears,
+        getYearComparison,
+        getYearInReview,
+        getSavingsAnalysis,
+        getBudgetAnalysis,
+        getPaymentMethodStats,
+        getCardRewards,
+        getMemberBreakdown,
+        getSettlementLedger,
+        // Utility functions
+        getDepartmentName
+    };
+})();
+
+// ===== PERSISTENCE MANAGER MODULE =====
+// Optional on-device storage of normalized receipts in IndexedDB.
+// Nothing is written unless the user opts in; data never leaves the browser.
+const PersistenceManager = (() => {
+    const DB_NAME = 'costco-spending-insights';
+    const DB_VERSION = 1;
+    const RECEIPT_STORE = 'receipts';
+    const PREFERENCE_KEY = 'persist';
+    // Settings holding receipt data (hand-entered receipts and edits, household splits)
+    const RECEIPT_SETTING_KEYS = ['receiptOverrides', 'household'];
+    
+    let dbPromise = null;
+    
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if supported
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Check whether the user opted in to local persistence
+     * @returns {boolean} True if enabled
+     */
+    function isEnabled() {
+        return isSupported() && SettingsStore.get(PREFERENCE_KEY, false) === true;
+    }
+    
+    /**
+     * Store the opt-in preference
+     * @param {boolean} enabled - Whether persistence is enabled
+     */
+    function setEnabled(enabled) {
+        if (enabled) {
+            SettingsStore.set(PREFERENCE_KEY, true);
+        } else {
+            SettingsStore.remove(PREFERENCE_KEY);
+        }
+        EventBus.emit('persistence:changed', { enabled: !!enabled });
+    }
+    
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise} Resolves with request result
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Wait for a transaction to complete
+     * @param {IDBTransaction} tx - IndexedDB transaction
+     * @returns {Promise} Resolves when committed
+     */
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    function openDB() {
+        if (!isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(RECEIPT_STORE)) {
+                        // Out-of-line keys: same dedupe key as DataProcessor.mergeReceipts
+                        db.createObjectStore(RECEIPT_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+    
+    /**
+     * Revive Date fields on a stored receipt
+     * @param {Object} receipt - Stored receipt
+     * @returns {Object} Receipt with Date objects restored
+     */
+    function reviveReceipt(receipt) {
+        const toDate = (value) => {
+            if (value instanceof Date || !value) return value;
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        };
+        
+        return {
+            ...receipt,
+            transactionDateTime: toDate(receipt.transactionDateTime),
+            processedAt: toDate(receipt.processedAt)
+        };
+    }
+    
+    /**
+     * Save (insert or replace) receipts
+     * @param {Array} receipts - Normalized receipts
+     * @returns {Promise<number>} Number of receipts written
+     */
+    async function saveReceipts(receipts) {
+        if (!Array.isArray(receipts) || receipts.length === 0) return 0;
+        
+        const db = await openDB();
+        const tx = db.transaction(RECEIPT_STORE, 'readwrite');
+        const store = tx.objectStore(RECEIPT_STORE);
+        receipts.forEach(receipt => store.put(receipt, DataProcessor.getReceiptKey(receipt)));
+        await transactionDone(tx);
+        
+        ErrorHandler.debug(`Persisted ${receipts.length} receipts to IndexedDB`);
+        return receipts.length;
+    }
+    
+    /**
+     * Delete receipts by receipt key
+     * @param {Array<string>} keys - Receipt keys (DataProcessor.getReceiptKey)
+     * @returns {Promise<number>} Number of receipts deleted
+     */
+    async function deleteReceipts(keys) {
+        if (!Array.isArray(keys) || keys.length === 0) return 0;
+        
+        const db = await openDB();
+        const tx = db.transaction(RECEIPT_STORE, 'readwrite');
+        const store = tx.objectStore(RECEIPT_STORE);
+        keys.forEach(key => store.delete(key));
+        await transactionDone(tx);
+        
+        ErrorHandler.debug(`Deleted ${keys.length} receipts from IndexedDB`);
+        return keys.length;
+    }
+    
+    /**
+     * Load all stored receipts
+     * @returns {Promise<Array>} Receipts with dates revived
+     */
+    async function loadReceipts() {
+        const db = await openDB();
+        const tx = db.transaction(RECEIPT_STORE, 'readonly');
+        const receipts = await promisifyRequest(tx.objectStore(RECEIPT_STORE).getAll());
+        return receipts.map(reviveReceipt);
+    }
+    
+    /**
+     * Count stored receipts
+     * @returns {Promise<number>} Receipt count
+     */
+    async function getStoredCount() {
+        const db = await openDB();
+        const tx = db.transaction(RECEIPT_STORE, 'readonly');
+        return promisifyRequest(tx.objectStore(RECEIPT_STORE).count());
     }
     
     /**
-     * Get savings analysis
-     * @param {Array} receipts - Array of receipts
-     * @returns {Object} Savings statistics
+     * Remove all stored receipts (keeps the opt-in preference)
+     * @returns {Promise} Resolves when cleared
      */
-    function getSavingsAnalysis(receipts) {
-        if (!Array.isArray(receipts) || receipts.length === 0) {
-            return {
-                totalSavings: 0,
-                totalSpent: 0,
-                savingsRate: 0,
-                avgSavingsPerTrip: 0,
-                tripsWithSavings: 0
-            };
+    async function clearReceipts() {
+        const db = await openDB();
+        const tx = db.transaction(RECEIPT_STORE, 'readwrite');
+        tx.objectStore(RECEIPT_STORE).clear();
+        await transactionDone(tx);
+        ErrorHandler.debug('Persisted receipts cleared');
+    }
+    
+    /**
+     * Delete the database, the opt-in preference and the settings holding receipt data
+     * @returns {Promise} Resolves when deleted
+     */
+    async function forgetAll() {
+        if (dbPromise) {
+            try {
+                (await dbPromise).close();
+            } catch (error) {
+                // Database never opened successfully; nothing to close
+            }
+            dbPromise = null;
         }
         
-        let totalSavings = 0;
-        let totalSpent = 0;
-        let tripsWithSavings = 0;
-        
-        receipts.forEach(receipt => {
-            const savings = receipt.instantSavings || 0;
-            totalSavings += savings;
-            totalSpent += receipt.total || 0;
-            if (savings > 0) tripsWithSavings++;
-        });
+        if (isSupported()) {
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(DB_NAME);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => resolve(); // Deleted once other tabs close
+            });
+        }
         
-        return {
-            totalSavings: Math.round(totalSavings * 100) / 100,
-            totalSpent: Math.round(totalSpent * 100) / 100,
-            savingsRate: totalSpent > 0 ? Math.round((totalSavings / totalSpent) * 10000) / 100 : 0,
-            avgSavingsPerTrip: Math.round((totalSavings / receipts.length) * 100) / 100,
-            tripsWithSavings
-        };
+        setEnabled(false);
+        RECEIPT_SETTING_KEYS.forEach(key => SettingsStore.remove(key));
+        ErrorHandler.info('All locally stored data has been deleted');
+        EventBus.emit('persistence:forgotten', {});
     }
     
     return {
-        // Basic statistics
-        calculateTotals,
-        calculateAverages,
-        getWarehouseStats,
-        getMonthlySpending,
-        calculateAll,
-        // Advanced analytics
-        getTopItems,
-        getMostExpensive,
-        getPriceHistory,
-        getPriceIncreases,
-        getPriceDecreases,
-        getSavingsAnalysis,
-        // Utility functions
-        getDepartmentName
+        isSupported,
+        isEnabled,
+        setEnabled,
+        saveReceipts,
+        deleteReceipts,
+        loadReceipts,
+        getStoredCount,
+        clearReceipts,
+        forgetAll
     };
 })();
 
@@ -4242,7 +8492,7 @@ const DataStore = (() => {
     // In-memory storage
     const state = {
         receipts: [],
-        itemIndex: new Map(),  // itemNumber -> array of items
+        itemIndex: new Map(),  // product key (see ProductIdentity) -> array of items
         warehouseSet: new Set(),
         dateRange: { min: null, max: null },
         statsCache: null
@@ -4251,13 +8501,17 @@ const DataStore = (() => {
     /**
      * Add receipts to the store
      * @param {Array} receipts - Array of normalized receipts
+     * @param {Object} options - { persist: false } skips writing to local storage
      */
-    function addReceipts(receipts) {
+    function addReceipts(receipts, options = {}) {
         if (!Array.isArray(receipts)) {
             ErrorHandler.error('addReceipts: Input must be an array');
             return;
         }
         
+        // User corrections, deletions and hand-added receipts
+        receipts = ensureUniqueIds(withOverrides(receipts));
+        
         ErrorHandler.info(`Adding ${receipts.length} receipts to DataStore`);
         
         // Add to receipts array
@@ -4271,6 +8525,12 @@ const DataStore = (() => {
         
         ErrorHandler.info(`DataStore now contains ${state.receipts.length} receipts`);
         
+        // Persist to IndexedDB when the user opted in
+        if (options.persist !== false && PersistenceManager.isEnabled()) {
+            PersistenceManager.saveReceipts(receipts)
+                .catch(error => ErrorHandler.handleError(error, 'Storage'));
+        }
+        
         // Emit event
         EventBus.emit('datastore:receiptsAdded', {
             count: receipts.length,
@@ -4278,33 +8538,183 @@ const DataStore = (() => {
         });
     }
     
+    /**
+     * Merge receipts into the store, deduplicating against receipts already loaded.
+     * Uses the same key and "more complete wins" rule as DataProcessor.mergeReceipts.
+     * @param {Array} receipts - Array of normalized receipts
+     * @param {Object} options - { persist: false } skips writing to local storage
+     * @returns {Object} Merge summary {added, updated, duplicates, total}
+     */
+    function mergeReceipts(receipts, options = {}) {
+        if (!Array.isArray(receipts)) {
+            ErrorHandler.error('mergeReceipts: Input must be an array');
+            return { added: 0, updated: 0, duplicates: 0, total: state.receipts.length };
+        }
+        
+        receipts = ensureUniqueIds(withOverrides(receipts));
+        
+        const positions = new Map();
+        state.receipts.forEach((receipt, index) => {
+            positions.set(DataProcessor.getReceiptKey(receipt), index);
+        });
+        
+        const changed = [];
+        let added = 0;
+        let updated = 0;
+        let duplicates = 0;
+        
+        receipts.forEach(receipt => {
+            const key = DataProcessor.getReceiptKey(receipt);
+            
+            if (!positions.has(key)) {
+                positions.set(key, state.receipts.length);
+                state.receipts.push(receipt);
+                changed.push(receipt);
+                added++;
+                return;
+            }
+            
+            const index = positions.get(key);
+            const existing = state.receipts[index];
+            const incomingItems = Array.isArray(receipt.itemArray) ? receipt.itemArray.length : 0;
+            const existingItems = Array.isArray(existing.itemArray) ? existing.itemArray.length : 0;
+            
+            // Prefer more complete data (longer itemArray)
+            if (incomingItems > existingItems) {
+                state.receipts[index] = receipt;
+                changed.push(receipt);
+                updated++;
+            } else {
+                duplicates++;
+            }
+        });
+        
+        if (changed.length > 0) {
+            rebuildIndexes();
+            state.statsCache = null;
+            
+            if (options.persist !== false && PersistenceManager.isEnabled()) {
+                PersistenceManager.saveReceipts(changed)
+                    .catch(error => ErrorHandler.handleError(error, 'Storage'));
+            }
+        }
+        
+        const summary = { added, updated, duplicates, total: state.receipts.length };
+        ErrorHandler.info(`Merged into DataStore: ${added} new, ${updated} updated, ${duplicates} duplicate (${summary.total} total)`);
+        
+        EventBus.emit('datastore:receiptsMerged', summary);
+        
+        return summary;
+    }
+    
+    /**
+     * Apply ReceiptOverrides to incoming receipts and add hand-entered
+     * receipts that aren't loaded yet
+     * @param {Array} receipts - Incoming normalized receipts
+     * @returns {Array} Receipts to store
+     */
+    function withOverrides(receipts) {
+        const kept = ReceiptOverrides.apply(receipts);
+        const present = new Set([...state.receipts, ...kept].map(receipt => DataProcessor.getReceiptKey(receipt)));
+        const created = ReceiptOverrides.getCreatedReceipts()
+            .filter(receipt => !present.has(DataProcessor.getReceiptKey(receipt)));
+        return created.length > 0 ? [...kept, ...created] : kept;
+    }
+    
+    /**
+     * Position of a receipt by its key (ids can repeat across receipts
+     * normalized before they were made unique; keys don't)
+     * @param {string} key - Receipt key (DataProcessor.getReceiptKey)
+     * @returns {number} Index in state.receipts, or -1
+     */
+    function findReceiptIndex(key) {
+        return state.receipts.findIndex(r => DataProcessor.getReceiptKey(r) === key);
+    }
+    
+    /**
+     * Give incoming receipts ids no other stored receipt has. Receipts without
+     * a transaction number or barcode get ids from their date and warehouse
+     * only, so two such receipts on the same day would otherwise collide.
+     * @param {Array} receipts - Incoming normalized receipts (ids changed in place)
+     * @returns {Array} The receipts
+     */
+    function ensureUniqueIds(receipts) {
+        const keysById = new Map(state.receipts.map(r => [r.id, DataProcessor.getReceiptKey(r)]));
+        receipts.forEach(receipt => {
+            const key = DataProcessor.getReceiptKey(receipt);
+            const owner = keysById.get(receipt.id);
+            if (owner !== undefined && owner !== key) {
+                let suffix = 2;
+                while (keysById.has(`${receipt.id}-${suffix}`)) suffix++;
+                ErrorHandler.warn(`Receipt id ${receipt.id} already in use; using ${receipt.id}-${suffix}`);
+                receipt.id = `${receipt.id}-${suffix}`;
+            }
+            keysById.set(receipt.id, key);
+        });
+        return receipts;
+    }
+    
+    /**
+     * Replace a receipt (after a user edit) and recompute indexes and stats
+     * @param {string} key - Receipt key (DataProcessor.getReceiptKey)
+     * @param {Object} receipt - Updated normalized receipt
+     * @param {Object} options - { persist: false } skips writing to local storage
+     * @returns {boolean} True if the receipt was found
+     */
+    function replaceReceipt(key, receipt, options = {}) {
+        const index = findReceiptIndex(key);
+        if (index < 0) return false;
+        
+        state.receipts[index] = receipt;
+        rebuildIndexes();
+        state.statsCache = null;
+        
+        if (options.persist !== false && PersistenceManager.isEnabled()) {
+            PersistenceManager.saveReceipts([receipt])
+                .catch(error => ErrorHandler.handleError(error, 'Storage'));
+        }
+        
+        EventBus.emit('datastore:receiptsChanged', { action: 'updated', key, id: receipt.id, total: state.receipts.length });
+        return true;
+    }
+    
+    /**
+     * Remove a receipt and recompute indexes and stats
+     * @param {string} key - Receipt key (DataProcessor.getReceiptKey)
+     * @param {Object} options - { persist: false } leaves the stored copy alone
+     * @returns {boolean} True if the receipt was found
+     */
+    function removeReceipt(key, options = {}) {
+        const index = findReceiptIndex(key);
+        if (index < 0) return false;
+        
+        const [removed] = state.receipts.splice(index, 1);
+        rebuildIndexes();
+        state.statsCache = null;
+        
+        if (options.persist !== false && PersistenceManager.isEnabled()) {
+            PersistenceManager.deleteReceipts([key])
+                .catch(error => ErrorHandler.handleError(error, 'Storage'));
+        }
+        
+        EventBus.emit('datastore:receiptsChanged', { action: 'removed', key, id: removed.id, total: state.receipts.length });
+        return true;
+    }
+    
     /**
      * Rebuild all indexes
      */
     function rebuildIndexes() {
         // Clear existing indexes
-        state.itemIndex.clear();
         state.warehouseSet.clear();
         state.dateRange = { min: null, max: null };
         
-        // Build item index and collect warehouses
+        // Resolve item numbers to products before indexing items by product
+        ProductIdentity.rebuild(state.receipts);
+        indexItems();
+        
+        // Collect warehouses
         state.receipts.forEach(receipt => {
-            // Index items
-            if (Array.isArray(receipt.itemArray)) {
-                receipt.itemArray.forEach(item => {
-                    const itemNum = item.itemNumber;
-                    if (!state.itemIndex.has(itemNum)) {
-                        state.itemIndex.set(itemNum, []);
-                    }
-                    state.itemIndex.get(itemNum).push({
-                        ...item,
-                        receiptId: receipt.id,
-                        receiptDate: receipt.transactionDateTime,
-                        warehouseNumber: receipt.warehouseNumber
-                    });
-                });
-            }
-            
             // Add warehouse
             if (receipt.warehouseNumber) {
                 state.warehouseSet.add(receipt.warehouseNumber);
@@ -4325,6 +8735,31 @@ const DataStore = (() => {
         ErrorHandler.debug(`Indexes rebuilt: ${state.itemIndex.size} unique items, ${state.warehouseSet.size} warehouses`);
     }
     
+    /**
+     * Index items by product key
+     */
+    function indexItems() {
+        state.itemIndex.clear();
+        state.receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            receipt.itemArray.forEach(item => {
+                const key = ProductIdentity.getProductKey(item.itemNumber);
+                if (!state.itemIndex.has(key)) {
+                    state.itemIndex.set(key, []);
+                }
+                state.itemIndex.get(key).push({
+                    ...item,
+                    receiptId: receipt.id,
+                    receiptDate: receipt.transactionDateTime,
+                    warehouseNumber: receipt.warehouseNumber
+                });
+            });
+        });
+    }
+    
+    // Merging or splitting products changes which items share a key
+    EventBus.on('products:changed', indexItems);
+    
     /**
      * Get receipts with optional filter
      * @param {Object} filter - Filter options
@@ -4377,12 +8812,12 @@ const DataStore = (() => {
     }
     
     /**
-     * Get items by item number
+     * Get items by item number, including other item numbers of the same product
      * @param {string} itemNumber - Item number
      * @returns {Array} Array of items
      */
     function getItemsByNumber(itemNumber) {
-        return state.itemIndex.get(itemNumber) || [];
+        return state.itemIndex.get(ProductIdentity.getProductKey(itemNumber)) || [];
     }
     
     /**
@@ -4434,16 +8869,33 @@ const DataStore = (() => {
         return state.receipts.find(r => r.id === id) || null;
     }
     
+    /**
+     * Get a receipt by its key (DataProcessor.getReceiptKey)
+     * @param {string} key - Receipt key
+     * @returns {Object|null} Receipt or null
+     */
+    function getReceiptByKey(key) {
+        const index = findReceiptIndex(key);
+        return index < 0 ? null : state.receipts[index];
+    }
+    
     /**
      * Clear all data
+     * @param {Object} options - { persist: false } keeps receipts stored on this device
      */
-    function clear() {
+    function clear(options = {}) {
         state.receipts = [];
         state.itemIndex.clear();
+        ProductIdentity.rebuild([]);
         state.warehouseSet.clear();
         state.dateRange = { min: null, max: null };
         state.statsCache = null;
         
+        if (options.persist !== false && PersistenceManager.isEnabled()) {
+            PersistenceManager.clearReceipts()
+                .catch(error => ErrorHandler.handleError(error, 'Storage'));
+        }
+        
         ErrorHandler.info('DataStore cleared');
         
         EventBus.emit('datastore:cleared', {});
@@ -4465,8 +8917,12 @@ const DataStore = (() => {
     
     return {
         addReceipts,
+        mergeReceipts,
+        replaceReceipt,
+        removeReceipt,
         getReceipts,
         getReceiptById,
+        getReceiptByKey,
         getItems,
         getItemsByNumber,
         getWarehouses,
@@ -4487,6 +8943,15 @@ const DataProcessor = (() => {
         totalSize: 0
     };
     
+    // Import worker script, relative to the page (it loads this file too)
+    const IMPORT_WORKER_URL = 'js/import-worker.js';
+    
+    // File processing in progress: { cancel() }, or null
+    let activeImport = null;
+    
+    // Set once the worker fails to start, so later imports skip straight to the page
+    let importWorkerFailed = false;
+    
     // Receipt schema definition
     const RECEIPT_SCHEMA = {
         required: [
@@ -4579,11 +9044,146 @@ const DataProcessor = (() => {
             return `${warehouse}-${date}-${transNum}`;
         }
         
+        // Imported and hand-entered receipts carry their deduplication key
+        // (order number, or date/warehouse/total) as the barcode; keep the
+        // id to letters, digits and dashes
+        if (receipt.transactionBarcode) {
+            return `receipt-${String(receipt.transactionBarcode).replace(/[^A-Za-z0-9-]+/g, '-')}`;
+        }
+        
         // Fallback: use hash of key fields
         const hashInput = `${date}-${warehouse}-${total}-${index}`;
         return `receipt-${btoa(hashInput).substring(0, 16)}`;
     }
     
+    // Size units found in item descriptions, converted to a standard unit.
+    // Weights go to oz, volumes to fl oz and counts to ct. Plain "OZ" is
+    // treated as weight since receipts rarely say "FL OZ".
+    const PACK_UNITS = {
+        'FL OZ': { unit: 'fl oz', factor: 1 },
+        'FLOZ': { unit: 'fl oz', factor: 1 },
+        'OZ': { unit: 'oz', factor: 1 },
+        'LBS': { unit: 'oz', factor: 16 },
+        'LB': { unit: 'oz', factor: 16 },
+        'KG': { unit: 'oz', factor: 35.274 },
+        'GR': { unit: 'oz', factor: 0.035274 },
+        'GM': { unit: 'oz', factor: 0.035274 },
+        'G': { unit: 'oz', factor: 0.035274 },
+        'GAL': { unit: 'fl oz', factor: 128 },
+        'QT': { unit: 'fl oz', factor: 32 },
+        'PT': { unit: 'fl oz', factor: 16 },
+        'LTR': { unit: 'fl oz', factor: 33.814 },
+        'LT': { unit: 'fl oz', factor: 33.814 },
+        'ML': { unit: 'fl oz', factor: 0.033814 },
+        'L': { unit: 'fl oz', factor: 33.814 },
+        'COUNT': { unit: 'ct', factor: 1 },
+        'CNT': { unit: 'ct', factor: 1 },
+        'CT': { unit: 'ct', factor: 1 },
+        'PACK': { unit: 'ct', factor: 1 },
+        'PK': { unit: 'ct', factor: 1 },
+        'PCS': { unit: 'ct', factor: 1 },
+        'PC': { unit: 'ct', factor: 1 },
+        'ROLLS': { unit: 'ct', factor: 1 },
+        'ROLL': { unit: 'ct', factor: 1 },
+        'RL': { unit: 'ct', factor: 1 },
+        'DZ': { unit: 'ct', factor: 12 }
+    };
+
+    // Longest names first so "LBS" wins over "LB" and "ML" over "L"
+    const PACK_UNIT_PATTERN = Object.keys(PACK_UNITS)
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(' ', '\\s?'))
+        .join('|');
+
+    // "2-1/2GAL" (packs x fractional size), "2/32OZ", "40-16.9 OZ", "2X1LB"
+    // (packs x size) and plain "12CT" or "24-PK"
+    const FRACTION_PACK_REGEX = new RegExp(`(?:^|[^A-Z0-9./])(\\d+)\\s*[X-]\\s*(\\d+)\\/(\\d+)\\s*(${PACK_UNIT_PATTERN})(?![A-Z])`);
+    const MULTI_PACK_REGEX = new RegExp(`(?:^|[^A-Z0-9.])(\\d+)\\s*[/X-]\\s*(\\d+(?:\\.\\d+)?|\\.\\d+)\\s*(${PACK_UNIT_PATTERN})(?![A-Z])`);
+    const SINGLE_PACK_REGEX = new RegExp(`(?:^|[^A-Z0-9./])(\\d+(?:\\.\\d+)?|\\.\\d+)\\s*-?\\s*(${PACK_UNIT_PATTERN})(?![A-Z])`, 'g');
+
+    /**
+     * Parse pack size from an item description
+     * @param {string} text - Item description (e.g. "KS WATER 40-16.9OZ")
+     * @returns {Object|null} { quantity, unit, label } where quantity is in the
+     *   standard unit (oz, fl oz or ct), or null when no size is found
+     */
+    function parsePackSize(text) {
+        if (!text || typeof text !== 'string') return null;
+        const upper = text.toUpperCase();
+
+        const lookupUnit = (name) => PACK_UNITS[name.replace(/\s+/g, ' ')];
+        const build = (quantity, unitInfo, label) => {
+            if (!unitInfo || !(quantity > 0)) return null;
+            return {
+                quantity: Math.round(quantity * unitInfo.factor * 1000) / 1000,
+                unit: unitInfo.unit,
+                label: label.trim()
+            };
+        };
+
+        // "HALF AND HALF 2-1/2GAL" is two half gallons
+        const fraction = upper.match(FRACTION_PACK_REGEX);
+        if (fraction) {
+            const numerator = parseFloat(fraction[2]);
+            const denominator = parseFloat(fraction[3]);
+            if (numerator < denominator) {
+                const parsed = build(parseFloat(fraction[1]) * numerator / denominator, lookupUnit(fraction[4]),
+                    fraction[0].replace(/^[^0-9]/, ''));
+                if (parsed) return parsed;
+            }
+        }
+
+        const multi = upper.match(MULTI_PACK_REGEX);
+        if (multi) {
+            const first = parseFloat(multi[1]);
+            const second = parseFloat(multi[2]);
+            const unitInfo = lookupUnit(multi[3]);
+            const label = multi[0].replace(/^[^0-9]/, '');
+            // "1/2 GAL" is a fraction, not one pack of 2 gallons
+            const isFraction = multi[0].includes('/') && first === 1 && [2, 3, 4, 8].includes(second);
+            const parsed = build(isFraction ? first / second : first * second, unitInfo, label);
+            if (parsed) return parsed;
+        }
+
+        // Prefer a weight or volume over a count ("12RL 160SHT 5LB")
+        let countMatch = null;
+        SINGLE_PACK_REGEX.lastIndex = 0;
+        let match;
+        while ((match = SINGLE_PACK_REGEX.exec(upper)) !== null) {
+            const unitInfo = lookupUnit(match[2]);
+            const parsed = build(parseFloat(match[1]), unitInfo, match[0].replace(/^[^0-9.]/, ''));
+            if (!parsed) continue;
+            if (parsed.unit !== 'ct') return parsed;
+            if (!countMatch) countMatch = parsed;
+        }
+
+        return countMatch;
+    }
+
+    /**
+     * Pack size and price per standard unit for an item.
+     * Uses the fields stored by normalizeItem and falls back to parsing the
+     * description for receipts normalized before pack sizes were tracked.
+     * @param {Object} item - Normalized item
+     * @returns {Object|null} { packSize, pricePerUnit, unit } or null
+     */
+    function getUnitPricing(item) {
+        if (!item || item.isDiscount) return null;
+
+        let packSize = item.packSize;
+        if (packSize === undefined) {
+            packSize = parsePackSize([item.itemDescription01, item.itemDescription02, item.itemActualName]
+                .filter(Boolean).join(' '));
+        }
+        if (!packSize || !(item.unitPrice > 0)) return null;
+
+        return {
+            packSize,
+            pricePerUnit: Math.round((item.unitPrice / packSize.quantity) * 10000) / 10000,
+            unit: packSize.unit
+        };
+    }
+
     /**
      * Normalize a single item
      * @param {Object} item - Raw item object
@@ -4612,6 +9212,7 @@ const DataProcessor = (() => {
             itemDescription01: cleanText(item.itemDescription01 || ''),
             itemDescription02: cleanText(item.itemDescription02 || ''),
             itemActualName: cleanText(item.itemActualName || ''),
+            frenchItemDescription1: cleanText(item.frenchItemDescription1 || ''),
             
             // Derived fields
             normalizedName: '',
@@ -4646,6 +9247,15 @@ const DataProcessor = (() => {
         // Round unit price to 2 decimals
         normalized.unitPrice = Math.round(normalized.unitPrice * 100) / 100;
         
+        // Pack size from the description so differently sized packs compare per oz / fl oz / ct
+        normalized.packSize = normalized.amount > 0
+            ? parsePackSize([normalized.itemDescription01, normalized.itemDescription02, normalized.itemActualName]
+                .filter(Boolean).join(' '))
+            : null;
+        const pricing = getUnitPricing(normalized);
+        normalized.pricePerStandardUnit = pricing ? pricing.pricePerUnit : null;
+        normalized.standardUnit = pricing ? pricing.unit : null;
+        
         // Determine if this is a discount item (not a return/refund)
         // Warehouse discounts have item references like "/1337603" in their name fields
         // They also have negative amounts and negative quantities (or zero unit)
@@ -4783,6 +9393,88 @@ const DataProcessor = (() => {
         return normalized;
     }
     
+    /**
+     * Classify a tender into a broad payment kind
+     * @param {string} text - Tender type name and description
+     * @returns {string} 'reward' | 'gift-card' | 'debit' | 'cash' | 'credit' | 'other'
+     */
+    function classifyTender(text) {
+        const value = String(text || '').toLowerCase();
+        if (/reward|certificate|2%/.test(value)) return 'reward';
+        if (/shop\s*card|gift|cash\s*card|costco\s*card/.test(value)) return 'gift-card';
+        if (/debit|\bebt\b/.test(value)) return 'debit';
+        if (/^cash\b|\bcash$/.test(value)) return 'cash';
+        if (/visa|master|amex|american express|discover|credit|citi/.test(value)) return 'credit';
+        return 'other';
+    }
+    
+    /**
+     * Get a receipt's payment lines in a consistent shape
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Array} [{key, label, kind, type, description, code, last4, amount, entryMethod}]
+     */
+    function getTenders(receipt) {
+        if (!receipt || !Array.isArray(receipt.tenderArray)) return [];
+        
+        return receipt.tenderArray.map(tender => {
+            const account = String(tender.displayAccountNumber || '');
+            const digits = account.replace(/\D/g, '');
+            const type = cleanText(tender.tenderTypeName || tender.tenderDescription || tender.tenderTypeCode || 'Other');
+            const description = cleanText(tender.tenderDescription || tender.tenderTypeName || '');
+            const last4 = digits ? digits.slice(-4) : null;
+            return {
+                // Same card = same type + last 4, regardless of how it was entered
+                key: `${type.toUpperCase()}${last4 ? `-${last4}` : ''}`,
+                label: `${type}${last4 ? ` ••••${last4}` : ''}`,
+                kind: classifyTender(`${type} ${description}`.trim()),
+                type,
+                description,
+                code: tender.tenderTypeCode || null,
+                last4,
+                amount: Number(tender.amountTender ?? tender.amount) || 0,
+                entryMethod: tender.tenderEntryMethodDescription || null
+            };
+        });
+    }
+    
+    /**
+     * Get a receipt's tax lines from subTaxes (falls back to the single taxes total)
+     * @param {Object} receipt - Normalized receipt
+     * @returns {Array} [{code, legend, percent, amount}]
+     */
+    function getTaxLines(receipt) {
+        const lines = [];
+        const subTaxes = receipt?.subTaxes;
+        
+        if (subTaxes && typeof subTaxes === 'object') {
+            ['a', 'b', 'c', 'd', 'u'].forEach(code => {
+                const amount = Number(subTaxes[`${code}TaxAmount`]) || 0;
+                if (amount === 0) return;
+                lines.push({
+                    code: code.toUpperCase(),
+                    legend: subTaxes[`${code}TaxLegend`] || code.toUpperCase(),
+                    percent: Number(subTaxes[`${code}TaxPercent`]) || null,
+                    amount
+                });
+            });
+        }
+        
+        if (lines.length === 0 && Number(receipt?.taxes)) {
+            lines.push({ code: null, legend: 'Tax', percent: null, amount: Number(receipt.taxes) });
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Get the deduplication key for a receipt (transactionBarcode, falling back to id)
+     * @param {Object} receipt - Normalized receipt
+     * @returns {string} Receipt key
+     */
+    function getReceiptKey(receipt) {
+        return String(receipt._original?.transactionBarcode || receipt.id);
+    }
+    
     /**
      * Merge receipts from multiple files with intelligent deduplication
      * @param {Array} receiptsArray - Array of receipt arrays
@@ -4797,9 +9489,7 @@ const DataProcessor = (() => {
             receipts.forEach(receipt => {
                 totalReceipts++;
                 
-                // Use transactionBarcode as unique key
-                const transactionBarcode = receipt._original?.transactionBarcode || receipt.id;
-                const key = transactionBarcode;
+                const key = getReceiptKey(receipt);
                 
                 if (receiptMap.has(key)) {
                     duplicateCount++;
@@ -4907,8 +9597,9 @@ const DataProcessor = (() => {
         
         Array.from(files).forEach((file, index) => {
             // Check file type
-            if (!file.name.endsWith('.json')) {
-                errors.push(`File ${index + 1} (${file.name}): Must be a JSON file`);
+            if (!isSupportedFile(file.name)) {
+                const extensions = importers.flatMap(importer => importer.extensions || []).join(', ');
+                errors.push(`File ${index + 1} (${file.name}): Must be one of ${extensions}`);
             }
             
             // Check individual file size
@@ -4924,28 +9615,203 @@ const DataProcessor = (() => {
             totalSize += file.size;
         });
         
-        // Check total size
-        if (totalSize > MAX_TOTAL_SIZE) {
-            errors.push(`Total file size (${formatFileSize(totalSize)}) exceeds 100MB limit`);
+        // Check total size
+        if (totalSize > MAX_TOTAL_SIZE) {
+            errors.push(`Total file size (${formatFileSize(totalSize)}) exceeds 100MB limit`);
+        }
+        
+        state.totalSize = totalSize;
+        
+        return {
+            valid: errors.length === 0,
+            errors,
+            totalSize
+        };
+    }
+    
+    /**
+     * Whether a path inside an archive or folder is a receipt export
+     * (skips macOS resource forks and hidden files)
+     * @param {string} path - Entry path
+     * @returns {boolean} True for files an importer can read
+     */
+    function isReceiptEntry(path) {
+        const name = path.split('/').pop();
+        return isSupportedFile(name) &&
+            !name.startsWith('.') &&
+            !path.split('/').includes('__MACOSX');
+    }
+    
+    /**
+     * Whether a file is a ZIP archive
+     * @param {File} file - Selected file
+     * @returns {boolean} True for .zip files
+     */
+    function isZipFile(file) {
+        return file.name.toLowerCase().endsWith('.zip');
+    }
+    
+    /**
+     * Replace .zip archives with the receipt files they contain. Entries that
+     * fail to unpack, and empty entries, are reported and skipped.
+     * @param {Array<File>} files - Selected files
+     * @returns {Promise<Array<File>>} Files to validate and read
+     */
+    async function expandArchives(files) {
+        const expanded = [];
+        
+        for (const file of files) {
+            if (!isZipFile(file)) {
+                expanded.push(file);
+                continue;
+            }
+            
+            let archive;
+            try {
+                archive = await ZipUtils.readZip(file, { filter: isReceiptEntry });
+            } catch (error) {
+                ErrorHandler.error(`Failed to open ${file.name}`, error.message);
+                continue;
+            }
+            
+            archive.errors.forEach(entry => {
+                ErrorHandler.error(`Failed to unpack ${file.name}/${entry.name}`, entry.error);
+            });
+            
+            let count = 0;
+            archive.entries.forEach(entry => {
+                if (entry.data.length === 0) {
+                    ErrorHandler.warn(`Skipped empty entry ${file.name}/${entry.name}`);
+                    return;
+                }
+                expanded.push(new File([entry.data], `${file.name}/${entry.name}`, {
+                    lastModified: entry.lastModified
+                }));
+                count++;
+            });
+            
+            ErrorHandler.info(`${file.name}: ${count} receipt file(s) unpacked` +
+                (archive.errors.length > 0 ? `, ${archive.errors.length} failed` : ''));
+        }
+        
+        return expanded;
+    }
+    
+    /**
+     * Read every entry of a dropped directory (readEntries returns batches)
+     * @param {FileSystemDirectoryEntry} directory - Directory entry
+     * @returns {Promise<Array>} Child entries
+     */
+    function readDirectoryEntries(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+        return new Promise((resolve, reject) => {
+            const readBatch = () => {
+                reader.readEntries(batch => {
+                    if (batch.length === 0) {
+                        resolve(entries);
+                        return;
+                    }
+                    entries.push(...batch);
+                    readBatch();
+                }, reject);
+            };
+            readBatch();
+        });
+    }
+    
+    /**
+     * Collect receipt files from a dropped entry, descending into folders
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {Array<File>} files - Accumulator
+     * @returns {Promise<void>}
+     */
+    async function collectEntryFiles(entry, files) {
+        if (entry.isDirectory) {
+            const children = await readDirectoryEntries(entry);
+            for (const child of children) {
+                await collectEntryFiles(child, files);
+            }
+            return;
+        }
+        
+        const path = entry.fullPath.replace(/^\//, '');
+        const lowerPath = path.toLowerCase();
+        if (!isReceiptEntry(path) && !lowerPath.endsWith('.zip')) {
+            return;
         }
         
-        state.totalSize = totalSize;
+        try {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            if (file.size === 0) {
+                ErrorHandler.warn(`Skipped empty file ${path}`);
+                return;
+            }
+            // Keep the folder path so receipts can be traced back to their file
+            files.push(path === file.name ? file : new File([file], path, {
+                type: file.type,
+                lastModified: file.lastModified
+            }));
+        } catch (error) {
+            ErrorHandler.error(`Failed to read ${path}`, error.message);
+        }
+    }
+    
+    /**
+     * Get the files from a drag-and-drop event, walking dropped folders
+     * recursively. Falls back to the flat file list where the browser
+     * doesn't expose directory entries.
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Promise<Array<File>>} Dropped receipt files and ZIP archives
+     */
+    async function getDroppedFiles(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []);
+        const entries = items
+            .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+            .map(item => item.webkitGetAsEntry())
+            .filter(Boolean);
+        
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files || []);
+        }
         
-        return {
-            valid: errors.length === 0,
-            errors,
-            totalSize
-        };
+        const files = [];
+        for (const entry of entries) {
+            await collectEntryFiles(entry, files);
+        }
+        return files;
     }
     
     /**
      * Handle file selection
-     * Automatically starts processing after successful validation (FR8 - process-on-select)
-     * @param {FileList} files - Selected files
+     * Automatically starts processing after successful validation (FR8 - process-on-select).
+     * .zip archives are unpacked first and each JSON entry is read like a selected file.
+     * @param {FileList|Array<File>} files - Selected or dropped files
+     * @param {Object} options - { append: true } merges into the existing DataStore
      */
-    function handleFileSelection(files) {
+    async function handleFileSelection(files, options = {}) {
         ErrorHandler.info(`${files.length} file(s) selected`);
         
+        files = Array.from(files);
+        if (files.some(isZipFile)) {
+            const uiController = App.modules.uiController;
+            if (uiController) {
+                uiController.showLoading('Unpacking ZIP archive(s)...');
+            }
+            try {
+                files = await expandArchives(files);
+            } finally {
+                if (uiController) {
+                    uiController.hideLoading();
+                }
+            }
+            
+            if (files.length === 0) {
+                ErrorHandler.handleError('No receipt files found in the selected archive(s)', 'File Loading');
+                return;
+            }
+        }
+        
         // Validate files
         const validation = validateFiles(files);
         
@@ -4972,18 +9838,226 @@ const DataProcessor = (() => {
         
         // FR8: Automatically start processing after successful validation
         // No separate "Process Files" button - processing begins immediately
-        handleFileProcessing(files);
+        handleFileProcessing(files, options);
+    }
+    
+    /**
+     * Read, parse, validate, normalize and merge files. Touches neither the
+     * DataStore nor the page, so the import worker runs the same code as the
+     * main-thread fallback. Yields between files so progress can render and
+     * a cancel request can land.
+     * @param {Array<File>} files - Files to process
+     * @param {Object} options - { onProgress({ stage, fileIndex, fileCount, filename, receiptCount }), isCancelled() }
+     * @returns {Promise<Object>} Processing summary with the merged receipts
+     */
+    async function processFiles(files, options = {}) {
+        const { onProgress = () => {}, isCancelled = () => false } = options;
+        files = Array.from(files);
+        
+        const result = {
+            cancelled: false,
+            files: [],
+            failedReads: [],
+            failedParses: [],
+            importReports: [],
+            validFiles: [],
+            invalidFiles: [],
+            totalCount: 0,
+            validCount: 0,
+            invalidCount: 0,
+            mergedCount: 0,
+            receipts: []
+        };
+        const normalizedReceipts = [];
+        
+        for (let index = 0; index < files.length; index++) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) {
+                result.cancelled = true;
+                return result;
+            }
+            
+            const file = files[index];
+            const progress = (stage) => onProgress({
+                stage,
+                fileIndex: index,
+                fileCount: files.length,
+                filename: file.name,
+                receiptCount: normalizedReceipts.length
+            });
+            
+            // Step 1: Read
+            progress('reading');
+            const read = await readFile(file, index);
+            if (!read.success) {
+                result.failedReads.push({ filename: read.filename, error: read.error });
+                continue;
+            }
+            result.files.push({ filename: read.filename, size: read.size });
+            
+            // Step 2: Parse with the importer that recognizes the format
+            progress('parsing');
+            const parsed = importContent(read.content, read.filename);
+            if (!parsed.success) {
+                result.failedParses.push({ filename: parsed.filename, error: parsed.error });
+                continue;
+            }
+            result.importReports.push({
+                filename: parsed.filename,
+                format: parsed.format,
+                unmappedColumns: parsed.unmappedColumns || []
+            });
+            
+            // Step 3: Validate structure (only a sample of errors is kept for the summary)
+            progress('validating');
+            const validation = validateJSONStructure(parsed.data, parsed.filename);
+            const summary = {
+                filename: parsed.filename,
+                totalCount: validation.totalCount || 0,
+                validCount: validation.validCount || 0,
+                invalidCount: validation.invalidCount || 0,
+                errors: validation.errors.slice(0, 10),
+                errorCount: validation.errors.length
+            };
+            if (!validation.valid) {
+                result.invalidFiles.push(summary);
+                continue;
+            }
+            result.validFiles.push(summary);
+            result.totalCount += summary.totalCount;
+            result.validCount += summary.validCount;
+            result.invalidCount += summary.invalidCount;
+            
+            // Step 4: Normalize
+            progress('normalizing');
+            validation.receipts.forEach((receipt, receiptIndex) => {
+                normalizedReceipts.push(normalizeReceipt(receipt, receiptIndex, parsed.filename));
+            });
+        }
+        
+        // A cancel that landed while the last file was read or parsed
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (isCancelled()) {
+            result.cancelled = true;
+            return result;
+        }
+        
+        // Step 5: Merge receipts (deduplicate) and drop cancelled transactions
+        onProgress({ stage: 'merging', fileIndex: files.length, fileCount: files.length, filename: null, receiptCount: normalizedReceipts.length });
+        const mergedReceipts = mergeReceipts([normalizedReceipts]);
+        result.mergedCount = mergedReceipts.length;
+        result.receipts = mergedReceipts.filter(receipt => {
+            return receipt.transactionType !== 'Cancelled' && 
+                   receipt.transactionType !== 'Canceled';
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Whether file processing can move to the import worker. Workers don't
+     * start from file:// pages in some browsers, and importers registered
+     * at runtime only exist on the page.
+     * @returns {boolean}
+     */
+    function canUseImportWorker() {
+        return typeof Worker !== 'undefined' &&
+            !importWorkerFailed &&
+            importers.every(importer => BUILT_IN_IMPORTERS.includes(importer.id));
+    }
+    
+    /**
+     * Run processFiles in the import worker. Progress streams back per file;
+     * the receipts arrive all at once when the worker is done. Cancelling
+     * stops the worker.
+     * @param {Array<File>} files - Files to process
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Same shape as processFiles
+     */
+    function runImportWorker(files, onProgress) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(IMPORT_WORKER_URL);
+            } catch (error) {
+                importWorkerFailed = true;
+                reject(error);
+                return;
+            }
+            let started = false;
+            
+            const finish = (callback) => {
+                worker.terminate();
+                activeImport = null;
+                callback();
+            };
+            activeImport = {
+                cancel: () => finish(() => resolve({ cancelled: true, receipts: [] }))
+            };
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                started = true;
+                if (message.type === 'progress') {
+                    onProgress(message.progress);
+                } else if (message.type === 'done') {
+                    finish(() => resolve(message.result));
+                } else if (message.type === 'error') {
+                    finish(() => reject(new Error(message.error)));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                // A worker that never reported back couldn't load; don't try again
+                if (!started) importWorkerFailed = true;
+                finish(() => reject(new Error(event.message || 'Import worker failed')));
+            };
+            
+            worker.postMessage({ type: 'process', files });
+        });
+    }
+    
+    /**
+     * Cancel the file processing in progress. Nothing is added to the DataStore.
+     * @returns {boolean} True if there was something to cancel
+     */
+    function cancelProcessing() {
+        if (!activeImport) return false;
+        activeImport.cancel();
+        return true;
     }
     
     /**
-     * Handle file processing (reading and parsing)
+     * Handle file processing (reading and parsing). The work runs in the
+     * import worker when possible so the page stays responsive; the merged
+     * receipts are then added to the DataStore here.
      * @param {FileList} files - Files to process
+     * @param {Object} options - { append: true } merges into the existing DataStore
      */
-    async function handleFileProcessing(files) {
+    async function handleFileProcessing(files, options = {}) {
         const uiController = App.modules.uiController;
+        const stageLabels = {
+            reading: 'Reading',
+            parsing: 'Parsing',
+            validating: 'Validating',
+            normalizing: 'Normalizing'
+        };
+        const showProgress = (progress) => {
+            if (!uiController) return;
+            const count = progress.receiptCount.toLocaleString();
+            let message;
+            if (progress.stage === 'merging') {
+                message = `Merging ${count} receipts...`;
+            } else {
+                message = `${stageLabels[progress.stage]} ${progress.filename} (file ${progress.fileIndex + 1} of ${progress.fileCount})` +
+                    (progress.receiptCount > 0 ? ` · ${count} receipts so far` : '') + '...';
+            }
+            uiController.showLoading(message, { onCancel: cancelProcessing });
+        };
+        
         try {
             if (uiController) {
-                uiController.showLoading(`Processing ${files.length} file(s)...`);
+                uiController.showLoading(`Processing ${files.length} file(s)...`, { onCancel: cancelProcessing });
             }
             
             ErrorHandler.info('Starting file processing...');
@@ -4991,146 +10065,118 @@ const DataProcessor = (() => {
             // Emit processing started event
             EventBus.emit('files:processingStarted', { count: files.length });
             
-            // Step 1: Read all files
-            if (uiController) {
-                uiController.showLoading(`Reading ${files.length} file(s)...`);
+            let result = null;
+            if (canUseImportWorker()) {
+                try {
+                    result = await runImportWorker(files, showProgress);
+                } catch (error) {
+                    ErrorHandler.warn('Import worker failed, processing on the page instead', error.message);
+                }
+            }
+            if (!result) {
+                let cancelled = false;
+                activeImport = { cancel: () => { cancelled = true; } };
+                try {
+                    result = await processFiles(files, { onProgress: showProgress, isCancelled: () => cancelled });
+                } finally {
+                    activeImport = null;
+                }
             }
-            const filePromises = Array.from(files).map((file, index) => {
-                return readFile(file, index);
-            });
-            
-            const readResults = await Promise.all(filePromises);
             
-            // Filter out failed reads
-            const successfulReads = readResults.filter(r => r.success);
-            const failedReads = readResults.filter(r => !r.success);
+            if (result.cancelled) {
+                if (uiController) {
+                    uiController.hideLoading();
+                }
+                // Let the same files be picked again
+                const fileInput = document.getElementById('file-input');
+                if (fileInput) fileInput.value = '';
+                ErrorHandler.info('File processing cancelled');
+                EventBus.emit('files:processingCancelled', { count: files.length });
+                return;
+            }
             
-            if (failedReads.length > 0) {
-                ErrorHandler.warn(`${failedReads.length} file(s) failed to read`);
-                failedReads.forEach(result => {
-                    ErrorHandler.error(`Failed to read ${result.filename}`, result.error);
+            if (result.failedReads.length > 0) {
+                ErrorHandler.warn(`${result.failedReads.length} file(s) failed to read`);
+                result.failedReads.forEach(failure => {
+                    ErrorHandler.error(`Failed to read ${failure.filename}`, failure.error);
                 });
             }
             
-            if (successfulReads.length === 0) {
+            if (result.files.length === 0) {
                 throw new Error('No files were successfully read');
             }
             
-            // Step 2: Parse JSON from each file
-            if (uiController) {
-                uiController.showLoading(`Parsing ${successfulReads.length} file(s)...`);
-            }
-            const parseResults = successfulReads.map(fileResult => {
-                return parseJSON(fileResult.content, fileResult.filename);
-            });
-            
-            const successfulParses = parseResults.filter(r => r.success);
-            const failedParses = parseResults.filter(r => !r.success);
-            
-            if (failedParses.length > 0) {
-                ErrorHandler.warn(`${failedParses.length} file(s) failed to parse`);
-                failedParses.forEach(result => {
-                    ErrorHandler.error(`Failed to parse ${result.filename}`, result.error);
+            if (result.failedParses.length > 0) {
+                ErrorHandler.warn(`${result.failedParses.length} file(s) failed to parse`);
+                result.failedParses.forEach(failure => {
+                    ErrorHandler.error(`Failed to parse ${failure.filename}`, failure.error);
                 });
             }
             
-            if (successfulParses.length === 0) {
+            if (result.importReports.length === 0) {
                 throw new Error('No files were successfully parsed');
             }
             
-            // Step 3: Validate JSON structure
-            if (uiController) {
-                uiController.showLoading(`Validating ${successfulParses.length} file(s)...`);
-            }
-            const validationResults = successfulParses.map(parseResult => {
-                return validateJSONStructure(parseResult.data, parseResult.filename);
-            });
-            
-            const validFiles = validationResults.filter(r => r.valid);
-            const invalidFiles = validationResults.filter(r => !r.valid);
+            const logValidationErrors = (summary) => {
+                summary.errors.forEach(err => ErrorHandler.error(err));
+                if (summary.errorCount > summary.errors.length) {
+                    ErrorHandler.error(`... and ${summary.errorCount - summary.errors.length} more errors`);
+                }
+            };
             
-            if (invalidFiles.length > 0) {
-                ErrorHandler.warn(`${invalidFiles.length} file(s) failed validation`);
-                invalidFiles.forEach(result => {
-                    result.errors.slice(0, 10).forEach(err => ErrorHandler.error(err));
-                    if (result.errors.length > 10) {
-                        ErrorHandler.error(`... and ${result.errors.length - 10} more errors`);
-                    }
-                });
+            if (result.invalidFiles.length > 0) {
+                ErrorHandler.warn(`${result.invalidFiles.length} file(s) failed validation`);
+                result.invalidFiles.forEach(logValidationErrors);
             }
             
             // Log errors from files that passed but had some invalid receipts
-            validFiles.forEach(result => {
-                if (result.invalidCount > 0 && result.errors.length > 0) {
-                    ErrorHandler.warn(`${result.filename || 'File'}: ${result.invalidCount} receipt(s) failed validation`);
-                    result.errors.slice(0, 10).forEach(err => ErrorHandler.error(err));
-                    if (result.errors.length > 10) {
-                        ErrorHandler.error(`... and ${result.errors.length - 10} more errors`);
-                    }
+            result.validFiles.forEach(summary => {
+                if (summary.invalidCount > 0 && summary.errorCount > 0) {
+                    ErrorHandler.warn(`${summary.filename || 'File'}: ${summary.invalidCount} receipt(s) failed validation`);
+                    logValidationErrors(summary);
                 }
             });
             
-            if (validFiles.length === 0) {
+            if (result.validFiles.length === 0) {
                 throw new Error('No files passed validation. Please check file format.');
             }
             
-            // Collect all valid receipts
-            const rawReceipts = validFiles.flatMap(result => result.receipts);
-            const totalReceipts = validFiles.reduce((sum, r) => sum + r.totalCount, 0);
-            const validReceipts = validFiles.reduce((sum, r) => sum + r.validCount, 0);
-            const invalidReceipts = validFiles.reduce((sum, r) => sum + r.invalidCount, 0);
-            
-            // Step 4: Normalize receipts
-            if (uiController) {
-                uiController.showLoading(`Normalizing ${validReceipts} receipts...`);
-            }
-            const normalizedReceipts = [];
-            validFiles.forEach(fileResult => {
-                fileResult.receipts.forEach((receipt, index) => {
-                    const normalized = normalizeReceipt(receipt, index, fileResult.filename);
-                    normalizedReceipts.push(normalized);
-                });
-            });
-            
-            // Step 5: Merge receipts (deduplicate)
-            if (uiController) {
-                uiController.showLoading(`Merging receipts...`);
-            }
-            const mergedReceipts = mergeReceipts([normalizedReceipts]);
-            
-            // Step 5.5: Filter out cancelled transactions
-            const validTransactions = mergedReceipts.filter(receipt => {
-                return receipt.transactionType !== 'Cancelled' && 
-                       receipt.transactionType !== 'Canceled';
-            });
-            const cancelledCount = mergedReceipts.length - validTransactions.length;
+            const cancelledCount = result.mergedCount - result.receipts.length;
             if (cancelledCount > 0) {
                 ErrorHandler.info(`Filtered out ${cancelledCount} cancelled transactions`);
             }
             
-            state.loadedFiles = successfulReads;
-            state.parsedReceipts = validTransactions;
+            state.loadedFiles = options.append ? [...state.loadedFiles, ...result.files] : result.files;
+            state.parsedReceipts = result.receipts;
             
-            ErrorHandler.info(`Successfully processed ${validFiles.length} file(s)`);
-            ErrorHandler.info(`Total receipts: ${totalReceipts}, Valid: ${validReceipts}, Invalid: ${invalidReceipts}`);
-            ErrorHandler.info(`Final merged receipts: ${validTransactions.length}`);
+            ErrorHandler.info(`Successfully processed ${result.validFiles.length} file(s)`);
+            ErrorHandler.info(`Total receipts: ${result.totalCount}, Valid: ${result.validCount}, Invalid: ${result.invalidCount}`);
+            ErrorHandler.info(`Final merged receipts: ${result.receipts.length}`);
             
-            // Step 6: Add to DataStore
+            // Step 6: Add to DataStore (or merge against what is already loaded)
+            let mergeSummary = null;
             if (App.modules.dataStore) {
                 if (uiController) {
-                    uiController.showLoading(`Loading ${validTransactions.length} receipts into DataStore...`);
+                    uiController.showLoading(`Loading ${result.receipts.length} receipts into DataStore...`);
+                }
+                if (options.append) {
+                    mergeSummary = App.modules.dataStore.mergeReceipts(result.receipts);
+                } else {
+                    App.modules.dataStore.addReceipts(result.receipts);
                 }
-                App.modules.dataStore.addReceipts(validTransactions);
             }
             
             // Emit files parsed event
             EventBus.emit('files:parsed', {
-                files: validFiles,
-                receipts: mergedReceipts,
-                fileCount: validFiles.length,
-                receiptCount: mergedReceipts.length,
-                invalidCount: invalidReceipts,
-                totalCount: totalReceipts
+                files: result.validFiles,
+                receipts: result.receipts,
+                fileCount: result.validFiles.length,
+                receiptCount: result.mergedCount,
+                invalidCount: result.invalidCount,
+                totalCount: result.totalCount,
+                incremental: !!options.append,
+                mergeSummary,
+                importReports: result.importReports
             });
             
             if (uiController) {
@@ -5138,8 +10184,8 @@ const DataProcessor = (() => {
             }
             
             // Show detailed success message
-            const message = `Successfully processed ${validFiles.length} file(s) with ${mergedReceipts.length} receipts` +
-                (invalidReceipts > 0 ? ` (${invalidReceipts} invalid receipts skipped)` : '');
+            const message = `Successfully processed ${result.validFiles.length} file(s) with ${result.mergedCount} receipts` +
+                (result.invalidCount > 0 ? ` (${result.invalidCount} invalid receipts skipped)` : '');
             ErrorHandler.info(message);
             
         } catch (error) {
@@ -5150,6 +10196,64 @@ const DataProcessor = (() => {
         }
     }
     
+    /**
+     * Give a receipt without a transaction barcode a stable deduplication key
+     * built from its date, warehouse and register/transaction numbers (or its
+     * total when those weren't printed), so adding it twice doesn't count it twice
+     * @param {Object} receipt - Raw receipt (modified in place)
+     * @returns {Object} The receipt
+     */
+    function ensureReceiptKey(receipt) {
+        if (!receipt.transactionBarcode) {
+            const date = receipt.transactionDateTime || receipt.transactionDate || '';
+            receipt.transactionBarcode = receipt.transactionNumber
+                ? `manual-${date}-${receipt.warehouseNumber || 0}-${receipt.registerNumber || 0}-${receipt.transactionNumber}`
+                : `manual-${date}-${receipt.warehouseNumber || 0}-${(Number(receipt.total) || 0).toFixed(2)}`;
+        }
+        return receipt;
+    }
+    
+    /**
+     * Validate, normalize and add receipts that didn't come from a file
+     * (pasted or typed in). Merges into the loaded data when there is any.
+     * @param {Array} rawReceipts - Receipts in the extension's JSON shape
+     * @param {string} sourceFile - Label stored as the receipts' source
+     * @returns {Object} {success, errors, receipts, mergeSummary}
+     */
+    function importReceipts(rawReceipts, sourceFile) {
+        const validation = validateJSONStructure(rawReceipts.map(ensureReceiptKey), sourceFile);
+        if (!validation.valid || validation.invalidCount > 0) {
+            return { success: false, errors: validation.errors, receipts: [] };
+        }
+        
+        const receipts = validation.receipts.map((receipt, index) => normalizeReceipt(receipt, index, sourceFile));
+        const dataStore = App.modules.dataStore;
+        const append = dataStore.getReceiptCount() > 0;
+        let mergeSummary = null;
+        
+        if (append) {
+            mergeSummary = dataStore.mergeReceipts(receipts);
+        } else {
+            dataStore.addReceipts(receipts);
+        }
+        state.parsedReceipts = [...state.parsedReceipts, ...receipts];
+        
+        EventBus.emit('files:parsed', {
+            files: [],
+            receipts,
+            fileCount: 0,
+            receiptCount: receipts.length,
+            invalidCount: 0,
+            totalCount: receipts.length,
+            incremental: append,
+            mergeSummary,
+            importReports: []
+        });
+        
+        ErrorHandler.info(`Added ${receipts.length} receipt(s) from ${sourceFile}`);
+        return { success: true, errors: [], receipts, mergeSummary };
+    }
+    
     /**
      * Read a single file
      * @param {File} file - File to read
@@ -5225,6 +10329,580 @@ const DataProcessor = (() => {
         }
     }
     
+    // ===== Importers =====
+    // Each importer turns a file's text into raw receipts in the extension's
+    // JSON shape, so every format goes through the same validate/normalize path.
+    // {id, label, extensions, detect(content, filename), parse(content, filename)}
+    const importers = [];
+    
+    // Importers registered below, which the import worker also has
+    const BUILT_IN_IMPORTERS = ['costco-json', 'costco-csv', 'costco-text'];
+    
+    /**
+     * Register an importer (replaces an importer with the same id).
+     * Importers are tried in registration order when sniffing a file.
+     * @param {Object} importer - {id, label, extensions, detect, parse}
+     */
+    function registerImporter(importer) {
+        if (!importer || !importer.id || typeof importer.detect !== 'function' || typeof importer.parse !== 'function') {
+            throw new Error('Importer needs an id, detect() and parse()');
+        }
+        const existing = importers.findIndex(i => i.id === importer.id);
+        if (existing >= 0) {
+            importers[existing] = importer;
+        } else {
+            importers.push(importer);
+        }
+        ErrorHandler.debug(`Registered importer: ${importer.id}`);
+    }
+    
+    /**
+     * Get registered importers
+     * @returns {Array} [{id, label, extensions}]
+     */
+    function getImporters() {
+        return importers.map(({ id, label, extensions }) => ({ id, label, extensions: [...(extensions || [])] }));
+    }
+    
+    /**
+     * Whether a filename has an extension some importer reads
+     * @param {string} filename - File name or archive path
+     * @returns {boolean} True if supported
+     */
+    function isSupportedFile(filename) {
+        const lower = String(filename).toLowerCase();
+        return importers.some(importer => (importer.extensions || []).some(ext => lower.endsWith(ext)));
+    }
+    
+    /**
+     * Find the importer for a file by sniffing its content
+     * @param {string} content - File text
+     * @param {string} filename - Source filename
+     * @returns {Object|null} Matching importer
+     */
+    function detectImporter(content, filename) {
+        return importers.find(importer => {
+            try {
+                return importer.detect(content, filename);
+            } catch (error) {
+                ErrorHandler.debug(`Importer ${importer.id} detection failed for ${filename}`, error.message);
+                return false;
+            }
+        }) || null;
+    }
+    
+    /**
+     * Parse a file with the importer that recognizes it
+     * @param {string} content - File text
+     * @param {string} filename - Source filename
+     * @returns {Object} Parse result {success, data, filename, format, unmappedColumns, error}
+     */
+    function importContent(content, filename) {
+        // Spreadsheet tools often save a byte order mark
+        const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+        const importer = detectImporter(text, filename);
+        
+        if (!importer) {
+            const formats = importers.map(i => i.label).join(', ');
+            ErrorHandler.error(`Unrecognized file format: ${filename}`);
+            return {
+                success: false,
+                error: `Unrecognized file format (supported: ${formats})`,
+                filename
+            };
+        }
+        
+        try {
+            const result = importer.parse(text, filename);
+            return { unmappedColumns: [], ...result, format: importer.id, filename };
+        } catch (error) {
+            ErrorHandler.error(`${importer.label} import error in ${filename}`, error.message);
+            return {
+                success: false,
+                error: `${importer.label}: ${error.message}`,
+                filename,
+                format: importer.id
+            };
+        }
+    }
+    
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows (blank lines dropped)
+     */
+    function parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+    
+    // Costco account CSV headers (lowercased, letters/digits only) -> receipt fields.
+    // Costco has changed these downloads over time, so each field takes several spellings.
+    const CSV_COLUMN_ALIASES = {
+        date: ['date', 'transactiondate', 'orderdate', 'purchasedate', 'orderplaced', 'dateplaced', 'receiptdate'],
+        receiptId: ['ordernumber', 'orderno', 'orderid', 'order', 'receiptnumber', 'receiptid', 'transactionnumber', 'transactionbarcode', 'barcode', 'invoicenumber'],
+        type: ['ordertype', 'purchasetype', 'type', 'channel', 'source'],
+        status: ['status', 'orderstatus', 'transactiontype'],
+        warehouseNumber: ['warehousenumber', 'warehouseno', 'warehouseid', 'storenumber', 'locationnumber'],
+        warehouseName: ['warehouse', 'warehousename', 'location', 'store'],
+        city: ['city', 'warehousecity'],
+        state: ['state', 'province', 'warehousestate'],
+        membershipNumber: ['membershipnumber', 'membership', 'membernumber', 'memberid'],
+        itemNumber: ['itemnumber', 'itemno', 'itemid', 'item', 'sku', 'productnumber'],
+        itemName: ['itemdescription', 'description', 'itemname', 'productname', 'product', 'name'],
+        quantity: ['quantity', 'qty', 'units'],
+        unitPrice: ['unitprice', 'price', 'priceeach', 'itemprice'],
+        amount: ['amount', 'itemtotal', 'linetotal', 'totalprice', 'extendedprice', 'itemamount'],
+        department: ['department', 'departmentnumber', 'dept'],
+        taxFlag: ['taxflag', 'taxable'],
+        subTotal: ['subtotal'],
+        taxes: ['tax', 'taxes', 'salestax', 'taxamount', 'totaltax'],
+        total: ['total', 'ordertotal', 'receipttotal', 'totalamount', 'grandtotal'],
+        instantSavings: ['instantsavings', 'savings', 'discount', 'discounts'],
+        payment: ['paymentmethod', 'payment', 'tender', 'paymenttype', 'cardtype'],
+        cardNumber: ['cardlast4', 'last4', 'cardnumber', 'accountnumber']
+    };
+    
+    /**
+     * Map CSV headers onto receipt fields
+     * @param {Array<string>} headers - Header row
+     * @returns {Object} {columns: {field: index}, unmapped: [header]}
+     */
+    function mapCSVHeaders(headers) {
+        const columns = {};
+        const unmapped = [];
+        
+        headers.forEach((header, index) => {
+            const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const field = Object.keys(CSV_COLUMN_ALIASES)
+                .find(name => !(name in columns) && CSV_COLUMN_ALIASES[name].includes(key));
+            if (field) {
+                columns[field] = index;
+            } else if (header.trim()) {
+                unmapped.push(header.trim());
+            }
+        });
+        
+        return { columns, unmapped };
+    }
+    
+    /**
+     * Parse a money cell ("$1,234.56", "(3.00)", "-3.00")
+     * @param {string} value - Cell text
+     * @returns {number|null} Amount, or null when blank/unreadable
+     */
+    function parseCSVAmount(value) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+        const negative = /^\(.*\)$/.test(text) || text.includes('-');
+        const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+        if (isNaN(amount)) return null;
+        return negative ? -amount : amount;
+    }
+    
+    /**
+     * Parse a CSV date cell (MM/DD/YYYY, M/D/YY or YYYY-MM-DD) to YYYY-MM-DD
+     * @param {string} value - Cell text
+     * @returns {string|null} ISO date
+     */
+    function parseCSVDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) {
+            return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+        }
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+        if (match) {
+            const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+            return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        }
+        const date = parseDate(text);
+        if (!date) return null;
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Whether CSV text looks like a Costco orders/purchases download
+     * (needs a date column plus an amount or total column)
+     * @param {string} content - File text
+     * @returns {boolean} True if the header row matches
+     */
+    function detectCostcoCSV(content) {
+        const firstLine = content.slice(0, 4096).split(/\r?\n/).find(line => line.trim()) || '';
+        if (!firstLine.includes(',')) return false;
+        const { columns } = mapCSVHeaders(parseCSVRows(firstLine)[0] || []);
+        return 'date' in columns && ('amount' in columns || 'total' in columns || 'unitPrice' in columns);
+    }
+    
+    /**
+     * Convert a Costco orders/purchases CSV into receipts. Item-level files
+     * (one row per item) are grouped by order/receipt number, or by date,
+     * warehouse and total when there is none; receipt-level files become
+     * receipts without items.
+     * @param {string} content - File text
+     * @param {string} filename - Source filename
+     * @returns {Object} {success, data, unmappedColumns}
+     */
+    function parseCostcoCSV(content, filename) {
+        const [headers, ...rows] = parseCSVRows(content);
+        const { columns, unmapped } = mapCSVHeaders(headers);
+        const cell = (row, field) => (field in columns ? String(row[columns[field]] ?? '').trim() : '');
+        const amountOf = (row, field) => parseCSVAmount(cell(row, field));
+        const itemLevel = 'itemNumber' in columns || 'itemName' in columns;
+        
+        // A lone "Amount"/"Total" column is the line total in item-level
+        // files and the order total in receipt-level files
+        if (!itemLevel && !('total' in columns) && 'amount' in columns) {
+            columns.total = columns.amount;
+            delete columns.amount;
+        } else if (itemLevel && !('amount' in columns) && 'total' in columns) {
+            columns.amount = columns.total;
+            delete columns.total;
+        }
+        
+        if (rows.length === 0) {
+            throw new Error('No data rows below the header');
+        }
+        
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const date = parseCSVDate(cell(row, 'date'));
+            if (!date) {
+                ErrorHandler.warn(`${filename} row ${index + 2}: unreadable date "${cell(row, 'date')}", row skipped`);
+                return;
+            }
+            const key = cell(row, 'receiptId') ||
+                (itemLevel
+                    ? `${date}|${cell(row, 'warehouseNumber') || cell(row, 'warehouseName')}|${cell(row, 'total')}`
+                    : `row-${index}`);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ row, date });
+        });
+        
+        const receipts = [];
+        const keyCounts = new Map();    // Receipts without an order number sharing a date, store and total
+        groups.forEach(group => {
+            // Receipt fields may only be filled on one row of the order
+            const firstValue = (field) => {
+                const match = group.find(g => cell(g.row, field));
+                return match ? cell(match.row, field) : '';
+            };
+            const firstAmount = (field) => parseCSVAmount(firstValue(field));
+            
+            const typeText = `${firstValue('type')} ${firstValue('warehouseName')}`.toLowerCase();
+            const statusText = firstValue('status').toLowerCase();
+            const isOnline = /online|costco\.com|delivery|shipped/.test(typeText);
+            const isGas = /\bgas\b|fuel/.test(typeText);
+            
+            let transactionType = 'Sales';
+            if (/cancel/.test(statusText)) transactionType = 'Cancelled';
+            else if (/return/.test(statusText)) transactionType = 'Returned';
+            else if (/refund/.test(statusText)) transactionType = 'Refund';
+            
+            const itemArray = itemLevel ? group.map(({ row }) => {
+                const quantity = amountOf(row, 'quantity');
+                const unitPrice = amountOf(row, 'unitPrice');
+                const unit = quantity !== null ? quantity : 1;
+                let amount = amountOf(row, 'amount');
+                if (amount === null) {
+                    amount = unitPrice !== null ? Math.round(unitPrice * unit * 100) / 100 : 0;
+                }
+                const department = parseInt(cell(row, 'department'), 10);
+                const taxFlag = cell(row, 'taxFlag').toUpperCase();
+                return {
+                    itemNumber: cell(row, 'itemNumber'),
+                    itemDescription01: cell(row, 'itemName'),
+                    amount,
+                    unit,
+                    itemUnitPriceAmount: unitPrice,
+                    itemDepartmentNumber: isNaN(department) ? null : department,
+                    taxFlag: /^(Y|YES|TRUE|T)$/.test(taxFlag) ? 'Y' : (/^(N|NO|FALSE)$/.test(taxFlag) ? 'N' : (taxFlag || null))
+                };
+            }) : [];
+            
+            const itemsTotal = itemArray.reduce((sum, item) => sum + item.amount, 0);
+            const taxes = firstAmount('taxes') || 0;
+            const subTotal = firstAmount('subTotal') ?? Math.round(itemsTotal * 100) / 100;
+            const total = firstAmount('total') ?? Math.round((subTotal + taxes) * 100) / 100;
+            const receiptId = firstValue('receiptId');
+            const payment = firstValue('payment');
+            const cardNumber = firstValue('cardNumber');
+            
+            // Dedup key; without an order number, re-imports still match on date,
+            // store and total, and a counter keeps same-day receipts of the same
+            // total (two identical gas fills) apart
+            let transactionBarcode = receiptId;
+            if (!transactionBarcode) {
+                const baseKey = `csv-${group[0].date}-${firstValue('warehouseNumber') || firstValue('warehouseName')}-${total.toFixed(2)}`;
+                const count = (keyCounts.get(baseKey) || 0) + 1;
+                keyCounts.set(baseKey, count);
+                transactionBarcode = count > 1 ? `${baseKey}-${count}` : baseKey;
+            }
+            
+            receipts.push({
+                transactionBarcode,
+                transactionNumber: receiptId || null,
+                transactionDate: group[0].date,
+                transactionDateTime: `${group[0].date}T00:00:00`,
+                transactionType,
+                channel: isOnline ? 'online' : null,
+                receiptType: isOnline ? null : (isGas ? 'Gas Station' : 'In-Warehouse'),
+                warehouseNumber: parseInt(firstValue('warehouseNumber'), 10) || 0,
+                warehouseName: firstValue('warehouseName'),
+                warehouseCity: firstValue('city'),
+                warehouseState: firstValue('state') || null,
+                membershipNumber: firstValue('membershipNumber') || null,
+                subTotal,
+                taxes,
+                total,
+                instantSavings: Math.abs(firstAmount('instantSavings') || 0),
+                itemArray,
+                tenderArray: payment || cardNumber ? [{
+                    tenderTypeName: payment || 'Card',
+                    displayAccountNumber: cardNumber,
+                    amountTender: total
+                }] : [],
+                totalItemCount: itemArray.length
+            });
+        });
+        
+        if (unmapped.length > 0) {
+            ErrorHandler.warn(`${filename}: ${unmapped.length} column(s) not recognized and ignored: ${unmapped.join(', ')}`);
+        }
+        ErrorHandler.info(`${filename}: ${rows.length} CSV row(s) -> ${receipts.length} receipt(s)`);
+        
+        return { success: true, data: receipts, unmappedColumns: unmapped };
+    }
+    
+    /**
+     * Parse the text of a printed or emailed Costco warehouse receipt.
+     * Item lines are "[E] itemNumber description price[-] [taxFlag]"; a
+     * trailing "-" makes the amount negative and "/itemNumber" descriptions
+     * are instant-savings (TPD) lines. "2 @ 4.99" quantity lines attach to
+     * the item they price.
+     * @param {string} text - Receipt text
+     * @returns {Object} {receipt, warnings} with receipt in the extension's JSON shape
+     */
+    function parseReceiptText(text) {
+        const warnings = [];
+        const receipt = {
+            transactionType: 'Sales',
+            receiptType: 'In-Warehouse',
+            channel: null,
+            transactionDate: null,
+            transactionDateTime: null,
+            warehouseNumber: 0,
+            warehouseName: '',
+            warehouseCity: '',
+            warehouseState: null,
+            registerNumber: null,
+            transactionNumber: null,
+            operatorNumber: null,
+            membershipNumber: null,
+            subTotal: null,
+            taxes: null,
+            total: null,
+            itemArray: [],
+            tenderArray: [],
+            subTaxes: null,
+            totalItemCount: 0
+        };
+        const money = (value, minus) => {
+            const amount = parseFloat(String(value).replace(/[$,]/g, ''));
+            return minus ? -amount : amount;
+        };
+        const PRICE = '\\$?(\\d[\\d,]*\\.\\d{2})(-)?';
+        const itemPattern = new RegExp(`^(?:E\\s+)?(\\d{1,8})\\s+(.+?)\\s+${PRICE}\\s*([A-Z])?$`);
+        let pendingQuantity = null;
+        let previousWasItem = false;
+        let last4 = null;
+        
+        String(text || '').replace(/\r/g, '').split('\n').forEach(rawLine => {
+            const line = rawLine.trim().replace(/\s+/g, ' ').toUpperCase();
+            if (!line) return;
+            const wasItem = previousWasItem;
+            previousWasItem = false;
+            let match;
+            
+            if ((match = line.match(/^MEMBER\s*#?:?\s*(\d{6,})/))) {
+                receipt.membershipNumber = match[1];
+            } else if ((match = line.match(/^(\d+)\s*@\s*\$?(\d[\d,]*\.\d{2})$/))) {
+                const quantity = { unit: Number(match[1]), price: money(match[2]) };
+                const previous = receipt.itemArray[receipt.itemArray.length - 1];
+                if (wasItem && previous && Math.abs(Math.abs(previous.amount) - quantity.unit * quantity.price) < 0.015) {
+                    previous.unit = Math.sign(previous.unit) * quantity.unit;
+                    previous.itemUnitPriceAmount = quantity.price;
+                } else {
+                    pendingQuantity = quantity;
+                }
+            } else if ((match = line.match(new RegExp(`^SUB\\s?TOTAL ${PRICE}$`)))) {
+                receipt.subTotal = money(match[1], match[2]);
+            } else if ((match = line.match(new RegExp(`^([A-D]) (\\d+(?:\\.\\d+)?) ?% TAX ${PRICE}$`)))) {
+                const code = match[1].toLowerCase();
+                receipt.subTaxes = receipt.subTaxes || {};
+                receipt.subTaxes[`${code}TaxLegend`] = `${match[1]} ${match[2]}% TAX`;
+                receipt.subTaxes[`${code}TaxPercent`] = Number(match[2]);
+                receipt.subTaxes[`${code}TaxAmount`] = money(match[3], match[4]);
+            } else if ((match = line.match(new RegExp(`^(?:TOTAL )?TAX ${PRICE}$`)))) {
+                receipt.taxes = money(match[1], match[2]);
+            } else if ((match = line.match(new RegExp(`^\\**\\s?TOTAL ${PRICE}$`)))) {
+                receipt.total = money(match[1], match[2]);
+            } else if ((match = line.match(/TOTAL NUMBER OF ITEMS SOLD\s*=\s*(\d+)/))) {
+                receipt.totalItemCount = Number(match[1]);
+            } else if ((match = line.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4}) (\d{1,2}):(\d{2})(?: (\d+) (\d+) (\d+)(?: (\d+))?)?/))) {
+                if (!receipt.transactionDate) {
+                    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+                    const date = `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+                    receipt.transactionDate = date;
+                    receipt.transactionDateTime = `${date}T${match[4].padStart(2, '0')}:${match[5]}:00`;
+                    
+                    // Trailer numbers: "Whse Trm Trn OP", or "Trm Trn OP" without the warehouse
+                    if (match[6]) {
+                        const [warehouse, register, transaction, operator] = match[9]
+                            ? match.slice(6, 10).map(Number)
+                            : [null, ...match.slice(6, 9).map(Number)];
+                        if (warehouse && !receipt.warehouseNumber) receipt.warehouseNumber = warehouse;
+                        receipt.registerNumber = register;
+                        receipt.transactionNumber = transaction;
+                        receipt.operatorNumber = operator;
+                    }
+                }
+            } else if (/^\d{20,24}$/.test(line.replace(/ /g, ''))) {
+                receipt.transactionBarcode = line.replace(/ /g, '');
+            } else if ((match = line.match(/X{4,}(\d{4})/))) {
+                last4 = match[1];
+            } else if ((match = line.match(new RegExp(`^(VISA|MASTER ?CARD|AMEX|AMERICAN EXPRESS|DISCOVER|DEBIT|CASH|SHOP CARD|EXECUTIVE REWARD|[A-Z ]*CERTIFICATE)(?: TEND)? ${PRICE}$`)))) {
+                receipt.tenderArray.push({
+                    tenderTypeName: match[1],
+                    displayAccountNumber: last4 || '',
+                    amountTender: money(match[2], match[3])
+                });
+            } else if ((match = line.match(itemPattern))) {
+                const [, itemNumber, description, price, minus, flag] = match;
+                const amount = money(price, minus);
+                let unit = amount < 0 ? -1 : 1;
+                let unitPrice = Math.abs(amount);
+                if (pendingQuantity && Math.abs(Math.abs(amount) - pendingQuantity.unit * pendingQuantity.price) < 0.015) {
+                    unit = Math.sign(unit) * pendingQuantity.unit;
+                    unitPrice = pendingQuantity.price;
+                }
+                pendingQuantity = null;
+                receipt.itemArray.push({
+                    itemNumber,
+                    itemDescription01: description.trim(),
+                    amount,
+                    unit,
+                    itemUnitPriceAmount: unitPrice,
+                    taxFlag: flag || null
+                });
+                previousWasItem = true;
+            } else if (receipt.itemArray.length === 0 && (match = line.match(/^(.+?) #\s?(\d+)$/))) {
+                receipt.warehouseName = match[1].replace(/^COSTCO WHOLESALE\s*/, '').trim() || match[1];
+                receipt.warehouseNumber = Number(match[2]);
+            } else if (receipt.itemArray.length === 0 && (match = line.match(/^(.+?), ?([A-Z]{2}) \d{5}/))) {
+                receipt.warehouseCity = match[1];
+                receipt.warehouseState = match[2];
+            }
+        });
+        
+        const itemsTotal = Math.round(receipt.itemArray.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+        if (receipt.itemArray.length === 0) {
+            warnings.push('No item lines found');
+        }
+        if (!receipt.transactionDate) {
+            warnings.push('No date found');
+        }
+        if (receipt.subTotal === null) {
+            receipt.subTotal = itemsTotal;
+            warnings.push('No SUBTOTAL line; using the sum of the items');
+        } else if (Math.abs(receipt.subTotal - itemsTotal) > 0.02) {
+            warnings.push(`Items add up to ${itemsTotal.toFixed(2)} but SUBTOTAL is ${receipt.subTotal.toFixed(2)}; a line may be missing or misread`);
+        }
+        if (receipt.taxes === null) {
+            const subTaxTotal = receipt.subTaxes
+                ? ['a', 'b', 'c', 'd'].reduce((sum, code) => sum + (receipt.subTaxes[`${code}TaxAmount`] || 0), 0)
+                : 0;
+            receipt.taxes = Math.round(subTaxTotal * 100) / 100;
+            if (!receipt.subTaxes) warnings.push('No TAX line; assuming no tax');
+        }
+        if (receipt.total === null) {
+            receipt.total = Math.round((receipt.subTotal + receipt.taxes) * 100) / 100;
+            warnings.push('No TOTAL line; using subtotal + tax');
+        }
+        if (receipt.total < 0) {
+            receipt.transactionType = 'Refund';
+        }
+        if (!receipt.totalItemCount) {
+            receipt.totalItemCount = receipt.itemArray.filter(item => !item.itemDescription01.startsWith('/')).length;
+        }
+        
+        return { receipt, warnings };
+    }
+    
+    registerImporter({
+        id: 'costco-json',
+        label: 'Costco Receipts Downloader JSON',
+        extensions: ['.json'],
+        detect: (content, filename) => /^\s*[[{]/.test(content) ||
+            (/\.json$/i.test(filename) && !detectCostcoCSV(content)),
+        parse: (content, filename) => parseJSON(content, filename)
+    });
+    
+    registerImporter({
+        id: 'costco-csv',
+        label: 'Costco orders & purchases CSV',
+        extensions: ['.csv'],
+        detect: (content) => detectCostcoCSV(content),
+        parse: parseCostcoCSV
+    });
+    
+    registerImporter({
+        id: 'costco-text',
+        label: 'Costco receipt text',
+        extensions: ['.txt'],
+        detect: (content) => /^\s*\**\s*TOTAL\s/im.test(content) && /SUB\s?TOTAL/i.test(content),
+        parse: (content, filename) => {
+            const { receipt, warnings } = parseReceiptText(content);
+            warnings.forEach(warning => ErrorHandler.warn(`${filename}: ${warning}`));
+            return { success: true, data: [ensureReceiptKey(receipt)] };
+        }
+    });
+    
     /**
      * Validate a single receipt object
      * @param {Object} receipt - Receipt to validate
@@ -5458,16 +11136,975 @@ const DataProcessor = (() => {
     return {
         handleFileSelection,
         handleFileProcessing,
+        processFiles,
+        cancelProcessing,
+        getDroppedFiles,
         validateFiles,
         validateReceipt,
         validateItem,
         validateJSONStructure,
         parseJSON,
+        registerImporter,
+        getImporters,
+        detectImporter,
+        importContent,
+        parseReceiptText,
+        ensureReceiptKey,
+        importReceipts,
         normalizeReceipt,
         normalizeItem,
         mergeReceipts,
+        getReceiptKey,
+        getTenders,
+        getTaxLines,
+        parsePackSize,
+        getUnitPricing,
         formatFileSize,
         getState,
         clear
     };
 })();
+
+// ===== ZIP UTILITIES =====
+// Minimal ZIP container support: writes stored archives (XLSX workbooks) and
+// reads stored or deflated archives (dropped receipt exports)
+const ZipUtils = (() => {
+    let crcTable = null;
+    
+    /**
+     * Build (once) the CRC-32 lookup table
+     * @returns {Uint32Array} CRC table
+     */
+    function getCrcTable() {
+        if (crcTable) return crcTable;
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+        return crcTable;
+    }
+    
+    /**
+     * Compute CRC-32 checksum of a byte array
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    function crc32(bytes) {
+        const table = getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Convert a Date to MS-DOS time/date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} {time, date}
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    /**
+     * Create an uncompressed ZIP archive
+     * @param {Array} entries - Array of {name, content} (content: string or Uint8Array)
+     * @returns {Blob} ZIP blob
+     */
+    function createZip(entries) {
+        const encoder = new TextEncoder();
+        const { time, date } = toDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        entries.forEach(entry => {
+            const nameBytes = encoder.encode(entry.name);
+            const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+            const crc = crc32(data);
+            
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // store
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            
+            // Central directory header
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);        // version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);   // local header offset
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            
+            offset += 30 + nameBytes.length + data.length;
+        });
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+    
+    /**
+     * Inflate raw DEFLATE data with the browser's DecompressionStream
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async function inflateRaw(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot unpack compressed ZIP entries');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const buffer = await new Response(stream).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+    
+    /**
+     * Locate the end of central directory record (it may be followed by a comment)
+     * @param {DataView} view - Archive bytes
+     * @returns {number} Record offset, or -1 if not found
+     */
+    function findEndOfCentralDirectory(view) {
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let i = view.byteLength - 22; i >= minOffset; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Read a ZIP archive. Entries that cannot be unpacked are reported in
+     * `errors` instead of failing the whole archive.
+     * @param {Blob|ArrayBuffer} source - Archive contents
+     * @param {Object} options - { filter: (name) => boolean } selects entries to unpack
+     * @returns {Promise<Object>} {entries: [{name, data, lastModified}], errors: [{name, error}]}
+     */
+    async function readZip(source, options = {}) {
+        const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+        
+        const endOffset = findEndOfCentralDirectory(view);
+        if (endOffset < 0) {
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+        
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        
+        const entries = [];
+        const errors = [];
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const modTime = view.getUint16(offset + 12, true);
+            const modDate = view.getUint16(offset + 14, true);
+            const crc = view.getUint32(offset + 16, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+            
+            // Directories have no data
+            if (name.endsWith('/')) continue;
+            if (options.filter && !options.filter(name)) continue;
+            
+            try {
+                if (flags & 0x0001) {
+                    throw new Error('Encrypted entries are not supported');
+                }
+                if (view.getUint32(localOffset, true) !== 0x04034b50) {
+                    throw new Error('Local file header not found');
+                }
+                
+                // The local header has its own name/extra lengths
+                const dataStart = localOffset + 30 +
+                    view.getUint16(localOffset + 26, true) +
+                    view.getUint16(localOffset + 28, true);
+                const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+                
+                let data;
+                if (method === 0) {
+                    data = compressed;
+                } else if (method === 8) {
+                    data = await inflateRaw(compressed);
+                } else {
+                    throw new Error(`Unsupported compression method ${method}`);
+                }
+                
+                if (crc32(data) !== crc) {
+                    throw new Error('CRC mismatch (entry is corrupt)');
+                }
+                
+                const lastModified = new Date(
+                    (modDate >> 9) + 1980, ((modDate >> 5) & 0x0F) - 1, modDate & 0x1F,
+                    modTime >> 11, (modTime >> 5) & 0x3F, (modTime & 0x1F) * 2
+                ).getTime();
+                
+                entries.push({ name, data, lastModified });
+            } catch (error) {
+                errors.push({ name, error: error.message });
+            }
+        }
+        
+        return { entries, errors };
+    }
+    
+    return {
+        crc32,
+        createZip,
+        readZip
+    };
+})();
+
+// ===== EXPORT MANAGER MODULE =====
+const ExportManager = (() => {
+    const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    
+    // Flat line-item columns (CSV export and the "Items" sheet)
+    const ITEM_COLUMNS = [
+        { key: 'receiptId', label: 'Receipt ID' },
+        { key: 'date', label: 'Date' },
+        { key: 'transactionType', label: 'Transaction Type' },
+        { key: 'channel', label: 'Channel' },
+        { key: 'warehouseNumber', label: 'Warehouse #' },
+        { key: 'warehouseName', label: 'Warehouse' },
+        { key: 'warehouseCity', label: 'City' },
+        { key: 'warehouseState', label: 'State' },
+        { key: 'membershipNumber', label: 'Membership #' },
+        { key: 'itemNumber', label: 'Item #' },
+        { key: 'itemName', label: 'Item' },
+        { key: 'departmentNumber', label: 'Department #' },
+        { key: 'department', label: 'Department' },
+        { key: 'category', label: 'Category' },
+        { key: 'quantity', label: 'Quantity' },
+        { key: 'unitPrice', label: 'Unit Price' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'isDiscount', label: 'Discount' },
+        { key: 'discountAppliesTo', label: 'Discount Applies To' },
+        { key: 'taxFlag', label: 'Tax Flag' },
+        { key: 'sourceFile', label: 'Source File' }
+    ];
+    
+    const RECEIPT_COLUMNS = [
+        { key: 'receiptId', label: 'Receipt ID' },
+        { key: 'date', label: 'Date' },
+        { key: 'transactionType', label: 'Transaction Type' },
+        { key: 'channel', label: 'Channel' },
+        { key: 'warehouseNumber', label: 'Warehouse #' },
+        { key: 'warehouseName', label: 'Warehouse' },
+        { key: 'membershipNumber', label: 'Membership #' },
+        { key: 'itemCount', label: 'Items' },
+        { key: 'subTotal', label: 'Subtotal' },
+        { key: 'taxes', label: 'Tax' },
+        { key: 'total', label: 'Total' },
+        { key: 'instantSavings', label: 'Instant Savings' },
+        { key: 'sourceFile', label: 'Source File' }
+    ];
+    
+    // Shopping list export (see StatsCalculator.getShoppingList)
+    const SHOPPING_LIST_COLUMNS = [
+        { key: 'itemNumber', label: 'Item #' },
+        { key: 'name', label: 'Item' },
+        { key: 'quantity', label: 'Quantity' },
+        { key: 'estimatedCost', label: 'Estimated Cost' },
+        { key: 'status', label: 'Status' },
+        { key: 'expectedDate', label: 'Expected' },
+        { key: 'lastDate', label: 'Last Bought' },
+        { key: 'avgDays', label: 'Every (days)' }
+    ];
+    
+    const SHOPPING_STATUS_LABELS = {
+        overdue: 'Overdue',
+        due: 'Due now',
+        soon: 'Due soon'
+    };
+    
+    /**
+     * Format a date as YYYY-MM-DD (local time)
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date or empty string
+     */
+    function formatDate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Resolve the purchase channel label for a receipt
+     * @param {Object} receipt - Normalized receipt
+     * @returns {string} 'online', 'gas' or 'warehouse'
+     */
+    function getChannelLabel(receipt) {
+        if (receipt.channel === 'online' || 
+            receipt.documentType === 'ONLINE' || 
+            receipt.documentType === 'OnlineReceipts' ||
+            receipt.warehouseName === 'Online') {
+            return 'online';
+        }
+        if (receipt.receiptType === 'Gas Station' || receipt.documentType === 'FuelReceipts') {
+            return 'gas';
+        }
+        return 'warehouse';
+    }
+    
+    /**
+     * Round a currency value to cents
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    function roundMoney(value) {
+        return Math.round((Number(value) || 0) * 100) / 100;
+    }
+    
+    /**
+     * Build one row per receipt
+     * @param {Array} receipts - Normalized receipts
+     * @returns {Array} Receipt rows
+     */
+    function buildReceiptRows(receipts) {
+        return receipts.map(receipt => ({
+            receiptId: receipt.id,
+            date: formatDate(receipt.transactionDateTime),
+            transactionType: receipt.transactionType,
+            channel: getChannelLabel(receipt),
+            warehouseNumber: receipt.warehouseNumber || '',
+            warehouseName: receipt.warehouseName || '',
+            membershipNumber: receipt.membershipNumber || '',
+            itemCount: Array.isArray(receipt.itemArray) ? receipt.itemArray.filter(i => !i.isDiscount).length : 0,
+            subTotal: roundMoney(receipt.subTotal),
+            taxes: roundMoney(receipt.taxes),
+            total: roundMoney(receipt.total),
+            instantSavings: roundMoney(receipt.instantSavings),
+            sourceFile: receipt.sourceFile || ''
+        }));
+    }
+    
+    /**
+     * Build flat line-item rows (one row per receipt item, discounts included)
+     * @param {Array} receipts - Normalized receipts
+     * @returns {Array} Line-item rows
+     */
+    function buildLineItemRows(receipts) {
+        const rows = [];
+        receipts.forEach(receipt => {
+            if (!Array.isArray(receipt.itemArray)) return;
+            
+            const date = formatDate(receipt.transactionDateTime);
+            const channel = getChannelLabel(receipt);
+            
+            receipt.itemArray.forEach(item => {
+                const dept = item.itemDepartmentNumber || 0;
+                rows.push({
+                    receiptId: receipt.id,
+                    date,
+                    transactionType: receipt.transactionType,
+                    channel,
+                    warehouseNumber: receipt.warehouseNumber || '',
+                    warehouseName: receipt.warehouseName || '',
+                    warehouseCity: receipt.warehouseCity || '',
+                    warehouseState: receipt.warehouseState || '',
+                    membershipNumber: receipt.membershipNumber || '',
+                    itemNumber: item.itemNumber,
+                    itemName: item.normalizedName,
+                    departmentNumber: dept,
+                    department: getDepartmentName(dept),
+                    category: item.isDiscount ? '' : CategoryManager.categorizeItem(item).name,
+                    quantity: item.unit,
+                    unitPrice: roundMoney(item.unitPrice),
+                    amount: roundMoney(item.amount),
+                    isDiscount: item.isDiscount ? 'Y' : 'N',
+                    discountAppliesTo: item.discountAppliesTo || '',
+                    taxFlag: item.taxFlag || '',
+                    sourceFile: receipt.sourceFile || ''
+                });
+            });
+        });
+        return rows;
+    }
+    
+    /**
+     * Build all workbook sheets from the current statistics
+     * @param {Array} receipts - Normalized receipts
+     * @param {Object} options - Options passed through to StatsCalculator.calculateAll
+     * @returns {Array} Array of {name, columns, rows}
+     */
+    function buildWorkbookSheets(receipts, options = {}) {
+        const stats = StatsCalculator.calculateAll(receipts, options);
+        
+        const warehouseRows = stats.warehouses.warehouseList.map(wh => ({
+            warehouseNumber: wh.warehouseNumber,
+            warehouseName: wh.warehouseName,
+            warehouseCity: wh.warehouseCity,
+            warehouseState: wh.warehouseState,
+            tripCount: wh.tripCount,
+            receiptCount: wh.receiptCount,
+            totalSpent: wh.totalSpent,
+            avgPerTrip: wh.avgPerTrip,
+            lastVisit: wh.lastVisit instanceof Date ? formatDate(wh.lastVisit) : (wh.lastVisit || '')
+        }));
+        
+        const rewardRows = Object.keys(stats.rewards.byYear)
+            .sort()
+            .map(year => ({
+                cycleYear: Number(year),
+                qualifyingSpend: roundMoney(stats.rewards.byYear[year].subtotal),
+                reward: roundMoney(stats.rewards.byYear[year].reward)
+            }));
+        
+        return [
+            { name: 'Receipts', columns: RECEIPT_COLUMNS, rows: buildReceiptRows(receipts) },
+            { name: 'Items', columns: ITEM_COLUMNS, rows: buildLineItemRows(receipts) },
+            {
+                name: 'Warehouses',
+                columns: [
+                    { key: 'warehouseNumber', label: 'Warehouse #' },
+                    { key: 'warehouseName', label: 'Warehouse' },
+                    { key: 'warehouseCity', label: 'City' },
+                    { key: 'warehouseState', label: 'State' },
+                    { key: 'tripCount', label: 'Trips' },
+                    { key: 'receiptCount', label: 'Receipts' },
+                    { key: 'totalSpent', label: 'Total Spent' },
+                    { key: 'avgPerTrip', label: 'Avg/Trip' },
+                    { key: 'lastVisit', label: 'Last Visit' }
+                ],
+                rows: warehouseRows
+            },
+            {
+                name: 'Monthly',
+                columns: [
+                    { key: 'month', label: 'Month' },
+                    { key: 'total', label: 'Net Spent' },
+                    { key: 'count', label: 'Receipts' },
+                    { key: 'items', label: 'Items' },
+                    { key: 'savings', label: 'Savings' },
+                    { key: 'taxes', label: 'Tax' }
+                ],
+                rows: stats.monthly
+            },
+            {
+                name: 'Rewards',
+                columns: [
+                    { key: 'cycleYear', label: 'Cycle Year' },
+                    { key: 'qualifyingSpend', label: 'Qualifying Spend' },
+                    { key: 'reward', label: '2% Reward' }
+                ],
+                rows: rewardRows
+            }
+        ];
+    }
+    
+    /**
+     * Build normalized JSON export (raw _original payloads are omitted)
+     * @param {Array} receipts - Normalized receipts
+     * @param {Object} filters - Active filters at export time
+     * @returns {Object} Export document
+     */
+    function buildJSON(receipts, filters = null) {
+        return {
+            exportedAt: new Date().toISOString(),
+            filters,
+            receiptCount: receipts.length,
+            receipts: receipts.map(receipt => {
+                const { _original, processedAt, ...rest } = receipt;
+                return {
+                    ...rest,
+                    transactionDateTime: receipt.transactionDateTime instanceof Date
+                        ? receipt.transactionDateTime.toISOString()
+                        : null
+                };
+            })
+        };
+    }
+    
+    /**
+     * Escape a single CSV value per RFC 4180
+     * @param {*} value - Cell value
+     * @returns {string} Escaped value
+     */
+    function escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+    
+    /**
+     * Convert rows to CSV text
+     * @param {Array} rows - Row objects
+     * @param {Array} columns - Array of {key, label}
+     * @returns {string} CSV text
+     */
+    function toCSV(rows, columns) {
+        const header = columns.map(col => escapeCSV(col.label)).join(',');
+        const lines = rows.map(row => columns.map(col => escapeCSV(row[col.key])).join(','));
+        return [header, ...lines].join('\r\n');
+    }
+    
+    /**
+     * Escape text for XML content
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    function escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Strip control characters that are invalid in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+    
+    /**
+     * Convert a zero-based column index to a spreadsheet column name (0 -> A)
+     * @param {number} index - Column index
+     * @returns {string} Column name
+     */
+    function columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const rem = (n - 1) % 26;
+            name = String.fromCharCode(65 + rem) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+    
+    /**
+     * Render one worksheet as SpreadsheetML
+     * @param {Object} sheet - {columns, rows}
+     * @returns {string} Worksheet XML
+     */
+    function buildSheetXML(sheet) {
+        const renderCell = (value, ref) => {
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+        };
+        
+        const headerCells = sheet.columns.map((col, i) => renderCell(col.label, `${columnName(i)}1`)).join('');
+        const rowXml = sheet.rows.map((row, rowIndex) => {
+            const r = rowIndex + 2;
+            const cells = sheet.columns.map((col, i) => renderCell(row[col.key], `${columnName(i)}${r}`)).join('');
+            return `<row r="${r}">${cells}</row>`;
+        }).join('');
+        
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData><row r="1">${headerCells}</row>${rowXml}</sheetData>` +
+            '</worksheet>';
+    }
+    
+    /**
+     * Build an XLSX workbook blob from sheets
+     * @param {Array} sheets - Array of {name, columns, rows}
+     * @returns {Blob} XLSX blob
+     */
+    function buildXLSX(sheets) {
+        const sheetEntries = sheets.map((sheet, i) => ({
+            name: `xl/worksheets/sheet${i + 1}.xml`,
+            content: buildSheetXML(sheet)
+        }));
+        
+        const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>';
+        
+        const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+        
+        const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets>' +
+            sheets.map((s, i) => `<sheet name="${escapeXML(s.name.substring(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+            '</sheets></workbook>';
+        
+        const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            '</Relationships>';
+        
+        const zip = ZipUtils.createZip([
+            { name: '[Content_Types].xml', content: contentTypes },
+            { name: '_rels/.rels', content: rootRels },
+            { name: 'xl/workbook.xml', content: workbook },
+            { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+            ...sheetEntries
+        ]);
+        
+        return new Blob([zip], { type: XLSX_MIME });
+    }
+    
+    /**
+     * Trigger a browser download for a blob
+     * @param {Blob} blob - File content
+     * @param {string} filename - Download filename
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Revoke after the click has been handled
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Build shopping list rows
+     * @param {Object} list - Result of StatsCalculator.getShoppingList
+     * @returns {Array} Rows keyed by SHOPPING_LIST_COLUMNS
+     */
+    function buildShoppingListRows(list) {
+        return (list.items || []).map(item => ({
+            itemNumber: item.itemNumber,
+            name: item.name,
+            quantity: item.typicalQuantity,
+            estimatedCost: roundMoney(item.estimatedCost),
+            status: SHOPPING_STATUS_LABELS[item.status] || item.status,
+            expectedDate: formatDate(item.expectedDate),
+            lastDate: formatDate(item.lastDate),
+            avgDays: item.avgDays
+        }));
+    }
+    
+    /**
+     * Download the shopping list as CSV
+     * @param {Object} list - Result of StatsCalculator.getShoppingList
+     * @returns {Object} Export summary {format, filename, itemCount}
+     */
+    const exportShoppingList = withErrorBoundary(function(list) {
+        if (!list || !Array.isArray(list.items) || list.items.length === 0) {
+            throw new Error('Nothing is due on the shopping list');
+        }
+        
+        const filename = `costco-shopping-list-${formatDate(list.asOf || new Date())}.csv`;
+        const blob = new Blob(['\uFEFF' + toCSV(buildShoppingListRows(list), SHOPPING_LIST_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, filename);
+        
+        ErrorHandler.info(`Exported shopping list with ${list.items.length} items (${filename})`);
+        return { format: 'csv', filename, itemCount: list.items.length };
+    }, 'Export');
+    
+    // Tax reconciliation export (see TaxEngine.getTaxReport)
+    const TAX_REPORT_COLUMNS = [
+        { key: 'section', label: 'Section' },
+        { key: 'name', label: 'Name' },
+        { key: 'date', label: 'Date' },
+        { key: 'printedRate', label: 'Printed Rate (%)' },
+        { key: 'spend', label: 'Spend' },
+        { key: 'taxable', label: 'Taxable' },
+        { key: 'tax', label: 'Tax' },
+        { key: 'effectiveRate', label: 'Effective Rate (%)' },
+        { key: 'expectedTax', label: 'Expected Tax' },
+        { key: 'receipts', label: 'Receipts' },
+        { key: 'note', label: 'Note' }
+    ];
+    
+    /**
+     * Build tax report rows: jurisdictions, warehouses, then receipts to check
+     * @param {Object} report - Result of TaxEngine.getTaxReport
+     * @returns {Array} Rows keyed by TAX_REPORT_COLUMNS
+     */
+    function buildTaxReportRows(report) {
+        const rate = (value) => Math.round(value * 1000) / 1000;
+        return [
+            ...report.jurisdictions.map(j => ({
+                section: 'Jurisdiction',
+                name: j.code && j.code !== j.legend ? `${j.legend} (${j.code})` : j.legend,
+                printedRate: j.percent || '',
+                taxable: roundMoney(j.taxableBase),
+                tax: roundMoney(j.tax),
+                effectiveRate: rate(j.effectiveRate),
+                receipts: j.receipts
+            })),
+            ...report.warehouses.map(w => ({
+                section: 'Warehouse',
+                name: w.name,
+                spend: roundMoney(w.spend),
+                taxable: roundMoney(w.taxableSpend),
+                tax: roundMoney(w.tax),
+                effectiveRate: w.taxableSpend > 0 ? rate(w.effectiveRate) : '',
+                receipts: w.receipts,
+                note: `Overall rate ${rate(w.overallRate)}%`
+            })),
+            ...report.mismatches.map(m => ({
+                section: 'Check Receipt',
+                name: m.warehouse,
+                date: formatDate(m.date),
+                tax: roundMoney(m.printedTax),
+                expectedTax: m.computedTax !== null ? roundMoney(m.computedTax) : '',
+                note: m.reason
+            }))
+        ];
+    }
+    
+    /**
+     * Download the tax reconciliation report as CSV
+     * @param {Object} report - Result of TaxEngine.getTaxReport
+     * @returns {Object} Export summary {format, filename, rowCount}
+     */
+    const exportTaxReport = withErrorBoundary(function(report) {
+        if (!report || report.receiptCount === 0) {
+            throw new Error('No receipts to report tax for');
+        }
+        
+        const rows = buildTaxReportRows(report);
+        const filename = `costco-tax-report-${formatDate(new Date())}.csv`;
+        const blob = new Blob(['\uFEFF' + toCSV(rows, TAX_REPORT_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, filename);
+        
+        ErrorHandler.info(`Exported tax report with ${rows.length} rows (${filename})`);
+        return { format: 'csv', filename, rowCount: rows.length };
+    }, 'Export');
+    
+    /**
+     * Build settlement ledger rows and columns: one row per receipt or
+     * payment with each member's share and running balance, then the
+     * transfers that settle up
+     * @param {Object} ledger - Result of StatsCalculator.getSettlementLedger
+     * @returns {Object} { rows, columns }
+     */
+    function buildSettlementRows(ledger) {
+        const names = Object.fromEntries(ledger.members.map(member => [member.id, member.name]));
+        const columns = [
+            { key: 'date', label: 'Date' },
+            { key: 'type', label: 'Type' },
+            { key: 'description', label: 'Description' },
+            { key: 'paidBy', label: 'Paid By' },
+            { key: 'paidTo', label: 'Paid To' },
+            { key: 'amount', label: 'Amount' },
+            ...ledger.members.map(member => ({ key: `share:${member.id}`, label: `${member.name} Share` })),
+            ...ledger.members.map(member => ({ key: `balance:${member.id}`, label: `${member.name} Balance` }))
+        ];
+        const typeLabels = { receipt: 'Receipt', refund: 'Refund', payment: 'Payment' };
+        
+        const rows = ledger.entries.map(entry => {
+            const row = {
+                date: formatDate(entry.date),
+                type: typeLabels[entry.type] || entry.type,
+                description: entry.description,
+                paidBy: names[entry.payerId] || '',
+                paidTo: entry.toId ? names[entry.toId] || '' : '',
+                amount: roundMoney(entry.amount)
+            };
+            ledger.members.forEach(member => {
+                row[`share:${member.id}`] = member.id in entry.shares ? roundMoney(entry.shares[member.id]) : '';
+                row[`balance:${member.id}`] = roundMoney(entry.balances[member.id]);
+            });
+            return row;
+        });
+        
+        ledger.transfers.forEach(transfer => {
+            rows.push({
+                type: 'Settle Up',
+                description: `${names[transfer.from]} pays ${names[transfer.to]}`,
+                paidBy: names[transfer.from],
+                paidTo: names[transfer.to],
+                amount: roundMoney(transfer.amount)
+            });
+        });
+        
+        return { rows, columns };
+    }
+    
+    /**
+     * Download the settlement ledger as CSV
+     * @param {Object} ledger - Result of StatsCalculator.getSettlementLedger
+     * @returns {Object} Export summary {format, filename, entryCount}
+     */
+    const exportSettlementLedger = withErrorBoundary(function(ledger) {
+        if (!ledger || !Array.isArray(ledger.entries) || ledger.entries.length === 0) {
+            throw new Error('No shared receipts or payments to export');
+        }
+        
+        const { rows, columns } = buildSettlementRows(ledger);
+        const filename = `costco-settlement-${formatDate(new Date())}.csv`;
+        const blob = new Blob(['\uFEFF' + toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, filename);
+        
+        ErrorHandler.info(`Exported settlement ledger with ${ledger.entries.length} entries (${filename})`);
+        return { format: 'csv', filename, entryCount: ledger.entries.length };
+    }, 'Export');
+    
+    /**
+     * Print the shopping list as a plain checklist (rendered in a hidden frame
+     * so the dashboard layout doesn't need print styles)
+     * @param {Object} list - Result of StatsCalculator.getShoppingList
+     */
+    const printShoppingList = withErrorBoundary(function(list) {
+        if (!list || !Array.isArray(list.items) || list.items.length === 0) {
+            throw new Error('Nothing is due on the shopping list');
+        }
+        
+        const rows = buildShoppingListRows(list).map(row => `
+            <tr>
+                <td class="check">☐</td>
+                <td>${escapeHtml(row.name)}<div class="sub">#${escapeHtml(row.itemNumber)} · ${escapeHtml(row.status)}</div></td>
+                <td class="num">${escapeHtml(row.quantity)}</td>
+                <td class="num">$${row.estimatedCost.toFixed(2)}</td>
+            </tr>`).join('');
+        
+        const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Costco Shopping List</title>
+            <style>
+                body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #111; }
+                h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+                p { margin: 0 0 1rem; color: #555; font-size: 0.85rem; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+                th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+                .num { text-align: right; }
+                .check { width: 1.5rem; font-size: 1.1rem; }
+                .sub { color: #666; font-size: 0.75rem; }
+            </style></head><body>
+            <h1>Costco Shopping List</h1>
+            <p>${escapeHtml(formatDate(list.asOf || new Date()))} · ${list.items.length} items · about $${roundMoney(list.estimatedTotal).toFixed(2)}</p>
+            <table><thead><tr><th></th><th>Item</th><th class="num">Qty</th><th class="num">Est.</th></tr></thead>
+            <tbody>${rows}</tbody></table>
+            </body></html>`;
+        
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; right: 0; bottom: 0;';
+        document.body.appendChild(frame);
+        
+        const doc = frame.contentWindow.document;
+        doc.open();
+        doc.write(html);
+        doc.close();
+        
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // Remove after the print dialog has taken its snapshot
+        setTimeout(() => frame.remove(), 1000);
+    }, 'Export');
+    
+    /**
+     * Export the currently filtered receipts
+     * @param {string} format - 'csv', 'json' or 'xlsx'
+     * @param {Object} options - Options for statistics (e.g. { rewards: {...} })
+     * @returns {Object} Export summary {format, filename, receiptCount} (no filename when nothing matched)
+     */
+    const exportData = withErrorBoundary(function(format, options = {}) {
+        const filterManager = App.modules.filterManager;
+        const receipts = filterManager ? filterManager.getFilteredReceipts() : [];
+        
+        // Nothing to export isn't a failure; the caller tells the user
+        if (receipts.length === 0) {
+            ErrorHandler.warn('Export skipped: no receipts match the current filters');
+            return { format, filename: null, receiptCount: 0 };
+        }
+        
+        const baseName = `costco-receipts-${formatDate(new Date())}`;
+        let blob;
+        let filename;
+        
+        switch (format) {
+            case 'csv':
+                blob = new Blob(['\uFEFF' + toCSV(buildLineItemRows(receipts), ITEM_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+                filename = `${baseName}.csv`;
+                break;
+            case 'json': {
+                const doc = buildJSON(receipts, filterManager.getActiveFilters());
+                blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+                filename = `${baseName}.json`;
+                break;
+            }
+            case 'xlsx':
+                blob = buildXLSX(buildWorkbookSheets(receipts, options));
+                filename = `${baseName}.xlsx`;
+                break;
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+        
+        downloadBlob(blob, filename);
+        
+        ErrorHandler.info(`Exported ${receipts.length} receipts as ${format.toUpperCase()} (${filename})`);
+        EventBus.emit('export:completed', { format, filename, receiptCount: receipts.length });
+        
+        return { format, filename, receiptCount: receipts.length };
+    }, 'Export');
+    
+    return {
+        exportData,
+        buildLineItemRows,
+        buildReceiptRows,
+        buildWorkbookSheets,
+        buildJSON,
+        buildXLSX,
+        toCSV,
+        downloadBlob,
+        exportShoppingList,
+        printShoppingList,
+        buildShoppingListRows,
+        exportSettlementLedger,
+        buildSettlementRows,
+        exportTaxReport,
+        buildTaxReportRows,
+        ITEM_COLUMNS,
+        RECEIPT_COLUMNS,
+        SHOPPING_LIST_COLUMNS,
+        TAX_REPORT_COLUMNS
+    };
+})();
@@ -7,18 +7,84 @@ const UIController = (() => {
         dashboardContent: null,
         loadingOverlay: null,
         loadingText: null,
+        loadingCancel: null,
         errorContainer: null,
         errorMessage: null,
         errorClose: null,
         datePreset: null,
         dateStartGroup: null,
         dateEndGroup: null,
+        exportBtn: null,
+        exportDropdown: null,
+        persistToggle: null,
+        persistToggleLabel: null,
+        forgetDataBtn: null,
+        addFilesInput: null,
+        addFilesBtn: null,
+        wrappedBtn: null,
+        wrappedView: null,
+        pasteReceiptBtn: null,
+        receiptEntryView: null,
+        toastContainer: null,
         srAnnouncements: null
     };
     
     // User-configurable reward cycle start (defaults to calendar year)
     let rewardCycleConfig = { month: 1, day: 1 };
     
+    // Settings key for monthly/department budgets
+    const BUDGETS_KEY = 'budgets';
+    
+    // Settings key for the Executive vs. Gold Star calculator
+    const MEMBERSHIP_KEY = 'membershipValue';
+    
+    // Executive ($130) minus Gold Star ($65), US pricing
+    const DEFAULT_UPGRADE_COST = 65;
+    
+    // Executive-only perks the member can count toward the upgrade (yearly $ value is editable)
+    const EXECUTIVE_PERKS = [
+        { id: 'travel', label: '2% reward on Costco Travel', value: 40 },
+        { id: 'services', label: 'Extra Costco Services savings (auto, insurance, checks)', value: 20 },
+        { id: 'hours', label: 'Early shopping hours', value: 0 }
+    ];
+    
+    // Settings key for credit card cash-back profiles
+    const CARD_PROFILES_KEY = 'cardRewardProfiles';
+    
+    // Citi Costco Anywhere Visa: 5% gas on the first $7,000 a year, 2% Costco and costco.com, 1% after the cap
+    const CITI_COSTCO_RATES = {
+        warehouse: { rate: 2, cap: null },
+        online: { rate: 2, cap: null },
+        gas: { rate: 5, cap: 7000 },
+        overCapRate: 1
+    };
+    
+    // Receipts tab: sort, paging and search state
+    const receiptBrowser = { sortKey: 'date', sortDir: 'desc', page: 0, pageSize: 25, search: '' };
+    
+    // Items tab: shopping list from the last render (for print/export)
+    let shoppingList = null;
+    
+    // Taxes tab: tax reconciliation report from the last render (for export)
+    let taxReport = null;
+    
+    // Comparison mode: { range, label, receipts, stats } from the last dashboard update, or null
+    let comparisonPeriod = null;
+    
+    // Household tab: id of the receipt open in the split tool
+    let splitReceiptId = null;
+    
+    // Receipt editor: { mode, receiptKey, receipt, lines, warnings, date, time } being entered or edited, or null
+    let receiptEntry = null;
+    
+    // Loading overlay: called when the user cancels the running operation, or null
+    let loadingCancelHandler = null;
+    // Set once Cancel is clicked; progress updates leave "Cancelling..." up until the overlay closes
+    let loadingCancelled = false;
+    
+    // Split tool select value for a line shared between members
+    const SHARED_LINE = '__shared';
+    
     /**
      * Announce message to screen readers
      * @param {string} message - Message to announce
@@ -45,12 +111,25 @@ const UIController = (() => {
         elements.dashboardContent = document.getElementById('dashboard-content');
         elements.loadingOverlay = document.getElementById('loading-overlay');
         elements.loadingText = document.getElementById('loading-text');
+        elements.loadingCancel = document.getElementById('loading-cancel');
         elements.errorContainer = document.getElementById('error-container');
         elements.errorMessage = document.getElementById('error-message');
         elements.errorClose = document.getElementById('error-close');
         elements.datePreset = document.getElementById('date-preset');
         elements.dateStartGroup = document.getElementById('date-start-group');
         elements.dateEndGroup = document.getElementById('date-end-group');
+        elements.exportBtn = document.getElementById('export-btn');
+        elements.exportDropdown = document.getElementById('export-dropdown');
+        elements.persistToggle = document.getElementById('persist-toggle');
+        elements.persistToggleLabel = document.getElementById('persist-toggle-label');
+        elements.forgetDataBtn = document.getElementById('forget-data-btn');
+        elements.addFilesInput = document.getElementById('add-files-input');
+        elements.addFilesBtn = document.getElementById('add-files-btn');
+        elements.wrappedBtn = document.getElementById('wrapped-btn');
+        elements.wrappedView = document.getElementById('wrapped-view');
+        elements.pasteReceiptBtn = document.getElementById('paste-receipt-btn');
+        elements.receiptEntryView = document.getElementById('receipt-entry-view');
+        elements.toastContainer = document.getElementById('toast-container');
     }
     
     /**
@@ -85,6 +164,20 @@ const UIController = (() => {
      * Bind all event listeners
      */
     function bindEvents() {
+        // Cancel button on the loading overlay (file imports)
+        if (elements.loadingCancel) {
+            elements.loadingCancel.addEventListener('click', () => {
+                const handler = loadingCancelHandler;
+                loadingCancelHandler = null;
+                loadingCancelled = true;
+                elements.loadingCancel.disabled = true;
+                if (elements.loadingText) {
+                    elements.loadingText.textContent = 'Cancelling...';
+                }
+                if (handler) handler();
+            });
+        }
+        
         // Error close button
         if (elements.errorClose) {
             elements.errorClose.addEventListener('click', () => {
@@ -128,6 +221,28 @@ const UIController = (() => {
             dateEnd.addEventListener('change', applyCustomDateRange);
         }
         
+        // Comparison period selector and custom comparison range
+        const compareMode = document.getElementById('compare-mode');
+        const compareStart = document.getElementById('compare-start');
+        const compareEnd = document.getElementById('compare-end');
+        const applyComparison = () => {
+            if (!compareMode || !App.modules.filterManager) return;
+            const mode = compareMode.value;
+            setCompareInputsVisible(mode === 'custom');
+            if (mode === 'custom') {
+                const start = compareStart && compareStart.value ? new Date(compareStart.value) : null;
+                const end = compareEnd && compareEnd.value ? new Date(compareEnd.value) : null;
+                // Wait for at least one date before comparing against a custom period
+                if (!start && !end) return;
+                App.modules.filterManager.setComparison('custom', start, end);
+            } else {
+                App.modules.filterManager.setComparison(mode);
+            }
+        };
+        if (compareMode) compareMode.addEventListener('change', applyComparison);
+        if (compareStart) compareStart.addEventListener('change', applyComparison);
+        if (compareEnd) compareEnd.addEventListener('change', applyComparison);
+        
         // Channel filter (warehouse/online)
         const channelFilter = document.getElementById('channel-filter');
         const membershipFilterGroup = document.getElementById('membership-filter-group');
@@ -182,6 +297,16 @@ const UIController = (() => {
             });
         }
         
+        // Payment method filter
+        const paymentFilter = document.getElementById('payment-filter');
+        if (paymentFilter) {
+            paymentFilter.addEventListener('change', (e) => {
+                if (App.modules.filterManager) {
+                    App.modules.filterManager.setPaymentMethod(e.target.value);
+                }
+            });
+        }
+        
         // Trips tab: include online toggle
         const includeOnlineToggle = document.getElementById('warehouse-include-online');
         if (includeOnlineToggle) {
@@ -191,6 +316,15 @@ const UIController = (() => {
             });
         }
         
+        // Price evolution per package / per unit toggle
+        const perUnitToggle = document.getElementById('price-evolution-per-unit');
+        if (perUnitToggle) {
+            perUnitToggle.addEventListener('change', () => {
+                const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+                renderPriceEvolution(receipts);
+            });
+        }
+        
         // Clear filters button
         const clearFiltersBtn = document.getElementById('clear-filters-btn');
         if (clearFiltersBtn) {
@@ -202,9 +336,14 @@ const UIController = (() => {
                     if (channelFilter) channelFilter.value = 'all';
                     if (warehouseFilter) warehouseFilter.value = 'all';
                     if (membershipFilter) membershipFilter.value = 'all';
+                    if (paymentFilter) paymentFilter.value = 'all';
                     if (warehouseFilterGroup) warehouseFilterGroup.style.display = 'flex';
                     if (dateStart) dateStart.value = '';
                     if (dateEnd) dateEnd.value = '';
+                    if (compareMode) compareMode.value = 'none';
+                    if (compareStart) compareStart.value = '';
+                    if (compareEnd) compareEnd.value = '';
+                    setCompareInputsVisible(false);
                 }
             });
         }
@@ -223,6 +362,68 @@ const UIController = (() => {
             });
         }
         
+        // Incremental import: merge more files into the loaded dataset
+        if (elements.addFilesInput) {
+            elements.addFilesInput.addEventListener('change', (e) => {
+                const files = e.target.files;
+                if (files && files.length > 0 && App.modules.dataProcessor) {
+                    App.modules.dataProcessor.handleFileSelection(files, { append: true });
+                    EventBus.emit('files:selected', { files, append: true });
+                }
+                // Allow re-selecting the same files later
+                e.target.value = '';
+            });
+        }
+
+        // Drag and drop: files, whole folders or .zip exports anywhere on the page.
+        // Once receipts are loaded, dropped files are merged like "+ Add Files".
+        let dragDepth = 0;
+        const hasDraggedFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            document.body.classList.add('drop-active');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                document.body.classList.remove('drop-active');
+            }
+        });
+
+        document.addEventListener('drop', async (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            document.body.classList.remove('drop-active');
+
+            const dataProcessor = App.modules.dataProcessor;
+            if (!dataProcessor) return;
+
+            try {
+                const files = await dataProcessor.getDroppedFiles(e.dataTransfer);
+                if (files.length === 0) {
+                    showError('No receipt JSON or CSV files or .zip archives found in what was dropped');
+                    return;
+                }
+                const append = App.modules.dataStore && App.modules.dataStore.getReceiptCount() > 0;
+                dataProcessor.handleFileSelection(files, { append });
+                EventBus.emit('files:selected', { files, append, dropped: true });
+            } catch (error) {
+                ErrorHandler.handleError(error, 'File Loading');
+            }
+        });
+        
         // Rewards cycle start override (defaults to calendar year)
         const rewardCycleInput = document.getElementById('reward-cycle-start');
         const resetRewardCycleBtn = document.getElementById('reset-reward-cycle');
@@ -246,12 +447,243 @@ const UIController = (() => {
             });
         }
         
+        // Export menu
+        bindExportMenu();
+        
+        // Local persistence opt-in and "forget all data"
+        bindPersistenceControls();
+        
+        // Budget editor (Trends tab)
+        bindBudgetControls();
+        
+        // Executive vs. Gold Star calculator (Taxes & Rewards tab)
+        bindMembershipValue();
+        
+        // Credit card cash-back profiles (Taxes & Rewards tab)
+        bindCardRewards();
+        
+        // Savings report grouping (Taxes & Rewards tab)
+        bindSavingsReport();
+        
+        // Receipts tab list and detail panel
+        bindReceiptBrowser();
+        
+        // Categories tab rule editor
+        bindCategoryRules();
+        
+        // Items tab product merge/split editor
+        bindProductMatching();
+        
+        // Household tab members and receipt splitting
+        bindHousehold();
+        
+        // Header "Year in Review" full-page report
+        bindWrappedView();
+        
+        // Paste Receipt text entry with a check-and-correct step
+        bindReceiptEntry();
+        
+        // Items tab shopping list print/export
+        const printListBtn = document.getElementById('shopping-list-print');
+        if (printListBtn) {
+            printListBtn.addEventListener('click', () => {
+                try {
+                    App.modules.exportManager.printShoppingList(shoppingList);
+                } catch (error) {
+                    // Already reported by the export error boundary
+                }
+            });
+        }
+        const exportListBtn = document.getElementById('shopping-list-export');
+        if (exportListBtn) {
+            exportListBtn.addEventListener('click', () => {
+                try {
+                    const result = App.modules.exportManager.exportShoppingList(shoppingList);
+                    announceToScreenReader(`Exported shopping list with ${result.itemCount} items`);
+                } catch (error) {
+                    // Already reported by the export error boundary
+                }
+            });
+        }
+        
+        // Taxes tab: tax reconciliation export and receipts to check
+        const taxExportBtn = document.getElementById('tax-report-export');
+        if (taxExportBtn) {
+            taxExportBtn.addEventListener('click', () => {
+                try {
+                    const result = App.modules.exportManager.exportTaxReport(taxReport);
+                    announceToScreenReader(`Exported tax report with ${result.rowCount} rows`);
+                } catch (error) {
+                    // Already reported by the export error boundary
+                }
+            });
+        }
+        const taxMismatchBody = document.getElementById('tax-mismatch-body');
+        if (taxMismatchBody) {
+            const openMismatch = (row) => {
+                const receipt = row ? App.modules.dataStore?.getReceiptById(row.dataset.receiptId) : null;
+                if (receipt) App.modules.visualizationManager.showReceiptDrillDown(receipt);
+            };
+            taxMismatchBody.addEventListener('click', (e) => openMismatch(e.target.closest('tr[data-receipt-id]')));
+            taxMismatchBody.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                const row = e.target.closest('tr[data-receipt-id]');
+                if (!row) return;
+                e.preventDefault();
+                openMismatch(row);
+            });
+        }
+        
+        // Payments tab: "Filter" buttons apply the payment method filter
+        const paymentMethodsBody = document.getElementById('payment-methods-body');
+        if (paymentMethodsBody) {
+            paymentMethodsBody.addEventListener('click', (e) => {
+                const filterBtn = e.target.closest('[data-payment-key]');
+                if (!filterBtn || !App.modules.filterManager) return;
+                App.modules.filterManager.setPaymentMethod(filterBtn.dataset.paymentKey);
+                if (paymentFilter) paymentFilter.value = filterBtn.dataset.paymentKey;
+            });
+        }
+        
         ErrorHandler.debug('Event listeners bound');
         
         // Subscribe to data events
         subscribeToDataEvents();
     }
     
+    /**
+     * Toggle the export format dropdown
+     * @param {boolean} open - Whether the dropdown should be open
+     */
+    function setExportMenuOpen(open) {
+        if (!elements.exportDropdown || !elements.exportBtn) return;
+        elements.exportDropdown.classList.toggle('hidden', !open);
+        elements.exportBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+    
+    /**
+     * Bind export button and format options
+     */
+    function bindExportMenu() {
+        if (!elements.exportBtn || !elements.exportDropdown) return;
+        
+        elements.exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setExportMenuOpen(elements.exportDropdown.classList.contains('hidden'));
+        });
+        
+        elements.exportDropdown.querySelectorAll('.export-option').forEach(option => {
+            option.addEventListener('click', () => {
+                setExportMenuOpen(false);
+                exportFilteredData(option.dataset.format);
+            });
+        });
+        
+        // Close on outside click or Escape
+        document.addEventListener('click', (e) => {
+            if (!elements.exportDropdown.contains(e.target)) {
+                setExportMenuOpen(false);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !elements.exportDropdown.classList.contains('hidden')) {
+                setExportMenuOpen(false);
+                elements.exportBtn.focus();
+            }
+        });
+    }
+    
+    /**
+     * Export the currently filtered receipts in the given format
+     * @param {string} format - 'csv', 'json' or 'xlsx'
+     */
+    function exportFilteredData(format) {
+        if (!App.modules.exportManager) return;
+        try {
+            const result = App.modules.exportManager.exportData(format, { rewards: getRewardOptions() });
+            if (result.receiptCount === 0) {
+                showError('No receipts match the current filters. Change the filters and export again.');
+                return;
+            }
+            announceToScreenReader(`Exported ${result.receiptCount} receipts as ${format.toUpperCase()}`);
+        } catch (error) {
+            // Already reported by the export error boundary
+        }
+    }
+    
+    /**
+     * Show "Forget All Data" whenever there is something to forget
+     */
+    function updateForgetButton() {
+        if (!elements.forgetDataBtn) return;
+        const persistence = App.modules.persistenceManager;
+        const hasData = (App.modules.dataStore?.getReceiptCount() || 0) > 0;
+        const visible = hasData || (persistence && persistence.isEnabled());
+        elements.forgetDataBtn.classList.toggle('hidden', !visible);
+    }
+    
+    /**
+     * Bind the "Remember on this device" toggle and "Forget All Data" button
+     */
+    function bindPersistenceControls() {
+        const persistence = App.modules.persistenceManager;
+        if (!persistence || !persistence.isSupported()) return;
+        
+        if (elements.persistToggleLabel) {
+            elements.persistToggleLabel.classList.remove('hidden');
+        }
+        
+        if (elements.persistToggle) {
+            elements.persistToggle.checked = persistence.isEnabled();
+            
+            elements.persistToggle.addEventListener('change', async (e) => {
+                try {
+                    if (e.target.checked) {
+                        persistence.setEnabled(true);
+                        // Save what is already loaded
+                        const receipts = App.modules.dataStore?.getReceipts() || [];
+                        const saved = await persistence.saveReceipts(receipts);
+                        announceToScreenReader(`Receipts will be remembered on this device${saved ? ` (${saved} saved)` : ''}`);
+                    } else {
+                        await persistence.clearReceipts();
+                        persistence.setEnabled(false);
+                        announceToScreenReader('Receipts will no longer be stored on this device');
+                    }
+                } catch (error) {
+                    ErrorHandler.handleError(error, 'Storage');
+                }
+            });
+        }
+        
+        if (elements.forgetDataBtn) {
+            elements.forgetDataBtn.addEventListener('click', async () => {
+                const confirmed = window.confirm(
+                    'Delete all receipts loaded in this session and stored on this device? This cannot be undone.'
+                );
+                if (!confirmed) return;
+                
+                try {
+                    await App.forgetAllData();
+                    announceToScreenReader('All data has been deleted');
+                } catch (error) {
+                    // Already reported by the storage error boundary
+                }
+            });
+        }
+        
+        EventBus.on('persistence:changed', ({ enabled }) => {
+            if (elements.persistToggle) {
+                elements.persistToggle.checked = enabled;
+            }
+            updateForgetButton();
+        });
+        EventBus.on('datastore:receiptsAdded', updateForgetButton);
+        EventBus.on('datastore:receiptsMerged', updateForgetButton);
+        EventBus.on('datastore:cleared', updateForgetButton);
+        
+        updateForgetButton();
+    }
+    
     /**
      * Subscribe to data-related events
      */
@@ -260,7 +692,26 @@ const UIController = (() => {
         EventBus.on('files:parsed', (eventData) => {
             ErrorHandler.info(`Files parsed event received: ${eventData.receiptCount} receipts`);
             console.log('Event data:', eventData);
-            initializeDashboard();
+            if (eventData.incremental) {
+                refreshDashboard(eventData.mergeSummary);
+            } else {
+                initializeDashboard();
+            }
+            
+            // Columns a CSV importer didn't recognize were not imported
+            (eventData.importReports || []).forEach(report => {
+                if (report.unmappedColumns.length === 0) return;
+                const message = `${report.filename}: ignored ${report.unmappedColumns.length} unrecognized ` +
+                    `column${report.unmappedColumns.length === 1 ? '' : 's'} (${report.unmappedColumns.join(', ')})`;
+                showSuccess(message);
+                announceToScreenReader(message);
+            });
+        });
+        
+        // A cancelled import leaves the loaded data as it was
+        EventBus.on('files:processingCancelled', () => {
+            showSuccess('Import cancelled. No receipts were added.');
+            announceToScreenReader('Import cancelled');
         });
         
         // When data is added to store
@@ -313,14 +764,36 @@ const UIController = (() => {
                 console.log('Dashboard content shown');
             }
             
+            // Export and incremental import are only meaningful once data is loaded
+            if (elements.exportBtn) {
+                elements.exportBtn.classList.remove('hidden');
+            }
+            if (elements.addFilesBtn) {
+                elements.addFilesBtn.classList.remove('hidden');
+            }
+            if (elements.wrappedBtn) {
+                elements.wrappedBtn.classList.remove('hidden');
+            }
+            if (elements.pasteReceiptBtn) {
+                elements.pasteReceiptBtn.classList.remove('hidden');
+            }
+            
             // Populate warehouse filter dropdown
             populateWarehouseFilter();
             
             // Populate membership filter dropdown
             populateMembershipFilter();
             
-            // Initialize filter from dropdown values
-            initializeFiltersFromUI();
+            // Populate payment method filter dropdown
+            populatePaymentFilter();
+            
+            // Restore a bookmarked view from the URL, otherwise use dropdown values
+            const urlState = App.modules.urlStateManager;
+            if (urlState && urlState.hasState()) {
+                urlState.applyFromLocation();
+            } else {
+                initializeFiltersFromUI();
+            }
             
             // Update dashboard with initial data
             updateDashboard();
@@ -333,6 +806,43 @@ const UIController = (() => {
         }
     }
     
+    /**
+     * Refresh the dashboard after files were merged into an existing dataset
+     * @param {Object} summary - Merge summary {added, updated, duplicates, total}
+     */
+    function refreshDashboard(summary) {
+        try {
+            const warehouseFilter = document.getElementById('warehouse-filter');
+            const membershipFilter = document.getElementById('membership-filter');
+            const paymentFilter = document.getElementById('payment-filter');
+            const selectedWarehouse = warehouseFilter ? warehouseFilter.value : 'all';
+            const selectedMember = membershipFilter ? membershipFilter.value : 'all';
+            const selectedPayment = paymentFilter ? paymentFilter.value : 'all';
+            
+            // New warehouses/members/cards may have appeared; keep current selections
+            populateWarehouseFilter();
+            populateMembershipFilter();
+            populatePaymentFilter();
+            if (warehouseFilter) warehouseFilter.value = selectedWarehouse;
+            if (membershipFilter) membershipFilter.value = selectedMember;
+            if (paymentFilter) paymentFilter.value = selectedPayment;
+            
+            // Every tab needs to re-render against the merged data
+            renderedTabs.clear();
+            updateDashboard();
+            
+            if (summary) {
+                const message = `Added ${summary.added} new receipt${summary.added === 1 ? '' : 's'}, ` +
+                    `updated ${summary.updated}, skipped ${summary.duplicates} duplicate${summary.duplicates === 1 ? '' : 's'} ` +
+                    `(${summary.total} total)`;
+                showSuccess(message);
+                announceToScreenReader(message);
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Dashboard Initialization');
+        }
+    }
+    
     /**
      * Initialize filters from UI dropdown values
      */
@@ -364,6 +874,110 @@ const UIController = (() => {
         }
     }
     
+    /**
+     * Reflect filter state in the filter controls (e.g. after restoring from the URL)
+     * @param {Object} filters - FilterManager.getActiveFilters() result
+     */
+    function syncFilterControls(filters) {
+        const dateStart = document.getElementById('date-start');
+        const dateEnd = document.getElementById('date-end');
+        const channelFilter = document.getElementById('channel-filter');
+        const warehouseFilter = document.getElementById('warehouse-filter');
+        const membershipFilter = document.getElementById('membership-filter');
+        const paymentFilter = document.getElementById('payment-filter');
+        const warehouseFilterGroup = document.querySelector('.filter-group:has(#warehouse-filter)');
+        const toInputValue = (date) => date instanceof Date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : '';
+        
+        const isCustom = filters.preset === 'custom';
+        if (elements.datePreset) elements.datePreset.value = filters.preset || 'all';
+        if (elements.dateStartGroup && elements.dateEndGroup) {
+            elements.dateStartGroup.style.display = isCustom ? 'flex' : 'none';
+            elements.dateEndGroup.style.display = isCustom ? 'flex' : 'none';
+        }
+        if (dateStart) dateStart.value = isCustom ? toInputValue(filters.dateRange?.start) : '';
+        if (dateEnd) dateEnd.value = isCustom ? toInputValue(filters.dateRange?.end) : '';
+        
+        if (channelFilter) channelFilter.value = filters.channel || 'all';
+        if (warehouseFilterGroup) {
+            warehouseFilterGroup.style.display = filters.channel === 'online' ? 'none' : 'flex';
+        }
+        if (warehouseFilter) {
+            warehouseFilter.value = filters.warehouse !== null && filters.warehouse !== undefined
+                ? String(filters.warehouse)
+                : 'all';
+            // Unknown warehouse (not in this dataset) - fall back to "All" and drop the filter
+            if (!warehouseFilter.value) {
+                warehouseFilter.value = 'all';
+                App.modules.filterManager?.setWarehouse(null);
+            }
+        }
+        if (membershipFilter) {
+            membershipFilter.value = filters.membershipNumber || 'all';
+            if (!membershipFilter.value) {
+                membershipFilter.value = 'all';
+                App.modules.filterManager?.setMembershipNumber(null);
+            }
+        }
+        if (paymentFilter) {
+            paymentFilter.value = filters.paymentMethod || 'all';
+            if (!paymentFilter.value) {
+                paymentFilter.value = 'all';
+                App.modules.filterManager?.setPaymentMethod(null);
+            }
+        }
+        
+        const compareMode = document.getElementById('compare-mode');
+        const compareStart = document.getElementById('compare-start');
+        const compareEnd = document.getElementById('compare-end');
+        const comparison = filters.comparison || {};
+        const isCustomComparison = comparison.mode === 'custom';
+        if (compareMode) compareMode.value = comparison.mode || 'none';
+        if (compareStart) compareStart.value = isCustomComparison ? toInputValue(comparison.start) : '';
+        if (compareEnd) compareEnd.value = isCustomComparison ? toInputValue(comparison.end) : '';
+        setCompareInputsVisible(isCustomComparison);
+    }
+    
+    /**
+     * Show or hide the custom comparison date inputs
+     * @param {boolean} visible - Whether the inputs are shown
+     */
+    function setCompareInputsVisible(visible) {
+        ['compare-start-group', 'compare-end-group'].forEach(id => {
+            const group = document.getElementById(id);
+            if (group) group.style.display = visible ? 'flex' : 'none';
+        });
+    }
+    
+    /**
+     * Describe a comparison range for labels ("vs last year")
+     * @param {Object} range - FilterManager.getComparisonRange() result
+     * @returns {string} Label
+     */
+    function getComparisonLabel(range) {
+        if (range.mode === 'previous') return 'previous period';
+        if (range.mode === 'lastYear') return 'same period last year';
+        const formatDate = (date) => date ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '…';
+        return `${formatDate(range.start)} – ${formatDate(range.end)}`;
+    }
+    
+    /**
+     * Format a period-over-period change
+     * @param {number} current - Current period value
+     * @param {number} previous - Comparison period value
+     * @returns {Object} { text, direction } where direction is 'up', 'down', 'new' or 'none'
+     */
+    function formatComparisonChange(current, previous) {
+        const percent = App.modules.statsCalculator.getPercentChange(current, previous);
+        if (percent === null) {
+            return current ? { text: '▲ new', direction: 'new' } : { text: '—', direction: 'none' };
+        }
+        if (percent === 0) return { text: '0.0%', direction: 'none' };
+        return {
+            text: `${percent > 0 ? '▲' : '▼'} ${Math.abs(percent).toFixed(1)}%`,
+            direction: percent > 0 ? 'up' : 'down'
+        };
+    }
+    
     /**
      * Populate warehouse filter dropdown
      */
@@ -414,13 +1028,15 @@ const UIController = (() => {
         // Clear existing options
         membershipFilter.innerHTML = '<option value="all">All Members</option>';
         
-        // Add membership options
+        // Add membership options, named after the household member when mapped
         Array.from(membershipNumbers).sort().forEach(memberNum => {
             const option = document.createElement('option');
+            const member = HouseholdManager.getMemberForMembership(memberNum);
             option.value = memberNum;
-            option.textContent = `Member ${memberNum}`;
+            option.textContent = member ? `${member.name} (${memberNum})` : `Member ${memberNum}`;
             membershipFilter.appendChild(option);
         });
+        membershipFilter.value = App.modules.filterManager?.getActiveFilters().membershipNumber || 'all';
         
         // Show the filter group when we have membership data
         if (membershipFilterGroup) {
@@ -430,6 +1046,59 @@ const UIController = (() => {
         ErrorHandler.debug(`Populated ${membershipNumbers.size} membership numbers`);
     }
     
+    /**
+     * Populate payment method filter dropdown
+     */
+    function populatePaymentFilter() {
+        const paymentFilter = document.getElementById('payment-filter');
+        const paymentFilterGroup = document.getElementById('payment-filter-group');
+        const dataStore = App.modules.dataStore;
+        const dataProcessor = App.modules.dataProcessor;
+        
+        if (!paymentFilter || !dataStore || !dataProcessor) return;
+        
+        // Unique tender keys across all receipts, most used first
+        const methods = new Map();
+        let unrecorded = 0;
+        dataStore.getReceipts().forEach(receipt => {
+            const tenders = dataProcessor.getTenders(receipt);
+            if (tenders.length === 0) {
+                unrecorded++;
+                return;
+            }
+            tenders.forEach(tender => {
+                const entry = methods.get(tender.key) || { label: tender.label, count: 0 };
+                entry.count++;
+                methods.set(tender.key, entry);
+            });
+        });
+        
+        paymentFilter.innerHTML = '<option value="all">All Payment Methods</option>';
+        
+        Array.from(methods.entries())
+            .sort((a, b) => b[1].count - a[1].count)
+            .forEach(([key, entry]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = entry.label;
+                paymentFilter.appendChild(option);
+            });
+        
+        if (unrecorded > 0 && methods.size > 0) {
+            const option = document.createElement('option');
+            option.value = 'none';
+            option.textContent = 'Not recorded';
+            paymentFilter.appendChild(option);
+        }
+        
+        // Hide the filter entirely when no receipt has tender data
+        if (paymentFilterGroup) {
+            paymentFilterGroup.style.display = methods.size > 0 ? 'flex' : 'none';
+        }
+        
+        ErrorHandler.debug(`Populated ${methods.size} payment methods`);
+    }
+    
     /**
      * Update dashboard with current filter state
      */
@@ -462,9 +1131,12 @@ const UIController = (() => {
             const stats = statsCalculator.calculateAll(receipts, { rewards: getRewardOptions() });
             console.log('Stats calculated:', stats);
             
+            // Comparison period (same filters, other dates) when comparison mode is on
+            updateComparisonPeriod();
+            
             // Update statistics cards
             console.log('Updating stats display...');
-            updateStatsDisplay(stats);
+            updateStatsDisplay(stats, comparisonPeriod ? comparisonPeriod.stats : null);
             
             // Update charts
             if (vizManager) {
@@ -497,11 +1169,84 @@ const UIController = (() => {
         }
     }
     
+    /**
+     * Refresh comparisonPeriod from the filter state
+     */
+    function updateComparisonPeriod() {
+        const filterManager = App.modules.filterManager;
+        const range = filterManager.getComparisonRange();
+        const comparing = Boolean(filterManager.getActiveFilters().comparison?.mode);
+        
+        // "Previous period" and "last year" need a date range to shift
+        const hint = document.getElementById('compare-hint');
+        if (hint) hint.classList.toggle('hidden', !comparing || Boolean(range));
+        
+        if (!range) {
+            comparisonPeriod = null;
+            return;
+        }
+        
+        const receipts = filterManager.getComparisonReceipts();
+        comparisonPeriod = {
+            range,
+            label: getComparisonLabel(range),
+            receipts,
+            stats: App.modules.statsCalculator.calculateAll(receipts, { rewards: getRewardOptions() })
+        };
+    }
+    
+    /**
+     * Show the change vs the comparison period under each overview stat card
+     * @param {Object} stats - Calculated statistics
+     * @param {Object|null} comparisonStats - Statistics for the comparison period
+     */
+    function renderStatDeltas(stats, comparisonStats) {
+        const perReceipt = (s, value) => s.totals.totalReceipts > 0 ? value / s.totals.totalReceipts : 0;
+        // higherIsBetter: true/false colors the change; null leaves it neutral
+        const metrics = [
+            { id: 'stat-total-spent', value: s => s.totals.netSpent, higherIsBetter: null },
+            { id: 'stat-avg-visit', value: s => perReceipt(s, s.totals.netSpent), higherIsBetter: null },
+            { id: 'stat-avg-purchase', value: s => s.totals.avgPricePerItem, higherIsBetter: false },
+            { id: 'stat-total-savings', value: s => s.totals.totalSavings, higherIsBetter: true },
+            { id: 'stat-total-visits', value: s => s.totals.totalReceipts, higherIsBetter: null },
+            { id: 'stat-total-purchase', value: s => s.totals.totalPurchaseCount, higherIsBetter: null },
+            { id: 'stat-unique-items', value: s => s.totals.uniqueItems, higherIsBetter: null },
+            { id: 'stat-items-per-receipt', value: s => perReceipt(s, s.totals.totalPurchaseCount), higherIsBetter: null },
+            { id: 'stat-refunds', value: s => s.totals.refundReceipts || 0, higherIsBetter: false },
+            { id: 'stat-return-rate', value: s => perReceipt(s, s.totals.refundReceipts || 0), higherIsBetter: false },
+            { id: 'stat-exec-reward', value: s => s.rewards?.totalReward || 0, higherIsBetter: true }
+        ];
+        
+        metrics.forEach(metric => {
+            const card = document.getElementById(metric.id)?.closest('.stat-card');
+            if (!card) return;
+            
+            let deltaEl = card.querySelector('.stat-change');
+            if (!comparisonStats) {
+                if (deltaEl) deltaEl.remove();
+                return;
+            }
+            if (!deltaEl) {
+                deltaEl = document.createElement('div');
+                card.appendChild(deltaEl);
+            }
+            
+            const change = formatComparisonChange(metric.value(stats), metric.value(comparisonStats));
+            let tone = 'neutral';
+            if (metric.higherIsBetter !== null && (change.direction === 'up' || change.direction === 'down')) {
+                tone = (change.direction === 'up') === metric.higherIsBetter ? 'positive' : 'negative';
+            }
+            deltaEl.className = `stat-change ${tone}`;
+            deltaEl.textContent = `${change.text} vs ${comparisonPeriod.label}`;
+        });
+    }
+    
     /**
      * Update statistics display
      * @param {Object} stats - Calculated statistics
+     * @param {Object|null} comparisonStats - Statistics for the comparison period (comparison mode)
      */
-    function updateStatsDisplay(stats) {
+    function updateStatsDisplay(stats, comparisonStats = null) {
         // Total purchase count (quantity)
         const totalPurchaseEl = document.getElementById('stat-total-purchase');
         if (totalPurchaseEl) {
@@ -638,6 +1383,21 @@ const UIController = (() => {
                 }).join('');
             }
         }
+        
+        renderStatDeltas(stats, comparisonStats);
+    }
+    
+    /**
+     * Per-unit price line shown under the package prices in the price tables
+     * @param {Object} item - Row from getPriceIncreases / getPriceDecreases
+     * @returns {string} HTML (empty when pack sizes are unknown)
+     */
+    function formatUnitPriceChange(item) {
+        if (item.basis !== 'unit') return '';
+        const pack = item.packChanged
+            ? `<div style="font-size: 0.7rem; color: #d97706;">Pack ${escapeHtml(item.firstPackLabel)} → ${escapeHtml(item.lastPackLabel)}</div>`
+            : '';
+        return `<div style="font-size: 0.7rem; color: var(--color-text-tertiary);">${formatUnitPrice(item.firstUnitPrice, item.standardUnit)} → ${formatUnitPrice(item.lastUnitPrice, item.standardUnit)}</div>${pack}`;
     }
     
     /**
@@ -660,6 +1420,18 @@ const UIController = (() => {
             priceTrackingSection.style.display = 'block';
         }
         
+        // Spend per product in the comparison period, for growth under each total
+        const comparisonSpend = new Map();
+        if (comparisonPeriod) {
+            statsCalc.getTopItems(comparisonPeriod.receipts, Infinity, 'spending')
+                .forEach(item => comparisonSpend.set(item.itemNumber, item.totalSpent));
+        }
+        const formatItemGrowth = (item) => {
+            if (!comparisonPeriod) return '';
+            const change = formatComparisonChange(item.totalSpent, comparisonSpend.get(item.itemNumber) || 0);
+            return `<div style="font-size: 0.7rem; font-weight: 400; color: var(--color-text-tertiary);" title="vs ${escapeHtml(comparisonPeriod.label)}">${change.text}</div>`;
+        };
+        
         // Update Top Spending table
         const topSpendingBody = document.getElementById('top-spending-table-body');
         if (topSpendingBody) {
@@ -675,6 +1447,7 @@ const UIController = (() => {
                         </td>
                         <td style="padding: 0.5rem; text-align: right; font-weight: 600; color: #d97706;">
                             $${item.totalSpent.toFixed(2)}
+                            ${formatItemGrowth(item)}
                         </td>
                         <td style="padding: 0.5rem; text-align: right; color: var(--color-text-secondary);">
                             $${item.avgPrice.toFixed(2)}
@@ -704,10 +1477,13 @@ const UIController = (() => {
                         </td>
                         <td style="padding: 0.5rem; text-align: right; color: var(--color-text-secondary); font-size: 0.85rem;">
                             $${item.firstPrice.toFixed(2)} → $${item.lastPrice.toFixed(2)}
+                            ${formatUnitPriceChange(item)}
                         </td>
                         <td style="padding: 0.5rem; text-align: right; font-weight: 600; color: #dc2626;">
-                            +$${item.priceIncrease.toFixed(2)}
-                            ${item.percentIncrease > 0 ? `<div style="font-size: 0.7rem;">(+${item.percentIncrease.toFixed(1)}%)</div>` : ''}
+                            ${item.basis === 'unit'
+                                ? `+${item.percentIncrease.toFixed(1)}%<div style="font-size: 0.7rem;">per ${item.standardUnit}</div>`
+                                : `+$${item.priceIncrease.toFixed(2)}
+                            ${item.percentIncrease > 0 ? `<div style="font-size: 0.7rem;">(+${item.percentIncrease.toFixed(1)}%)</div>` : ''}`}
                         </td>
                     </tr>
                 `).join('');
@@ -731,10 +1507,13 @@ const UIController = (() => {
                         </td>
                         <td style="padding: 0.5rem; text-align: right; color: var(--color-text-secondary); font-size: 0.85rem;">
                             $${item.firstPrice.toFixed(2)} → $${item.lastPrice.toFixed(2)}
+                            ${formatUnitPriceChange(item)}
                         </td>
                         <td style="padding: 0.5rem; text-align: right; font-weight: 600; color: #16a34a;">
-                            -$${item.priceDecrease.toFixed(2)}
-                            ${item.percentDecrease > 0 ? `<div style="font-size: 0.7rem;">(-${item.percentDecrease.toFixed(1)}%)</div>` : ''}
+                            ${item.basis === 'unit'
+                                ? `-${item.percentDecrease.toFixed(1)}%<div style="font-size: 0.7rem;">per ${item.standardUnit}</div>`
+                                : `-$${item.priceDecrease.toFixed(2)}
+                            ${item.percentDecrease > 0 ? `<div style="font-size: 0.7rem;">(-${item.percentDecrease.toFixed(1)}%)</div>` : ''}`}
                         </td>
                     </tr>
                 `).join('');
@@ -884,9 +1663,8 @@ const UIController = (() => {
         const taxByDept = calculateTaxByDepartment(receipts);
         const taxBody = document.getElementById('tax-by-dept-body');
         if (taxBody && taxByDept.length > 0) {
-            const statsCalc = App.modules.statsCalculator;
             taxBody.innerHTML = taxByDept.slice(0, 15).map(item => {
-                const deptName = statsCalc?.getDepartmentName ? statsCalc.getDepartmentName(item.department) : `Dept ${item.department}`;
+                const deptName = escapeHtml(item.name);
                 return `
                 <tr style="border-bottom: 1px solid var(--color-border);">
                     <td style="padding: 0.5rem; font-weight: 500;">
@@ -923,9 +1701,9 @@ const UIController = (() => {
         // Get top items by frequency
         const frequentItems = statsCalc.getTopItems(receipts, 10, 'frequency');
         
-        // Calculate repurchase cycles for all items
-        const repurchaseCycles = calculateRepurchaseCycles(receipts);
-        const cycleMap = new Map(repurchaseCycles.map(item => [item.itemNumber, item.avgDays]));
+        // Average days between purchases for recurring items
+        const predictions = statsCalc.getRepurchasePredictions(receipts);
+        const cycleMap = new Map(predictions.map(item => [item.itemNumber, item.avgDays]));
         
         if (frequentItems.length > 0) {
             tableBody.innerHTML = frequentItems.map(item => {
@@ -965,59 +1743,10 @@ const UIController = (() => {
     }
     
     /**
-     * Calculate repurchase cycles for frequent items
+     * Calculate tax by category (user category rules, then department) and warehouse
      */
-    function calculateRepurchaseCycles(receipts) {
-        const itemPurchases = new Map();
-        
-        receipts.forEach(receipt => {
-            if (!receipt.itemArray) return;
-            
-            receipt.itemArray.forEach(item => {
-                if (item.isDiscount || !item.itemNumber) return;
-                
-                if (!itemPurchases.has(item.itemNumber)) {
-                    itemPurchases.set(item.itemNumber, {
-                        itemNumber: item.itemNumber,
-                        name: item.normalizedName,
-                        dates: []
-                    });
-                }
-                
-                itemPurchases.get(item.itemNumber).dates.push(receipt.transactionDateTime);
-            });
-        });
-        
-        const cycles = [];
-        itemPurchases.forEach((data, itemNumber) => {
-            if (data.dates.length >= 3) { // Need at least 3 purchases for meaningful cycle
-                data.dates.sort((a, b) => a - b);
-                
-                // Calculate average days between purchases
-                let totalDays = 0;
-                for (let i = 1; i < data.dates.length; i++) {
-                    const daysDiff = (data.dates[i] - data.dates[i-1]) / (1000 * 60 * 60 * 24);
-                    totalDays += daysDiff;
-                }
-                const avgDays = Math.round(totalDays / (data.dates.length - 1));
-                
-                cycles.push({
-                    itemNumber: data.itemNumber,
-                    name: data.name,
-                    avgDays: avgDays,
-                    purchases: data.dates.length
-                });
-            }
-        });
-        
-        return cycles.sort((a, b) => b.purchases - a.purchases);
-    }
-    
-    /**
-     * Calculate tax by department
-     */
-    function calculateTaxByDepartment(receipts) {
-        const deptWarehouseMap = new Map();
+    function calculateTaxByDepartment(receipts) {
+        const deptWarehouseMap = new Map();
         
         receipts.forEach(receipt => {
             if (!receipt.itemArray) return;
@@ -1028,18 +1757,24 @@ const UIController = (() => {
                            receipt.transactionType === 'Returned' ||
                            (receipt.total || 0) < 0;
             
-            const receiptTax = Number(receipt.taxes) || 0;
-            const receiptSubtotal = Math.abs(Number(receipt.subTotal) || 0);
             const warehouseName = receipt.warehouseName || receipt.warehouse || 'Unknown';
             
-            receipt.itemArray.forEach(item => {
+            // Tax attributed to each line by its tax flag; discounts reduce the tax of their item
+            const taxLines = TaxEngine.analyzeReceipt(receipt).lines;
+            const discountTax = new Map();
+            receipt.itemArray.forEach((item, index) => {
+                if (!item.isDiscount || !item.discountAppliesTo) return;
+                discountTax.set(item.discountAppliesTo, (discountTax.get(item.discountAppliesTo) || 0) + taxLines[index].tax);
+            });
+            
+            receipt.itemArray.forEach((item, index) => {
                 if (item.isDiscount) return;
                 
-                const dept = item.itemDepartmentNumber || 0;
+                const category = CategoryManager.categorizeItem(item);
+                const dept = category.key;
                 const itemAmount = Math.abs(Number(item.amount) || 0); // Use absolute value
-                
-                // Proportional tax allocation (always positive proportion)
-                const itemTax = receiptSubtotal > 0 ? (itemAmount / receiptSubtotal) * Math.abs(receiptTax) : 0;
+                const itemTax = Math.abs(taxLines[index].tax + (discountTax.get(item.itemNumber) || 0));
+                discountTax.delete(item.itemNumber);
                 
                 // Create compound key: dept|warehouse
                 const key = `${dept}|${warehouseName}`;
@@ -1047,6 +1782,7 @@ const UIController = (() => {
                 if (!deptWarehouseMap.has(key)) {
                     deptWarehouseMap.set(key, {
                         department: dept,
+                        name: category.name,
                         warehouse: warehouseName,
                         totalTax: 0,
                         totalSpent: 0
@@ -1074,9 +1810,9 @@ const UIController = (() => {
                 taxRate: item.totalSpent > 0 ? (Math.max(0, item.totalTax) / Math.max(0, item.totalSpent)) * 100 : 0
             }))
             .sort((a, b) => {
-                // Sort by department first, then by warehouse
+                // Sort by category first, then by warehouse
                 if (a.department !== b.department) {
-                    return a.department - b.department;
+                    return a.name.localeCompare(b.name);
                 }
                 return a.warehouse.localeCompare(b.warehouse);
             });
@@ -1193,6 +1929,20 @@ const UIController = (() => {
             case 'taxes':
                 renderTaxesCharts(receipts, stats);
                 break;
+                
+            case 'payments':
+                renderPaymentsTab(receipts);
+                break;
+                
+            case 'household':
+                renderHouseholdTab(receipts);
+                break;
+                
+            case 'receipts':
+                // Filters changed - start from the first page
+                receiptBrowser.page = 0;
+                renderReceiptsTab(receipts);
+                break;
         }
         
         // Mark the active tab as rendered
@@ -1209,16 +1959,25 @@ const UIController = (() => {
     }
     
     /**
-     * Show loading overlay
+     * Show loading overlay (call again to update the message; ignored after Cancel until hideLoading)
      * @param {string} message - Loading message
+     * @param {Object} options - { onCancel } shows a Cancel button that calls it
      */
-    function showLoading(message = 'Processing...') {
+    function showLoading(message = 'Processing...', options = {}) {
         if (elements.loadingOverlay) {
             elements.loadingOverlay.classList.add('active');
         }
+        if (loadingCancelled) return;
         if (elements.loadingText) {
             elements.loadingText.textContent = message;
         }
+        if (elements.loadingCancel) {
+            if (options.onCancel && loadingCancelHandler !== options.onCancel) {
+                elements.loadingCancel.disabled = false;
+            }
+            loadingCancelHandler = options.onCancel || null;
+            elements.loadingCancel.classList.toggle('hidden', !options.onCancel);
+        }
         EventBus.emit('ui:loadingShown', { message });
     }
     
@@ -1229,6 +1988,11 @@ const UIController = (() => {
         if (elements.loadingOverlay) {
             elements.loadingOverlay.classList.remove('active');
         }
+        if (elements.loadingCancel) {
+            elements.loadingCancel.classList.add('hidden');
+        }
+        loadingCancelHandler = null;
+        loadingCancelled = false;
         EventBus.emit('ui:loadingHidden', {});
     }
     
@@ -1249,7 +2013,20 @@ const UIController = (() => {
      */
     function showSuccess(message) {
         ErrorHandler.info(message);
-        // Could implement a toast notification here
+        
+        if (!elements.toastContainer) return;
+        
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+        elements.toastContainer.appendChild(toast);
+        
+        // Fade out, then remove
+        setTimeout(() => {
+            toast.classList.add('fade-out');
+            setTimeout(() => toast.remove(), 300);
+        }, 5000);
     }
     
     /**
@@ -1275,6 +2052,26 @@ const UIController = (() => {
         if (elements.fileInput) {
             elements.fileInput.value = '';
         }
+        if (elements.exportBtn) {
+            elements.exportBtn.classList.add('hidden');
+        }
+        if (elements.addFilesBtn) {
+            elements.addFilesBtn.classList.add('hidden');
+        }
+        if (elements.wrappedBtn) {
+            elements.wrappedBtn.classList.add('hidden');
+        }
+        if (elements.pasteReceiptBtn) {
+            elements.pasteReceiptBtn.classList.add('hidden');
+        }
+        closeWrapped();
+        closeReceiptEntry();
+        setExportMenuOpen(false);
+        receiptBrowser.search = '';
+        receiptBrowser.page = 0;
+        const receiptsSearch = document.getElementById('receipts-search');
+        if (receiptsSearch) receiptsSearch.value = '';
+        splitReceiptId = null;
         ErrorHandler.debug('UI reset to initial state');
     }
     
@@ -1396,7 +2193,10 @@ const UIController = (() => {
             'categories': 'Categories',
             'trips': 'Trips and Warehouses',
             'gas': 'Gas',
-            'taxes': 'Taxes and Rewards'
+            'taxes': 'Taxes and Rewards',
+            'payments': 'Payments',
+            'household': 'Household',
+            'receipts': 'Receipts'
         };
         announceToScreenReader(`Switched to ${tabNames[tabId] || tabId} tab`);
     }
@@ -1439,6 +2239,18 @@ const UIController = (() => {
                     renderTaxesCharts(receipts, stats);
                 }
                 break;
+            case 'payments':
+                // Payment method breakdown
+                renderPaymentsTab(receipts);
+                break;
+            case 'household':
+                // Per-member breakdown and split tool
+                renderHouseholdTab(receipts);
+                break;
+            case 'receipts':
+                // Receipt list
+                renderReceiptsTab(receipts);
+                break;
         }
     }
     
@@ -1476,13 +2288,34 @@ const UIController = (() => {
         const statsCalc = App.modules.statsCalculator;
         if (!vizManager || !statsCalc) return;
         
-        // Spending trend chart
+        // Spending trend chart (comparison period overlaid when comparing)
         const monthlyData = statsCalc.getMonthlySpending(receipts);
         if (monthlyData && monthlyData.length > 0) {
-            vizManager.createChart('spending-trend', 'spending-trend-chart', 'spending-trend', monthlyData);
+            const trendOptions = {};
+            if (comparisonPeriod) {
+                const comparisonMonthly = statsCalc.getMonthlySpending(comparisonPeriod.receipts);
+                const monthStart = (month) => {
+                    const [year, m] = month.split('-').map(Number);
+                    return new Date(year, m - 1, 1);
+                };
+                // Shift by whole months from the comparison start to this period's start
+                const from = comparisonPeriod.range.start || (comparisonMonthly.length > 0 ? monthStart(comparisonMonthly[0].month) : null);
+                const to = App.modules.filterManager.getActiveFilters().dateRange.start || monthStart(monthlyData[0].month);
+                if (from && comparisonMonthly.length > 0) {
+                    trendOptions.comparison = {
+                        data: comparisonMonthly,
+                        offsetMonths: (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()),
+                        label: comparisonPeriod.label
+                    };
+                }
+            }
+            vizManager.createChart('spending-trend', 'spending-trend-chart', 'spending-trend', monthlyData, trendOptions);
             vizManager.createChart('savings-trend', 'savings-chart', 'savings-trend', monthlyData);
         }
         
+        // Budget vs. actual
+        renderBudgetSection(receipts);
+        
         // Calendar heatmap
         vizManager.createChart('calendar-heatmap', 'calendar-heatmap', 'calendar-heatmap', receipts);
         
@@ -1527,6 +2360,470 @@ const UIController = (() => {
         }
     }
     
+    /**
+     * Get saved budgets
+     * @returns {Object} { monthly: number|null, categories: { categoryKey: number } }
+     */
+    function getBudgets() {
+        const saved = SettingsStore.get(BUDGETS_KEY, {}) || {};
+        const categories = {};
+        
+        // Budgets saved before categories existed are keyed by department number
+        const legacy = saved.departments && typeof saved.departments === 'object' ? saved.departments : {};
+        const current = saved.categories && typeof saved.categories === 'object' ? saved.categories : {};
+        Object.entries({ ...legacy, ...current }).forEach(([key, amount]) => {
+            categories[CategoryManager.normalizeKey(key)] = amount;
+        });
+        
+        return {
+            monthly: Number(saved.monthly) > 0 ? Number(saved.monthly) : null,
+            categories
+        };
+    }
+    
+    /**
+     * Save budgets and refresh the budget card
+     * @param {Object} budgets - Budgets to store
+     */
+    function saveBudgets(budgets) {
+        SettingsStore.set(BUDGETS_KEY, { monthly: budgets.monthly, categories: budgets.categories });
+        const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+        renderBudgetSection(receipts);
+    }
+    
+    /**
+     * Bind budget editor controls
+     */
+    function bindBudgetControls() {
+        const editBtn = document.getElementById('budget-edit-btn');
+        const settings = document.getElementById('budget-settings');
+        const monthlyInput = document.getElementById('budget-monthly');
+        const deptSelect = document.getElementById('budget-dept-select');
+        const deptAmount = document.getElementById('budget-dept-amount');
+        const deptAddBtn = document.getElementById('budget-dept-add-btn');
+        const deptList = document.getElementById('budget-dept-list');
+        
+        if (editBtn && settings) {
+            editBtn.addEventListener('click', () => {
+                const open = settings.classList.toggle('hidden') === false;
+                editBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+            });
+        }
+        
+        // Category options: user categories, then the known department numbers
+        const populateCategoryOptions = () => {
+            if (!deptSelect) return;
+            const selected = deptSelect.value;
+            deptSelect.innerHTML = CategoryManager.getCategoryOptions()
+                .map(option => `<option value="${escapeHtml(option.key)}">${escapeHtml(option.name)}</option>`)
+                .join('');
+            if (selected) deptSelect.value = selected;
+            if (!deptSelect.value && deptSelect.options.length > 0) deptSelect.selectedIndex = 0;
+        };
+        populateCategoryOptions();
+        EventBus.on('categories:changed', populateCategoryOptions);
+        
+        if (monthlyInput) {
+            const budgets = getBudgets();
+            monthlyInput.value = budgets.monthly !== null ? budgets.monthly : '';
+            
+            monthlyInput.addEventListener('change', () => {
+                const value = Number(monthlyInput.value);
+                saveBudgets({ ...getBudgets(), monthly: value > 0 ? value : null });
+            });
+        }
+        
+        if (deptAddBtn && deptSelect && deptAmount) {
+            deptAddBtn.addEventListener('click', () => {
+                const amount = Number(deptAmount.value);
+                if (!(amount > 0)) {
+                    deptAmount.focus();
+                    return;
+                }
+                const budgets = getBudgets();
+                saveBudgets({
+                    ...budgets,
+                    categories: { ...budgets.categories, [deptSelect.value]: amount }
+                });
+                deptAmount.value = '';
+            });
+        }
+        
+        if (deptList) {
+            deptList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-remove-category]');
+                if (!removeBtn) return;
+                const budgets = getBudgets();
+                const categories = { ...budgets.categories };
+                delete categories[removeBtn.dataset.removeCategory];
+                saveBudgets({ ...budgets, categories });
+            });
+        }
+    }
+    
+    /**
+     * Render budget vs. actual chart, month-to-date pace and overshoot list
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderBudgetSection(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        const vizManager = App.modules.visualizationManager;
+        if (!statsCalc) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const formatMonth = (month) => {
+            const [year, mon] = month.split('-').map(Number);
+            return new Date(year, mon - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+        };
+        
+        const budgets = getBudgets();
+        const analysis = statsCalc.getBudgetAnalysis(receipts, budgets);
+        
+        // Category budget list in the editor
+        const deptList = document.getElementById('budget-dept-list');
+        if (deptList) {
+            const entries = Object.entries(budgets.categories);
+            deptList.innerHTML = entries.length === 0
+                ? '<li style="color: var(--color-text-tertiary);">No category budgets</li>'
+                : entries.map(([key, amount]) => {
+                    const name = escapeHtml(CategoryManager.getCategoryName(key));
+                    const deptNumber = key.startsWith('dept:') ? key.slice(5) : null;
+                    return `
+                    <li>
+                        <span>${name}${deptNumber !== null ? ` <span style="color: var(--color-text-tertiary);">(#${deptNumber})</span>` : ''}</span>
+                        <span>${formatMoney(amount)}
+                            <button type="button" class="btn btn-secondary btn-sm" data-remove-category="${escapeHtml(key)}" aria-label="Remove budget for ${name}">&times;</button>
+                        </span>
+                    </li>
+                `;
+                }).join('');
+        }
+        
+        // Budget vs. actual chart
+        if (vizManager) {
+            vizManager.createChart('budget-vs-actual', 'budget-chart', 'budget-vs-actual', analysis.months);
+        }
+        
+        // Month-to-date pace
+        const paceEl = document.getElementById('budget-pace');
+        if (paceEl) {
+            const pace = analysis.pace;
+            paceEl.classList.toggle('hidden', !pace);
+            if (pace) {
+                const bar = document.getElementById('budget-pace-bar');
+                const marker = document.getElementById('budget-pace-marker');
+                const label = document.getElementById('budget-pace-label');
+                const status = document.getElementById('budget-pace-status');
+                const spentPct = Math.min(100, (pace.spent / pace.budget) * 100);
+                const expectedPct = Math.min(100, (pace.daysElapsed / pace.daysInMonth) * 100);
+                const statusInfo = {
+                    'on-track': { text: 'On track', className: 'pill-success' },
+                    'at-risk': { text: `Projected ${formatMoney(pace.projected)}`, className: 'pill-warning' },
+                    'over': { text: `Over by ${formatMoney(-pace.remaining)}`, className: 'pill-danger' }
+                }[pace.status];
+                
+                if (bar) {
+                    bar.style.width = `${spentPct.toFixed(1)}%`;
+                    bar.className = `budget-pace-bar ${pace.status}`;
+                }
+                if (marker) marker.style.left = `${expectedPct.toFixed(1)}%`;
+                if (label) {
+                    label.textContent = `${formatMonth(pace.month)}: ${formatMoney(pace.spent)} of ${formatMoney(pace.budget)} ` +
+                        `(day ${pace.daysElapsed} of ${pace.daysInMonth}, ${formatMoney(pace.expectedToDate)} expected by today)`;
+                }
+                if (status) {
+                    status.textContent = statusInfo.text;
+                    status.className = `pill ${statusInfo.className}`;
+                }
+            }
+        }
+        
+        // Overshoot list
+        const overshootBody = document.getElementById('budget-overshoot-body');
+        if (overshootBody) {
+            if (budgets.monthly === null && Object.keys(budgets.categories).length === 0) {
+                overshootBody.innerHTML = '<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No budgets set</td></tr>';
+            } else if (analysis.overshoots.length === 0) {
+                overshootBody.innerHTML = '<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No months over budget 🎉</td></tr>';
+            } else {
+                overshootBody.innerHTML = analysis.overshoots.map(o => `
+                    <tr>
+                        <td>${formatMonth(o.month)}</td>
+                        <td>${escapeHtml(o.label)}</td>
+                        <td class="num">${formatMoney(o.actual)}</td>
+                        <td class="num">${formatMoney(o.budget)}</td>
+                        <td class="num" style="color: #dc2626;">${formatMoney(o.overBy)}</td>
+                    </tr>
+                `).join('');
+            }
+        }
+    }
+    
+    /**
+     * Render the Payments tab: payment mix, monthly trend per method and method table
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderPaymentsTab(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        const vizManager = App.modules.visualizationManager;
+        if (!statsCalc) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const payments = statsCalc.getPaymentMethodStats(receipts);
+        const kindPill = {
+            'credit': 'pill-purple',
+            'debit': 'pill-muted',
+            'gift-card': 'pill-warning',
+            'reward': 'pill-success',
+            'cash': 'pill-muted',
+            'other': 'pill-muted'
+        };
+        
+        const totalLabel = document.getElementById('payment-total-label');
+        if (totalLabel) totalLabel.textContent = `${formatMoney(payments.total)} paid`;
+        
+        // Credit vs. shop cards vs. reward certificates
+        const kindStats = document.getElementById('payment-kind-stats');
+        if (kindStats) {
+            kindStats.innerHTML = payments.kinds.length === 0
+                ? '<p style="color: var(--color-text-tertiary);">No payment lines on these receipts</p>'
+                : payments.kinds.map(k => `
+                    <div class="mini-stat">
+                        <div class="mini-stat-label">${k.label}</div>
+                        <div class="mini-stat-value">${formatMoney(k.amount)}</div>
+                        <div class="mini-stat-label">${k.share.toFixed(1)}% of paid</div>
+                    </div>
+                `).join('');
+        }
+        
+        const unrecordedNote = document.getElementById('payment-unrecorded-note');
+        if (unrecordedNote) {
+            unrecordedNote.classList.toggle('hidden', payments.unrecorded.receipts === 0);
+            unrecordedNote.textContent = `${payments.unrecorded.receipts} receipt${payments.unrecorded.receipts === 1 ? '' : 's'} ` +
+                `(${formatMoney(payments.unrecorded.amount)}) have no payment lines - usually online orders - and are not included above.`;
+        }
+        
+        // Monthly trend for the top methods (too many lines become unreadable)
+        if (vizManager) {
+            const topMethods = payments.methods.slice(0, 6);
+            vizManager.createChart('payment-trend', 'payment-trend-chart', 'payment-trend', {
+                months: payments.monthly.map(m => m.month),
+                series: topMethods.map(m => ({
+                    key: m.key,
+                    label: m.label,
+                    values: Object.fromEntries(payments.monthly.map(row => [row.month, row.values[m.key] || 0]))
+                }))
+            });
+        }
+        
+        const body = document.getElementById('payment-methods-body');
+        if (body) {
+            const activeKey = App.modules.filterManager?.getActiveFilters().paymentMethod || null;
+            body.innerHTML = payments.methods.length === 0
+                ? '<tr><td colspan="7" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No payment data available</td></tr>'
+                : payments.methods.map(m => `
+                    <tr>
+                        <td>${escapeHtml(m.label)}</td>
+                        <td><span class="pill ${kindPill[m.kind] || 'pill-muted'}">${TENDER_KIND_LABELS[m.kind] || m.kind}</span></td>
+                        <td class="num">${m.receipts}</td>
+                        <td class="num">${formatMoney(m.amount)}</td>
+                        <td class="num">${m.share.toFixed(1)}%</td>
+                        <td class="num">${m.lastUsed ? m.lastUsed.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '—'}</td>
+                        <td>${m.key === activeKey
+                            ? '<span class="pill pill-muted">Filtered</span>'
+                            : `<button type="button" class="btn btn-secondary btn-sm" data-payment-key="${escapeHtml(m.key)}" aria-label="Show only receipts paid with ${escapeHtml(m.label)}">Filter</button>`}</td>
+                    </tr>
+                `).join('');
+        }
+    }
+    
+    /**
+     * Bind Receipts tab search, sorting, paging and row clicks
+     */
+    function bindReceiptBrowser() {
+        const search = document.getElementById('receipts-search');
+        const table = document.getElementById('receipts-table');
+        const body = document.getElementById('receipts-table-body');
+        const prevBtn = document.getElementById('receipts-prev');
+        const nextBtn = document.getElementById('receipts-next');
+        const rerender = () => renderReceiptsTab(App.modules.filterManager?.getFilteredReceipts() || []);
+        
+        if (search) {
+            search.addEventListener('input', debounce(() => {
+                receiptBrowser.search = search.value.trim().toLowerCase();
+                receiptBrowser.page = 0;
+                rerender();
+            }, 200));
+        }
+        
+        if (table) {
+            table.querySelector('thead').addEventListener('click', (e) => {
+                const sortBtn = e.target.closest('[data-sort]');
+                if (!sortBtn) return;
+                const key = sortBtn.dataset.sort;
+                if (receiptBrowser.sortKey === key) {
+                    receiptBrowser.sortDir = receiptBrowser.sortDir === 'asc' ? 'desc' : 'asc';
+                } else {
+                    receiptBrowser.sortKey = key;
+                    // Text columns read best A-Z, numbers largest first
+                    receiptBrowser.sortDir = key === 'warehouse' || key === 'type' ? 'asc' : 'desc';
+                }
+                receiptBrowser.page = 0;
+                rerender();
+            });
+        }
+        
+        if (body) {
+            const openRow = (row) => {
+                const receipt = App.modules.dataStore?.getReceiptById(row.dataset.receiptId);
+                if (receipt && App.modules.visualizationManager) {
+                    App.modules.visualizationManager.showReceiptDrillDown(receipt);
+                }
+            };
+            body.addEventListener('click', (e) => {
+                const row = e.target.closest('tr[data-receipt-id]');
+                if (row) openRow(row);
+            });
+            body.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                const row = e.target.closest('tr[data-receipt-id]');
+                if (!row) return;
+                e.preventDefault();
+                openRow(row);
+            });
+        }
+        
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => {
+                receiptBrowser.page = Math.max(0, receiptBrowser.page - 1);
+                rerender();
+            });
+        }
+        
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                receiptBrowser.page += 1;
+                rerender();
+            });
+        }
+    }
+    
+    /**
+     * Render the Receipts tab list
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderReceiptsTab(receipts) {
+        const body = document.getElementById('receipts-table-body');
+        if (!body) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const getType = (r) => {
+            if (isRefundReceipt(r)) return 'Refund';
+            if (r.warehouseName === 'Online' || r.channel === 'online') return 'Online';
+            if (r.receiptType === 'Gas Station' || r.documentType === 'FuelReceipts') return 'Gas';
+            return 'Warehouse';
+        };
+        const getItemCount = (r) => (r.itemArray || []).filter(item => !item.isDiscount).length;
+        const getChange = (r) => {
+            if (ReceiptOverrides.isCreated(r)) return ' <span class="pill pill-muted">Added</span>';
+            if (ReceiptOverrides.isEdited(r)) return ' <span class="pill pill-muted">Edited</span>';
+            return '';
+        };
+        
+        // Local search across item names/numbers, warehouse and receipt id
+        const query = receiptBrowser.search;
+        const matches = query
+            ? receipts.filter(r => {
+                if (getWarehouseLabel(r).toLowerCase().includes(query)) return true;
+                if (String(r.id).toLowerCase().includes(query)) return true;
+                return (r.itemArray || []).some(item =>
+                    String(item.itemNumber || '').includes(query) ||
+                    String(item.normalizedName || '').toLowerCase().includes(query)
+                );
+            })
+            : receipts.slice();
+        
+        const sortValue = {
+            date: (r) => r.transactionDateTime ? r.transactionDateTime.getTime() : 0,
+            warehouse: (r) => getWarehouseLabel(r).toLowerCase(),
+            type: (r) => getType(r),
+            items: getItemCount,
+            subtotal: (r) => r.subTotal || 0,
+            tax: (r) => r.taxes || 0,
+            total: (r) => r.total || 0,
+            savings: (r) => r.instantSavings || 0
+        }[receiptBrowser.sortKey];
+        const direction = receiptBrowser.sortDir === 'asc' ? 1 : -1;
+        matches.sort((a, b) => {
+            const va = sortValue(a);
+            const vb = sortValue(b);
+            if (va < vb) return -direction;
+            if (va > vb) return direction;
+            return 0;
+        });
+        
+        // Paging
+        const pageCount = Math.max(1, Math.ceil(matches.length / receiptBrowser.pageSize));
+        receiptBrowser.page = Math.min(receiptBrowser.page, pageCount - 1);
+        const start = receiptBrowser.page * receiptBrowser.pageSize;
+        const pageRows = matches.slice(start, start + receiptBrowser.pageSize);
+        
+        if (pageRows.length === 0) {
+            body.innerHTML = `<tr><td colspan="8" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${query ? 'No receipts match your search' : 'No receipts in the current filter'}</td></tr>`;
+        } else {
+            body.innerHTML = pageRows.map(r => {
+                const type = getType(r);
+                const pillClass = { Refund: 'pill-danger', Online: 'pill-purple', Gas: 'pill-warning', Warehouse: 'pill-muted' }[type];
+                const date = r.transactionDateTime
+                    ? r.transactionDateTime.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                    : '—';
+                return `
+                    <tr class="receipt-row" tabindex="0" data-receipt-id="${escapeHtml(r.id)}" aria-label="Receipt from ${date}, ${escapeHtml(getWarehouseLabel(r))}, ${formatMoney(r.total)}">
+                        <td>${date}</td>
+                        <td>${escapeHtml(getWarehouseLabel(r))}</td>
+                        <td><span class="pill ${pillClass}">${type}</span>${getChange(r)}</td>
+                        <td class="num">${getItemCount(r)}</td>
+                        <td class="num">${formatMoney(r.subTotal)}</td>
+                        <td class="num">${formatMoney(r.taxes)}</td>
+                        <td class="num">${formatMoney(r.total)}</td>
+                        <td class="num">${r.instantSavings > 0 ? formatMoney(r.instantSavings) : '—'}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+        
+        // Sort indicators
+        document.querySelectorAll('#receipts-table [data-sort]').forEach(btn => {
+            const th = btn.closest('th');
+            if (!th) return;
+            const active = btn.dataset.sort === receiptBrowser.sortKey;
+            th.setAttribute('aria-sort', active ? (receiptBrowser.sortDir === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+        
+        const summary = document.getElementById('receipts-summary');
+        if (summary) {
+            const total = matches.reduce((sum, r) => sum + (r.total || 0), 0);
+            summary.textContent = `${matches.length.toLocaleString()} receipt${matches.length === 1 ? '' : 's'}` +
+                `${query ? ` matching "${receiptBrowser.search}"` : ''} · ${formatMoney(total)} total. Click a row for the full receipt.`;
+        }
+        
+        // Receipts deleted by the user stay hidden on reload
+        const deletedNote = document.getElementById('receipts-deleted-note');
+        const deletedText = document.getElementById('receipts-deleted-text');
+        const deletedCount = ReceiptOverrides.getDeletedCount();
+        if (deletedNote && deletedText) {
+            deletedText.textContent = `${deletedCount.toLocaleString()} deleted receipt${deletedCount === 1 ? ' is' : 's are'} hidden.`;
+            deletedNote.classList.toggle('hidden', deletedCount === 0);
+        }
+        
+        const pageInfo = document.getElementById('receipts-page-info');
+        if (pageInfo) pageInfo.textContent = `Page ${receiptBrowser.page + 1} of ${pageCount}`;
+        const prevBtn = document.getElementById('receipts-prev');
+        const nextBtn = document.getElementById('receipts-next');
+        if (prevBtn) prevBtn.disabled = receiptBrowser.page === 0;
+        if (nextBtn) nextBtn.disabled = receiptBrowser.page >= pageCount - 1;
+    }
+    
     /**
      * Render charts for Items & Prices tab
      */
@@ -1542,9 +2839,171 @@ const UIController = (() => {
         // Frequent items table
         updateFrequentItemsTable(receipts);
         
+        // Repurchase predictions and shopping list
+        renderRunningLow(receipts);
+        
         // Price tracking tables (reuse existing function)
         updatePriceTracking(receipts);
         
+        renderPriceEvolution(receipts);
+        
+        renderShrinkflation(receipts);
+        
+        renderProductMatching();
+    }
+    
+    /**
+     * Render shrinkflation and replaced item number tables
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderShrinkflation(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        if (!statsCalc) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const formatPercent = (val) => `${val > 0 ? '+' : ''}${val.toFixed(1)}%`;
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        const itemCell = (snapshot) => `${escapeHtml(snapshot.name)} <span style="color: var(--color-text-tertiary);">#${escapeHtml(snapshot.itemNumber)}</span>`;
+        const priceCell = (event) => `
+            ${formatMoney(event.before.price)} → ${formatMoney(event.after.price)}
+            <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">${event.priceHeld ? 'Price held' : formatPercent(event.priceChange)}</div>`;
+        const unitCell = (event) => event.unit
+            ? `${formatUnitPrice(event.before.unitPrice, event.unit)} → ${formatUnitPrice(event.after.unitPrice, event.unit)}
+            <div style="font-size: 0.7rem; color: ${event.unitPriceChange > 0 ? 'var(--color-error)' : 'var(--color-success)'};">${formatPercent(event.unitPriceChange)}</div>`
+            : '—';
+        
+        const { shrinks, replacements, events } = statsCalc.getShrinkflationEvents(receipts);
+        
+        const countPill = document.getElementById('shrinkflation-count');
+        if (countPill) {
+            countPill.textContent = `${events.length} event${events.length === 1 ? '' : 's'}`;
+        }
+        
+        const shrinkBody = document.getElementById('shrinkflation-body');
+        if (shrinkBody) {
+            shrinkBody.innerHTML = shrinks.length === 0
+                ? emptyRow(5, 'No pack size reductions found')
+                : shrinks.map(event => `
+                    <tr>
+                        <td>${formatDate(event.date)}</td>
+                        <td>
+                            ${itemCell(event.after)}
+                            ${event.type === 'replaced' ? `<div style="font-size: 0.7rem; color: var(--color-text-tertiary);">Replaced #${escapeHtml(event.before.itemNumber)}</div>` : ''}
+                        </td>
+                        <td class="num">
+                            ${escapeHtml(event.before.pack)} → ${escapeHtml(event.after.pack)}
+                            <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">${formatPercent(event.packChange)}</div>
+                        </td>
+                        <td class="num">${priceCell(event)}</td>
+                        <td class="num">${unitCell(event)}</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const replacedBody = document.getElementById('replaced-items-body');
+        if (replacedBody) {
+            replacedBody.innerHTML = replacements.length === 0
+                ? emptyRow(5, 'No replaced item numbers found')
+                : replacements.map(event => `
+                    <tr>
+                        <td>${formatDate(event.date)}</td>
+                        <td>
+                            ${itemCell(event.before)}
+                            <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">Last bought ${formatDate(event.before.date)}</div>
+                        </td>
+                        <td>
+                            ${itemCell(event.after)}
+                            ${event.shrunk ? '<span class="pill pill-warning">Smaller pack</span>' : ''}
+                        </td>
+                        <td class="num">${priceCell(event)}</td>
+                        <td class="num">${unitCell(event)}</td>
+                    </tr>
+                `).join('');
+        }
+    }
+    
+    /**
+     * Render repurchase predictions and the shopping list summary
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderRunningLow(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        if (!statsCalc) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const statusPills = {
+            overdue: { text: 'Overdue', className: 'pill-danger' },
+            due: { text: 'Due now', className: 'pill-warning' },
+            soon: { text: 'This week', className: 'pill-purple' },
+            later: { text: 'Later', className: 'pill-muted' }
+        };
+        const confidencePills = {
+            high: 'pill-success',
+            medium: 'pill-warning',
+            low: 'pill-muted'
+        };
+        
+        const asOf = new Date();
+        const predictions = statsCalc.getRepurchasePredictions(receipts, { asOf })
+            .filter(p => p.status !== 'lapsed');
+        shoppingList = statsCalc.getShoppingList(receipts, { asOf });
+        
+        const countStatus = (status) => predictions.filter(p => p.status === status).length;
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        setText('running-low-overdue', countStatus('overdue'));
+        setText('running-low-due', countStatus('due'));
+        setText('running-low-soon', countStatus('soon'));
+        setText('running-low-total', formatMoney(shoppingList.estimatedTotal));
+        
+        ['shopping-list-print', 'shopping-list-export'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = shoppingList.items.length === 0;
+        });
+        
+        const body = document.getElementById('running-low-body');
+        if (!body) return;
+        
+        if (predictions.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No items bought on 3 or more trips recently</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = predictions.slice(0, 25).map(p => {
+            const status = statusPills[p.status];
+            return `
+                <tr>
+                    <td>${escapeHtml(p.name)} <span style="color: var(--color-text-tertiary);">#${escapeHtml(p.itemNumber)}</span></td>
+                    <td class="num">
+                        ${formatDate(p.lastDate)}
+                        <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">qty ${p.lastQuantity}</div>
+                    </td>
+                    <td class="num">~${p.avgDays} days</td>
+                    <td class="num">
+                        ${formatDate(p.expectedDate)}
+                        <div style="font-size: 0.7rem; color: var(--color-text-tertiary);">${formatShortDate(p.earliestDate)} – ${formatShortDate(p.latestDate)}</div>
+                    </td>
+                    <td><span class="pill ${confidencePills[p.confidence]}">${p.confidence}</span></td>
+                    <td><span class="pill ${status.className}">${status.text}</span></td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Render the price evolution chart for the most frequently purchased items
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderPriceEvolution(receipts) {
+        const vizManager = App.modules.visualizationManager;
+        const statsCalc = App.modules.statsCalculator;
+        if (!vizManager || !statsCalc) return;
+        
         // Price evolution chart - show top 10 most frequent items (excluding gas)
         // Filter out gas receipts before getting items
         const nonGasReceipts = receipts.filter(r => {
@@ -1564,7 +3023,10 @@ const UIController = (() => {
         const itemsWithHistory = frequentItems
             .filter(item => item.priceHistory && item.priceHistory.length >= 2);
         
-        vizManager.createChart('price-evolution', 'price-evolution-chart', 'price-evolution', itemsWithHistory);
+        const perUnitToggle = document.getElementById('price-evolution-per-unit');
+        vizManager.createChart('price-evolution', 'price-evolution-chart', 'price-evolution', itemsWithHistory, {
+            perUnit: perUnitToggle ? perUnitToggle.checked : false
+        });
     }
     
     /**
@@ -1577,15 +3039,20 @@ const UIController = (() => {
         // Category breakdown chart
         vizManager.createChart('category-breakdown', 'category-chart', 'category-breakdown', receipts);
         
+        // Growth per category (comparison mode only)
+        renderCategoryGrowth(receipts);
+        
+        // Rule list with match counts
+        renderCategoryRules();
+        
         // Tax by department table (reuse existing calculation)
         const taxByDept = calculateTaxByDepartment(receipts);
         const taxBody = document.getElementById('tax-by-dept-body');
         if (taxBody && taxByDept.length > 0) {
-            const statsCalc = App.modules.statsCalculator;
             const sorted = [...taxByDept].sort((a, b) => b.totalTax - a.totalTax);
             const totalTax = sorted.reduce((sum, item) => sum + (item.totalTax || 0), 0);
             taxBody.innerHTML = sorted.slice(0, 10).map(item => {
-                const deptName = statsCalc?.getDepartmentName ? statsCalc.getDepartmentName(item.department) : `Dept ${item.department}`;
+                const deptName = escapeHtml(item.name);
                 const share = totalTax > 0 ? (item.totalTax / totalTax * 100) : 0;
                 return `
                 <tr>
@@ -1601,11 +3068,1453 @@ const UIController = (() => {
     }
     
     /**
-     * Render charts for Trips & Warehouses tab
+     * Render net spend per category against the comparison period
+     * @param {Array} receipts - Filtered receipts
      */
-    function renderTripsCharts(receipts) {
-        const vizManager = App.modules.visualizationManager;
-        const statsCalc = App.modules.statsCalculator;
+    function renderCategoryGrowth(receipts) {
+        const card = document.getElementById('category-growth-card');
+        const body = document.getElementById('category-growth-body');
+        if (!card || !body) return;
+        
+        card.classList.toggle('hidden', !comparisonPeriod);
+        if (!comparisonPeriod) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const subtitle = document.getElementById('category-growth-subtitle');
+        if (subtitle) subtitle.textContent = `Net spend per category vs ${comparisonPeriod.label}`;
+        
+        const rows = App.modules.statsCalculator.getCategoryGrowth(receipts, comparisonPeriod.receipts);
+        if (rows.length === 0) {
+            body.innerHTML = '<tr><td colspan="4" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No category spending in either period</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = rows.map(row => {
+            const change = formatComparisonChange(row.current, row.previous);
+            const color = change.direction === 'down' ? 'var(--color-success)' : (change.direction === 'none' ? 'var(--color-text-tertiary)' : 'var(--color-error)');
+            return `
+                <tr>
+                    <td>${escapeHtml(row.name)}</td>
+                    <td class="num">${formatMoney(row.current)}</td>
+                    <td class="num">${formatMoney(row.previous)}</td>
+                    <td class="num" style="color: ${color};">
+                        ${row.change >= 0 ? '+' : '−'}${formatMoney(Math.abs(row.change))}
+                        <div style="font-size: 0.7rem;">${change.text}</div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Bind the category rule editor (Categories tab)
+     */
+    function bindCategoryRules() {
+        const form = document.getElementById('category-rule-form');
+        const nameInput = document.getElementById('category-rule-name');
+        const typeSelect = document.getElementById('category-rule-type');
+        const valuesInput = document.getElementById('category-rule-values');
+        const errorEl = document.getElementById('category-rule-error');
+        const body = document.getElementById('category-rules-body');
+        const placeholders = {
+            items: 'e.g. 1234567, 7654321',
+            name: 'e.g. coffee|espresso',
+            departments: 'e.g. 13, 14'
+        };
+        
+        const showRuleError = (message) => {
+            if (!errorEl) return;
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
+        };
+        
+        if (typeSelect && valuesInput) {
+            typeSelect.addEventListener('change', () => {
+                valuesInput.placeholder = placeholders[typeSelect.value] || '';
+            });
+        }
+        
+        if (form && nameInput && typeSelect && valuesInput) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const rule = CategoryManager.addRule({
+                    category: nameInput.value,
+                    type: typeSelect.value,
+                    values: valuesInput.value
+                });
+                if (!rule) {
+                    showRuleError(typeSelect.value === 'name'
+                        ? 'That pattern is not a valid regular expression.'
+                        : 'Enter one or more numbers separated by commas.');
+                    valuesInput.focus();
+                    return;
+                }
+                showRuleError('');
+                valuesInput.value = '';
+                announceToScreenReader(`Rule added for ${rule.category}`);
+            });
+        }
+        
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-rule-action]');
+                if (!btn) return;
+                const id = btn.dataset.ruleId;
+                switch (btn.dataset.ruleAction) {
+                    case 'up':
+                        CategoryManager.moveRule(id, -1);
+                        break;
+                    case 'down':
+                        CategoryManager.moveRule(id, 1);
+                        break;
+                    case 'remove':
+                        CategoryManager.removeRule(id);
+                        break;
+                }
+            });
+        }
+        
+        // Every chart keyed by category needs to pick up the new taxonomy
+        EventBus.on('categories:changed', () => {
+            renderCategoryRules();
+            if (App.modules.dataStore && App.modules.dataStore.getReceiptCount() > 0) {
+                renderedTabs.clear();
+                updateDashboard();
+            }
+        });
+        
+        renderCategoryRules();
+    }
+    
+    /**
+     * Render the category rule list with how many line items each rule claims
+     */
+    function renderCategoryRules() {
+        const body = document.getElementById('category-rules-body');
+        const datalist = document.getElementById('category-rule-names');
+        const rules = CategoryManager.getRules();
+        
+        if (datalist) {
+            datalist.innerHTML = Array.from(new Set(rules.map(rule => rule.category)))
+                .map(name => `<option value="${escapeHtml(name)}"></option>`)
+                .join('');
+        }
+        
+        if (!body) return;
+        
+        if (rules.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No rules yet - every item uses its Costco department</td></tr>';
+            return;
+        }
+        
+        // Count matches with precedence applied (an item only counts for the rule that won)
+        const counts = {};
+        const receipts = App.modules.dataStore ? App.modules.dataStore.getReceipts() : [];
+        receipts.forEach(receipt => {
+            (receipt.itemArray || []).forEach(item => {
+                if (item.isDiscount) return;
+                const category = CategoryManager.categorizeItem(item);
+                if (category.ruleId) counts[category.ruleId] = (counts[category.ruleId] || 0) + 1;
+            });
+        });
+        
+        const typeLabels = { items: 'Item #', name: 'Name matches', departments: 'Dept #' };
+        body.innerHTML = rules.map((rule, index) => {
+            const values = Array.isArray(rule.values) ? rule.values.join(', ') : `/${rule.values}/i`;
+            return `
+                <tr>
+                    <td class="num">${index + 1}</td>
+                    <td>${escapeHtml(rule.category)}</td>
+                    <td><span class="pill pill-muted">${typeLabels[rule.type]}</span> ${escapeHtml(values)}</td>
+                    <td class="num">${(counts[rule.id] || 0).toLocaleString()}</td>
+                    <td>
+                        <div class="category-rule-actions">
+                            <button type="button" class="btn btn-secondary btn-sm" data-rule-action="up" data-rule-id="${escapeHtml(rule.id)}" aria-label="Move rule ${index + 1} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                            <button type="button" class="btn btn-secondary btn-sm" data-rule-action="down" data-rule-id="${escapeHtml(rule.id)}" aria-label="Move rule ${index + 1} down" ${index === rules.length - 1 ? 'disabled' : ''}>↓</button>
+                            <button type="button" class="btn btn-secondary btn-sm" data-rule-action="remove" data-rule-id="${escapeHtml(rule.id)}" aria-label="Remove rule ${index + 1}">&times;</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Bind the product merge/split editor (Items tab)
+     */
+    function bindProductMatching() {
+        const form = document.getElementById('product-merge-form');
+        const itemsInput = document.getElementById('product-merge-items');
+        const nameInput = document.getElementById('product-merge-name');
+        const errorEl = document.getElementById('product-merge-error');
+        const autoMatchToggle = document.getElementById('product-auto-match');
+        const resetBtn = document.getElementById('product-reset-btn');
+        const body = document.getElementById('products-body');
+        
+        const showMergeError = (message) => {
+            if (!errorEl) return;
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
+        };
+        
+        if (autoMatchToggle) {
+            autoMatchToggle.checked = ProductIdentity.isAutoMatchEnabled();
+            autoMatchToggle.addEventListener('change', () => {
+                ProductIdentity.setAutoMatch(autoMatchToggle.checked);
+            });
+        }
+        
+        if (form && itemsInput) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const product = ProductIdentity.mergeItems(
+                    itemsInput.value.split(/[\s,;]+/),
+                    nameInput ? nameInput.value : ''
+                );
+                if (!product) {
+                    showMergeError('Enter at least two different item numbers separated by commas.');
+                    itemsInput.focus();
+                    return;
+                }
+                showMergeError('');
+                itemsInput.value = '';
+                if (nameInput) nameInput.value = '';
+                announceToScreenReader(`Merged ${product.itemNumbers.length} item numbers`);
+            });
+        }
+        
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (window.confirm('Forget all product merges and splits?')) {
+                    ProductIdentity.resetOverrides();
+                }
+            });
+        }
+        
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-split-item]');
+                if (!btn) return;
+                ProductIdentity.splitItem(btn.dataset.splitItem);
+                announceToScreenReader(`Item ${btn.dataset.splitItem} split into its own product`);
+            });
+        }
+        
+        // Every item-level statistic is keyed by product
+        EventBus.on('products:changed', () => {
+            renderProductMatching();
+            if (App.modules.dataStore && App.modules.dataStore.getReceiptCount() > 0) {
+                renderedTabs.clear();
+                updateDashboard();
+            }
+        });
+    }
+    
+    /**
+     * Render products made of more than one item number
+     */
+    function renderProductMatching() {
+        const body = document.getElementById('products-body');
+        const autoMatchToggle = document.getElementById('product-auto-match');
+        if (autoMatchToggle) {
+            autoMatchToggle.checked = ProductIdentity.isAutoMatchEnabled();
+        }
+        if (!body) return;
+        
+        const products = ProductIdentity.getProducts();
+        if (products.length === 0) {
+            body.innerHTML = '<tr><td colspan="4" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">Every item number is its own product</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = products.map(product => `
+            <tr>
+                <td>${escapeHtml(product.name)}</td>
+                <td>
+                    ${product.members.map(member => `
+                        <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.8rem;">
+                            <span>#${escapeHtml(member.itemNumber)}</span>
+                            <span style="color: var(--color-text-tertiary);">${escapeHtml(member.name || '')}</span>
+                            <button type="button" class="btn btn-secondary btn-sm" data-split-item="${escapeHtml(member.itemNumber)}" aria-label="Split item ${escapeHtml(member.itemNumber)} out of ${escapeHtml(product.name)}">Split</button>
+                        </div>
+                    `).join('')}
+                </td>
+                <td><span class="pill ${product.source === 'manual' ? 'pill-purple' : 'pill-muted'}">${product.source === 'manual' ? 'Manual' : 'Auto'}</span></td>
+                <td class="num">${product.members.reduce((sum, member) => sum + member.purchases, 0).toLocaleString()}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Bind the Household tab: member editor and receipt split tool
+     */
+    function bindHousehold() {
+        const form = document.getElementById('household-member-form');
+        const nameInput = document.getElementById('household-member-name');
+        const cardOptions = document.getElementById('household-member-cards');
+        const errorEl = document.getElementById('household-member-error');
+        const membersBody = document.getElementById('household-members-body');
+        const splitSelect = document.getElementById('split-receipt');
+        const splitBody = document.getElementById('split-lines-body');
+        const splitClear = document.getElementById('split-clear');
+        const splitPayer = document.getElementById('split-payer');
+        const getSplitReceipt = () => splitReceiptId ? App.modules.dataStore?.getReceiptById(splitReceiptId) : null;
+        
+        const showMemberError = (message) => {
+            if (!errorEl) return;
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
+        };
+        
+        if (form && nameInput && cardOptions) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const member = HouseholdManager.saveMember({
+                    name: nameInput.value,
+                    membershipNumbers: Array.from(cardOptions.querySelectorAll('[data-membership]:checked')).map(input => input.dataset.membership)
+                });
+                if (!member) {
+                    showMemberError('Enter a name for the household member.');
+                    nameInput.focus();
+                    return;
+                }
+                showMemberError('');
+                nameInput.value = '';
+                cardOptions.querySelectorAll('[data-membership]').forEach(input => { input.checked = false; });
+                announceToScreenReader(`Saved household member ${member.name}`);
+            });
+        }
+        
+        if (membersBody) {
+            membersBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-member-action]');
+                if (!btn) return;
+                const member = HouseholdManager.getMember(btn.dataset.memberId);
+                if (!member) return;
+                
+                if (btn.dataset.memberAction === 'edit' && nameInput && cardOptions) {
+                    // Load the member into the form; saving under the same name updates them
+                    nameInput.value = member.name;
+                    cardOptions.querySelectorAll('[data-membership]').forEach(input => {
+                        input.checked = member.membershipNumbers.includes(input.dataset.membership);
+                    });
+                    nameInput.focus();
+                } else if (btn.dataset.memberAction === 'remove' &&
+                    window.confirm(`Remove ${member.name}? Line items split to them go back to the card holder.`)) {
+                    HouseholdManager.removeMember(member.id);
+                    announceToScreenReader(`Removed household member ${member.name}`);
+                }
+            });
+        }
+        
+        if (splitSelect) {
+            splitSelect.addEventListener('change', () => {
+                splitReceiptId = splitSelect.value || null;
+                renderSplitTool(App.modules.filterManager?.getFilteredReceipts() || []);
+            });
+        }
+        
+        if (splitPayer) {
+            splitPayer.addEventListener('change', () => {
+                const receipt = getSplitReceipt();
+                if (receipt) HouseholdManager.setPayer(receipt, splitPayer.value);
+            });
+        }
+        
+        if (splitBody) {
+            splitBody.addEventListener('change', (e) => {
+                const receipt = getSplitReceipt();
+                if (!receipt) return;
+                
+                const select = e.target.closest('[data-split-line]');
+                if (select) {
+                    const lineIndex = Number(select.dataset.splitLine);
+                    if (select.value === SHARED_LINE) {
+                        // Start shared lines as equal shares for everyone
+                        HouseholdManager.setLineShares(receipt, lineIndex,
+                            Object.fromEntries(HouseholdManager.getMembers().map(member => [member.id, 1])));
+                    } else {
+                        HouseholdManager.setLineOwner(receipt, lineIndex, select.value);
+                    }
+                    return;
+                }
+                
+                const weightInput = e.target.closest('[data-share-line]');
+                if (weightInput) {
+                    const lineIndex = weightInput.dataset.shareLine;
+                    const weights = {};
+                    splitBody.querySelectorAll(`[data-share-line="${lineIndex}"]`).forEach(input => {
+                        weights[input.dataset.shareMember] = Number(input.value) || 0;
+                    });
+                    HouseholdManager.setLineShares(receipt, Number(lineIndex), weights);
+                }
+            });
+        }
+        
+        if (splitClear) {
+            splitClear.addEventListener('click', () => {
+                const receipt = getSplitReceipt();
+                if (!receipt) return;
+                HouseholdManager.clearSplit(receipt);
+                announceToScreenReader('Receipt split removed');
+            });
+        }
+        
+        // Settle Up: record payments, suggested transfers, ledger and CSV export
+        const paymentForm = document.getElementById('settlement-payment-form');
+        const paymentError = document.getElementById('settlement-error');
+        const showPaymentError = (message) => {
+            if (!paymentError) return;
+            paymentError.textContent = message || '';
+            paymentError.classList.toggle('hidden', !message);
+        };
+        const recordPayment = (payment) => {
+            const saved = HouseholdManager.addPayment(payment);
+            if (!saved) {
+                showPaymentError('Pick two different members, a date and an amount above zero.');
+                return null;
+            }
+            showPaymentError('');
+            announceToScreenReader(`Recorded ${HouseholdManager.getOwnerName(saved.from)} paying ${HouseholdManager.getOwnerName(saved.to)} $${saved.amount.toFixed(2)}`);
+            return saved;
+        };
+        
+        if (paymentForm) {
+            paymentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const amountInput = document.getElementById('settlement-amount');
+                const memoInput = document.getElementById('settlement-memo');
+                const saved = recordPayment({
+                    from: document.getElementById('settlement-from')?.value,
+                    to: document.getElementById('settlement-to')?.value,
+                    amount: amountInput ? amountInput.value : 0,
+                    date: document.getElementById('settlement-date')?.value,
+                    note: memoInput ? memoInput.value : ''
+                });
+                if (saved) {
+                    if (amountInput) amountInput.value = '';
+                    if (memoInput) memoInput.value = '';
+                }
+            });
+        }
+        
+        const transfersBody = document.getElementById('settlement-transfers-body');
+        if (transfersBody) {
+            transfersBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-settle-from]');
+                if (!btn) return;
+                const today = new Date();
+                recordPayment({
+                    from: btn.dataset.settleFrom,
+                    to: btn.dataset.settleTo,
+                    amount: btn.dataset.settleAmount,
+                    date: `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`,
+                    note: 'Settled up'
+                });
+            });
+        }
+        
+        const ledgerBody = document.getElementById('settlement-ledger-body');
+        if (ledgerBody) {
+            ledgerBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-remove-payment]');
+                if (btn && window.confirm('Delete this payment?')) {
+                    HouseholdManager.removePayment(btn.dataset.removePayment);
+                }
+            });
+        }
+        
+        const exportLedgerBtn = document.getElementById('settlement-export');
+        if (exportLedgerBtn) {
+            exportLedgerBtn.addEventListener('click', () => {
+                try {
+                    const ledger = App.modules.statsCalculator.getSettlementLedger(App.modules.dataStore.getReceipts());
+                    const result = App.modules.exportManager.exportSettlementLedger(ledger);
+                    announceToScreenReader(`Exported settlement ledger with ${result.entryCount} entries`);
+                } catch (error) {
+                    // Already reported by the export error boundary
+                }
+            });
+        }
+        
+        // Member names show up in the membership filter and every split changes the breakdown
+        EventBus.on('household:changed', () => {
+            populateMembershipFilter();
+            renderHouseholdMembers();
+            if (App.modules.dataStore && App.modules.dataStore.getReceiptCount() > 0) {
+                renderedTabs.clear();
+                updateDashboard();
+            }
+        });
+        
+        renderHouseholdMembers();
+    }
+    
+    /**
+     * Render the household member list and the membership cards the form can assign
+     */
+    function renderHouseholdMembers() {
+        const cardOptions = document.getElementById('household-member-cards');
+        const body = document.getElementById('household-members-body');
+        const members = HouseholdManager.getMembers();
+        
+        if (cardOptions) {
+            // Membership numbers seen in any loaded receipt, plus any already mapped
+            const numbers = new Set(members.flatMap(member => member.membershipNumbers));
+            (App.modules.dataStore ? App.modules.dataStore.getReceipts() : []).forEach(receipt => {
+                if (receipt.membershipNumber) numbers.add(String(receipt.membershipNumber));
+            });
+            const checked = new Set(Array.from(cardOptions.querySelectorAll('[data-membership]:checked')).map(input => input.dataset.membership));
+            cardOptions.innerHTML = numbers.size === 0
+                ? '<span class="stat-sublabel">No membership numbers on these receipts</span>'
+                : Array.from(numbers).sort().map(num => {
+                    const owner = HouseholdManager.getMemberForMembership(num);
+                    return `<label><input type="checkbox" data-membership="${escapeHtml(num)}" ${checked.has(num) ? 'checked' : ''}> ${escapeHtml(num)}${owner ? ` <span class="pill pill-muted">${escapeHtml(owner.name)}</span>` : ''}</label>`;
+                }).join('');
+        }
+        
+        if (!body) return;
+        
+        if (members.length === 0) {
+            body.innerHTML = '<tr><td colspan="3" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No household members yet - receipts are grouped by membership number only</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = members.map(member => `
+            <tr>
+                <td>${escapeHtml(member.name)}</td>
+                <td>${member.membershipNumbers.length > 0
+                    ? member.membershipNumbers.map(num => `<span class="pill pill-purple">${escapeHtml(num)}</span>`).join(' ')
+                    : '<span class="pill pill-muted">No card</span>'}</td>
+                <td>
+                    <div class="category-rule-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-member-action="edit" data-member-id="${escapeHtml(member.id)}" aria-label="Edit ${escapeHtml(member.name)}">Edit</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-member-action="remove" data-member-id="${escapeHtml(member.id)}" aria-label="Remove ${escapeHtml(member.name)}">&times;</button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Render the Household tab: per-member breakdown and the split tool
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderHouseholdTab(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        const body = document.getElementById('household-breakdown-body');
+        
+        renderHouseholdMembers();
+        
+        if (body && statsCalc) {
+            const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+            const rows = statsCalc.getMemberBreakdown(receipts);
+            
+            if (HouseholdManager.getMembers().length === 0) {
+                body.innerHTML = '<tr><td colspan="7" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">Add a household member to see spending by person</td></tr>';
+            } else {
+                body.innerHTML = rows.map(row => `
+                    <tr>
+                        <td>${row.id === HouseholdManager.UNASSIGNED
+                            ? '<span class="pill pill-muted">Unassigned</span>'
+                            : escapeHtml(row.name)}</td>
+                        <td class="num">${formatMoney(row.spent)}</td>
+                        <td class="num">${row.share.toFixed(1)}%</td>
+                        <td class="num">${(Math.round(row.items * 10) / 10).toLocaleString()}</td>
+                        <td class="num">${row.trips.toLocaleString()}</td>
+                        <td class="num">${row.receipts.toLocaleString()}</td>
+                        <td class="num">${row.splitReceipts > 0 ? row.splitReceipts.toLocaleString() : '—'}</td>
+                    </tr>
+                `).join('');
+            }
+        }
+        
+        renderSplitTool(receipts);
+        renderSettlement();
+    }
+    
+    /**
+     * Render the Settle Up card from every loaded receipt
+     */
+    function renderSettlement() {
+        const statsCalc = App.modules.statsCalculator;
+        const dataStore = App.modules.dataStore;
+        if (!statsCalc || !dataStore) return;
+        
+        const formatMoney = (val) => `${val < 0 ? '-' : ''}$${Math.abs(Number(val || 0)).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        const ledger = statsCalc.getSettlementLedger(dataStore.getReceipts());
+        const names = Object.fromEntries(ledger.members.map(member => [member.id, member.name]));
+        
+        const balancesEl = document.getElementById('settlement-balances');
+        if (balancesEl) {
+            balancesEl.innerHTML = ledger.members.map(member => {
+                const balance = ledger.balances[member.id] || 0;
+                const status = balance > 0 ? 'is owed' : balance < 0 ? 'owes' : 'is settled';
+                return `
+                    <div class="mini-stat">
+                        <div class="mini-stat-label">${escapeHtml(member.name)} ${status}</div>
+                        <div class="mini-stat-value">${formatMoney(Math.abs(balance))}</div>
+                    </div>
+                `;
+            }).join('');
+        }
+        
+        const note = document.getElementById('settlement-note');
+        if (note) {
+            note.textContent = ledger.needsPayer > 0
+                ? `${ledger.needsPayer} split receipt${ledger.needsPayer === 1 ? ' is' : 's are'} on a card no member has; pick "Paid by" in Split a Receipt to include ${ledger.needsPayer === 1 ? 'it' : 'them'}.`
+                : '';
+            note.classList.toggle('hidden', ledger.needsPayer === 0);
+        }
+        
+        const transfersBody = document.getElementById('settlement-transfers-body');
+        if (transfersBody) {
+            transfersBody.innerHTML = ledger.transfers.length === 0
+                ? emptyRow(4, ledger.entries.length > 0 ? 'Everyone is settled up' : 'Split a receipt between members to start the ledger')
+                : ledger.transfers.map(transfer => `
+                    <tr>
+                        <td>${escapeHtml(names[transfer.from])}</td>
+                        <td>${escapeHtml(names[transfer.to])}</td>
+                        <td class="num">${formatMoney(transfer.amount)}</td>
+                        <td><button type="button" class="btn btn-secondary btn-sm" data-settle-from="${escapeHtml(transfer.from)}" data-settle-to="${escapeHtml(transfer.to)}" data-settle-amount="${transfer.amount}" aria-label="Record ${escapeHtml(names[transfer.from])} paying ${escapeHtml(names[transfer.to])} ${formatMoney(transfer.amount)}">Mark Paid</button></td>
+                    </tr>
+                `).join('');
+        }
+        
+        // Payment form member pickers (keep the current picks)
+        ['settlement-from', 'settlement-to'].forEach((id, position) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = ledger.members.map(member => `<option value="${escapeHtml(member.id)}">${escapeHtml(member.name)}</option>`).join('');
+            if (ledger.members.some(member => member.id === current)) {
+                select.value = current;
+            } else if (ledger.members[position]) {
+                select.value = ledger.members[position].id;
+            }
+        });
+        const dateInput = document.getElementById('settlement-date');
+        if (dateInput && !dateInput.value) {
+            const today = new Date();
+            dateInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        }
+        
+        const head = document.getElementById('settlement-ledger-head');
+        const body = document.getElementById('settlement-ledger-body');
+        if (head) {
+            head.innerHTML = `
+                <tr>
+                    <th>Date</th>
+                    <th>Entry</th>
+                    <th>Paid By</th>
+                    <th class="num">Amount</th>
+                    ${ledger.members.map(member => `<th class="num">${escapeHtml(member.name)}</th>`).join('')}
+                    <th><span class="sr-only">Actions</span></th>
+                </tr>
+            `;
+        }
+        if (body) {
+            const colspan = 5 + ledger.members.length;
+            // Newest first; balances are the running totals after each entry
+            body.innerHTML = ledger.entries.length === 0
+                ? emptyRow(colspan, 'No shared receipts or payments yet')
+                : ledger.entries.slice().reverse().map(entry => {
+                    const date = entry.date
+                        ? entry.date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                        : '—';
+                    const label = entry.type === 'payment'
+                        ? `<span class="pill pill-success">Payment</span> to ${escapeHtml(names[entry.toId])}${entry.description !== 'Payment' ? ` · ${escapeHtml(entry.description)}` : ''}`
+                        : `<span class="pill ${entry.type === 'refund' ? 'pill-danger' : 'pill-muted'}">${entry.type === 'refund' ? 'Refund' : 'Receipt'}</span> ${escapeHtml(entry.description)}`;
+                    return `
+                        <tr>
+                            <td>${date}</td>
+                            <td>${label}</td>
+                            <td>${escapeHtml(names[entry.payerId] || '')}</td>
+                            <td class="num">${formatMoney(entry.amount)}</td>
+                            ${ledger.members.map(member => {
+                                const balance = entry.balances[member.id] || 0;
+                                const className = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+                                return `<td class="num"><span class="stat-change ${className}">${formatMoney(balance)}</span></td>`;
+                            }).join('')}
+                            <td>${entry.type === 'payment'
+                                ? `<button type="button" class="btn btn-secondary btn-sm" data-remove-payment="${escapeHtml(entry.paymentId)}" aria-label="Delete payment">&times;</button>`
+                                : ''}</td>
+                        </tr>
+                    `;
+                }).join('');
+        }
+    }
+    
+    /**
+     * Render the "split this receipt" tool for the selected receipt
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderSplitTool(receipts) {
+        const select = document.getElementById('split-receipt');
+        const body = document.getElementById('split-lines-body');
+        const sharesEl = document.getElementById('split-shares');
+        const clearBtn = document.getElementById('split-clear');
+        const payerSelect = document.getElementById('split-payer');
+        if (!select || !body) return;
+        
+        const formatMoney = (val) => `${val < 0 ? '-' : ''}$${Math.abs(Number(val || 0)).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const members = HouseholdManager.getMembers();
+        const candidates = receipts
+            .filter(r => (r.itemArray || []).some(item => !item.isDiscount))
+            .sort((a, b) => (b.transactionDateTime || 0) - (a.transactionDateTime || 0));
+        
+        if (!candidates.some(r => r.id === splitReceiptId)) {
+            splitReceiptId = candidates.length > 0 ? candidates[0].id : null;
+        }
+        
+        select.innerHTML = candidates.length === 0
+            ? '<option value="">No receipts with line items</option>'
+            : candidates.map(r => {
+                const date = r.transactionDateTime
+                    ? r.transactionDateTime.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                    : 'Unknown date';
+                return `<option value="${escapeHtml(r.id)}">${date} · ${escapeHtml(getWarehouseLabel(r))} · ${formatMoney(r.total)}${HouseholdManager.isSplit(r) ? ' · split' : ''}</option>`;
+            }).join('');
+        select.value = splitReceiptId || '';
+        select.disabled = candidates.length === 0;
+        
+        const receipt = candidates.find(r => r.id === splitReceiptId);
+        if (clearBtn) clearBtn.disabled = !receipt || !HouseholdManager.isSplit(receipt);
+        
+        if (!receipt) {
+            body.innerHTML = '<tr><td colspan="3" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No receipts in the current filter</td></tr>';
+            if (sharesEl) sharesEl.innerHTML = '';
+            if (payerSelect) {
+                payerSelect.innerHTML = '';
+                payerSelect.disabled = true;
+            }
+            return;
+        }
+        
+        const items = receipt.itemArray || [];
+        const split = HouseholdManager.getSplit(receipt);
+        const payer = HouseholdManager.getPayer(receipt);
+        const ownerOptions = members.map(member => ({ id: member.id, name: member.name }));
+        if (payer === HouseholdManager.UNASSIGNED) {
+            ownerOptions.unshift({ id: HouseholdManager.UNASSIGNED, name: 'Unassigned (card holder)' });
+        }
+        
+        if (payerSelect) {
+            payerSelect.innerHTML = ownerOptions
+                .map(option => `<option value="${escapeHtml(option.id)}" ${option.id === payer ? 'selected' : ''}>${escapeHtml(option.name)}</option>`)
+                .join('');
+            payerSelect.disabled = members.length === 0;
+        }
+        
+        body.innerHTML = items.map((item, index) => {
+            if (item.isDiscount) return '';
+            const discounts = items.filter(d => d.isDiscount && d.discountAppliesTo === item.itemNumber);
+            const net = item.amount + discounts.reduce((sum, d) => sum + d.amount, 0);
+            const allocation = split[index] || payer;
+            const isShared = typeof allocation === 'object';
+            const weightInputs = isShared
+                ? `<div class="split-weights">${members.map(member => `
+                    <label>${escapeHtml(member.name)} <input type="number" class="filter-input" min="0" step="1" value="${allocation[member.id] || 0}" data-share-line="${index}" data-share-member="${escapeHtml(member.id)}" aria-label="${escapeHtml(member.name)}'s share of ${escapeHtml(item.normalizedName)}"></label>
+                `).join('')}</div>`
+                : '';
+            return `
+                <tr>
+                    <td>
+                        <div>${escapeHtml(item.normalizedName)}</div>
+                        <div style="font-size: 0.75rem; color: var(--color-text-tertiary);">#${escapeHtml(item.itemNumber)}${discounts.length > 0 ? ` · ${formatMoney(item.amount)} before savings` : ''}</div>
+                    </td>
+                    <td class="num">${formatMoney(net)}</td>
+                    <td>
+                        <select class="filter-select" data-split-line="${index}" aria-label="Who ${escapeHtml(item.normalizedName)} belongs to" ${members.length === 0 ? 'disabled' : ''}>
+                            ${ownerOptions.map(option => `<option value="${escapeHtml(option.id)}" ${option.id === allocation ? 'selected' : ''}>${escapeHtml(option.name)}</option>`).join('')}
+                            ${members.length > 1 ? `<option value="${SHARED_LINE}" ${isShared ? 'selected' : ''}>Shared…</option>` : ''}
+                        </select>
+                        ${weightInputs}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        if (sharesEl) {
+            sharesEl.innerHTML = members.length === 0
+                ? '<p class="table-footnote">Add household members above to split receipts between them.</p>'
+                : HouseholdManager.allocateReceipt(receipt).map(share => {
+                    // Shared lines give fractional item counts
+                    const itemCount = Math.round(share.items * 10) / 10;
+                    return `
+                        <div class="mini-stat">
+                            <div class="mini-stat-label">${escapeHtml(share.name)}${share.memberId === payer ? ' (paid)' : ''}</div>
+                            <div class="mini-stat-value">${formatMoney(share.total)}</div>
+                            <div class="mini-stat-label">${itemCount.toLocaleString()} item${itemCount === 1 ? '' : 's'} · ${formatMoney(share.tax)} tax</div>
+                        </div>
+                    `;
+                }).join('');
+        }
+    }
+    
+    /**
+     * Bind the full-page "Year in Review" report
+     */
+    function bindWrappedView() {
+        if (elements.wrappedBtn) {
+            elements.wrappedBtn.addEventListener('click', () => openWrapped());
+        }
+        
+        const yearSelect = document.getElementById('wrapped-year');
+        if (yearSelect) {
+            yearSelect.addEventListener('change', () => renderWrapped(Number(yearSelect.value)));
+        }
+        
+        const closeBtn = document.getElementById('wrapped-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeWrapped);
+        }
+        
+        const printBtn = document.getElementById('wrapped-print');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => window.print());
+        }
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && elements.wrappedView && !elements.wrappedView.classList.contains('hidden')) {
+                closeWrapped();
+            }
+        });
+    }
+    
+    /**
+     * Open the year in review, defaulting to the latest year with receipts
+     */
+    function openWrapped() {
+        const statsCalc = App.modules.statsCalculator;
+        const yearSelect = document.getElementById('wrapped-year');
+        if (!statsCalc || !elements.wrappedView || !yearSelect) return;
+        
+        const years = statsCalc.getAvailableYears(App.modules.dataStore.getReceipts());
+        if (years.length === 0) return;
+        
+        yearSelect.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+        elements.wrappedView.classList.remove('hidden');
+        document.body.classList.add('wrapped-open');
+        renderWrapped(years[0]);
+        
+        const closeBtn = document.getElementById('wrapped-close');
+        if (closeBtn) closeBtn.focus();
+    }
+    
+    /**
+     * Close the year in review and return focus to the header button
+     */
+    function closeWrapped() {
+        if (!elements.wrappedView || elements.wrappedView.classList.contains('hidden')) return;
+        elements.wrappedView.classList.add('hidden');
+        document.body.classList.remove('wrapped-open');
+        if (elements.wrappedBtn) elements.wrappedBtn.focus();
+    }
+    
+    /**
+     * Bind the receipt editor: paste receipt text, add a receipt by hand,
+     * or correct, revert and delete a loaded receipt
+     */
+    function bindReceiptEntry() {
+        [elements.pasteReceiptBtn, document.getElementById('paste-receipt-start-btn')].forEach(btn => {
+            if (btn) btn.addEventListener('click', () => openReceiptEntry(btn, 'paste'));
+        });
+        
+        const newBtn = document.getElementById('receipts-new');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => openReceiptEntry(newBtn, 'create'));
+        }
+        
+        // Edit/Delete from the receipt drilldown
+        EventBus.on('receipt:editRequested', ({ receiptKey }) => {
+            const receipt = App.modules.dataStore.getReceiptByKey(receiptKey);
+            if (receipt) openReceiptEntry(null, 'edit', receipt);
+        });
+        EventBus.on('receipt:deleteRequested', ({ receiptKey }) => {
+            const receipt = App.modules.dataStore.getReceiptByKey(receiptKey);
+            if (receipt) deleteReceipt(receipt);
+        });
+        
+        // Any edit changes stats, indexes and filter options
+        EventBus.on('datastore:receiptsChanged', () => {
+            if (elements.dashboardContent && !elements.dashboardContent.classList.contains('hidden')) {
+                refreshDashboard();
+            }
+        });
+        
+        const undeleteBtn = document.getElementById('receipts-undelete');
+        if (undeleteBtn) {
+            undeleteBtn.addEventListener('click', () => {
+                const count = ReceiptOverrides.clearDeleted();
+                if (count === 0) return;
+                showSuccess(`${count} deleted receipt${count === 1 ? '' : 's'} will come back the next time ${count === 1 ? 'its file is' : 'their files are'} loaded`);
+                renderReceiptsTab(App.modules.filterManager?.getFilteredReceipts() || []);
+            });
+        }
+        
+        const closeBtn = document.getElementById('receipt-entry-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => closeReceiptEntry());
+        }
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && elements.receiptEntryView && !elements.receiptEntryView.classList.contains('hidden')) {
+                closeReceiptEntry();
+            }
+        });
+        
+        const parseBtn = document.getElementById('receipt-entry-parse');
+        const textInput = document.getElementById('receipt-entry-text');
+        if (parseBtn && textInput) {
+            parseBtn.addEventListener('click', () => {
+                if (!textInput.value.trim()) {
+                    textInput.focus();
+                    return;
+                }
+                const { receipt, warnings } = App.modules.dataProcessor.parseReceiptText(textInput.value);
+                const dateTime = receipt.transactionDateTime || '';
+                receiptEntry = {
+                    mode: 'paste',
+                    receiptKey: null,
+                    receipt,
+                    warnings,
+                    date: receipt.transactionDate || '',
+                    time: dateTime.includes('T') ? dateTime.slice(11, 16) : '',
+                    lines: toEntryLines(receipt.itemArray)
+                };
+                renderReceiptEntry();
+                announceToScreenReader(`Read ${receiptEntry.lines.length} line${receiptEntry.lines.length === 1 ? '' : 's'} from the receipt text`);
+            });
+        }
+        
+        const linesBody = document.getElementById('receipt-entry-lines-body');
+        if (linesBody) {
+            linesBody.addEventListener('input', (e) => {
+                const input = e.target.closest('[data-line-field]');
+                if (!input || !receiptEntry) return;
+                const line = receiptEntry.lines[Number(input.dataset.lineIndex)];
+                if (!line) return;
+                const field = input.dataset.lineField;
+                line[field] = field === 'unit' || field === 'amount' ? Number(input.value) || 0 : input.value;
+                updateReceiptEntryChecks();
+            });
+            linesBody.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-remove-line]');
+                if (!btn || !receiptEntry) return;
+                receiptEntry.lines.splice(Number(btn.dataset.removeLine), 1);
+                renderReceiptEntryLines();
+                updateReceiptEntryChecks();
+            });
+        }
+        
+        const addLineBtn = document.getElementById('receipt-entry-add-line');
+        if (addLineBtn) {
+            addLineBtn.addEventListener('click', () => {
+                if (!receiptEntry) return;
+                receiptEntry.lines.push({ itemNumber: '', description: '', unit: 1, amount: 0, taxFlag: '', source: null });
+                renderReceiptEntryLines();
+                updateReceiptEntryChecks();
+                const inputs = document.querySelectorAll('#receipt-entry-lines-body [data-line-field="itemNumber"]');
+                if (inputs.length > 0) inputs[inputs.length - 1].focus();
+            });
+        }
+        
+        ['receipt-entry-subtotal', 'receipt-entry-tax', 'receipt-entry-total'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', () => updateReceiptEntryChecks());
+        });
+        
+        const revertBtn = document.getElementById('receipt-entry-revert');
+        if (revertBtn) {
+            revertBtn.addEventListener('click', () => {
+                const receipt = receiptEntry && App.modules.dataStore.getReceiptByKey(receiptEntry.receiptKey);
+                if (!receipt || !window.confirm('Discard your corrections and go back to the imported receipt?')) return;
+                ReceiptOverrides.revertReceipt(receipt);
+                finishReceiptEntry('Receipt reverted to the imported original');
+            });
+        }
+        
+        const deleteBtn = document.getElementById('receipt-entry-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const receipt = receiptEntry && App.modules.dataStore.getReceiptByKey(receiptEntry.receiptKey);
+                if (receipt && deleteReceipt(receipt)) finishReceiptEntry();
+            });
+        }
+        
+        const form = document.getElementById('receipt-entry-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!receiptEntry) return;
+                
+                const receipt = collectReceiptEntry();
+                if (!receipt) {
+                    showReceiptEntryError('Enter the receipt date and total.');
+                    return;
+                }
+                
+                let result;
+                if (receiptEntry.mode === 'edit') {
+                    const existing = App.modules.dataStore.getReceiptByKey(receiptEntry.receiptKey);
+                    if (!existing) {
+                        showReceiptEntryError('This receipt is no longer loaded.');
+                        return;
+                    }
+                    result = ReceiptOverrides.saveEdit(existing, receipt);
+                } else {
+                    result = ReceiptOverrides.createReceipt(receipt, receiptEntry.mode === 'paste' ? 'Pasted receipt' : 'Manual entry');
+                }
+                
+                if (!result.success) {
+                    showReceiptEntryError(result.errors.slice(0, 3).join(' '));
+                    return;
+                }
+                
+                if (receiptEntry.mode === 'paste' && textInput) textInput.value = '';
+                finishReceiptEntry(receiptEntry.mode === 'edit' ? 'Receipt updated' : null);
+            });
+        }
+    }
+    
+    /**
+     * Delete a receipt after confirmation
+     * @param {Object} receipt - Normalized receipt
+     * @returns {boolean} True if deleted
+     */
+    function deleteReceipt(receipt) {
+        const date = receipt.transactionDateTime instanceof Date
+            ? receipt.transactionDateTime.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+            : 'this date';
+        const message = ReceiptOverrides.isCreated(receipt)
+            ? `Delete the receipt from ${date} that you added?`
+            : `Delete the receipt from ${date}? It stays hidden when its file is loaded again, until you undelete it.`;
+        if (!window.confirm(message)) return false;
+        
+        ReceiptOverrides.deleteReceipt(receipt);
+        showSuccess('Receipt deleted');
+        announceToScreenReader('Receipt deleted');
+        return true;
+    }
+    
+    /**
+     * Convert raw receipt items to editable lines (the raw item is kept so
+     * fields the form doesn't show survive an edit)
+     * @param {Array} itemArray - Raw items
+     * @returns {Array} [{ itemNumber, description, unit, amount, taxFlag, source }]
+     */
+    function toEntryLines(itemArray) {
+        return (Array.isArray(itemArray) ? itemArray : []).map(item => ({
+            itemNumber: String(item.itemNumber || ''),
+            description: item.itemActualName || item.itemDescription01 || '',
+            unit: typeof item.unit === 'number' ? item.unit : (parseFloat(item.unit) || 1),
+            amount: Number(item.amount) || 0,
+            taxFlag: item.taxFlag || '',
+            source: item
+        }));
+    }
+    
+    /**
+     * Open the receipt editor
+     * @param {HTMLElement|null} opener - Button that opened it (gets focus back on close)
+     * @param {string} mode - 'paste' | 'create' | 'edit'
+     * @param {Object} receipt - Normalized receipt to edit (edit mode)
+     */
+    function openReceiptEntry(opener, mode = 'paste', receipt = null) {
+        const view = elements.receiptEntryView;
+        if (!view) return;
+        
+        const form = document.getElementById('receipt-entry-form');
+        const pasteSection = document.getElementById('receipt-entry-paste');
+        const note = document.getElementById('receipt-entry-note');
+        const title = document.getElementById('receipt-entry-title');
+        const heading = document.getElementById('receipt-entry-form-heading');
+        const submitBtn = document.getElementById('receipt-entry-submit');
+        const revertBtn = document.getElementById('receipt-entry-revert');
+        const deleteBtn = document.getElementById('receipt-entry-delete');
+        
+        if (mode === 'edit' && receipt) {
+            const date = receipt.transactionDateTime instanceof Date ? receipt.transactionDateTime : null;
+            const pad = (n) => String(n).padStart(2, '0');
+            const raw = ReceiptOverrides.getRaw(receipt);
+            receiptEntry = {
+                mode,
+                receiptKey: App.modules.dataProcessor.getReceiptKey(receipt),
+                receipt: raw,
+                warnings: [],
+                date: date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '',
+                time: date ? `${pad(date.getHours())}:${pad(date.getMinutes())}` : '',
+                lines: toEntryLines(raw.itemArray)
+            };
+            renderReceiptEntry();
+        } else if (mode === 'create') {
+            receiptEntry = {
+                mode,
+                receiptKey: null,
+                receipt: { transactionType: 'Sales', receiptType: 'In-Warehouse', warehouseNumber: 0, itemArray: [], tenderArray: [] },
+                warnings: [],
+                date: '',
+                time: '',
+                lines: [{ itemNumber: '', description: '', unit: 1, amount: 0, taxFlag: '', source: null }]
+            };
+            renderReceiptEntry();
+        } else if (receiptEntry && receiptEntry.mode !== 'paste') {
+            // Pasted text and its corrections are kept between opens; edits are not
+            receiptEntry = null;
+            if (form) form.classList.add('hidden');
+        }
+        
+        if (title) title.textContent = { paste: 'Paste Receipt', create: 'New Receipt', edit: 'Edit Receipt' }[mode];
+        if (heading) heading.textContent = mode === 'paste' ? 'Check and Correct' : 'Receipt';
+        if (submitBtn) submitBtn.textContent = mode === 'edit' ? 'Save Changes' : 'Add Receipt';
+        if (pasteSection) pasteSection.classList.toggle('hidden', mode !== 'paste');
+        if (revertBtn) revertBtn.classList.toggle('hidden', !(mode === 'edit' && ReceiptOverrides.isEdited(receipt)));
+        if (deleteBtn) deleteBtn.classList.toggle('hidden', mode !== 'edit');
+        if (note) {
+            const notes = {
+                create: 'Add a receipt that is missing from your exports. It is kept on this device and added back whenever you load receipts.',
+                edit: ReceiptOverrides.isCreated(receipt || {})
+                    ? 'You added this receipt by hand.'
+                    : `Corrections are kept separately from the imported receipt${receipt && receipt.sourceFile ? ` (${receipt.sourceFile})` : ''} and applied again when its file is loaded.`
+            };
+            note.textContent = notes[mode] || '';
+            note.classList.toggle('hidden', !notes[mode]);
+        }
+        
+        view.classList.remove('hidden');
+        view.dataset.opener = opener ? opener.id : '';
+        const focusTarget = mode === 'paste'
+            ? document.getElementById('receipt-entry-text')
+            : document.getElementById('receipt-entry-date');
+        if (focusTarget) focusTarget.focus();
+    }
+    
+    /**
+     * Close the receipt editor (pasted text and its corrections are kept until added)
+     */
+    function closeReceiptEntry() {
+        const view = elements.receiptEntryView;
+        if (!view || view.classList.contains('hidden')) return;
+        view.classList.add('hidden');
+        const opener = view.dataset.opener ? document.getElementById(view.dataset.opener) : null;
+        if (opener && !opener.classList.contains('hidden') && opener.offsetParent !== null) opener.focus();
+    }
+    
+    /**
+     * Close the editor after a successful save and clear its state
+     * @param {string|null} message - Confirmation to show
+     */
+    function finishReceiptEntry(message = null) {
+        showReceiptEntryError('');
+        closeReceiptEntry();
+        receiptEntry = null;
+        const form = document.getElementById('receipt-entry-form');
+        if (form) form.classList.add('hidden');
+        if (message) {
+            showSuccess(message);
+            announceToScreenReader(message);
+        }
+    }
+    
+    /**
+     * Show (or clear) the editor's error message
+     * @param {string} message - Error text, empty to hide
+     */
+    function showReceiptEntryError(message) {
+        const errorEl = document.getElementById('receipt-entry-error');
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Fill the editor form from the receipt being entered or edited
+     */
+    function renderReceiptEntry() {
+        const form = document.getElementById('receipt-entry-form');
+        if (!form || !receiptEntry) return;
+        const { receipt } = receiptEntry;
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value === null || value === undefined ? '' : value;
+        };
+        
+        // Keep uncommon transaction types (e.g. Returned, Shipped) selectable
+        const typeSelect = document.getElementById('receipt-entry-type');
+        const type = receipt.transactionType || 'Sales';
+        if (typeSelect && !Array.from(typeSelect.options).some(option => option.value === type)) {
+            typeSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`);
+        }
+        
+        setValue('receipt-entry-date', receiptEntry.date);
+        setValue('receipt-entry-time', receiptEntry.time);
+        setValue('receipt-entry-type', type);
+        setValue('receipt-entry-warehouse', receipt.warehouseName);
+        setValue('receipt-entry-warehouse-number', receipt.warehouseNumber || '');
+        setValue('receipt-entry-member', receipt.membershipNumber);
+        setValue('receipt-entry-subtotal', receipt.subTotal);
+        setValue('receipt-entry-tax', receipt.taxes);
+        setValue('receipt-entry-total', receipt.total);
+        
+        showReceiptEntryError('');
+        form.classList.remove('hidden');
+        renderReceiptEntryLines();
+        updateReceiptEntryChecks();
+    }
+    
+    /**
+     * Render the editable line items
+     */
+    function renderReceiptEntryLines() {
+        const tbody = document.getElementById('receipt-entry-lines-body');
+        if (!tbody || !receiptEntry) return;
+        
+        if (receiptEntry.lines.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No item lines were recognized. Add them with "+ Add Line".</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = receiptEntry.lines.map((line, index) => `
+            <tr>
+                <td><input type="text" class="filter-input" data-line-index="${index}" data-line-field="itemNumber" value="${escapeHtml(line.itemNumber)}" aria-label="Item number, line ${index + 1}"></td>
+                <td><input type="text" class="filter-input" data-line-index="${index}" data-line-field="description" value="${escapeHtml(line.description)}" aria-label="Description, line ${index + 1}"></td>
+                <td class="num"><input type="number" class="filter-input" step="any" data-line-index="${index}" data-line-field="unit" value="${line.unit}" aria-label="Quantity, line ${index + 1}"></td>
+                <td class="num"><input type="number" class="filter-input" step="0.01" data-line-index="${index}" data-line-field="amount" value="${line.amount}" aria-label="Amount, line ${index + 1}"></td>
+                <td><input type="text" class="filter-input" maxlength="2" data-line-index="${index}" data-line-field="taxFlag" value="${escapeHtml(line.taxFlag)}" aria-label="Tax flag, line ${index + 1}"></td>
+                <td class="category-rule-actions"><button type="button" class="btn btn-secondary btn-sm" data-remove-line="${index}" aria-label="Remove line ${index + 1}">Remove</button></td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Show parser warnings and whether the lines add up to the printed totals
+     */
+    function updateReceiptEntryChecks() {
+        const list = document.getElementById('receipt-entry-checks');
+        if (!list || !receiptEntry) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const readNumber = (id) => {
+            const input = document.getElementById(id);
+            return input && input.value !== '' ? Number(input.value) : null;
+        };
+        const itemsTotal = Math.round(receiptEntry.lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0) * 100) / 100;
+        const subTotal = readNumber('receipt-entry-subtotal');
+        const tax = readNumber('receipt-entry-tax') || 0;
+        const total = readNumber('receipt-entry-total');
+        
+        const checks = [];
+        if (subTotal !== null) {
+            const ok = Math.abs(itemsTotal - subTotal) <= 0.02;
+            checks.push({ ok, text: `Lines add up to ${formatMoney(itemsTotal)}${ok ? ', matching' : ' but'} the subtotal ${formatMoney(subTotal)}` });
+        }
+        if (subTotal !== null && total !== null) {
+            const ok = Math.abs(subTotal + tax - total) <= 0.02;
+            checks.push({ ok, text: `Subtotal + tax is ${formatMoney(subTotal + tax)}${ok ? ', matching' : ' but'} the total ${formatMoney(total)}` });
+        }
+        
+        // Parser warnings about totals are replaced by the live checks above
+        const warnings = receiptEntry.warnings.filter(warning => !/SUBTOTAL is/.test(warning));
+        
+        list.innerHTML = [
+            ...warnings.map(warning => `<li class="negative">${escapeHtml(warning)}</li>`),
+            ...checks.map(check => `<li class="${check.ok ? '' : 'negative'}">${check.ok ? '✓' : '⚠'} ${escapeHtml(check.text)}</li>`)
+        ].join('');
+    }
+    
+    /**
+     * Build the receipt to save from the corrected form. Fields the form
+     * doesn't show (tenders, discounts, item extras) carry over unchanged.
+     * @returns {Object|null} Receipt in the extension's JSON shape, or null if the date or total is missing
+     */
+    function collectReceiptEntry() {
+        if (!receiptEntry) return null;
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        
+        const date = value('receipt-entry-date');
+        const total = value('receipt-entry-total');
+        if (!date || total === '') return null;
+        
+        const time = value('receipt-entry-time') || '00:00';
+        const itemArray = receiptEntry.lines
+            .filter(line => line.itemNumber || line.description || line.amount)
+            .map(line => {
+                const source = line.source || {};
+                const description = String(line.description).trim();
+                // Online items carry their name in itemActualName
+                const descriptionField = source.itemActualName ? 'itemActualName' : 'itemDescription01';
+                return {
+                    ...source,
+                    itemNumber: String(line.itemNumber).trim(),
+                    itemDescription01: source.itemDescription01 || description,
+                    [descriptionField]: description,
+                    amount: Number(line.amount) || 0,
+                    unit: Number(line.unit) || 0,
+                    itemUnitPriceAmount: line.unit ? Math.abs(Number(line.amount) / Number(line.unit)) : null,
+                    taxFlag: String(line.taxFlag).trim().toUpperCase() || null
+                };
+            });
+        
+        // transactionDateISO would win over the edited date during normalization
+        const { transactionDateISO, ...base } = receiptEntry.receipt;
+        
+        return {
+            ...base,
+            transactionDate: date,
+            transactionDateTime: `${date}T${time}:00`,
+            transactionType: value('receipt-entry-type') || 'Sales',
+            warehouseName: value('receipt-entry-warehouse'),
+            warehouseNumber: Number(value('receipt-entry-warehouse-number')) || 0,
+            membershipNumber: value('receipt-entry-member') || null,
+            subTotal: value('receipt-entry-subtotal') === '' ? null : Number(value('receipt-entry-subtotal')),
+            taxes: Number(value('receipt-entry-tax')) || 0,
+            total: Number(total),
+            itemArray,
+            totalItemCount: itemArray.filter(item => !String(item.itemDescription01).startsWith('/')).length
+        };
+    }
+    
+    /**
+     * Render one year's summary and the year-by-year comparison table
+     * @param {number} year - Calendar year
+     */
+    function renderWrapped(year) {
+        const statsCalc = App.modules.statsCalculator;
+        const content = document.getElementById('wrapped-content');
+        if (!statsCalc || !content) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const formatMonth = (month) => {
+            const [y, m] = month.split('-').map(Number);
+            return new Date(y, m - 1, 1).toLocaleDateString('en-US', { month: 'long' });
+        };
+        
+        const receipts = App.modules.dataStore.getReceipts();
+        const yearSelect = document.getElementById('wrapped-year');
+        if (yearSelect) yearSelect.value = String(year);
+        
+        const review = statsCalc.getYearInReview(receipts, year, { rewards: getRewardOptions() });
+        if (!review) {
+            content.innerHTML = `<p class="wrapped-note">No receipts in ${year}</p>`;
+            return;
+        }
+        
+        const tile = (label, value, detail = '') => `
+            <div class="mini-stat wrapped-tile">
+                <div class="mini-stat-label">${label}</div>
+                <div class="mini-stat-value">${value}</div>
+                ${detail ? `<div class="wrapped-detail">${detail}</div>` : ''}
+            </div>
+        `;
+        
+        let change = `No ${year - 1} receipts to compare`;
+        if (review.spentChange !== null) {
+            const arrow = review.spentChange >= 0 ? '▲' : '▼';
+            change = `${arrow} ${Math.abs(review.spentChange).toFixed(1)}% vs ${year - 1} (${formatMoney(review.previousTotalSpent)})`;
+        }
+        
+        const item = review.mostBoughtItem;
+        const trip = review.biggestTrip;
+        const warehouse = review.mostVisitedWarehouse;
+        const month = review.busiestMonth;
+        const savedShare = review.totalSpent > 0 ? (review.totalSaved / review.totalSpent) * 100 : 0;
+        
+        const tiles = [
+            tile('Total Spent', formatMoney(review.totalSpent), change),
+            tile('Trips', review.trips.toLocaleString(), `${review.onlineOrders.toLocaleString()} online orders · ${review.uniqueItems.toLocaleString()} unique items`),
+            tile('Most Bought', item ? escapeHtml(item.name) : '—', item ? `${item.purchases} times · ${formatMoney(item.totalSpent)}` : ''),
+            tile('Biggest Trip', trip ? formatMoney(trip.total) : '—', trip ? `${formatDate(trip.date)} · ${escapeHtml(trip.warehouseName)} · ${trip.itemCount} items` : ''),
+            tile('Favorite Warehouse', warehouse ? escapeHtml(warehouse.warehouseName) : '—', warehouse ? `${warehouse.tripCount} trips · ${formatMoney(warehouse.totalSpent)}` : ''),
+            tile('Busiest Month', month ? formatMonth(month.month) : '—', month ? `${formatMoney(month.total)} · ${month.count} receipts` : ''),
+            tile('Total Saved', formatMoney(review.totalSaved), `${savedShare.toFixed(1)}% of what you spent`),
+            tile('Gas', `${review.gas.gallons.toLocaleString()} gal`, review.gas.gallons > 0 ? formatMoney(review.gas.spent) : 'No fill-ups'),
+            tile('Executive Reward', formatMoney(review.executiveReward), '2% of eligible purchases'),
+            tile('New Items Tried', review.newItemCount.toLocaleString(), review.newItems.slice(0, 3).map(i => escapeHtml(i.name)).join(', '))
+        ];
+        
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        
+        const topItemRows = review.topItems.length > 0
+            ? review.topItems.map(i => `
+                <tr>
+                    <td>${escapeHtml(i.name || 'Unknown')}</td>
+                    <td class="num">${i.purchases}</td>
+                    <td class="num">${formatMoney(i.totalSpent)}</td>
+                </tr>
+            `).join('')
+            : emptyRow(3, 'No items');
+        
+        const newItemRows = review.newItems.length > 0
+            ? review.newItems.map(i => `
+                <tr>
+                    <td>${escapeHtml(i.name || 'Unknown')}</td>
+                    <td class="num">${formatDate(i.firstDate)}</td>
+                    <td class="num">${formatMoney(i.totalSpent)}</td>
+                </tr>
+            `).join('')
+            : emptyRow(3, 'Nothing new this year');
+        
+        const hikeRows = review.priceHikes.length > 0
+            ? review.priceHikes.map(i => `
+                <tr>
+                    <td>${escapeHtml(i.name || 'Unknown')}</td>
+                    <td class="num">$${i.firstPrice.toFixed(2)} → $${i.lastPrice.toFixed(2)}${formatUnitPriceChange(i)}</td>
+                    <td class="num">+${i.percentIncrease.toFixed(1)}%${i.basis === 'unit' ? ` per ${escapeHtml(i.standardUnit)}` : ''}</td>
+                </tr>
+            `).join('')
+            : emptyRow(3, 'No price increases found');
+        
+        const table = (title, headers, rows) => `
+            <div class="wrapped-section">
+                <h3 class="budget-subheading">${title}</h3>
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead><tr>${headers.map((h, i) => `<th${i > 0 ? ' class="num"' : ''}>${h}</th>`).join('')}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        
+        content.innerHTML = `
+            <p class="wrapped-headline">${year}: ${formatMoney(review.totalSpent)} across ${review.receiptCount.toLocaleString()} receipts</p>
+            <div class="wrapped-grid">${tiles.join('')}</div>
+            ${table('Top Items', ['Item', 'Purchases', 'Spent'], topItemRows)}
+            ${table('New This Year', ['Item', 'First Bought', 'Spent'], newItemRows)}
+            ${table('Biggest Price Hikes', ['Item', 'Price', 'Change'], hikeRows)}
+        `;
+        
+        const yearsBody = document.getElementById('wrapped-years-body');
+        if (yearsBody) {
+            yearsBody.innerHTML = statsCalc.getYearComparison(receipts, { rewards: getRewardOptions() }).map(row => `
+                <tr${row.year === year ? ' style="font-weight: 600;"' : ''}>
+                    <td>${row.year}</td>
+                    <td class="num">${formatMoney(row.totalSpent)}</td>
+                    <td class="num">${row.trips.toLocaleString()}</td>
+                    <td class="num">${row.onlineOrders.toLocaleString()}</td>
+                    <td class="num">${formatMoney(row.savings)}</td>
+                    <td class="num">${formatMoney(row.reward)}</td>
+                    <td class="num">${row.gallons.toLocaleString()}</td>
+                    <td class="num">${row.uniqueItems.toLocaleString()}</td>
+                </tr>
+            `).join('');
+        }
+        
+        announceToScreenReader(`Showing ${year} year in review`);
+    }
+    
+    /**
+     * Render charts for Trips & Warehouses tab
+     */
+    function renderTripsCharts(receipts) {
+        const vizManager = App.modules.visualizationManager;
+        const statsCalc = App.modules.statsCalculator;
         if (!vizManager || !statsCalc) return;
         
         const includeOnlineToggle = document.getElementById('warehouse-include-online');
@@ -1825,6 +4734,9 @@ const UIController = (() => {
             vizManager.createChart('tax-rate-trend', 'tax-rate-chart', 'tax-rate-trend', stats.monthly);
         }
         
+        // Printed tax vs. taxable items, by jurisdiction and warehouse
+        renderTaxReconciliation(receipts);
+        
         // Tax by department (top list + table)
         const taxByDept = calculateTaxByDepartment(receipts);
         const taxBody = document.getElementById('tax-by-dept-body');
@@ -1843,10 +4755,9 @@ const UIController = (() => {
             if (sortedTax.length === 0) {
                 taxTopList.innerHTML = '<p style="color: var(--color-text-tertiary);">No tax data available.</p>';
             } else {
-                const statsCalc = App.modules.statsCalculator;
                 const topFive = sortedTax.slice(0, 5);
                 taxTopList.innerHTML = topFive.map((item, idx) => {
-                    const deptName = statsCalc?.getDepartmentName ? statsCalc.getDepartmentName(item.department) : `Dept ${item.department}`;
+                    const deptName = escapeHtml(item.name);
                     const share = totalTaxForShare > 0 ? ((item.totalTax / totalTaxForShare) * 100) : 0;
                     return `
                         <div class="top-row">
@@ -1867,9 +4778,8 @@ const UIController = (() => {
             if (sortedTax.length === 0) {
                 taxBody.innerHTML = '<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No tax data</td></tr>';
             } else {
-                const statsCalc = App.modules.statsCalculator;
                 const rows = sortedTax.slice(0, 10).map(item => {
-                    const deptName = statsCalc?.getDepartmentName ? statsCalc.getDepartmentName(item.department) : `Dept ${item.department}`;
+                    const deptName = escapeHtml(item.name);
                     const share = totalTaxForShare > 0 ? ((item.totalTax / totalTaxForShare) * 100) : 0;
                     return `
                         <tr>
@@ -1888,8 +4798,8 @@ const UIController = (() => {
         if (taxTableFootnote) {
             const totalDepartments = sortedTax.length;
             taxTableFootnote.textContent = totalDepartments > 10 
-                ? `Showing top 10 of ${totalDepartments} department/warehouse combinations by tax dollars.`
-                : 'Showing top 10 departments by tax dollars.';
+                ? `Showing top 10 of ${totalDepartments} category/warehouse combinations by tax dollars.`
+                : 'Showing top 10 categories by tax dollars.';
         }
         
         // Rewards tracker with configurable cycle
@@ -1940,6 +4850,558 @@ const UIController = (() => {
                 rewardsTableBody.innerHTML = '<tr><td colspan="3" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No rewards data</td></tr>';
             }
         }
+        
+        // Is the Executive upgrade worth it?
+        renderMembershipValue(receipts);
+        
+        // Credit card cash-back next to the Executive reward
+        renderCardRewards(receipts, rewards);
+        
+        // Discount and coupon attribution
+        renderSavingsReport(receipts);
+    }
+    
+    /**
+     * Render the tax reconciliation card (Taxes & Rewards tab)
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderTaxReconciliation(receipts) {
+        const formatMoney = (val) => `${val < 0 ? '-' : ''}$${Math.abs(Number(val || 0)).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        const report = TaxEngine.getTaxReport(receipts);
+        taxReport = report;
+        
+        const taxableTax = report.warehouses.reduce((sum, w) => sum + w.taxableTax, 0);
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        setText('tax-taxable-spend', formatMoney(report.taxableSpend));
+        setText('tax-taxable-rate', `${(report.taxableSpend > 0 ? taxableTax / report.taxableSpend * 100 : 0).toFixed(2)}%`);
+        setText('tax-mismatch-count', report.mismatches.length.toLocaleString());
+        
+        const jurisdictionBody = document.getElementById('tax-jurisdiction-body');
+        if (jurisdictionBody) {
+            jurisdictionBody.innerHTML = report.jurisdictions.length === 0
+                ? emptyRow(5, 'No itemized tax on these receipts')
+                : report.jurisdictions.map(j => `
+                    <tr>
+                        <td>${escapeHtml(j.legend)}${j.code && j.code !== j.legend ? ` <span class="pill pill-muted">${escapeHtml(j.code)}</span>` : ''}</td>
+                        <td class="num">${j.percent ? `${j.percent}%` : '—'}</td>
+                        <td class="num">${formatMoney(j.taxableBase)}</td>
+                        <td class="num">${formatMoney(j.tax)}</td>
+                        <td class="num">${j.effectiveRate.toFixed(3)}%</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const warehouseBody = document.getElementById('tax-warehouse-body');
+        if (warehouseBody) {
+            warehouseBody.innerHTML = report.warehouses.length === 0
+                ? emptyRow(6, 'No receipts')
+                : report.warehouses.map(w => `
+                    <tr>
+                        <td>${escapeHtml(w.name)}</td>
+                        <td class="num">${formatMoney(w.spend)}</td>
+                        <td class="num">${formatMoney(w.taxableSpend)}</td>
+                        <td class="num">${formatMoney(w.tax)}</td>
+                        <td class="num">${w.taxableSpend > 0 ? `${w.effectiveRate.toFixed(2)}%` : '—'}</td>
+                        <td class="num">${w.overallRate.toFixed(2)}%</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const mismatchBody = document.getElementById('tax-mismatch-body');
+        if (mismatchBody) {
+            mismatchBody.innerHTML = report.mismatches.length === 0
+                ? emptyRow(5, 'Every receipt\'s tax matches its taxable items')
+                : report.mismatches.slice(0, 20).map(m => {
+                    const date = m.date
+                        ? m.date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                        : '—';
+                    return `
+                        <tr class="receipt-row" tabindex="0" data-receipt-id="${escapeHtml(m.receiptId)}">
+                            <td>${date}</td>
+                            <td>${escapeHtml(m.warehouse)}</td>
+                            <td class="num">${formatMoney(m.printedTax)}</td>
+                            <td class="num">${m.computedTax !== null ? formatMoney(m.computedTax) : '—'}</td>
+                            <td>${escapeHtml(m.reason)}</td>
+                        </tr>
+                    `;
+                }).join('');
+        }
+        
+        const unflagged = report.receiptCount - report.flaggedReceipts;
+        const footnotes = [];
+        if (report.mismatches.length > 20) footnotes.push(`Showing 20 of ${report.mismatches.length} receipts to check; the CSV export has them all.`);
+        if (unflagged > 0) footnotes.push(`${unflagged.toLocaleString()} receipt${unflagged === 1 ? ' has' : 's have'} no item tax flags and ${unflagged === 1 ? 'is' : 'are'} left out of the taxable rates.`);
+        footnotes.push('Click a receipt to see its lines.');
+        setText('tax-reconciliation-footnote', footnotes.join(' '));
+    }
+    
+    /**
+     * Get saved Executive vs. Gold Star settings, filled in with defaults
+     * @returns {Object} { feeDifference, perks: { id: { enabled, value } } }
+     */
+    function getMembershipSettings() {
+        const saved = SettingsStore.get(MEMBERSHIP_KEY, {}) || {};
+        const savedPerks = saved.perks && typeof saved.perks === 'object' ? saved.perks : {};
+        const toAmount = (value, fallback) => value === null || value === undefined || !(Number(value) >= 0) ? fallback : Number(value);
+        const perks = {};
+        EXECUTIVE_PERKS.forEach(perk => {
+            const entry = savedPerks[perk.id] || {};
+            perks[perk.id] = {
+                enabled: Boolean(entry.enabled),
+                value: toAmount(entry.value, perk.value)
+            };
+        });
+        
+        return {
+            feeDifference: toAmount(saved.feeDifference, DEFAULT_UPGRADE_COST),
+            perks
+        };
+    }
+    
+    /**
+     * Save Executive vs. Gold Star settings and refresh the calculator
+     * @param {Object} settings - Settings to store
+     */
+    function saveMembershipSettings(settings) {
+        SettingsStore.set(MEMBERSHIP_KEY, { feeDifference: settings.feeDifference, perks: settings.perks });
+        const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+        renderMembershipValue(receipts);
+    }
+    
+    /**
+     * Bind the Executive vs. Gold Star calculator inputs
+     */
+    function bindMembershipValue() {
+        const feeInput = document.getElementById('membership-fee-difference');
+        const perkList = document.getElementById('membership-perks');
+        const settings = getMembershipSettings();
+        
+        if (feeInput) {
+            feeInput.value = settings.feeDifference;
+            feeInput.addEventListener('change', () => {
+                const value = Number(feeInput.value);
+                saveMembershipSettings({ ...getMembershipSettings(), feeDifference: value >= 0 ? value : DEFAULT_UPGRADE_COST });
+            });
+        }
+        
+        if (perkList) {
+            perkList.innerHTML = EXECUTIVE_PERKS.map(perk => `
+                <li>
+                    <label>
+                        <input type="checkbox" data-perk-toggle="${perk.id}" ${settings.perks[perk.id].enabled ? 'checked' : ''}>
+                        ${escapeHtml(perk.label)}
+                    </label>
+                    <input type="number" class="filter-input" data-perk-value="${perk.id}" min="0" step="5" value="${settings.perks[perk.id].value}" aria-label="${escapeHtml(perk.label)} value per year" style="width: 6rem;">
+                </li>
+            `).join('');
+            
+            perkList.addEventListener('change', (e) => {
+                const current = getMembershipSettings();
+                const toggle = e.target.closest('[data-perk-toggle]');
+                const valueInput = e.target.closest('[data-perk-value]');
+                const id = toggle ? toggle.dataset.perkToggle : valueInput?.dataset.perkValue;
+                if (!id || !current.perks[id]) return;
+                
+                const perk = { ...current.perks[id] };
+                if (toggle) perk.enabled = toggle.checked;
+                if (valueInput) perk.value = Math.max(0, Number(valueInput.value) || 0);
+                saveMembershipSettings({ ...current, perks: { ...current.perks, [id]: perk } });
+            });
+        }
+    }
+    
+    /**
+     * Render the Executive vs. Gold Star break-even and per-year verdicts
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderMembershipValue(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        const body = document.getElementById('membership-value-body');
+        if (!statsCalc || !body) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const settings = getMembershipSettings();
+        const perkValue = Object.values(settings.perks)
+            .filter(perk => perk.enabled)
+            .reduce((sum, perk) => sum + perk.value, 0);
+        const value = statsCalc.getMembershipValue(receipts, {
+            rewards: getRewardOptions(),
+            feeDifference: settings.feeDifference,
+            perkValue
+        });
+        const verdicts = {
+            executive: { text: 'Executive pays off', className: 'pill-success' },
+            goldStar: { text: 'Gold Star is enough', className: 'pill-warning' }
+        };
+        
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        const current = value.years.find(year => year.isCurrent);
+        setText('membership-break-even', value.breakEvenSpend === null ? 'Not reachable' : formatMoney(value.breakEvenSpend));
+        setText('membership-perk-value', formatMoney(value.perkValue));
+        setText('membership-still-needed', current && current.spendToBreakEven !== null ? formatMoney(current.spendToBreakEven) : '—');
+        
+        const recommendationEl = document.getElementById('membership-recommendation');
+        if (recommendationEl) {
+            const verdict = verdicts[value.recommendation];
+            recommendationEl.className = `pill ${verdict ? verdict.className : 'pill-muted'}`;
+            recommendationEl.textContent = verdict ? verdict.text : '—';
+        }
+        
+        if (value.years.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">No qualifying purchases</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = value.years.map(year => {
+            const verdict = verdicts[year.recommendation];
+            const projected = year.isCurrent && year.projectedReward !== null
+                ? `<div style="font-size: 0.7rem; color: var(--color-text-tertiary);">on pace for ${formatMoney(year.projectedReward)}</div>`
+                : '';
+            return `
+                <tr>
+                    <td>${year.year}${year.isCurrent ? ' <span class="pill pill-muted">In progress</span>' : ''}</td>
+                    <td class="num">${formatMoney(year.subtotal)}</td>
+                    <td class="num">${formatMoney(year.reward)}${projected}</td>
+                    <td class="num" style="color: ${year.net >= 0 ? 'var(--color-success)' : 'var(--color-error)'};">${year.net >= 0 ? '+' : '−'}${formatMoney(Math.abs(year.net))}</td>
+                    <td><span class="pill ${verdict.className}">${verdict.text}</span></td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Get saved card cash-back profiles
+     * @returns {Array} [{ id, name, cards, rates, overCapRate }]
+     */
+    function getCardProfiles() {
+        const saved = SettingsStore.get(CARD_PROFILES_KEY, []);
+        if (!Array.isArray(saved)) return [];
+        
+        const toRate = (entry) => ({
+            rate: Math.max(0, Number(entry?.rate) || 0),
+            cap: Number(entry?.cap) > 0 ? Number(entry.cap) : null
+        });
+        return saved
+            .filter(profile => profile && profile.id && profile.name)
+            .map(profile => ({
+                id: String(profile.id),
+                name: String(profile.name),
+                cards: Array.isArray(profile.cards) ? profile.cards.map(String) : [],
+                rates: {
+                    warehouse: toRate(profile.rates?.warehouse),
+                    online: toRate(profile.rates?.online),
+                    gas: toRate(profile.rates?.gas)
+                },
+                overCapRate: Math.max(0, Number(profile.overCapRate) || 0)
+            }));
+    }
+    
+    /**
+     * Save card cash-back profiles and refresh the card
+     * @param {Array} profiles - Profiles to store
+     */
+    function saveCardProfiles(profiles) {
+        SettingsStore.set(CARD_PROFILES_KEY, profiles);
+        const receipts = App.modules.filterManager?.getFilteredReceipts() || [];
+        const stats = App.modules.statsCalculator.calculateAll(receipts, { rewards: getRewardOptions() });
+        renderCardRewards(receipts, stats.rewards);
+    }
+    
+    /**
+     * Bind the card cash-back profile form and list
+     */
+    function bindCardRewards() {
+        const form = document.getElementById('card-profile-form');
+        const nameInput = document.getElementById('card-profile-name');
+        const presetBtn = document.getElementById('card-profile-preset');
+        const errorEl = document.getElementById('card-profile-error');
+        const body = document.getElementById('card-profiles-body');
+        const channels = ['warehouse', 'online', 'gas'];
+        const field = (id) => document.getElementById(id);
+        
+        const showProfileError = (message) => {
+            if (!errorEl) return;
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
+        };
+        
+        if (presetBtn) {
+            presetBtn.addEventListener('click', () => {
+                channels.forEach(channel => {
+                    if (field(`card-rate-${channel}`)) field(`card-rate-${channel}`).value = CITI_COSTCO_RATES[channel].rate;
+                    if (field(`card-cap-${channel}`)) field(`card-cap-${channel}`).value = CITI_COSTCO_RATES[channel].cap || '';
+                });
+                if (field('card-rate-over-cap')) field('card-rate-over-cap').value = CITI_COSTCO_RATES.overCapRate;
+                if (nameInput && !nameInput.value) nameInput.value = 'Costco Anywhere Visa';
+            });
+        }
+        
+        if (form && nameInput) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const name = nameInput.value.trim();
+                const cards = Array.from(form.querySelectorAll('[data-card-key]:checked')).map(input => input.dataset.cardKey);
+                if (!name) {
+                    nameInput.focus();
+                    return;
+                }
+                if (cards.length === 0) {
+                    showProfileError('Pick at least one card this profile applies to.');
+                    return;
+                }
+                
+                const rates = {};
+                channels.forEach(channel => {
+                    rates[channel] = {
+                        rate: Number(field(`card-rate-${channel}`)?.value) || 0,
+                        cap: Number(field(`card-cap-${channel}`)?.value) || null
+                    };
+                });
+                saveCardProfiles([...getCardProfiles(), {
+                    id: createId('card'),
+                    name,
+                    cards,
+                    rates,
+                    overCapRate: Number(field('card-rate-over-cap')?.value) || 0
+                }]);
+                
+                showProfileError('');
+                form.reset();
+                announceToScreenReader(`Card profile ${name} added`);
+            });
+        }
+        
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-remove-card-profile]');
+                if (!removeBtn) return;
+                saveCardProfiles(getCardProfiles().filter(profile => profile.id !== removeBtn.dataset.removeCardProfile));
+            });
+        }
+    }
+    
+    /**
+     * Render card profiles and the cash-back earned by year next to the Executive reward
+     * @param {Array} receipts - Filtered receipts
+     * @param {Object} rewards - calculateExecutiveRewards result for the same receipts
+     */
+    function renderCardRewards(receipts, rewards = {}) {
+        const statsCalc = App.modules.statsCalculator;
+        const dataStore = App.modules.dataStore;
+        if (!statsCalc || !dataStore) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        const profiles = getCardProfiles();
+        
+        // Cards seen in any loaded receipt (keep the current ticks when re-rendering)
+        const allPayments = statsCalc.getPaymentMethodStats(dataStore.getReceipts());
+        const cardLabels = new Map(allPayments.methods
+            .filter(method => method.kind === 'credit' || method.kind === 'debit' || method.kind === 'other')
+            .map(method => [method.key, method.label]));
+        if (allPayments.unrecorded.receipts > 0) {
+            cardLabels.set('none', 'Not recorded (e.g. online orders)');
+        }
+        
+        const cardOptions = document.getElementById('card-profile-cards');
+        if (cardOptions) {
+            const checked = new Set(Array.from(cardOptions.querySelectorAll('[data-card-key]:checked')).map(input => input.dataset.cardKey));
+            cardOptions.innerHTML = cardLabels.size === 0
+                ? '<span class="stat-sublabel">No card payments on these receipts</span>'
+                : Array.from(cardLabels.entries()).map(([key, label]) => `
+                    <label><input type="checkbox" data-card-key="${escapeHtml(key)}" ${checked.has(key) ? 'checked' : ''}> ${escapeHtml(label)}</label>
+                `).join('');
+        }
+        
+        const profilesBody = document.getElementById('card-profiles-body');
+        if (profilesBody) {
+            const describeRate = (channel, entry, overCapRate) => `${entry.rate}% ${channel}${entry.cap ? ` (to ${formatMoney(entry.cap)}/yr, then ${overCapRate}%)` : ''}`;
+            profilesBody.innerHTML = profiles.length === 0
+                ? emptyRow(4, 'No card profiles yet')
+                : profiles.map(profile => `
+                    <tr>
+                        <td>${escapeHtml(profile.name)}</td>
+                        <td>${['warehouse', 'online', 'gas'].map(channel => escapeHtml(describeRate(channel, profile.rates[channel], profile.overCapRate))).join(' · ')}</td>
+                        <td>${profile.cards.map(key => escapeHtml(cardLabels.get(key) || key)).join(', ')}</td>
+                        <td><button type="button" class="btn btn-secondary btn-sm" data-remove-card-profile="${escapeHtml(profile.id)}" aria-label="Remove profile ${escapeHtml(profile.name)}">Remove</button></td>
+                    </tr>
+                `).join('');
+        }
+        
+        // Card rows use the Executive reward cycle so each row covers the same 12 months
+        const cycleStart = rewards.cycleStart || { month: 1, day: 1 };
+        const cardRewards = statsCalc.getCardRewards(receipts, profiles, {
+            cycleStartMonth: cycleStart.month,
+            cycleStartDay: cycleStart.day
+        });
+        const executiveByYear = rewards.byYear || {};
+        const isCalendarCycle = cycleStart.month === 1 && cycleStart.day === 1;
+        const formatYear = (year) => isCalendarCycle
+            ? String(year)
+            : `${year} (start ${String(cycleStart.month).padStart(2, '0')}/${String(cycleStart.day).padStart(2, '0')})`;
+        const years = Array.from(new Set([...cardRewards.years, ...Object.keys(executiveByYear).map(Number)]))
+            .sort((a, b) => b - a);
+        const grandTotal = cardRewards.profiles.reduce((sum, profile) => sum + profile.total, 0);
+        
+        const totalEl = document.getElementById('card-rewards-total');
+        if (totalEl) totalEl.textContent = `${formatMoney(grandTotal)} earned`;
+        
+        const head = document.getElementById('card-rewards-head');
+        if (head) {
+            head.innerHTML = `
+                <tr>
+                    <th>${isCalendarCycle ? 'Year' : 'Reward Year'}</th>
+                    <th class="num">Executive 2%</th>
+                    ${cardRewards.profiles.map(profile => `<th class="num">${escapeHtml(profile.name)}</th>`).join('')}
+                    <th class="num">Total</th>
+                </tr>
+            `;
+        }
+        
+        const body = document.getElementById('card-rewards-body');
+        if (!body) return;
+        if (years.length === 0) {
+            body.innerHTML = emptyRow(cardRewards.profiles.length + 3, 'No rewards data');
+            return;
+        }
+        
+        body.innerHTML = years.map(year => {
+            const executive = executiveByYear[year]?.reward || 0;
+            const cardValues = cardRewards.profiles.map(profile => profile.byYear[year]?.reward || 0);
+            const total = executive + cardValues.reduce((sum, value) => sum + value, 0);
+            return `
+                <tr>
+                    <td>${formatYear(year)}</td>
+                    <td class="num">${formatMoney(executive)}</td>
+                    ${cardValues.map(value => `<td class="num">${formatMoney(value)}</td>`).join('')}
+                    <td class="num">${formatMoney(total)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Bind the savings report's coupon cycle / month toggle
+     */
+    function bindSavingsReport() {
+        const periodSelect = document.getElementById('savings-period');
+        if (!periodSelect) return;
+        
+        periodSelect.addEventListener('change', () => {
+            renderSavingsReport(App.modules.filterManager?.getFilteredReceipts() || []);
+        });
+    }
+    
+    /**
+     * Render the savings report (discounts and coupons matched to items)
+     * @param {Array} receipts - Filtered receipts
+     */
+    function renderSavingsReport(receipts) {
+        const statsCalc = App.modules.statsCalculator;
+        if (!statsCalc) return;
+        
+        const formatMoney = (val) => `$${Number(val || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+        const formatMonth = (month) => {
+            const [year, mon] = month.split('-').map(Number);
+            return new Date(year, mon - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+        };
+        const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" style="padding: 1rem; text-align: center; color: var(--color-text-tertiary);">${text}</td></tr>`;
+        const savings = statsCalc.getSavingsAnalysis(receipts);
+        
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        setText('savings-report-rate', `${savings.savingsRate.toFixed(1)}% saved`);
+        setText('savings-attributed', formatMoney(savings.attributedSavings));
+        setText('savings-coupons', formatMoney(savings.couponSavings));
+        setText('savings-unattributed', formatMoney(savings.unattributedSavings));
+        setText('savings-sale-only-count', `${savings.saleOnlyItems.length} item${savings.saleOnlyItems.length === 1 ? '' : 's'}`);
+        
+        const itemsBody = document.getElementById('savings-items-body');
+        if (itemsBody) {
+            itemsBody.innerHTML = savings.items.length === 0
+                ? emptyRow(5, 'No item-level discounts found')
+                : savings.items.slice(0, 10).map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.name)} <span style="color: var(--color-text-tertiary);">#${escapeHtml(item.itemNumber)}</span></td>
+                        <td class="num">${item.discountedPurchases} of ${item.purchases}</td>
+                        <td class="num">${item.regularUnitPrice !== null ? formatMoney(item.regularUnitPrice) : '—'}</td>
+                        <td class="num">${item.saleUnitPrice !== null ? formatMoney(item.saleUnitPrice) : '—'}</td>
+                        <td class="num" style="color: var(--color-success);">${formatMoney(item.savings)}</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const saleOnlyBody = document.getElementById('savings-sale-only-body');
+        if (saleOnlyBody) {
+            saleOnlyBody.innerHTML = savings.saleOnlyItems.length === 0
+                ? emptyRow(4, 'No items bought exclusively on sale')
+                : savings.saleOnlyItems.slice(0, 10).map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.name)} <span style="color: var(--color-text-tertiary);">#${escapeHtml(item.itemNumber)}</span></td>
+                        <td class="num">${item.purchases}</td>
+                        <td class="num">${formatMoney(item.saleUnitPrice)}</td>
+                        <td class="num">${item.lastDiscountDate ? item.lastDiscountDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }) : '—'}</td>
+                    </tr>
+                `).join('');
+        }
+        
+        // Each coupon with the item it reduced, newest first
+        const couponsBody = document.getElementById('savings-coupons-body');
+        if (couponsBody) {
+            const coupons = savings.coupons.slice().sort((a, b) => (b.date || 0) - (a.date || 0));
+            couponsBody.innerHTML = coupons.length === 0
+                ? emptyRow(4, 'No coupons redeemed')
+                : coupons.slice(0, 25).map(coupon => `
+                    <tr>
+                        <td>${coupon.date ? formatDate(coupon.date) : '—'}</td>
+                        <td>${escapeHtml(coupon.couponNumber || '—')}</td>
+                        <td>${coupon.matched
+                            ? `${escapeHtml(coupon.itemName)} <span style="color: var(--color-text-tertiary);">#${escapeHtml(coupon.itemNumber)}</span>`
+                            : '<span style="color: var(--color-text-tertiary);">Not matched to an item</span>'}</td>
+                        <td class="num" style="color: var(--color-success);">${formatMoney(coupon.amount)}</td>
+                    </tr>
+                `).join('');
+            const unmatched = coupons.filter(coupon => !coupon.matched).length;
+            setText('savings-coupons-note', 'A coupon is matched to its item through the instant-savings line with the same number.' +
+                (coupons.length > 25 ? ` Showing the latest 25 of ${coupons.length}.` : '') +
+                (unmatched > 0 ? ` ${unmatched} had no matching line.` : ''));
+        }
+        
+        const monthlyBody = document.getElementById('savings-monthly-body');
+        if (monthlyBody) {
+            const byCycle = (document.getElementById('savings-period')?.value || 'cycle') === 'cycle';
+            setText('savings-period-heading', byCycle ? 'Savings by Coupon Cycle' : 'Savings by Month');
+            setText('savings-period-column', byCycle ? 'Cycle' : 'Month');
+            setText('savings-period-note', byCycle
+                ? 'Coupon books run about four weeks. Each cycle starts on the first trip with savings after the previous one ended.'
+                : 'Savings grouped by calendar month.');
+            
+            const periods = byCycle
+                ? savings.cycles.map(c => ({ ...c, label: `${formatDate(c.start)} – ${formatDate(c.end)}` }))
+                : savings.monthly.map(m => ({ ...m, label: formatMonth(m.month) }));
+            const rows = periods.filter(p => p.savings > 0 || p.couponSavings > 0).reverse();
+            monthlyBody.innerHTML = rows.length === 0
+                ? emptyRow(5, 'No savings recorded')
+                : rows.map(p => `
+                    <tr>
+                        <td>${p.label}</td>
+                        <td class="num">${formatMoney(p.savings)}</td>
+                        <td class="num">${formatMoney(p.attributed)}</td>
+                        <td class="num">${p.couponSavings > 0 ? formatMoney(p.couponSavings) : '—'}</td>
+                        <td class="num">${p.itemsDiscounted}</td>
+                    </tr>
+                `).join('');
+        }
     }
 
     /**
@@ -2535,6 +5997,8 @@ const UIController = (() => {
         showError,
         showSuccess,
         updateStats,
+        switchToTab,
+        syncFilterControls,
         reset,
         elements
     };